@@ -1,6 +1,27 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 
+// Indexes created by older schema versions that the current ones must not keep.
+// Mongoose only creates indexes, it never drops them.
+const LEGACY_INDEXES = [
+    // Review.reviewId used to be unique on its own; a review is now stored once per user
+    { collection: 'reviews', name: 'reviewId_1' }
+];
+
+const dropLegacyIndexes = async (connection) => {
+    for (const { collection, name } of LEGACY_INDEXES) {
+        try {
+            await connection.collection(collection).dropIndex(name);
+            console.log(`Dropped legacy index ${collection}.${name}`);
+        } catch (error) {
+            // 26 = NamespaceNotFound, 27 = IndexNotFound: already gone
+            if (error.code !== 26 && error.code !== 27) {
+                console.error(`Failed to drop legacy index ${collection}.${name}:`, error.message);
+            }
+        }
+    }
+};
+
 const connectDB = async () => {
     try {
         const maxPoolSize = Number(process.env.MONGO_MAX_POOL_SIZE || 50);
@@ -26,6 +47,8 @@ const connectDB = async () => {
 
         console.log(`MongoDB Connected: ${conn.connection.host}`);
 
+        await dropLegacyIndexes(conn.connection);
+
         // Handle connection events
         mongoose.connection.on('error', (err) => {
             console.error('MongoDB connection error:', err);
@@ -0,0 +1,46 @@
+const Redis = require('ioredis');
+require('dotenv').config();
+
+let client = null;
+
+const isRedisConfigured = () => !!process.env.REDIS_URL;
+
+/**
+ * Open a new Redis connection. Subscribers need their own, since a connection
+ * in SUBSCRIBE mode can't run other commands.
+ * @param {string} name - Shown in connection logs
+ */
+const createRedisConnection = (name = 'Redis') => {
+    const connection = new Redis(process.env.REDIS_URL, {
+        maxRetriesPerRequest: 3,
+        enableOfflineQueue: true
+    });
+
+    connection.on('ready', () => {
+        console.log(`${name} connected`);
+    });
+
+    connection.on('error', (err) => {
+        console.error(`${name} connection error:`, err.message);
+    });
+
+    return connection;
+};
+
+/**
+ * Shared Redis connection, opened on first use
+ * @returns {Redis|null} Client, or null when REDIS_URL isn't set
+ */
+const getRedis = () => {
+    if (!isRedisConfigured()) {
+        return null;
+    }
+
+    if (!client) {
+        client = createRedisConnection();
+    }
+
+    return client;
+};
+
+module.exports = { getRedis, createRedisConnection, isRedisConfigured };
@@ -3,12 +3,13 @@ const REQUIRED_KEYS = [
     'SESSION_SECRET',
     'GOOGLE_CLIENT_ID',
     'GOOGLE_CLIENT_SECRET',
-    'GOOGLE_CALLBACK_URL',
-    'OPENAI_API_KEY'
+    'GOOGLE_CALLBACK_URL'
 ];
 
 const OPTIONAL_KEYS = [
     'CLIENT_URL',
+    'LLM_PROVIDER',
+    'OPENAI_API_KEY',
     'OPENAI_MODEL',
     'OPENAI_BASE_URL',
     'AUTO_REPLY_SCAN_INTERVAL_MS',
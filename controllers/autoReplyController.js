@@ -4,6 +4,10 @@ const AutoReplyTask = require('../models/AutoReplyTask');
 const autoReplyService = require('../services/autoReplyService');
 const { AUTO_REPLY } = require('../utils/constants');
 const websocketService = require('../services/websocketService');
+const businessAccountService = require('../services/businessAccountService');
+const locationSettingsService = require('../services/locationSettingsService');
+const llmUsageService = require('../services/llmUsageService');
+const entitlementService = require('../services/entitlementService');
 require('dotenv').config();
 
 const sanitizeSettings = (settings = {}) =>
@@ -16,6 +20,10 @@ const sanitizeSettings = (settings = {}) =>
             respondToPositive: settings.respondToPositive ?? true,
             respondToNeutral: settings.respondToNeutral ?? true,
             respondToNegative: settings.respondToNegative ?? true,
+            requireApproval: settings.requireApproval ?? false,
+            requireApprovalForPositive: settings.requireApprovalForPositive ?? false,
+            requireApprovalForNeutral: settings.requireApprovalForNeutral ?? false,
+            requireApprovalForNegative: settings.requireApprovalForNegative ?? false,
             lastRunAt: settings.lastRunAt,
             lastManualRunAt: settings.lastManualRunAt
         };
@@ -29,6 +37,7 @@ const getAutoReplyConfig = asyncHandler(async (req, res) => {
         data: {
             settings,
             stats,
+            entitlements: entitlementService.getEntitlements(req.user),
             options: {
                 delayMinutes: AUTO_REPLY.DELAY_OPTIONS_MINUTES,
                 tones: AUTO_REPLY.TONES
@@ -50,7 +59,12 @@ const getAutoReplyConfig = asyncHandler(async (req, res) => {
 });
 
 const getAutoReplyStats = asyncHandler(async (req, res) => {
-    const stats = await autoReplyService.getStatsForUser(req.user._id);
+    const [stats, llmCap, llmSummary, llmHistory] = await Promise.all([
+        autoReplyService.getStatsForUser(req.user._id),
+        llmUsageService.getCapStatus(req.user._id, entitlementService.getEffectivePlan(req.user)),
+        llmUsageService.getMonthlySummary(req.user._id),
+        llmUsageService.getUserHistory(req.user._id)
+    ]);
 
     try {
         await req.user.constructor
@@ -82,16 +96,49 @@ const getAutoReplyStats = asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
-        data: stats
+        data: {
+            ...stats,
+            llmUsage: {
+                current: { ...llmSummary, cap: llmCap.cap, remaining: llmCap.remaining, exceeded: llmCap.exceeded },
+                history: llmHistory
+            }
+        }
     });
 });
 
+/**
+ * Reject setting changes the user's plan doesn't cover. Re-sending the current
+ * value is allowed so clients can post the whole settings form.
+ */
+const assertSettingsEntitlements = (user, changes, current = {}) => {
+    if (changes.enabled === true && !current.enabled) {
+        entitlementService.assertFeature(user, 'autoReply');
+    }
+    if (changes.tone !== undefined && changes.tone !== null && changes.tone !== current.tone) {
+        entitlementService.assertFeature(user, 'customTone');
+    }
+    if (changes.delayMinutes !== undefined && changes.delayMinutes !== null && changes.delayMinutes !== current.delayMinutes) {
+        entitlementService.assertFeature(user, 'delaySettings');
+    }
+};
+
 const updateAutoReplyConfig = asyncHandler(async (req, res) => {
-    const { enabled, delayMinutes, tone, respondToPositive, respondToNeutral, respondToNegative } =
-        req.body || {};
+    const {
+        enabled,
+        delayMinutes,
+        tone,
+        respondToPositive,
+        respondToNeutral,
+        respondToNegative,
+        requireApproval,
+        requireApprovalForPositive,
+        requireApprovalForNeutral,
+        requireApprovalForNegative
+    } = req.body || {};
 
     const updates = {};
     const previousSettings = sanitizeSettings(req.user.autoReplySettings);
+    assertSettingsEntitlements(req.user, req.body || {}, previousSettings);
 
     if (enabled !== undefined) updates['autoReplySettings.enabled'] = !!enabled;
 
@@ -112,6 +159,16 @@ const updateAutoReplyConfig = asyncHandler(async (req, res) => {
     if (respondToPositive !== undefined) updates['autoReplySettings.respondToPositive'] = !!respondToPositive;
     if (respondToNeutral !== undefined) updates['autoReplySettings.respondToNeutral'] = !!respondToNeutral;
     if (respondToNegative !== undefined) updates['autoReplySettings.respondToNegative'] = !!respondToNegative;
+    if (requireApproval !== undefined) updates['autoReplySettings.requireApproval'] = !!requireApproval;
+    if (requireApprovalForPositive !== undefined) {
+        updates['autoReplySettings.requireApprovalForPositive'] = !!requireApprovalForPositive;
+    }
+    if (requireApprovalForNeutral !== undefined) {
+        updates['autoReplySettings.requireApprovalForNeutral'] = !!requireApprovalForNeutral;
+    }
+    if (requireApprovalForNegative !== undefined) {
+        updates['autoReplySettings.requireApprovalForNegative'] = !!requireApprovalForNegative;
+    }
 
     await req.user.updateOne({ $set: updates });
     const refreshedUser = await req.user.constructor.findById(req.user._id);
@@ -164,6 +221,7 @@ const listAutoReplyTasks = asyncHandler(async (req, res) => {
     const tasks = await AutoReplyTask.find(query)
         .sort({ createdAt: -1 })
         .limit(limit)
+        .select('-drafts')
         .lean();
 
     // Note: Tasks are also updated via WebSocket from autoReplyService
@@ -202,10 +260,14 @@ const retryAutoReplyTask = asyncHandler(async (req, res) => {
     }
 
     let statusUpdate = {};
+    // Dead-lettered tasks go back to whichever step failed last
+    const stage = task.status === 'dead_letter'
+        ? task.failureStage
+        : { generation_failed: 'generation', delivery_failed: 'delivery' }[task.status];
 
-    if (task.status === 'generation_failed') {
+    if (stage === 'generation') {
         statusUpdate = { status: 'detected', error: null };
-    } else if (task.status === 'delivery_failed') {
+    } else if (stage === 'delivery') {
         statusUpdate = {
             status: 'scheduled',
             error: null,
@@ -214,6 +276,8 @@ const retryAutoReplyTask = asyncHandler(async (req, res) => {
     } else {
         throw new AppError('Task status cannot be retried', 400);
     }
+    // A manual retry starts a fresh round of automatic retries
+    statusUpdate = { ...statusUpdate, generationAttempts: 0, deliveryAttempts: 0, nextRetryAt: null, deadLetteredAt: null };
 
     await AutoReplyTask.findByIdAndUpdate(task._id, { $set: statusUpdate });
 
@@ -233,6 +297,219 @@ const retryAutoReplyTask = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Approve a pending reply, optionally replacing its text (edit-and-approve)
+ */
+const approveAutoReplyTask = asyncHandler(async (req, res) => {
+    const updated = await autoReplyService.approveTask(req.user._id, req.params.taskId, {
+        reply: req.body.reply,
+        decidedBy: req.user._id
+    });
+
+    res.json({
+        success: true,
+        data: updated
+    });
+});
+
+/**
+ * Reject a drafted reply so it is never posted
+ */
+const rejectAutoReplyTask = asyncHandler(async (req, res) => {
+    const updated = await autoReplyService.rejectTask(req.user._id, req.params.taskId, {
+        reason: req.body.reason,
+        decidedBy: req.user._id
+    });
+
+    res.json({
+        success: true,
+        data: updated
+    });
+});
+
+/**
+ * Get a single task including its draft history
+ */
+const getAutoReplyTask = asyncHandler(async (req, res) => {
+    const task = await AutoReplyTask.findOne({ _id: req.params.taskId, userId: req.user._id }).lean();
+    if (!task) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: task
+    });
+});
+
+/**
+ * Replace the draft with a freshly generated reply, optionally following reviewer guidance.
+ * 409 when the task was sent, rejected or redrafted while the reply was being generated.
+ */
+const regenerateAutoReplyTask = asyncHandler(async (req, res) => {
+    if (req.body.instructions) {
+        entitlementService.assertFeature(req.user, 'advancedAi');
+    }
+
+    const task = await autoReplyService.regenerateTask(req.user, req.params.taskId, {
+        instructions: req.body.instructions || null
+    });
+    if (!task) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: task
+    });
+});
+
+/**
+ * Roll the task's reply back to an earlier draft
+ */
+const restoreAutoReplyDraft = asyncHandler(async (req, res) => {
+    const { taskId, draftId } = req.params;
+
+    const task = await AutoReplyTask.findOne({ _id: taskId, userId: req.user._id }).select('status drafts').lean();
+    if (!task) {
+        throw new AppError('Task not found', 404);
+    }
+    if (!AUTO_REPLY.REGENERATABLE_STATUSES.includes(task.status)) {
+        throw new AppError('Task reply cannot be changed in its current status', 400);
+    }
+
+    const draft = (task.drafts || []).find(item => item._id.toString() === draftId);
+    if (!draft) {
+        throw new AppError('Draft not found', 404);
+    }
+
+    const updated = await AutoReplyTask.findOneAndUpdate(
+        { _id: task._id, status: task.status },
+        { $set: { generatedReply: draft.reply } },
+        { new: true }
+    ).lean();
+
+    if (!updated) {
+        throw new AppError('Task was changed by another request. Please refresh.', 409);
+    }
+
+    autoReplyService.emitTaskUpdate(req.user._id, task._id, updated.status);
+
+    res.json({
+        success: true,
+        data: updated
+    });
+});
+
+/**
+ * Include or exclude one business account from the auto-reply cycle
+ */
+const updateAccountConfig = asyncHandler(async (req, res) => {
+    const { accountId } = req.params;
+    const { enabled } = req.body;
+
+    const account = await businessAccountService.setAutoReplyEnabled(req.user._id, accountId, enabled);
+    if (!account) {
+        throw new AppError('Business account not found', 404);
+    }
+
+    try {
+        websocketService.emitToUser(req.user._id.toString(), 'autoReply:account:updated', { account });
+    } catch (error) {
+        console.error('Failed to emit auto-reply account update:', error);
+    }
+
+    res.json({
+        success: true,
+        data: account
+    });
+});
+
+const emitLocationConfigUpdate = (userId, config) => {
+    try {
+        websocketService.emitToUser(userId.toString(), 'autoReply:location:updated', { config });
+    } catch (error) {
+        console.error('Failed to emit auto-reply location update:', error);
+    }
+};
+
+/**
+ * List every synced location with its overrides and effective settings
+ */
+const listLocationConfigs = asyncHandler(async (req, res) => {
+    const configs = await locationSettingsService.listLocationConfigs(
+        req.user._id,
+        sanitizeSettings(req.user.autoReplySettings)
+    );
+
+    res.json({
+        success: true,
+        data: configs
+    });
+});
+
+const getLocationConfig = asyncHandler(async (req, res) => {
+    const locationId = locationSettingsService.normalizeLocationId(req.params.locationId);
+    const config = await locationSettingsService.getLocationConfig(
+        req.user._id,
+        locationId,
+        sanitizeSettings(req.user.autoReplySettings)
+    );
+
+    if (!config) {
+        throw new AppError('Location not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: config
+    });
+});
+
+const updateLocationConfig = asyncHandler(async (req, res) => {
+    const locationId = locationSettingsService.normalizeLocationId(req.params.locationId);
+    const baseSettings = sanitizeSettings(req.user.autoReplySettings);
+    assertSettingsEntitlements(req.user, { tone: req.body.tone, delayMinutes: req.body.delayMinutes }, baseSettings);
+
+    const config = await locationSettingsService.updateOverrides(
+        req.user._id,
+        locationId,
+        req.body,
+        baseSettings
+    );
+
+    if (!config) {
+        throw new AppError('Location not found', 404);
+    }
+
+    emitLocationConfigUpdate(req.user._id, config);
+
+    res.json({
+        success: true,
+        data: config
+    });
+});
+
+const deleteLocationConfig = asyncHandler(async (req, res) => {
+    const locationId = locationSettingsService.normalizeLocationId(req.params.locationId);
+    const config = await locationSettingsService.clearOverrides(
+        req.user._id,
+        locationId,
+        sanitizeSettings(req.user.autoReplySettings)
+    );
+
+    if (!config) {
+        throw new AppError('Location not found', 404);
+    }
+
+    emitLocationConfigUpdate(req.user._id, config);
+
+    res.json({
+        success: true,
+        data: config
+    });
+});
+
 /**
  * Get new reviews (recently detected tasks)
  */
@@ -271,6 +548,16 @@ module.exports = {
     listAutoReplyTasks,
     runAutoReplyNow,
     retryAutoReplyTask,
+    approveAutoReplyTask,
+    rejectAutoReplyTask,
+    getAutoReplyTask,
+    regenerateAutoReplyTask,
+    restoreAutoReplyDraft,
+    updateAccountConfig,
+    listLocationConfigs,
+    getLocationConfig,
+    updateLocationConfig,
+    deleteLocationConfig,
     getNewReviews
 };
 
@@ -0,0 +1,66 @@
+const User = require('../models/User');
+const AutoReplyTask = require('../models/AutoReplyTask');
+const { AppError } = require('../utils/errorHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const autoReplyService = require('../services/autoReplyService');
+const entitlementService = require('../services/entitlementService');
+const chatService = require('../services/chatService');
+
+/**
+ * These pages are opened from Slack / Teams in a browser, so expected errors are
+ * shown as a page rather than JSON
+ */
+const sendErrorPage = (res, error) => {
+    if (!(error instanceof AppError)) {
+        throw error;
+    }
+    res.status(error.statusCode).type('html').send(chatService.renderErrorPage(error.message));
+};
+
+/**
+ * Approve / edit page for a task, opened from a signed chat link
+ */
+const showChatAction = asyncHandler(async (req, res) => {
+    try {
+        const { userId, taskId } = chatService.verifyActionToken(req.params.token);
+        const task = await AutoReplyTask.findOne({ _id: taskId, userId }).lean();
+        if (!task) {
+            throw new AppError('Task not found', 404);
+        }
+
+        res.type('html').send(chatService.renderActionPage(task, { intent: req.query.intent }));
+    } catch (error) {
+        sendErrorPage(res, error);
+    }
+});
+
+/**
+ * Approve (optionally with edited text) or reject a task from the chat link page.
+ * The link holder acts as the task owner, the same as approving from the dashboard.
+ */
+const submitChatAction = asyncHandler(async (req, res) => {
+    try {
+        const { userId, taskId } = chatService.verifyActionToken(req.params.token);
+        const user = await User.findById(userId).select('_id subscription trial');
+        if (!user) {
+            throw new AppError('Task not found', 404);
+        }
+        entitlementService.assertFeature(user, 'autoReply');
+
+        const approve = req.body.action === 'approve';
+        const task = approve
+            ? await autoReplyService.approveTask(user._id, taskId, { reply: req.body.reply, decidedBy: user._id })
+            : await autoReplyService.rejectTask(user._id, taskId, { decidedBy: user._id });
+
+        res.type('html').send(chatService.renderActionPage(task, {
+            notice: approve ? 'Approved. The reply will be posted shortly.' : 'Rejected. This reply will not be posted.'
+        }));
+    } catch (error) {
+        sendErrorPage(res, error);
+    }
+});
+
+module.exports = {
+    showChatAction,
+    submitChatAction
+};
@@ -0,0 +1,217 @@
+const User = require('../models/User');
+const { AppError } = require('../utils/errorHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const { NOTIFICATIONS, DIGEST } = require('../utils/constants');
+const notificationService = require('../services/notificationService');
+const digestService = require('../services/digestService');
+const chatService = require('../services/chatService');
+const emailService = require('../services/emailService');
+const { normalizePagination, createPaginationMeta } = require('../utils/pagination');
+const { assertPublicUrl } = require('../utils/outboundUrl');
+
+const getOptions = () => ({
+    channels: NOTIFICATIONS.CHANNELS,
+    smtpConfigured: emailService.isConfigured(),
+    maxKeywords: NOTIFICATIONS.MAX_KEYWORDS,
+    maxEmailRecipients: NOTIFICATIONS.MAX_EMAIL_RECIPIENTS,
+    digestFrequencies: DIGEST.FREQUENCIES,
+    chatProviders: NOTIFICATIONS.CHAT_PROVIDERS,
+    chatEvents: NOTIFICATIONS.CHAT_EVENTS,
+    maxChatChannels: NOTIFICATIONS.MAX_CHAT_CHANNELS
+});
+
+const getSettings = (user) => ({
+    ...notificationService.getSettings(user),
+    digest: digestService.getSettings(user)
+});
+
+/**
+ * Escalation rules, destinations and digest schedule for the current user
+ */
+const getNotificationSettings = asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            settings: getSettings(req.user),
+            options: getOptions()
+        }
+    });
+});
+
+/**
+ * Update escalation rules, destinations and the digest schedule. Only the fields
+ * sent change; null clears the webhook url or secret.
+ */
+const updateNotificationSettings = asyncHandler(async (req, res) => {
+    const $set = {};
+    const $unset = {};
+    Object.entries(req.body).forEach(([group, fields]) => {
+        Object.entries(fields).forEach(([field, value]) => {
+            const path = `notificationSettings.${group}.${field}`;
+            if (value === null) {
+                $unset[path] = '';
+            } else {
+                $set[path] = value;
+            }
+        });
+    });
+
+    const currentWebhook = req.user.notificationSettings?.webhook || {};
+    const webhookEnabled = req.body.webhook?.enabled ?? currentWebhook.enabled;
+    const webhookUrl = req.body.webhook?.url !== undefined ? req.body.webhook.url : currentWebhook.url;
+    if (webhookEnabled && !webhookUrl) {
+        throw new AppError('Set a webhook url before enabling webhook alerts.', 400);
+    }
+    if (req.body.webhook?.url) {
+        await assertPublicUrl(req.body.webhook.url);
+    }
+
+    if (req.body.digest) {
+        // Reschedule from now whenever the frequency, time or timezone changes
+        const nextRunAt = digestService.computeNextRun({ ...digestService.getSettings(req.user), ...req.body.digest });
+        if (nextRunAt) {
+            $set['notificationSettings.digest.nextRunAt'] = nextRunAt;
+        } else {
+            $unset['notificationSettings.digest.nextRunAt'] = '';
+        }
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { ...(Object.keys($set).length && { $set }), ...(Object.keys($unset).length && { $unset }) },
+        { new: true, runValidators: true }
+    ).select('email notificationSettings');
+
+    res.json({
+        success: true,
+        data: {
+            settings: getSettings(user),
+            options: getOptions()
+        }
+    });
+});
+
+/**
+ * Alerts sent for the current user, newest first
+ */
+const getNotificationDeliveries = asyncHandler(async (req, res) => {
+    const { page, limit } = normalizePagination(req.query.page, req.query.limit);
+    const { deliveries, total } = await notificationService.listDeliveries(req.user._id, {
+        event: req.query.event,
+        status: req.query.status,
+        channel: req.query.channel,
+        page,
+        limit
+    });
+
+    res.json({
+        success: true,
+        data: deliveries,
+        pagination: createPaginationMeta(page, limit, total)
+    });
+});
+
+/**
+ * Send a sample alert to every configured destination
+ */
+const sendTestNotification = asyncHandler(async (req, res) => {
+    const deliveries = await notificationService.sendTest(req.user);
+
+    res.json({
+        success: true,
+        data: deliveries
+    });
+});
+
+/**
+ * Render the digest the current user would receive now, without sending it
+ */
+const previewDigest = asyncHandler(async (req, res) => {
+    const digest = await digestService.preview(req.user, req.query.frequency);
+
+    res.json({
+        success: true,
+        data: digest
+    });
+});
+
+/**
+ * Send the digest to its recipients now. The regular schedule is unaffected.
+ */
+const sendDigest = asyncHandler(async (req, res) => {
+    const deliveries = await digestService.send(req.user, req.body.frequency || null, { manual: true });
+
+    res.json({
+        success: true,
+        data: deliveries
+    });
+});
+
+/**
+ * Slack and Teams channels connected by the current user
+ */
+const listChatChannels = asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await chatService.listChannels(req.user._id)
+    });
+});
+
+/**
+ * Connect a Slack or Teams channel through its incoming webhook URL
+ */
+const createChatChannel = asyncHandler(async (req, res) => {
+    const channel = await chatService.createChannel(req.user._id, req.body);
+
+    res.status(201).json({
+        success: true,
+        data: channel
+    });
+});
+
+/**
+ * Change a channel's name, webhook URL, events or location routing
+ */
+const updateChatChannel = asyncHandler(async (req, res) => {
+    const channel = await chatService.updateChannel(req.user._id, req.params.channelId, req.body);
+
+    res.json({
+        success: true,
+        data: channel
+    });
+});
+
+const deleteChatChannel = asyncHandler(async (req, res) => {
+    await chatService.deleteChannel(req.user._id, req.params.channelId);
+
+    res.json({
+        success: true,
+        message: 'Chat channel removed'
+    });
+});
+
+/**
+ * Post a sample message to one channel
+ */
+const testChatChannel = asyncHandler(async (req, res) => {
+    const delivery = await chatService.sendTest(req.user, req.params.channelId);
+
+    res.json({
+        success: true,
+        data: delivery
+    });
+});
+
+module.exports = {
+    getNotificationSettings,
+    updateNotificationSettings,
+    getNotificationDeliveries,
+    sendTestNotification,
+    previewDigest,
+    sendDigest,
+    listChatChannels,
+    createChatChannel,
+    updateChatChannel,
+    deleteChatChannel,
+    testChatChannel
+};
@@ -1,27 +1,21 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const User = require('../models/User');
 const { AppError } = require('../utils/errorHandler');
 const asyncHandler = require('../utils/asyncHandler');
 const { SUBSCRIPTION_PLANS } = require('../utils/constants');
-const websocketService = require('../services/websocketService');
+const payments = require('../services/payments');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const billingService = require('../services/billingService');
+const planChangeService = require('../services/planChangeService');
+const couponService = require('../services/couponService');
+const subscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+const paymentLedgerService = require('../services/paymentLedgerService');
+const invoicePdfService = require('../services/invoicePdfService');
+const { normalizePagination, createPaginationMeta } = require('../utils/pagination');
 require('dotenv').config();
 
-const razorpayInstance = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
-const getPlanDurationMs = (planKey) => {
-    const plan = SUBSCRIPTION_PLANS[planKey];
-    if (!plan || !plan.billingCycleDays) {
-        return 0;
-    }
-    return plan.billingCycleDays * 24 * 60 * 60 * 1000;
-};
-
 /**
- * Create Razorpay order for subscription
+ * Start a recurring subscription for a paid plan with the provider that serves the
+ * user's billing country (or switch to free)
  */
 const createCheckoutSession = asyncHandler(async (req, res) => {
     const rawPlan = typeof req.body.plan === 'string' ? req.body.plan.trim() : '';
@@ -67,52 +61,54 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
         });
     }
 
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-        throw new AppError('Razorpay configuration missing on server.', 500);
+    if (billingService.hasRecurringSubscription(user)) {
+        throw new AppError('You already have an active subscription. Change or cancel it instead of starting a new one.', 409);
     }
 
-    const amount = selectedPlan.priceInPaise;
-    const currency = selectedPlan.currency || 'INR';
+    // A fresh checkout would restart the period and throw away the paid days left
+    const { plan: currentPlan, status, expiresAt } = user.subscription;
+    if (SUBSCRIPTION_PLANS[currentPlan]?.priceInPaise && status === 'active' && expiresAt > new Date() &&
+        currentPlan !== normalizedPlan) {
+        throw new AppError('You already have an active paid plan. Use a plan change to switch plans.', 409);
+    }
 
-    const ts = Date.now().toString(36);
-    const receipt = `sub_${userId.slice(-6)}_${ts}`.slice(0, 40);
+    const { provider, currency } = payments.selectForUser(user);
+    const listAmount = payments.getPlanPrice(normalizedPlan, currency);
+    if (!listAmount) {
+        throw new AppError(`The ${selectedPlan.name} plan is not available in ${currency}.`, 400);
+    }
 
-    let order;
+    const discount = req.body.couponCode
+        ? await couponService.validate(req.body.couponCode, { userId: user._id, plan: normalizedPlan, currency })
+        : null;
+    const amount = discount ? discount.amount : listAmount;
+
+    if (discount) {
+        await couponService.reserve(discount.coupon);
+    }
+    let checkout;
     try {
-        order = await razorpayInstance.orders.create({
-            amount,
-            currency,
-            receipt,
-            notes: {
-                userId,
-                plan: normalizedPlan
-            }
-        });
+        checkout = await provider.createCheckout(user, { plan: normalizedPlan, amount, currency, discount });
     } catch (error) {
-        console.error('[Payment] Failed to create Razorpay order', error?.error || error?.message || error);
-        throw new AppError(
-            error?.error?.description || 'Failed to create Razorpay order. Please verify Razorpay credentials.',
-            400
-        );
+        if (discount) {
+            await couponService.release(discount.coupon._id);
+        }
+        throw error;
     }
 
-    user.subscription.paymentProvider = 'razorpay';
-    user.subscription.pendingOrder = {
-        orderId: order.id,
-        plan: normalizedPlan,
-        amount: order.amount,
-        currency: order.currency,
-        createdAt: new Date()
-    };
-    await user.save();
-
     res.json({
         success: true,
         data: {
-            orderId: order.id,
-            amount: order.amount,
-            currency: order.currency,
-            keyId: process.env.RAZORPAY_KEY_ID,
+            provider: provider.name,
+            ...checkout,
+            amount,
+            currency,
+            discount: discount ? {
+                code: discount.coupon.code,
+                duration: discount.coupon.duration,
+                listAmount: discount.listAmount,
+                discountAmount: discount.discountAmount
+            } : null,
             customer: {
                 name: user.name,
                 email: user.email
@@ -125,59 +121,13 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Confirm a checkout from the client: Razorpay Checkout's signed response, or the
+ * Stripe Checkout Session the customer returned from
+ */
 const verifyPayment = asyncHandler(async (req, res) => {
-    const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body || {};
-
-    if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
-        throw new AppError('Missing Razorpay verification payload.', 400);
-    }
-
-    if (!process.env.RAZORPAY_KEY_SECRET) {
-        throw new AppError('Razorpay configuration missing on server.', 500);
-    }
-
-    const generatedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-        .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-        .digest('hex');
-
-    if (generatedSignature !== razorpay_signature) {
-        throw new AppError('Invalid Razorpay signature.', 400);
-    }
-
-    const user = await User.findOne({ 'subscription.pendingOrder.orderId': razorpay_order_id });
-    if (!user) {
-        throw new AppError('Subscription order not found for user.', 404);
-    }
-
-    const plan = user.subscription.pendingOrder?.plan;
-    const selectedPlan = SUBSCRIPTION_PLANS[plan];
-    if (!selectedPlan) {
-        throw new AppError('Invalid plan on pending order.', 400);
-    }
-
-    user.subscription.plan = plan;
-    user.subscription.status = 'active';
-    user.subscription.razorpayOrderId = razorpay_order_id;
-    user.subscription.razorpayPaymentId = razorpay_payment_id;
-    user.subscription.expiresAt = selectedPlan.billingCycleDays
-        ? new Date(Date.now() + getPlanDurationMs(plan))
-        : null;
-    user.subscription.pendingOrder = undefined;
-
-    if (user.trial.status === 'active') {
-        user.trial.status = 'converted';
-    }
-
-    await user.save();
-
-    try {
-        websocketService.emitToUser(user._id.toString(), 'subscription:updated', {
-            subscription: user.subscription
-        });
-    } catch (error) {
-        console.error('Failed to emit subscription update:', error);
-    }
+    const provider = payments.getProvider(req.body.provider);
+    const user = await provider.verifyCheckout(req.user._id, req.body);
 
     res.json({
         success: true,
@@ -189,105 +139,57 @@ const verifyPayment = asyncHandler(async (req, res) => {
 });
 
 /**
- * Handle Razorpay webhook events
+ * Verify a provider webhook and hand it to the event store, which applies each event
+ * once. /api/payment/webhook without a provider is the original Razorpay endpoint.
  */
 const handleWebhook = asyncHandler(async (req, res) => {
-    const signature = req.headers['x-razorpay-signature'];
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-
-    if (!webhookSecret) {
-        console.error('Razorpay webhook secret missing.');
-        return res.status(500).json({ error: 'Webhook secret not configured.' });
+    const providerName = req.params.provider || 'razorpay';
+    const provider = payments.PROVIDERS[providerName];
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown payment provider.' });
     }
 
     const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body);
-    const bodyString = rawBody.toString('utf8');
-    const expectedSignature = crypto.createHmac('sha256', webhookSecret).update(bodyString).digest('hex');
-
-    if (expectedSignature !== signature) {
-        console.error('Razorpay webhook signature mismatch.');
-        return res.status(400).json({ error: 'Invalid signature.' });
-    }
 
-    const event = JSON.parse(bodyString);
-
-    const handleSuccessfulPayment = async (paymentEntity) => {
-        const orderId = paymentEntity?.order_id;
-        if (!orderId) {
-            return;
-        }
-
-        const user = await User.findOne({ 'subscription.pendingOrder.orderId': orderId });
-        if (!user) {
-            console.error('No user found for Razorpay order:', orderId);
-            return;
-        }
-
-        const plan = user.subscription.pendingOrder?.plan;
-        const selectedPlan = SUBSCRIPTION_PLANS[plan];
-        if (!selectedPlan) {
-            console.error('Plan not found for pending order:', plan);
-            return;
-        }
-
-        user.subscription.plan = plan;
-        user.subscription.status = 'active';
-        user.subscription.razorpayOrderId = orderId;
-        user.subscription.razorpayPaymentId = paymentEntity?.id || null;
-        user.subscription.expiresAt = selectedPlan.billingCycleDays
-            ? new Date(Date.now() + getPlanDurationMs(plan))
-            : null;
-        user.subscription.pendingOrder = undefined;
-
-        if (user.trial.status === 'active') {
-            user.trial.status = 'converted';
-        }
-
-        await user.save();
-
-        try {
-            websocketService.emitToUser(user._id.toString(), 'subscription:updated', {
-                subscription: user.subscription
-            });
-        } catch (error) {
-            console.error('Failed to emit subscription update:', error);
-        }
-    };
-
-    switch (event.event) {
-        case 'payment.captured':
-        case 'payment.authorized': {
-            const paymentEntity = event.payload?.payment?.entity;
-            if (paymentEntity) {
-                await handleSuccessfulPayment(paymentEntity);
-            }
-            break;
-        }
-        case 'order.paid': {
-            const orderEntity = event.payload?.order?.entity;
-            const paymentEntity = event.payload?.payment?.entity;
-            if (paymentEntity) {
-                await handleSuccessfulPayment(paymentEntity);
-            } else if (orderEntity) {
-                await handleSuccessfulPayment({ order_id: orderEntity?.id });
-            }
-            break;
+    let parsed;
+    try {
+        parsed = provider.parseWebhook(rawBody, req.headers);
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return res.status(400).json({ error: 'Invalid webhook payload.' });
         }
-        default:
-            console.log(`Unhandled Razorpay event: ${event.event}`);
+        console.error(`${providerName} webhook rejected:`, error.message);
+        return res.status(error.statusCode || 400).json({ error: error.message });
     }
 
-    res.json({ received: true });
+    try {
+        const { duplicate } = await paymentWebhookService.receive(providerName, parsed);
+        return res.json({ received: true, ...(duplicate && { duplicate }) });
+    } catch (error) {
+        // Providers retry non-2xx deliveries; the stored event is picked up again
+        return res.status(500).json({ error: 'Webhook processing failed.' });
+    }
 });
 
 /**
- * Get subscription plans
+ * Get subscription plans, with prices in the currency the user checks out in
  */
 const getPlans = asyncHandler(async (req, res) => {
+    const country = payments.getCountry(req.user);
+    const { provider, currency } = payments.getRegion(country);
+
     res.json({
         success: true,
         data: {
-            plans: SUBSCRIPTION_PLANS
+            plans: SUBSCRIPTION_PLANS,
+            billing: {
+                country,
+                provider,
+                currency,
+                prices: Object.fromEntries(
+                    Object.keys(SUBSCRIPTION_PLANS).map(plan => [plan, payments.getPlanPrice(plan, currency) || 0])
+                )
+            }
         }
     });
 });
@@ -296,39 +198,10 @@ const getPlans = asyncHandler(async (req, res) => {
  * Get current user's subscription status
  */
 const getSubscriptionStatus = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user._id).select('subscription trial');
-
-    // Check if trial is expired
-    let shouldPersist = false;
-
-    if (user.trial.status === 'active' && user.trial.endDate && new Date() > user.trial.endDate) {
-        user.trial.status = 'expired';
-        if (user.subscription.plan === 'trial') {
-            user.subscription.plan = 'free';
-            user.subscription.status = 'expired';
-            if (!user.subscription.freeSwitchUsed) {
-                user.subscription.freeSwitchUsed = true;
-                user.subscription.freeSwitchUsedAt = new Date();
-            }
-        }
-        shouldPersist = true;
-    }
-
-    if (user.subscription.expiresAt && new Date() > user.subscription.expiresAt && user.subscription.status === 'active') {
-        user.subscription.status = 'expired';
-        if (user.subscription.plan !== 'free') {
-            user.subscription.plan = 'free';
-            if (!user.subscription.freeSwitchUsed) {
-                user.subscription.freeSwitchUsed = true;
-                user.subscription.freeSwitchUsedAt = new Date();
-            }
-        }
-        shouldPersist = true;
-    }
+    const user = await User.findById(req.user._id).select('subscription trial autoReplySettings');
 
-    if (shouldPersist) {
-        await user.save();
-    }
+    // Apply any expiry the lifecycle job hasn't picked up yet
+    await subscriptionLifecycleService.processUser(user);
 
     res.json({
         success: true,
@@ -340,7 +213,8 @@ const getSubscriptionStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * Cancel subscription (switch to free tier)
+ * Cancel subscription. Recurring subscriptions stop renewing and keep the paid plan
+ * until the current period ends; one-off plans switch to the free tier immediately.
  */
 const cancelSubscription = asyncHandler(async (req, res) => {
     const user = await User.findById(req.user._id);
@@ -353,6 +227,37 @@ const cancelSubscription = asyncHandler(async (req, res) => {
         throw new AppError('No active paid subscription to cancel.', 400);
     }
 
+    const providerSubscription = billingService.getProviderSubscription(user);
+    if (providerSubscription && billingService.isRecurringStatus(user.subscription.status)) {
+        if (user.subscription.cancelAtPeriodEnd) {
+            throw new AppError('Subscription is already scheduled to cancel.', 400);
+        }
+
+        // A halted subscription has no paid period left to run out
+        const atCycleEnd = user.subscription.status === 'active';
+        await payments.getProvider(providerSubscription.provider)
+            .cancelSubscription(providerSubscription.subscriptionId, atCycleEnd);
+
+        if (atCycleEnd) {
+            user.subscription.cancelAtPeriodEnd = true;
+            user.subscription.scheduledChange = undefined;
+        } else {
+            billingService.endSubscription(user);
+        }
+        await user.save();
+        billingService.emitSubscriptionUpdate(user);
+
+        return res.json({
+            success: true,
+            message: atCycleEnd
+                ? `Subscription cancelled. Your plan stays active until ${user.subscription.expiresAt.toISOString()}.`
+                : 'Subscription cancelled. You have been moved to the Free plan.',
+            data: {
+                subscription: user.subscription
+            }
+        });
+    }
+
     if (user.subscription.freeSwitchUsed) {
         throw new AppError('Free plan has already been redeemed for this account.', 403);
     }
@@ -378,12 +283,198 @@ const cancelSubscription = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Check a coupon code against a plan before checkout
+ */
+const validateCoupon = asyncHandler(async (req, res) => {
+    const { coupon, listAmount, discountAmount, amount, currency } = await couponService.validate(req.body.code, {
+        userId: req.user._id,
+        plan: req.body.plan,
+        currency: payments.getRegion(payments.getCountry(req.user)).currency
+    });
+
+    res.json({
+        success: true,
+        data: {
+            code: coupon.code,
+            description: coupon.description,
+            type: coupon.type,
+            value: coupon.value,
+            duration: coupon.duration,
+            plan: req.body.plan,
+            listAmount,
+            discountAmount,
+            amount,
+            currency
+        }
+    });
+});
+
+/**
+ * Price out a switch to another paid plan: credit for the unused part of the
+ * current period and the amount due now
+ */
+const previewPlanChange = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+        throw new AppError('User not found.', 404);
+    }
+
+    res.json({
+        success: true,
+        data: await planChangeService.preview(user, req.body.plan)
+    });
+});
+
+/**
+ * Switch paid plans. Upgrades that cost something return an order to pay through
+ * Razorpay Checkout and confirm with /verify; downgrades are scheduled for renewal.
+ */
+const changePlan = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+        throw new AppError('User not found.', 404);
+    }
+
+    const { preview, order } = await planChangeService.requestChange(user, req.body.plan);
+
+    if (order) {
+        return res.json({
+            success: true,
+            data: {
+                preview,
+                orderId: order.id,
+                amount: order.amount,
+                currency: order.currency,
+                keyId: process.env.RAZORPAY_KEY_ID,
+                customer: {
+                    name: user.name,
+                    email: user.email
+                },
+                plan: {
+                    key: preview.targetPlan,
+                    name: SUBSCRIPTION_PLANS[preview.targetPlan].name
+                }
+            }
+        });
+    }
+
+    const targetName = SUBSCRIPTION_PLANS[preview.targetPlan].name;
+    res.json({
+        success: true,
+        message: preview.type === 'downgrade'
+            ? `Your plan changes to ${targetName} on ${preview.effectiveAt.toISOString()}.`
+            : `Upgraded to ${targetName}.`,
+        data: {
+            preview,
+            subscription: user.subscription
+        }
+    });
+});
+
+/**
+ * Drop a scheduled downgrade and renew on the current plan
+ */
+const cancelPlanChange = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+        throw new AppError('User not found.', 404);
+    }
+
+    await planChangeService.cancelScheduledChange(user);
+
+    res.json({
+        success: true,
+        message: 'Scheduled plan change cancelled.',
+        data: {
+            subscription: user.subscription
+        }
+    });
+});
+
+/**
+ * List every payment attempt for the current user, newest first
+ */
+const getPaymentHistory = asyncHandler(async (req, res) => {
+    const { page, limit } = normalizePagination(req.query.page, req.query.limit);
+    const { payments, total } = await paymentLedgerService.getHistory(req.user._id, { page, limit });
+
+    res.json({
+        success: true,
+        data: payments,
+        pagination: createPaginationMeta(page, limit, total)
+    });
+});
+
+const getInvoice = asyncHandler(async (req, res) => {
+    const invoice = await paymentLedgerService.getInvoice(req.user._id, req.params.invoiceId);
+    if (!invoice) {
+        throw new AppError('Invoice not found.', 404);
+    }
+
+    res.json({
+        success: true,
+        data: invoice
+    });
+});
+
+const downloadInvoice = asyncHandler(async (req, res) => {
+    const invoice = await paymentLedgerService.getInvoice(req.user._id, req.params.invoiceId);
+    if (!invoice) {
+        throw new AppError('Invoice not found.', 404);
+    }
+
+    const pdf = await invoicePdfService.render(invoice);
+    const filename = `${invoice.number.replace(/[^A-Za-z0-9-]+/g, '_')}.pdf`;
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdf.length
+    });
+    res.send(pdf);
+});
+
+/**
+ * Update the legal name, GSTIN and address printed on future invoices
+ */
+const updateBillingDetails = asyncHandler(async (req, res) => {
+    const $set = {};
+    const $unset = {};
+    Object.entries(req.body).forEach(([field, value]) => {
+        if (value === null) {
+            $unset[`billingDetails.${field}`] = '';
+        } else {
+            $set[`billingDetails.${field}`] = value;
+        }
+    });
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { ...(Object.keys($set).length && { $set }), ...(Object.keys($unset).length && { $unset }) },
+        { new: true, runValidators: true }
+    ).select('billingDetails');
+
+    res.json({
+        success: true,
+        data: user.billingDetails || {}
+    });
+});
+
 module.exports = {
     createCheckoutSession,
     handleWebhook,
     verifyPayment,
     getPlans,
     getSubscriptionStatus,
-    cancelSubscription
+    cancelSubscription,
+    validateCoupon,
+    previewPlanChange,
+    changePlan,
+    cancelPlanChange,
+    getPaymentHistory,
+    getInvoice,
+    downloadInvoice,
+    updateBillingDetails
 };
 
@@ -1,194 +1,279 @@
+const mongoose = require('mongoose');
 const googleApiService = require('../services/googleApiService');
 const AutoReplyTask = require('../models/AutoReplyTask');
+const Review = require('../models/Review');
+const ReviewSyncState = require('../models/ReviewSyncState');
 const cache = require('../utils/cache');
-const { normalizePagination, createPaginationMeta } = require('../utils/pagination');
-const { FILTER_OPTIONS, SORT_OPTIONS, RATING_MAP, CACHE_TTL, PAGINATION } = require('../utils/constants');
+const {
+    normalizePagination,
+    createPaginationMeta,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetFilter
+} = require('../utils/pagination');
+const { FILTER_OPTIONS, SORT_OPTIONS, CACHE_TTL, PAGINATION } = require('../utils/constants');
 const { AppError } = require('../utils/errorHandler');
 const asyncHandler = require('../utils/asyncHandler');
 const websocketService = require('../services/websocketService');
 const reviewReplyGenerator = require('../services/reviewReplyGenerator');
 const autoReplyService = require('../services/autoReplyService');
+const webhookService = require('../services/webhookService');
+const reviewSyncService = require('../services/reviewSyncService');
+const entitlementService = require('../services/entitlementService');
+const businessAccountService = require('../services/businessAccountService');
 
 const isGoogleAuthError = (error) => {
     if (!error?.message) return false;
     return error.message.includes('Google API Error: 401') || error.message.includes('"status":"UNAUTHENTICATED"');
 };
 
+const GOOGLE_AUTH_EXPIRED_MESSAGE =
+    'Google authentication expired. Please reconnect your Google Business Profile account.';
+
+// Ordered sort keys per option; _id last keeps the order total so cursors never skip or repeat reviews
+const REVIEW_SORTS = {
+    [SORT_OPTIONS.NEWEST]: [['createTime', -1], ['_id', -1]],
+    [SORT_OPTIONS.OLDEST]: [['createTime', 1], ['_id', 1]],
+    [SORT_OPTIONS.HIGHEST]: [['ratingValue', -1], ['createTime', -1], ['_id', -1]],
+    [SORT_OPTIONS.LOWEST]: [['ratingValue', 1], ['createTime', -1], ['_id', -1]]
+};
+
+// Revivers throw on values a cursor we issued could not hold; parseReviewCursor turns that into a 400
+const CURSOR_FIELD_REVIVERS = {
+    createTime: (value) => {
+        if (value === null) {
+            return null;
+        }
+        const date = new Date(value);
+        if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid cursor date: ${value}`);
+        }
+        return date;
+    },
+    ratingValue: (value) => Number(value) || 0,
+    _id: (value) => new mongoose.Types.ObjectId(String(value))
+};
+
+const REVIEW_VIEWS = {
+    LIST: 'list',
+    GROUPED: 'grouped'
+};
+
 /**
- * Get all reviews with filtering, sorting, and pagination
+ * Encode the position after `review` for the given sort; filter and location are
+ * bound into the cursor so it cannot be replayed against a different result set.
+ */
+const createReviewCursor = (review, sortOrder, scope) =>
+    encodeCursor({
+        s: sortOrder,
+        q: scope,
+        v: REVIEW_SORTS[sortOrder].map(([field]) => review[field] ?? null)
+    });
+
+const parseReviewCursor = (cursor, sortOrder, scope) => {
+    const position = decodeCursor(cursor);
+    const sortFields = REVIEW_SORTS[sortOrder];
+
+    if (
+        !position ||
+        position.s !== sortOrder ||
+        position.q !== scope ||
+        !Array.isArray(position.v) ||
+        position.v.length !== sortFields.length
+    ) {
+        throw new AppError('Invalid or expired cursor. Restart pagination without a cursor.', 400);
+    }
+
+    try {
+        return sortFields.map(([field], index) => CURSOR_FIELD_REVIVERS[field](position.v[index]));
+    } catch (error) {
+        throw new AppError('Invalid or expired cursor. Restart pagination without a cursor.', 400);
+    }
+};
+
+/**
+ * Group an already sorted page of reviews by location, keeping first-appearance order
+ */
+const groupReviewsByLocation = (reviews) => {
+    const grouped = new Map();
+    reviews.forEach(({ locationName, locationId, accountId, ...review }) => {
+        if (!grouped.has(locationId)) {
+            grouped.set(locationId, { locationName, locationId, accountId, reviews: [] });
+        }
+        grouped.get(locationId).reviews.push(review);
+    });
+    return Array.from(grouped.values());
+};
+
+/**
+ * Bring the stored reviews up to date before reading them.
+ * Falls back to the last synced data when Google is unavailable.
+ * @returns {string|null} Sync error message when stale data is being served
+ */
+const refreshStoredReviews = async (user, force) => {
+    try {
+        await reviewSyncService.ensureFresh(user, { force });
+        return null;
+    } catch (error) {
+        if (isGoogleAuthError(error)) {
+            throw new AppError(GOOGLE_AUTH_EXPIRED_MESSAGE, 403);
+        }
+
+        const hasSyncedBefore = await ReviewSyncState.exists({ userId: user._id, lastSyncedAt: { $ne: null } });
+        if (!hasSyncedBefore) {
+            console.error('Error syncing reviews:', error);
+            throw new AppError('Failed to fetch reviews from Google API.', 500);
+        }
+
+        console.error('Review sync failed, serving stored reviews:', error.message);
+        return 'Showing previously synced reviews. Google could not be reached.';
+    }
+};
+
+/**
+ * Base review query for the user, optionally narrowed to one of their business accounts
+ */
+const buildAccountScope = async (user, accountId) => {
+    const query = { userId: user._id };
+    if (accountId) {
+        const account = await businessAccountService.findAccount(user._id, accountId);
+        if (!account) {
+            throw new AppError('Business account not found.', 404);
+        }
+        query.accountId = account.name;
+    }
+    return query;
+};
+
+/**
+ * Get reviews with filtering, sorting, and review-level pagination.
+ * Supports offset paging (page/limit) and keyset paging (cursor/limit); cursors stay
+ * stable while new reviews arrive. Pass view=grouped to group the page by location.
  */
 const getReviews = asyncHandler(async (req, res) => {
-    const { page, limit, filter, sort, locationId } = req.query;
+    const { page, limit, filter, sort, locationId, refresh, cursor, view } = req.query;
     const user = req.user;
+    const forceRefresh = refresh === 'true';
+    const accountId = businessAccountService.normalizeAccountId(req.query.accountId);
 
     // Normalize pagination
     const pagination = normalizePagination(page, limit, PAGINATION.MAX_LIMIT);
 
-    // Get filter and sort values
+    // Get filter, sort and view values
     const filterStatus = filter || FILTER_OPTIONS.ALL;
     const sortOrder = sort || SORT_OPTIONS.NEWEST;
+    const responseView = view || REVIEW_VIEWS.LIST;
+    const cursorScope = `${filterStatus}:${accountId || 'all'}:${locationId || 'all'}`;
+    const sortFields = REVIEW_SORTS[sortOrder];
+
+    // Validate the cursor before doing any work
+    const cursorValues = cursor ? parseReviewCursor(cursor, sortOrder, cursorScope) : null;
 
     // Create cache key
-    const cacheKey = `reviews:${user._id}:${filterStatus}:${sortOrder}:${locationId || 'all'}:${pagination.page}:${pagination.limit}`;
+    const position = cursor ? `c:${cursor}` : `p:${pagination.page}`;
+    const cacheKey = `reviews:${user._id}:${filterStatus}:${sortOrder}:${accountId || 'all'}:${locationId || 'all'}:${responseView}:${position}:${pagination.limit}`;
 
     // Check cache first
-    const cachedData = cache.get(cacheKey);
+    const cachedData = forceRefresh ? null : await cache.get(cacheKey);
     if (cachedData) {
         return res.json(cachedData);
     }
 
-    try {
-        // Use userId string instead of full user object to prevent logging issues
-        const userId = user._id.toString();
-        
-        // Fetch from Google API
-        const accountRes = await googleApiService.getAccounts(user.googleAccessToken, userId);
-        const account = accountRes.accounts?.[0];
-
-        if (!account) {
-            throw new AppError('No Business Account found.', 404);
-        }
-
-        // Get locations
-        const locations = await googleApiService.getLocations(
-            user.googleAccessToken,
-            account.name,
-            userId
-        );
-
-        // Filter by location if specified
-        const targetLocations = locationId
-            ? locations.filter(loc => loc.name === locationId)
-            : locations;
+    const syncError = await refreshStoredReviews(user, forceRefresh);
 
-        if (targetLocations.length === 0) {
+    const query = await buildAccountScope(user, accountId);
+    if (locationId) {
+        const locationExists = await ReviewSyncState.exists({ ...query, locationId });
+        if (!locationExists) {
             throw new AppError('Location not found.', 404);
         }
+        query.locationId = locationId;
+    }
 
-        // Batch fetch reviews
-        const locationsWithReviews = await googleApiService.batchFetchReviews(
-            user.googleAccessToken,
-            account.name,
-            targetLocations,
-            {},
-            userId
-        );
-
-        // Process all reviews for filtering and sorting
-        let allReviews = [];
-        locationsWithReviews.forEach(location => {
-            location.reviews.forEach(review => {
-                allReviews.push({
-                    ...review,
-                    locationName: location.locationName,
-                    locationId: location.locationId,
-                    accountId: location.accountId
-                });
-            });
-        });
-
-        // Apply filters
-        if (filterStatus === FILTER_OPTIONS.REPLIED) {
-            allReviews = allReviews.filter(r => r.reviewReply);
-        } else if (filterStatus === FILTER_OPTIONS.UNREPLIED) {
-            allReviews = allReviews.filter(r => !r.reviewReply);
-        }
-
-        // Apply sorting
-        allReviews.sort((a, b) => {
-            const dateA = new Date(a.createTime).getTime();
-            const dateB = new Date(b.createTime).getTime();
-            const ratingA = RATING_MAP[a.starRating] || 0;
-            const ratingB = RATING_MAP[b.starRating] || 0;
-
-            switch (sortOrder) {
-                case SORT_OPTIONS.NEWEST:
-                    return dateB - dateA;
-                case SORT_OPTIONS.OLDEST:
-                    return dateA - dateB;
-                case SORT_OPTIONS.HIGHEST:
-                    return ratingB - ratingA;
-                case SORT_OPTIONS.LOWEST:
-                    return ratingA - ratingB;
-                default:
-                    return dateB - dateA;
-            }
-        });
+    // Apply filters
+    if (filterStatus === FILTER_OPTIONS.REPLIED) {
+        query.isReplied = true;
+    } else if (filterStatus === FILTER_OPTIONS.UNREPLIED) {
+        query.isReplied = false;
+    }
 
-        // Group reviews back by location
-        const groupedByLocation = {};
-        allReviews.forEach(review => {
-            const key = review.locationId;
-            if (!groupedByLocation[key]) {
-                groupedByLocation[key] = {
-                    locationName: review.locationName,
-                    locationId: review.locationId,
-                    accountId: review.accountId,
-                    reviews: []
-                };
-            }
-            // Remove location fields from review object
-            const { locationName, locationId: locId, accountId, ...reviewData } = review;
-            groupedByLocation[key].reviews.push(reviewData);
-        });
+    const pageQuery = cursorValues
+        ? { $and: [query, buildKeysetFilter(sortFields, cursorValues)] }
+        : query;
 
-        // Convert to array
-        let processedLocations = Object.values(groupedByLocation);
+    // Fetch one extra review to know whether another page exists
+    let reviewQuery = Review.find(pageQuery).sort(sortFields);
+    if (!cursorValues) {
+        reviewQuery = reviewQuery.skip(pagination.skip);
+    }
 
-        // Apply pagination to locations (each location can have multiple reviews)
-        // For simplicity, we'll paginate locations, but in a real scenario you might want to paginate reviews
-        const totalLocations = processedLocations.length;
-        const paginatedLocations = processedLocations.slice(
-            pagination.skip,
-            pagination.skip + pagination.limit
-        );
+    const [docs, totalReviews, lastSync] = await Promise.all([
+        reviewQuery.limit(pagination.limit + 1).lean(),
+        Review.countDocuments(query),
+        ReviewSyncState.findOne({ userId: user._id }).sort({ lastSyncedAt: -1 }).select('lastSyncedAt').lean()
+    ]);
+
+    const hasMore = docs.length > pagination.limit;
+    const pageDocs = hasMore ? docs.slice(0, pagination.limit) : docs;
+    const lastDoc = pageDocs[pageDocs.length - 1];
+    const nextCursor = hasMore && lastDoc ? createReviewCursor(lastDoc, sortOrder, cursorScope) : null;
+
+    const reviews = pageDocs.map(doc => ({
+        ...reviewSyncService.toApiReview(doc),
+        locationName: doc.locationName,
+        locationId: doc.locationId,
+        accountId: doc.accountId
+    }));
+    const data = responseView === REVIEW_VIEWS.GROUPED ? groupReviewsByLocation(reviews) : reviews;
+
+    const paginationMeta = cursorValues
+        ? {
+            itemsPerPage: pagination.limit,
+            totalItems: totalReviews,
+            hasNextPage: hasMore,
+            nextCursor
+        }
+        : {
+            ...createPaginationMeta(pagination.page, pagination.limit, totalReviews),
+            hasNextPage: hasMore,
+            nextCursor
+        };
 
-        // Calculate total reviews across all locations
-        const totalReviews = allReviews.length;
+    const meta = {
+        totalReviews,
+        filter: filterStatus,
+        sort: sortOrder,
+        view: responseView,
+        lastSyncedAt: lastSync?.lastSyncedAt || null,
+        ...(syncError && { syncError })
+    };
 
-        // Create response
-        const response = {
-            success: true,
-            data: paginatedLocations,
-            pagination: createPaginationMeta(pagination.page, pagination.limit, totalLocations),
-            meta: {
-                totalReviews,
-                filter: filterStatus,
-                sort: sortOrder
-            }
-        };
+    // Create response
+    const response = {
+        success: true,
+        data,
+        pagination: paginationMeta,
+        meta
+    };
 
-        // Cache the response
-        cache.set(cacheKey, response, CACHE_TTL.REVIEWS);
+    // Don't cache stale fallbacks so the next request retries Google
+    if (!syncError) {
+        await cache.set(cacheKey, response, CACHE_TTL.REVIEWS);
+    }
 
-        // Emit WebSocket event for real-time updates
+    // Emit WebSocket event for real-time updates (first page only, so scrolling doesn't spam other tabs)
+    if (!cursorValues && pagination.page === 1) {
         try {
             websocketService.emitToUser(user._id.toString(), 'reviews:updated', {
-                data: paginatedLocations,
-                meta: {
-                    totalReviews,
-                    filter: filterStatus,
-                    sort: sortOrder
-                }
+                data,
+                meta
             });
         } catch (error) {
             console.error('Failed to emit reviews update:', error);
         }
-
-        res.json(response);
-    } catch (error) {
-        if (error instanceof AppError) {
-            throw error;
-        }
-        if (isGoogleAuthError(error)) {
-            throw new AppError(
-                'Google authentication expired. Please reconnect your Google Business Profile account.',
-                403
-            );
-        }
-        console.error('Error fetching reviews:', error);
-        throw new AppError('Failed to fetch reviews from Google API.', 500);
     }
+
+    res.json(response);
 });
 
 /**
@@ -197,65 +282,74 @@ const getReviews = asyncHandler(async (req, res) => {
 const getAllReviews = asyncHandler(async (req, res) => {
     const user = req.user;
 
+    const accountId = businessAccountService.normalizeAccountId(req.query.accountId);
+
     // Check cache
-    const cacheKey = `reviews:${user._id}:all`;
-    const cachedData = cache.get(cacheKey);
+    const cacheKey = `reviews:${user._id}:all:${accountId || 'all'}`;
+    const cachedData = await cache.get(cacheKey);
     if (cachedData) {
         return res.json(cachedData);
     }
 
-    try {
-        // Use userId string instead of full user object to prevent logging issues
-        const userId = user._id.toString();
-        
-        // Fetch from Google API
-        const accountRes = await googleApiService.getAccounts(user.googleAccessToken, userId);
-        const account = accountRes.accounts?.[0];
-
-        if (!account) {
-            throw new AppError('No Business Account found.', 404);
-        }
+    const syncError = await refreshStoredReviews(user, false);
+    const scope = await buildAccountScope(user, accountId);
+    const data = await reviewSyncService.loadLocationsWithReviews(user._id, {
+        accountIds: scope.accountId ? [scope.accountId] : null
+    });
 
-        // Get locations
-        const locations = await googleApiService.getLocations(
-            user.googleAccessToken,
-            account.name,
-            userId
-        );
+    if (!syncError) {
+        await cache.set(cacheKey, data, CACHE_TTL.REVIEWS);
+    }
 
-        // Batch fetch reviews
-        const data = await googleApiService.batchFetchReviews(
-            user.googleAccessToken,
-            account.name,
-            locations,
-            {},
-            userId
-        );
+    // Emit WebSocket event for real-time updates
+    try {
+        websocketService.emitToUser(user._id.toString(), 'reviews:updated', { data });
+    } catch (error) {
+        console.error('Failed to emit reviews update:', error);
+    }
 
-        // Cache the response
-        cache.set(cacheKey, data, CACHE_TTL.REVIEWS);
+    res.json(data);
+});
 
-        // Emit WebSocket event for real-time updates
-        try {
-            websocketService.emitToUser(user._id.toString(), 'reviews:updated', { data });
-        } catch (error) {
-            console.error('Failed to emit reviews update:', error);
-        }
+/**
+ * Force a review sync with Google and report what changed
+ */
+const syncReviews = asyncHandler(async (req, res) => {
+    const user = req.user;
+    const full = req.body?.full === true;
 
-        res.json(data);
+    let summary;
+    try {
+        summary = await reviewSyncService.syncUser(user, { full });
     } catch (error) {
-        if (error instanceof AppError) {
-            throw error;
-        }
         if (isGoogleAuthError(error)) {
-            throw new AppError(
-                'Google authentication expired. Please reconnect your Google Business Profile account.',
-                403
-            );
+            throw new AppError(GOOGLE_AUTH_EXPIRED_MESSAGE, 403);
         }
-        console.error('Error fetching reviews:', error);
-        throw new AppError('Failed to fetch reviews from Google API.', 500);
+        console.error('Error syncing reviews:', error);
+        throw new AppError('Failed to sync reviews from Google API.', 500);
     }
+
+    if (!summary.accounts.length) {
+        throw new AppError('No Business Account found.', 404);
+    }
+
+    try {
+        websocketService.emitToUser(user._id.toString(), 'reviews:refresh', {});
+    } catch (error) {
+        console.error('Failed to emit reviews refresh:', error);
+    }
+
+    res.json({
+        success: true,
+        data: {
+            accounts: summary.accounts,
+            fetched: summary.fetched,
+            upserted: summary.upserted,
+            removed: summary.removed,
+            failed: summary.failed,
+            locations: await reviewSyncService.getSyncStates(user._id)
+        }
+    });
 });
 
 /**
@@ -289,8 +383,10 @@ const replyToReview = asyncHandler(async (req, res) => {
             }
         );
 
+        await reviewSyncService.markReplied(user._id, reviewName, comment);
+
         // Clear cache for this user's reviews
-        cache.deleteByPrefix(`reviews:${user._id}:`);
+        await cache.deleteByPrefix(`reviews:${user._id}:`);
 
         // Emit WebSocket event for real-time updates
         try {
@@ -304,6 +400,18 @@ const replyToReview = asyncHandler(async (req, res) => {
             console.error('Failed to emit review reply update:', error);
         }
 
+        Review.findOne({ userId: user._id, reviewName }).select('locationId locationName').lean()
+            .then(stored => webhookService.publishReplySent(user._id, {
+                reviewName,
+                locationId: stored?.locationId,
+                locationName: stored?.locationName,
+                reply: comment,
+                source: 'manual'
+            }))
+            .catch(error => {
+                console.error(`[Webhooks] reply.sent failed for user ${user._id}:`, error.message);
+            });
+
         res.json({
             success: true,
             message: 'Reply posted successfully'
@@ -335,7 +443,11 @@ const generateAiReply = asyncHandler(async (req, res) => {
         tone: settings.tone || 'friendly'
     };
 
-    const suggestion = await reviewReplyGenerator.generateReply(payload);
+    const suggestion = await reviewReplyGenerator.generateReply(payload, {
+        plan: entitlementService.getEffectivePlan(req.user),
+        userId: req.user._id,
+        source: 'ai_reply'
+    });
 
     res.json({
         success: true,
@@ -346,6 +458,7 @@ const generateAiReply = asyncHandler(async (req, res) => {
 module.exports = {
     getReviews,
     getAllReviews,
+    syncReviews,
     replyToReview,
     generateAiReply
 };
@@ -4,6 +4,14 @@ const AutoReplyTask = require('../models/AutoReplyTask');
 const { AppError } = require('../utils/errorHandler');
 const asyncHandler = require('../utils/asyncHandler');
 const websocketService = require('../services/websocketService');
+const llmUsageService = require('../services/llmUsageService');
+const razorpayService = require('../services/razorpayService');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const couponService = require('../services/couponService');
+const jobQueueService = require('../services/jobQueueService');
+const cache = require('../utils/cache');
+const { normalizePagination, createPaginationMeta } = require('../utils/pagination');
+const { AUTO_REPLY } = require('../utils/constants');
 
 /**
  * Get all businesses with pagination and filters
@@ -131,11 +139,11 @@ const getBusinessDetails = asyncHandler(async (req, res) => {
             AutoReplyTask.countDocuments({ userId: businessId, status: 'sent' }),
             AutoReplyTask.countDocuments({
                 userId: businessId,
-                status: { $in: ['detected', 'scheduled'] }
+                status: { $in: ['detected', 'pending_approval', 'scheduled', 'sending'] }
             }),
             AutoReplyTask.countDocuments({
                 userId: businessId,
-                status: { $in: ['generation_failed', 'delivery_failed'] }
+                status: { $in: AUTO_REPLY.FAILED_STATUSES }
             })
         ])
     ]);
@@ -280,6 +288,14 @@ const updateSubscription = asyncHandler(async (req, res) => {
         user.subscription.expiresAt = new Date(expiresAt);
     }
 
+    if (status || expiresAt) {
+        // Manual changes restart the grace period; the lifecycle job re-applies it if the plan is still overdue
+        if (!status && user.subscription.status === 'past_due') {
+            user.subscription.status = 'active';
+        }
+        user.subscription.graceEndsAt = undefined;
+    }
+
     await user.save();
 
     // Emit WebSocket event for super admins
@@ -325,7 +341,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
         })
     ]);
 
-    const [businessesByStatus, businessesByTrial] = await Promise.all([
+    const [businessesByStatus, businessesByTrial, llmUsage] = await Promise.all([
         User.aggregate([
             { $match: { role: 'user' } },
             { $group: { _id: '$subscription.status', count: { $sum: 1 } } }
@@ -333,7 +349,8 @@ const getDashboardStats = asyncHandler(async (req, res) => {
         User.aggregate([
             { $match: { role: 'user' } },
             { $group: { _id: '$trial.status', count: { $sum: 1 } } }
-        ])
+        ]),
+        llmUsageService.getPlatformSummary()
     ]);
 
     const response = {
@@ -354,7 +371,8 @@ const getDashboardStats = asyncHandler(async (req, res) => {
             businessesByTrial: businessesByTrial.reduce((acc, item) => {
                 acc[item._id] = item.count;
                 return acc;
-            }, {})
+            }, {}),
+            llmUsage
         }
     };
 
@@ -407,6 +425,159 @@ const updateBusinessRole = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * List Razorpay plans created from SUBSCRIPTION_PLANS
+ */
+const getBillingPlans = asyncHandler(async (req, res) => {
+    const plans = await razorpayService.listPlans();
+
+    res.json({
+        success: true,
+        data: plans
+    });
+});
+
+/**
+ * Create Razorpay plans for any paid plan whose price changed or that has none yet
+ */
+const syncBillingPlans = asyncHandler(async (req, res) => {
+    const plans = await razorpayService.syncPlans();
+
+    res.json({
+        success: true,
+        message: 'Billing plans synced.',
+        data: plans
+    });
+});
+
+/**
+ * List stored payment webhooks, newest first
+ */
+const getWebhookEvents = asyncHandler(async (req, res) => {
+    const { page, limit } = normalizePagination(req.query.page, req.query.limit);
+    const { events, total } = await paymentWebhookService.list({
+        provider: req.query.provider,
+        status: req.query.status,
+        event: req.query.event,
+        page,
+        limit
+    });
+
+    res.json({
+        success: true,
+        data: events,
+        pagination: createPaginationMeta(page, limit, total)
+    });
+});
+
+const getWebhookEvent = asyncHandler(async (req, res) => {
+    const event = await paymentWebhookService.get(req.params.eventId);
+
+    res.json({
+        success: true,
+        data: event
+    });
+});
+
+/**
+ * Process a stored webhook again, e.g. after fixing the cause of a failure
+ */
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+    const event = await paymentWebhookService.replay(req.params.eventId, req.user._id);
+
+    res.json({
+        success: true,
+        message: `Webhook replayed: ${event.status}.`,
+        data: event
+    });
+});
+
+const getCoupons = asyncHandler(async (req, res) => {
+    const { page, limit } = normalizePagination(req.query.page, req.query.limit);
+    const { coupons, total } = await couponService.list({ active: req.query.active, page, limit });
+
+    res.json({
+        success: true,
+        data: coupons,
+        pagination: createPaginationMeta(page, limit, total)
+    });
+});
+
+/**
+ * Coupon with its redemption and revenue report
+ */
+const getCoupon = asyncHandler(async (req, res) => {
+    const [coupon, report] = await Promise.all([
+        couponService.get(req.params.couponId),
+        couponService.getReport(req.params.couponId)
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            ...coupon,
+            report
+        }
+    });
+});
+
+const createCoupon = asyncHandler(async (req, res) => {
+    const coupon = await couponService.create(req.body, req.user._id);
+
+    res.status(201).json({
+        success: true,
+        message: `Coupon ${coupon.code} created.`,
+        data: coupon
+    });
+});
+
+const updateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await couponService.update(req.params.couponId, req.body);
+
+    res.json({
+        success: true,
+        message: 'Coupon updated.',
+        data: coupon
+    });
+});
+
+/**
+ * Stop accepting a coupon. Coupons are never deleted so payment reports keep their reference.
+ */
+const deactivateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await couponService.update(req.params.couponId, { active: false });
+
+    res.json({
+        success: true,
+        message: 'Coupon deactivated.',
+        data: coupon
+    });
+});
+
+/**
+ * Job queue depth by type and status, and how long the oldest due job has waited
+ */
+const getJobStats = asyncHandler(async (req, res) => {
+    const stats = await jobQueueService.getStats();
+
+    res.json({
+        success: true,
+        data: stats
+    });
+});
+
+/**
+ * Cache driver, hit / miss counts and size for this instance
+ */
+const getCacheStats = asyncHandler(async (req, res) => {
+    const stats = await cache.getStats();
+
+    res.json({
+        success: true,
+        data: stats
+    });
+});
+
 module.exports = {
     getAllBusinesses,
     getBusinessDetails,
@@ -414,6 +585,18 @@ module.exports = {
     disableTrial,
     updateSubscription,
     getDashboardStats,
-    updateBusinessRole
+    updateBusinessRole,
+    getBillingPlans,
+    syncBillingPlans,
+    getWebhookEvents,
+    getWebhookEvent,
+    replayWebhookEvent,
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deactivateCoupon,
+    getJobStats,
+    getCacheStats
 };
 
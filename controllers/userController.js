@@ -1,5 +1,7 @@
 const { AppError } = require('../utils/errorHandler');
 const asyncHandler = require('../utils/asyncHandler');
+const businessAccountService = require('../services/businessAccountService');
+const entitlementService = require('../services/entitlementService');
 
 /**
  * Get current user profile
@@ -17,6 +19,7 @@ const getProfile = asyncHandler(async (req, res) => {
             role: user.role,
             trial: user.trial,
             subscription: user.subscription,
+            entitlements: entitlementService.getEntitlements(user),
             autoReplySettings: {
                 enabled: user.autoReplySettings?.enabled || false
             }
@@ -24,7 +27,31 @@ const getProfile = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * List the Google Business accounts linked to this login
+ */
+const getBusinessAccounts = asyncHandler(async (req, res) => {
+    let accounts;
+
+    if (req.query.refresh === 'true') {
+        try {
+            accounts = await businessAccountService.discoverAccounts(req.user, { force: true });
+        } catch (error) {
+            console.error('Failed to refresh business accounts:', error.message);
+            throw new AppError('Failed to fetch business accounts from Google API.', 502);
+        }
+    } else {
+        accounts = await businessAccountService.listAccounts(req.user._id);
+    }
+
+    res.json({
+        success: true,
+        data: accounts
+    });
+});
+
 module.exports = {
-    getProfile
+    getProfile,
+    getBusinessAccounts
 };
 
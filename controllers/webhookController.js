@@ -0,0 +1,116 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { WEBHOOKS } = require('../utils/constants');
+const webhookService = require('../services/webhookService');
+const { normalizePagination, createPaginationMeta } = require('../utils/pagination');
+
+/**
+ * Webhook endpoints registered by the current user, plus the events they can subscribe to
+ */
+const listWebhookEndpoints = asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            endpoints: await webhookService.listEndpoints(req.user._id),
+            options: {
+                events: WEBHOOKS.EVENTS,
+                maxEndpoints: WEBHOOKS.MAX_ENDPOINTS
+            }
+        }
+    });
+});
+
+/**
+ * Register an endpoint. The signing secret is only returned here and on rotation.
+ */
+const createWebhookEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await webhookService.createEndpoint(req.user._id, req.body);
+
+    res.status(201).json({
+        success: true,
+        data: endpoint
+    });
+});
+
+const updateWebhookEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await webhookService.updateEndpoint(req.user._id, req.params.endpointId, req.body);
+
+    res.json({
+        success: true,
+        data: endpoint
+    });
+});
+
+const deleteWebhookEndpoint = asyncHandler(async (req, res) => {
+    await webhookService.deleteEndpoint(req.user._id, req.params.endpointId);
+
+    res.json({
+        success: true,
+        message: 'Webhook endpoint removed'
+    });
+});
+
+/**
+ * Replace an endpoint's signing secret
+ */
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+    const endpoint = await webhookService.rotateSecret(req.user._id, req.params.endpointId);
+
+    res.json({
+        success: true,
+        data: endpoint
+    });
+});
+
+/**
+ * Send a signed `test` event to an endpoint and return the attempt
+ */
+const sendTestWebhook = asyncHandler(async (req, res) => {
+    const delivery = await webhookService.sendTest(req.user._id, req.params.endpointId);
+
+    res.json({
+        success: true,
+        data: delivery
+    });
+});
+
+/**
+ * Delivery history for one endpoint, newest first
+ */
+const listWebhookDeliveries = asyncHandler(async (req, res) => {
+    const { page, limit } = normalizePagination(req.query.page, req.query.limit);
+    const { deliveries, total } = await webhookService.listDeliveries(req.user._id, req.params.endpointId, {
+        status: req.query.status,
+        event: req.query.event,
+        page,
+        limit
+    });
+
+    res.json({
+        success: true,
+        data: deliveries,
+        pagination: createPaginationMeta(page, limit, total)
+    });
+});
+
+/**
+ * Send a past delivery again now
+ */
+const redeliverWebhook = asyncHandler(async (req, res) => {
+    const delivery = await webhookService.redeliver(req.user._id, req.params.deliveryId);
+
+    res.json({
+        success: true,
+        data: delivery
+    });
+});
+
+module.exports = {
+    listWebhookEndpoints,
+    createWebhookEndpoint,
+    updateWebhookEndpoint,
+    deleteWebhookEndpoint,
+    rotateWebhookSecret,
+    sendTestWebhook,
+    listWebhookDeliveries,
+    redeliverWebhook
+};
@@ -0,0 +1,21 @@
+const { AppError } = require('../utils/errorHandler');
+const entitlementService = require('../services/entitlementService');
+
+/**
+ * Middleware to require a plan feature (see PLAN_ENTITLEMENTS)
+ */
+const requireFeature = (feature) => (req, res, next) => {
+    if (!req.user) {
+        return next(new AppError('Authentication required.', 401));
+    }
+
+    try {
+        entitlementService.assertFeature(req.user, feature);
+    } catch (error) {
+        return next(error);
+    }
+
+    next();
+};
+
+module.exports = { requireFeature };
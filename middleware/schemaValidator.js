@@ -11,7 +11,13 @@ const buildValidator =
                 return next(new AppError(message, 400));
             }
 
-            req[property] = result.data;
+            // Express 5 exposes req.query through a getter, so plain assignment is ignored
+            Object.defineProperty(req, property, {
+                value: result.data,
+                writable: true,
+                configurable: true,
+                enumerable: true
+            });
             return next();
         };
 
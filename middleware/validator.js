@@ -81,10 +81,30 @@ const validateSort = (req, res, next) => {
     next();
 };
 
+/**
+ * Validate review list view parameter
+ */
+const validateView = (req, res, next) => {
+    const { view } = req.query;
+    const validViews = ['list', 'grouped'];
+
+    if (view && !validViews.includes(view)) {
+        return next(
+            new AppError(
+                `Invalid view. Must be one of: ${validViews.join(', ')}`,
+                400
+            )
+        );
+    }
+
+    next();
+};
+
 module.exports = {
     validateRequest,
     validatePagination,
     validateFilter,
-    validateSort
+    validateSort,
+    validateView
 };
 
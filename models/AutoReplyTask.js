@@ -18,17 +18,34 @@ const AutoReplyTaskSchema = new mongoose.Schema(
         tone: { type: String, default: 'friendly' },
 
         generatedReply: { type: String },
+        // Every draft produced for this task, newest last, so users can compare and roll back
+        drafts: [
+            {
+                reply: { type: String, required: true },
+                source: { type: String, enum: ['generated', 'regenerated', 'edited'], default: 'generated' },
+                instructions: { type: String },
+                tone: { type: String },
+                createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+                createdAt: { type: Date, default: Date.now }
+            }
+        ],
         scheduledFor: { type: Date, index: true },
         sentAt: { type: Date },
         status: {
             type: String,
             enum: [
                 'detected',
+                'pending_approval',
                 'scheduled',
+                // Claimed by a dispatch that is posting it to Google right now
+                'sending',
                 'sent',
                 'generation_failed',
                 'delivery_failed',
-                'skipped'
+                'skipped',
+                'rejected',
+                // Retries exhausted or the error was permanent; only a manual retry picks it up again
+                'dead_letter'
             ],
             default: 'detected',
             index: true
@@ -40,8 +57,32 @@ const AutoReplyTaskSchema = new mongoose.Schema(
             sentiment: { type: String },
             addressedName: { type: String }
         },
+        approval: {
+            requestedAt: { type: Date },
+            decision: { type: String, enum: ['approved', 'rejected'] },
+            decidedAt: { type: Date },
+            decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            edited: { type: Boolean, default: false },
+            reason: { type: String }
+        },
         error: { type: String },
-        lastTriedAt: { type: Date }
+        lastTriedAt: { type: Date },
+        // Automatic retry bookkeeping for generation / delivery failures
+        failureStage: { type: String, enum: ['generation', 'delivery'] },
+        // Counted per stage, so a reply that took retries to draft still gets its full share to post
+        generationAttempts: { type: Number, default: 0 },
+        deliveryAttempts: { type: Number, default: 0 },
+        nextRetryAt: { type: Date },
+        deadLetteredAt: { type: Date },
+        errorHistory: [
+            {
+                stage: { type: String, enum: ['generation', 'delivery'] },
+                message: { type: String },
+                statusCode: { type: Number },
+                permanent: { type: Boolean, default: false },
+                at: { type: Date, default: Date.now }
+            }
+        ]
     },
     { timestamps: true }
 );
@@ -49,6 +90,7 @@ const AutoReplyTaskSchema = new mongoose.Schema(
 AutoReplyTaskSchema.index({ userId: 1, reviewName: 1 }, { unique: true });
 AutoReplyTaskSchema.index({ userId: 1, status: 1, createdAt: -1 });
 AutoReplyTaskSchema.index({ userId: 1, status: 1, scheduledFor: 1 });
+AutoReplyTaskSchema.index({ userId: 1, status: 1, nextRetryAt: 1 });
 
 module.exports = mongoose.model('AutoReplyTask', AutoReplyTaskSchema);
 
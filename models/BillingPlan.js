@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Provider-side plan created from SUBSCRIPTION_PLANS. Provider plans are immutable,
+ * so a price change creates a new active record and retires the old one; existing
+ * subscriptions keep billing on the plan they were created with.
+ */
+const BillingPlanSchema = new mongoose.Schema(
+    {
+        provider: { type: String, enum: ['razorpay', 'stripe'], required: true },
+        planKey: { type: String, required: true },
+        providerPlanId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        currency: { type: String, required: true },
+        period: {
+            type: String,
+            enum: ['daily', 'weekly', 'monthly', 'yearly'],
+            required: true
+        },
+        interval: { type: Number, required: true },
+        // Discounted plan backing a recurring coupon; unset for list-price plans
+        couponCode: { type: String },
+        active: { type: Boolean, default: true }
+    },
+    { timestamps: true }
+);
+
+BillingPlanSchema.index({ provider: 1, providerPlanId: 1 }, { unique: true });
+BillingPlanSchema.index({ provider: 1, planKey: 1, couponCode: 1, active: 1 });
+
+module.exports = mongoose.model('BillingPlan', BillingPlanSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * A Slack or Microsoft Teams channel that receives auto-reply events through an
+ * incoming webhook. Events can be limited to some locations so each team only
+ * sees its own reviews.
+ */
+const ChatChannelSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+        provider: { type: String, enum: ['slack', 'teams'], required: true },
+        name: { type: String, required: true, trim: true },
+        webhookUrl: { type: String, required: true },
+        enabled: { type: Boolean, default: true },
+        events: {
+            type: [{ type: String, enum: ['review.new', 'draft.generated', 'delivery.failed'] }],
+            default: ['review.new', 'draft.generated', 'delivery.failed']
+        },
+        // Empty means every location
+        locationIds: { type: [String], default: [] },
+        lastDeliveryAt: { type: Date },
+        lastError: { type: String }
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model('ChatChannel', ChatChannelSchema);
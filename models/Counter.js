@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * Named monotonic sequences (e.g. invoice numbers per financial year)
+ */
+const CounterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+});
+
+CounterSchema.statics.next = async function next(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    ).lean();
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Discount code redeemable at checkout. `first_payment` coupons discount the first
+ * period only; `recurring` coupons discount every renewal of the subscription.
+ */
+const CouponSchema = new mongoose.Schema(
+    {
+        code: { type: String, required: true, uppercase: true, trim: true },
+        description: { type: String },
+        type: { type: String, enum: ['percentage', 'fixed'], required: true },
+        // Percent off for percentage coupons, paise off for fixed ones
+        value: { type: Number, required: true, min: 1 },
+        currency: { type: String, default: 'INR' },
+        duration: { type: String, enum: ['first_payment', 'recurring'], default: 'first_payment' },
+        // Plan keys the coupon applies to; empty means every paid plan
+        plans: { type: [String], default: [] },
+        expiresAt: { type: Date },
+        // null means unlimited
+        maxRedemptions: { type: Number, default: null },
+        // Paid checkouts plus unpaid ones still holding a reservation
+        redemptionCount: { type: Number, default: 0 },
+        active: { type: Boolean, default: true },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    { timestamps: true }
+);
+
+CouponSchema.index({ code: 1 }, { unique: true });
+CouponSchema.index({ active: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const PartySchema = new mongoose.Schema(
+    {
+        name: { type: String },
+        email: { type: String },
+        gstin: { type: String },
+        address: { type: String },
+        state: { type: String }
+    },
+    { _id: false }
+);
+
+/**
+ * Tax invoice issued for a captured payment. Parties are snapshotted so later
+ * profile changes don't alter issued invoices.
+ */
+const InvoiceSchema = new mongoose.Schema(
+    {
+        number: { type: String, required: true, unique: true },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true, unique: true },
+        issuedAt: { type: Date, default: Date.now },
+        seller: { type: PartySchema, default: () => ({}) },
+        billTo: { type: PartySchema, default: () => ({}) },
+        lineItems: [
+            {
+                _id: false,
+                description: { type: String, required: true },
+                quantity: { type: Number, default: 1 },
+                amount: { type: Number, required: true } // taxable amount
+            }
+        ],
+        subtotal: { type: Number, required: true },
+        tax: {
+            rate: { type: Number, default: 0 },
+            cgst: { type: Number, default: 0 },
+            sgst: { type: Number, default: 0 },
+            igst: { type: Number, default: 0 },
+            total: { type: Number, default: 0 }
+        },
+        total: { type: Number, required: true },
+        currency: { type: String, default: 'INR' },
+        periodStart: { type: Date },
+        periodEnd: { type: Date }
+    },
+    { timestamps: true }
+);
+
+InvoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
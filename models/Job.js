@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { JOBS } = require('../utils/constants');
+
+/**
+ * A unit of background work for one user (tenant). Workers lease queued jobs by
+ * setting lockedBy / lockedUntil and keep extending the lease while they run; a
+ * job whose lease lapses is picked up again by another worker.
+ */
+const JobSchema = new mongoose.Schema(
+    {
+        type: { type: String, enum: JOBS.TYPES, required: true },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+        priority: { type: Number, default: 0 },
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed'],
+            default: 'queued'
+        },
+        // Not picked up before this time (delayed jobs and retries)
+        runAt: { type: Date, default: Date.now },
+        // Set only while queued or running, so the same work can't be queued twice
+        activeKey: { type: String },
+        attempts: { type: Number, default: 0 },
+        maxAttempts: { type: Number, default: JOBS.MAX_ATTEMPTS },
+        lockedBy: { type: String },
+        lockedUntil: { type: Date },
+        startedAt: { type: Date },
+        finishedAt: { type: Date },
+        lastError: { type: String },
+        result: { type: mongoose.Schema.Types.Mixed }
+    },
+    { timestamps: true }
+);
+
+JobSchema.index({ status: 1, priority: -1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ userId: 1, status: 1 });
+JobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+JobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOBS.RETENTION_HOURS * 60 * 60 });
+
+module.exports = mongoose.model('Job', JobSchema);
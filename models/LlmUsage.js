@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * One record per LLM generation, used for cost reporting and monthly caps.
+ */
+const LlmUsageSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'AutoReplyTask' },
+        source: {
+            type: String,
+            enum: ['auto_reply', 'regenerate', 'ai_reply'],
+            required: true
+        },
+        plan: { type: String },
+        provider: { type: String, required: true },
+        model: { type: String },
+
+        promptTokens: { type: Number, default: 0 },
+        completionTokens: { type: Number, default: 0 },
+        totalTokens: { type: Number, default: 0 },
+        latencyMs: { type: Number, default: 0 },
+        costUsd: { type: Number, default: 0 },
+
+        period: { type: String, required: true } // UTC month, YYYY-MM
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+LlmUsageSchema.index({ userId: 1, period: 1 });
+LlmUsageSchema.index({ period: 1, userId: 1 });
+
+module.exports = mongoose.model('LlmUsage', LlmUsageSchema);
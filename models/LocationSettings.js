@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { AUTO_REPLY } = require('../utils/constants');
+
+/**
+ * Per-location auto-reply overrides. Any field left unset inherits the
+ * user's autoReplySettings.
+ */
+const LocationSettingsSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        accountId: { type: String },
+        locationId: { type: String, required: true },
+        locationName: { type: String },
+
+        autoReply: {
+            enabled: { type: Boolean },
+            delayMinutes: { type: Number },
+            tone: { type: String, enum: AUTO_REPLY.TONES },
+            respondToPositive: { type: Boolean },
+            respondToNeutral: { type: Boolean },
+            respondToNegative: { type: Boolean },
+            requireApproval: { type: Boolean },
+            requireApprovalForPositive: { type: Boolean },
+            requireApprovalForNeutral: { type: Boolean },
+            requireApprovalForNegative: { type: Boolean }
+        }
+    },
+    { timestamps: true }
+);
+
+LocationSettingsSchema.index({ userId: 1, locationId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LocationSettings', LocationSettingsSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+/**
+ * A named lease held by one process until expiresAt. Taking an expired lock
+ * replaces its owner; the TTL index only tidies up locks nobody renewed.
+ */
+const LockSchema = new mongoose.Schema(
+    {
+        _id: { type: String },
+        owner: { type: String, required: true },
+        expiresAt: { type: Date, required: true }
+    },
+    { timestamps: true, versionKey: false }
+);
+
+LockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Lock', LockSchema);
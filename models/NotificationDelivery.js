@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * One alert sent (or attempted) on one channel. The unique key keeps a review from
+ * being escalated twice to the same destination across syncs.
+ */
+const NotificationDeliverySchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        event: { type: String, required: true },
+        channel: { type: String, enum: ['email', 'webhook', 'slack', 'teams'], required: true },
+        // Email address, webhook URL, or chat channel id
+        target: { type: String, required: true },
+        // Identifies what the alert is about, e.g. the review resource name
+        dedupeKey: { type: String, required: true },
+        status: {
+            type: String,
+            enum: ['pending', 'sent', 'failed', 'skipped'],
+            default: 'pending'
+        },
+        subject: { type: String },
+        reviewName: { type: String },
+        locationId: { type: String },
+        locationName: { type: String },
+        ratingValue: { type: Number },
+        matchedKeywords: { type: [String], default: [] },
+
+        attempts: { type: Number, default: 0 },
+        responseStatus: { type: Number },
+        error: { type: String },
+        sentAt: { type: Date }
+    },
+    { timestamps: true }
+);
+
+NotificationDeliverySchema.index({ userId: 1, event: 1, channel: 1, target: 1, dedupeKey: 1 }, { unique: true });
+NotificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+NotificationDeliverySchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', NotificationDeliverySchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const TaxSchema = new mongoose.Schema(
+    {
+        rate: { type: Number, default: 0 }, // percent, e.g. 18
+        taxableAmount: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+    { _id: false }
+);
+
+// Coupon applied to this charge, copied so reports survive coupon edits
+const AppliedCouponSchema = new mongoose.Schema(
+    {
+        couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+        code: { type: String },
+        type: { type: String },
+        value: { type: Number },
+        duration: { type: String },
+        listAmount: { type: Number },
+        discountAmount: { type: Number },
+        // Counted in the coupon's redemptionCount when the checkout was created; cleared
+        // when an unpaid checkout gives its redemption back
+        reserved: { type: Boolean, default: false }
+    },
+    { _id: false }
+);
+
+const RefundSchema = new mongoose.Schema(
+    {
+        refundId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        status: { type: String },
+        createdAt: { type: Date, default: Date.now }
+    },
+    { _id: false }
+);
+
+/**
+ * Ledger entry for every checkout attempt and charge. Amounts are in the smallest
+ * currency unit (paise) and include tax; `tax` holds the GST split.
+ */
+const PaymentSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        provider: { type: String, enum: ['razorpay', 'stripe', 'manual'], default: 'razorpay' },
+        type: { type: String, enum: ['order', 'subscription'], required: true },
+        status: {
+            type: String,
+            enum: ['created', 'captured', 'failed', 'refunded', 'partially_refunded'],
+            default: 'created'
+        },
+        plan: { type: String },
+        // Invoice line item; defaults to "<Plan> plan subscription"
+        description: { type: String },
+        amount: { type: Number, required: true },
+        currency: { type: String, default: 'INR' },
+        tax: { type: TaxSchema, default: () => ({}) },
+        coupon: { type: AppliedCouponSchema },
+
+        // Razorpay order, or the Stripe Checkout Session that started the subscription
+        orderId: { type: String },
+        // Razorpay payment or Stripe PaymentIntent
+        paymentId: { type: String },
+        subscriptionId: { type: String },
+        providerInvoiceId: { type: String },
+        method: { type: String },
+
+        periodStart: { type: Date },
+        periodEnd: { type: Date },
+        paidAt: { type: Date },
+        failedAt: { type: Date },
+        failureReason: { type: String },
+
+        amountRefunded: { type: Number, default: 0 },
+        refunds: { type: [RefundSchema], default: [] },
+
+        invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }
+    },
+    { timestamps: true }
+);
+
+PaymentSchema.index({ userId: 1, createdAt: -1 });
+PaymentSchema.index({ paymentId: 1 }, { unique: true, sparse: true });
+PaymentSchema.index({ orderId: 1 }, { sparse: true });
+PaymentSchema.index({ subscriptionId: 1, status: 1 }, { sparse: true });
+PaymentSchema.index({ 'coupon.couponId': 1, userId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -7,10 +7,12 @@ const ReviewSchema = new mongoose.Schema({
     locationName: { type: String }, // Store name for display (denormalization for speed)
 
     // Google Data
-    reviewId: { type: String, required: true, unique: true }, // Google's unique ID
+    reviewId: { type: String, required: true }, // Google's unique ID
+    reviewName: { type: String, required: true }, // Full resource name used for replies
     reviewerName: { type: String },
     reviewerPhoto: { type: String },
     starRating: { type: String, enum: ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE'], index: true },
+    ratingValue: { type: Number, default: 0 }, // Numeric rating for "Highest/Lowest" sort
     comment: { type: String },
     createTime: { type: Date, index: true }, // Index for "Newest/Oldest" sort
     updateTime: { type: Date },
@@ -18,11 +20,20 @@ const ReviewSchema = new mongoose.Schema({
     // Reply Data
     replyComment: { type: String },
     replyTime: { type: Date },
-    isReplied: { type: Boolean, default: false, index: true } // Index for "Replied/Unreplied" filter
+    isReplied: { type: Boolean, default: false, index: true }, // Index for "Replied/Unreplied" filter
+
+    syncedAt: { type: Date }
 }, { timestamps: true });
 
+// The same Google review can be visible to several users managing one location
+ReviewSchema.index({ userId: 1, reviewId: 1 }, { unique: true });
+ReviewSchema.index({ userId: 1, reviewName: 1 });
+
 // Compound index for efficient querying per user
 ReviewSchema.index({ userId: 1, createTime: -1 });
 ReviewSchema.index({ userId: 1, isReplied: 1 });
+ReviewSchema.index({ userId: 1, locationId: 1, createTime: -1 });
+ReviewSchema.index({ userId: 1, ratingValue: -1, createTime: -1 });
+ReviewSchema.index({ userId: 1, updateTime: -1 });
 
-module.exports = mongoose.model('Review', ReviewSchema);
\ No newline at end of file
+module.exports = mongoose.model('Review', ReviewSchema);
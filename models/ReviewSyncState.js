@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Per-location sync cursor for the Review collection.
+ * `cursor` is the newest review updateTime persisted so far; incremental syncs
+ * only page through Google until they reach it.
+ */
+const ReviewSyncStateSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        accountId: { type: String, required: true },
+        locationId: { type: String, required: true },
+        locationName: { type: String },
+
+        cursor: { type: Date },
+        lastSyncedAt: { type: Date },
+        lastFullSyncAt: { type: Date },
+        reviewCount: { type: Number, default: 0 },
+        status: {
+            type: String,
+            enum: ['idle', 'syncing', 'failed'],
+            default: 'idle'
+        },
+        error: { type: String }
+    },
+    { timestamps: true }
+);
+
+ReviewSyncStateSchema.index({ userId: 1, locationId: 1 }, { unique: true });
+ReviewSyncStateSchema.index({ userId: 1, lastSyncedAt: 1 });
+
+module.exports = mongoose.model('ReviewSyncState', ReviewSyncStateSchema);
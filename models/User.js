@@ -9,6 +9,18 @@ const UserSchema = new mongoose.Schema({
     googleAccessToken: { type: String },
     googleRefreshToken: { type: String }, // Refresh token for token renewal
 
+    // Google Business accounts reachable with this login (refreshed on every review sync)
+    googleAccounts: [{
+        _id: false,
+        name: { type: String, required: true }, // Google resource name, e.g. accounts/123
+        accountName: { type: String }, // Display name
+        type: { type: String },
+        role: { type: String },
+        autoReplyEnabled: { type: Boolean, default: true },
+        discoveredAt: { type: Date },
+        lastSeenAt: { type: Date }
+    }],
+
     // Role management
     role: {
         type: String,
@@ -39,25 +51,75 @@ const UserSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['active', 'cancelled', 'expired', 'suspended'],
+            enum: ['active', 'past_due', 'cancelled', 'expired', 'suspended'],
             default: 'active'
         },
         freeSwitchUsed: { type: Boolean, default: false },
         freeSwitchUsedAt: { type: Date },
         expiresAt: { type: Date },
-        paymentProvider: { type: String, enum: ['razorpay', 'manual', 'none'], default: 'none' },
+        // Set while past_due: entitlements stay on until this date, then the plan drops to free
+        graceEndsAt: { type: Date },
+        paymentProvider: { type: String, enum: ['razorpay', 'stripe', 'manual', 'none'], default: 'none' },
+        // Currency the paid plan is billed in
+        currency: { type: String },
         razorpayCustomerId: { type: String },
         razorpayPaymentId: { type: String },
         razorpayOrderId: { type: String },
+        // Recurring billing (Razorpay Subscriptions)
+        razorpaySubscriptionId: { type: String },
+        razorpayPlanId: { type: String },
+        // Recurring billing (Stripe Billing)
+        stripeCustomerId: { type: String },
+        stripeSubscriptionId: { type: String },
+        stripePriceId: { type: String },
+        currentPeriodStart: { type: Date },
+        cancelAtPeriodEnd: { type: Boolean, default: false },
+        pendingSubscription: {
+            subscriptionId: { type: String },
+            // Stripe Checkout Session, until it completes and creates the subscription
+            checkoutSessionId: { type: String },
+            plan: { type: String },
+            coupon: {
+                couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+                code: { type: String },
+                duration: { type: String }
+            },
+            createdAt: { type: Date }
+        },
+        // Recurring coupon discounting every renewal of the current subscription
+        coupon: {
+            couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+            code: { type: String },
+            duration: { type: String }
+        },
         pendingOrder: {
             orderId: { type: String },
             plan: { type: String },
+            // 'upgrade' orders pay the prorated difference and keep the current period
+            purpose: { type: String, enum: ['checkout', 'upgrade'] },
+            fromPlan: { type: String },
             amount: { type: Number },
             currency: { type: String },
             createdAt: { type: Date }
+        },
+        // Downgrade that takes effect when the current period renews
+        scheduledChange: {
+            plan: { type: String },
+            effectiveAt: { type: Date },
+            requestedAt: { type: Date }
         }
     },
 
+    // Printed on tax invoices
+    billingDetails: {
+        legalName: { type: String },
+        gstin: { type: String },
+        address: { type: String },
+        state: { type: String },
+        // ISO 3166-1 alpha-2; picks the payment provider and currency
+        country: { type: String }
+    },
+
     autoReplySettings: {
         enabled: { type: Boolean, default: false },
         delayMinutes: { type: Number, default: 3 },
@@ -69,10 +131,47 @@ const UserSchema = new mongoose.Schema({
         respondToPositive: { type: Boolean, default: true },
         respondToNeutral: { type: Boolean, default: true },
         respondToNegative: { type: Boolean, default: true },
+        // Park generated replies in pending_approval until a person approves them
+        requireApproval: { type: Boolean, default: false },
+        requireApprovalForPositive: { type: Boolean, default: false },
+        requireApprovalForNeutral: { type: Boolean, default: false },
+        requireApprovalForNegative: { type: Boolean, default: false },
         lastRunAt: { type: Date },
         lastManualRunAt: { type: Date },
         lastReviewSyncAt: { type: Date }
     },
+    // Alerts for reviews that need a person's attention
+    notificationSettings: {
+        escalation: {
+            enabled: { type: Boolean, default: false },
+            // Reviews at or below this rating are escalated
+            ratingThreshold: { type: Number, default: 2, min: 1, max: 5 },
+            // Reviews mentioning any of these (case-insensitive) are escalated whatever the rating
+            keywords: { type: [String], default: [] }
+        },
+        email: {
+            enabled: { type: Boolean, default: true },
+            // Empty means the account email
+            recipients: { type: [String], default: [] }
+        },
+        webhook: {
+            enabled: { type: Boolean, default: false },
+            url: { type: String },
+            // Signs each delivery (X-Signature: sha256 HMAC of the body) when set
+            secret: { type: String }
+        },
+        digest: {
+            frequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+            // IANA zone name; hour and weekday (0 = Sunday) are local to it
+            timezone: { type: String, default: 'UTC' },
+            hour: { type: Number, default: 8, min: 0, max: 23 },
+            weekday: { type: Number, default: 1, min: 0, max: 6 },
+            // Empty means the account email
+            recipients: { type: [String], default: [] },
+            nextRunAt: { type: Date },
+            lastSentAt: { type: Date }
+        }
+    },
     autoReplyStats: {
         totals: {
             type: Map,
@@ -93,7 +192,14 @@ UserSchema.index({ role: 1 });
 UserSchema.index({ createdAt: -1 });
 UserSchema.index({ 'trial.status': 1 });
 UserSchema.index({ 'subscription.status': 1 });
+UserSchema.index({ 'subscription.status': 1, 'subscription.expiresAt': 1 });
+UserSchema.index({ 'notificationSettings.digest.frequency': 1, 'notificationSettings.digest.nextRunAt': 1 });
+UserSchema.index({ 'trial.status': 1, 'trial.endDate': 1 });
 UserSchema.index({ 'autoReplySettings.enabled': 1 });
 UserSchema.index({ 'subscription.pendingOrder.orderId': 1 }, { sparse: true });
+UserSchema.index({ 'subscription.razorpaySubscriptionId': 1 }, { sparse: true });
+UserSchema.index({ 'subscription.pendingSubscription.subscriptionId': 1 }, { sparse: true });
+UserSchema.index({ 'subscription.stripeSubscriptionId': 1 }, { sparse: true });
+UserSchema.index({ 'subscription.stripeCustomerId': 1 }, { sparse: true });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
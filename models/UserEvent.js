@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { EVENT_LOG } = require('../utils/constants');
+
+/**
+ * A websocket event sent to one user, numbered by a per-user sequence
+ * (see UserEventCounter) so a reconnecting client can fetch what it missed.
+ */
+const UserEventSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        seq: { type: Number, required: true },
+        event: { type: String, required: true },
+        data: { type: mongoose.Schema.Types.Mixed },
+        // Payload was too large to keep; the client should reload instead of replaying it
+        truncated: { type: Boolean, default: false },
+        createdAt: { type: Date, default: Date.now }
+    },
+    { versionKey: false }
+);
+
+UserEventSchema.index({ userId: 1, seq: 1 }, { unique: true });
+UserEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_LOG.RETENTION_MINUTES * 60 });
+
+module.exports = mongoose.model('UserEvent', UserEventSchema);
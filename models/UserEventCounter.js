@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+/**
+ * Last websocket event sequence number handed out per user (_id is the user ID)
+ */
+const UserEventCounterSchema = new mongoose.Schema(
+    {
+        _id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        seq: { type: Number, default: 0 }
+    },
+    { versionKey: false }
+);
+
+module.exports = mongoose.model('UserEventCounter', UserEventCounterSchema);
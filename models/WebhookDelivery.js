@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { WEBHOOKS } = require('../utils/constants');
+
+/**
+ * One event sent to one webhook endpoint, with every attempt made. Pending deliveries
+ * are retried with exponential backoff until they succeed or run out of attempts.
+ */
+const WebhookDeliverySchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+        // Same for every endpoint the event went to; sent as X-Webhook-Id so receivers can dedupe
+        eventId: { type: String, required: true },
+        event: { type: String, required: true },
+        // Stops the same review or reply being published twice to an endpoint
+        dedupeKey: { type: String },
+        payload: { type: mongoose.Schema.Types.Mixed, required: true },
+        status: {
+            type: String,
+            enum: ['pending', 'sending', 'succeeded', 'failed'],
+            default: 'pending'
+        },
+        attemptCount: { type: Number, default: 0 },
+        nextAttemptAt: { type: Date, default: Date.now },
+        // A sending delivery whose lock has lapsed (the worker died) is picked up again
+        lockedUntil: { type: Date },
+        attempts: [
+            {
+                _id: false,
+                at: { type: Date },
+                responseStatus: { type: Number },
+                error: { type: String },
+                durationMs: { type: Number }
+            }
+        ],
+        completedAt: { type: Date }
+    },
+    { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index(
+    { endpointId: 1, event: 1, dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOKS.DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
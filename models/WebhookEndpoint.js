@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { WEBHOOKS } = require('../utils/constants');
+
+/**
+ * An integrator's HTTPS endpoint subscribed to account events. Every delivery is
+ * signed with the endpoint's secret.
+ */
+const WebhookEndpointSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+        url: { type: String, required: true },
+        description: { type: String, trim: true },
+        events: {
+            type: [{ type: String, enum: WEBHOOKS.EVENTS }],
+            required: true
+        },
+        // HMAC-SHA256 signing key; returned only when created or rotated
+        secret: { type: String, required: true, select: false },
+        enabled: { type: Boolean, default: true },
+        lastSuccessAt: { type: Date },
+        lastFailureAt: { type: Date },
+        lastError: { type: String }
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model('WebhookEndpoint', WebhookEndpointSchema);
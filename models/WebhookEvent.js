@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Incoming payment provider webhook, stored before it is applied so retried
+ * deliveries are processed once and failed ones can be replayed.
+ */
+const WebhookEventSchema = new mongoose.Schema(
+    {
+        provider: { type: String, enum: ['razorpay', 'stripe'], required: true },
+        eventId: { type: String, required: true },
+        event: { type: String, required: true },
+        status: {
+            type: String,
+            enum: ['received', 'processing', 'processed', 'failed', 'ignored'],
+            default: 'received'
+        },
+        payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        paymentId: { type: String },
+        orderId: { type: String },
+        subscriptionId: { type: String },
+        refundId: { type: String },
+
+        attempts: { type: Number, default: 0 },
+        lastError: { type: String },
+        receivedAt: { type: Date, default: Date.now },
+        processedAt: { type: Date },
+        replayedAt: { type: Date },
+        replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    { timestamps: true }
+);
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, receivedAt: -1 });
+WebhookEventSchema.index({ event: 1, receivedAt: -1 });
+WebhookEventSchema.index({ paymentId: 1 }, { sparse: true });
+WebhookEventSchema.index({ subscriptionId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -6,9 +6,20 @@ const {
     listAutoReplyTasks,
     runAutoReplyNow,
     retryAutoReplyTask,
+    approveAutoReplyTask,
+    rejectAutoReplyTask,
+    getAutoReplyTask,
+    regenerateAutoReplyTask,
+    restoreAutoReplyDraft,
+    updateAccountConfig,
+    listLocationConfigs,
+    getLocationConfig,
+    updateLocationConfig,
+    deleteLocationConfig,
     getNewReviews
 } = require('../controllers/autoReplyController');
 const { verifyToken } = require('../middleware/auth');
+const { requireFeature } = require('../middleware/entitlements');
 const { validateBody, validateParams } = require('../middleware/schemaValidator');
 const { autoReplySchemas } = require('../validators');
 
@@ -16,13 +27,58 @@ const router = express.Router();
 
 router.use(verifyToken);
 
+// Available on every plan so lapsed accounts can still see their history and switch auto-reply off;
+// updateAutoReplyConfig checks entitlements for the individual settings being changed
 router.get('/config', getAutoReplyConfig);
 router.get('/stats', getAutoReplyStats);
 router.put('/config', validateBody(autoReplySchemas.updateConfigBody), updateAutoReplyConfig);
 router.get('/tasks', listAutoReplyTasks);
+router.get('/tasks/:taskId', validateParams(autoReplySchemas.taskParams), getAutoReplyTask);
 router.get('/new-reviews', getNewReviews);
+
+// Everything below generates or posts replies
+router.use(requireFeature('autoReply'));
+
 router.post('/run', validateBody(autoReplySchemas.runBody), runAutoReplyNow);
 router.post('/tasks/:taskId/retry', validateParams(autoReplySchemas.retryParams), retryAutoReplyTask);
+router.post(
+    '/tasks/:taskId/approve',
+    validateParams(autoReplySchemas.taskParams),
+    validateBody(autoReplySchemas.approveBody),
+    approveAutoReplyTask
+);
+router.post(
+    '/tasks/:taskId/reject',
+    validateParams(autoReplySchemas.taskParams),
+    validateBody(autoReplySchemas.rejectBody),
+    rejectAutoReplyTask
+);
+router.post(
+    '/tasks/:taskId/regenerate',
+    validateParams(autoReplySchemas.taskParams),
+    validateBody(autoReplySchemas.regenerateBody),
+    regenerateAutoReplyTask
+);
+router.post(
+    '/tasks/:taskId/drafts/:draftId/restore',
+    validateParams(autoReplySchemas.draftParams),
+    restoreAutoReplyDraft
+);
+router.put(
+    '/accounts/:accountId/config',
+    validateParams(autoReplySchemas.accountParams),
+    validateBody(autoReplySchemas.accountConfigBody),
+    updateAccountConfig
+);
+router.get('/locations', listLocationConfigs);
+router.get('/locations/:locationId/config', validateParams(autoReplySchemas.locationParams), getLocationConfig);
+router.put(
+    '/locations/:locationId/config',
+    validateParams(autoReplySchemas.locationParams),
+    validateBody(autoReplySchemas.locationConfigBody),
+    updateLocationConfig
+);
+router.delete('/locations/:locationId/config', validateParams(autoReplySchemas.locationParams), deleteLocationConfig);
 
 module.exports = router;
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const { showChatAction, submitChatAction } = require('../controllers/chatActionController');
+const { validateBody, validateParams, validateQuery } = require('../middleware/schemaValidator');
+const { notificationSchemas } = require('../validators');
+
+const router = express.Router();
+
+// No session: the signed token in the link identifies the user and task
+router.get(
+    '/:token',
+    validateParams(notificationSchemas.chatActionParams),
+    validateQuery(notificationSchemas.chatActionQuery),
+    showChatAction
+);
+router.post(
+    '/:token',
+    validateParams(notificationSchemas.chatActionParams),
+    validateBody(notificationSchemas.chatActionBody),
+    submitChatAction
+);
+
+module.exports = router;
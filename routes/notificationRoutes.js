@@ -0,0 +1,40 @@
+const express = require('express');
+const {
+    getNotificationSettings,
+    updateNotificationSettings,
+    getNotificationDeliveries,
+    sendTestNotification,
+    previewDigest,
+    sendDigest,
+    listChatChannels,
+    createChatChannel,
+    updateChatChannel,
+    deleteChatChannel,
+    testChatChannel
+} = require('../controllers/notificationController');
+const { verifyToken } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/schemaValidator');
+const { notificationSchemas } = require('../validators');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+router.get('/settings', getNotificationSettings);
+router.put('/settings', validateBody(notificationSchemas.updateSettingsBody), updateNotificationSettings);
+router.get('/deliveries', validateQuery(notificationSchemas.deliveryListQuery), getNotificationDeliveries);
+router.post('/test', validateBody(notificationSchemas.testBody), sendTestNotification);
+router.get('/digest/preview', validateQuery(notificationSchemas.digestPreviewQuery), previewDigest);
+router.post('/digest/send', validateBody(notificationSchemas.digestSendBody), sendDigest);
+router.get('/chat-channels', listChatChannels);
+router.post('/chat-channels', validateBody(notificationSchemas.chatChannelBody), createChatChannel);
+router.put(
+    '/chat-channels/:channelId',
+    validateParams(notificationSchemas.chatChannelParams),
+    validateBody(notificationSchemas.chatChannelUpdateBody),
+    updateChatChannel
+);
+router.delete('/chat-channels/:channelId', validateParams(notificationSchemas.chatChannelParams), deleteChatChannel);
+router.post('/chat-channels/:channelId/test', validateParams(notificationSchemas.chatChannelParams), testChatChannel);
+
+module.exports = router;
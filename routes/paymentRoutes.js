@@ -5,10 +5,19 @@ const {
     verifyPayment,
     getPlans,
     getSubscriptionStatus,
-    cancelSubscription
+    cancelSubscription,
+    validateCoupon,
+    previewPlanChange,
+    changePlan,
+    cancelPlanChange,
+    getPaymentHistory,
+    getInvoice,
+    downloadInvoice,
+    updateBillingDetails
 } = require('../controllers/paymentController');
 const { verifyToken } = require('../middleware/auth');
-const { validateBody } = require('../middleware/schemaValidator');
+const { validatePagination } = require('../middleware/validator');
+const { validateBody, validateParams } = require('../middleware/schemaValidator');
 const { paymentSchemas } = require('../validators');
 
 // Note: Webhook route is registered in server.js before JSON parser
@@ -21,6 +30,18 @@ router.get('/subscription', getSubscriptionStatus);
 router.post('/checkout', validateBody(paymentSchemas.checkoutBody), createCheckoutSession);
 router.post('/verify', validateBody(paymentSchemas.verifyBody), verifyPayment);
 router.post('/cancel', validateBody(paymentSchemas.cancelBody), cancelSubscription);
+router.post('/coupons/validate', validateBody(paymentSchemas.couponValidateBody), validateCoupon);
+
+// Switching between paid plans
+router.post('/change-plan/preview', validateBody(paymentSchemas.changePlanBody), previewPlanChange);
+router.post('/change-plan', validateBody(paymentSchemas.changePlanBody), changePlan);
+router.delete('/change-plan', cancelPlanChange);
+
+// Ledger and invoices
+router.get('/history', validatePagination, getPaymentHistory);
+router.get('/invoices/:invoiceId', validateParams(paymentSchemas.invoiceParams), getInvoice);
+router.get('/invoices/:invoiceId/pdf', validateParams(paymentSchemas.invoiceParams), downloadInvoice);
+router.put('/billing-details', validateBody(paymentSchemas.billingDetailsBody), updateBillingDetails);
 
 module.exports = router;
 
@@ -2,11 +2,13 @@ const express = require('express');
 const {
     getReviews,
     getAllReviews,
+    syncReviews,
     replyToReview,
     generateAiReply
 } = require('../controllers/reviewsController');
 const { verifyToken } = require('../middleware/auth');
-const { validatePagination, validateFilter, validateSort } = require('../middleware/validator');
+const { requireFeature } = require('../middleware/entitlements');
+const { validatePagination, validateFilter, validateSort, validateView } = require('../middleware/validator');
 const { validateBody } = require('../middleware/schemaValidator');
 const { reviewSchemas } = require('../validators');
 
@@ -15,22 +17,26 @@ const router = express.Router();
 // All routes require authentication
 router.use(verifyToken);
 
-// Get reviews with filtering, sorting, and pagination
+// Get reviews with filtering, sorting, and page- or cursor-based pagination
 router.get(
     '/',
     validatePagination,
     validateFilter,
     validateSort,
+    validateView,
     getReviews
 );
 
 // Get all reviews (backward compatibility - no pagination)
 router.get('/all', getAllReviews);
 
+// Pull the latest reviews from Google into the Review collection
+router.post('/sync', validateBody(reviewSchemas.syncBody), syncReviews);
+
 // Reply to a review
 router.post('/reply', validateBody(reviewSchemas.replyBody), replyToReview);
 
-router.post('/ai-reply', validateBody(reviewSchemas.aiReplyBody), generateAiReply);
+router.post('/ai-reply', requireFeature('aiReplies'), validateBody(reviewSchemas.aiReplyBody), generateAiReply);
 
 module.exports = router;
 
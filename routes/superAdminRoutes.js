@@ -6,11 +6,23 @@ const {
     disableTrial,
     updateSubscription,
     getDashboardStats,
-    updateBusinessRole
+    updateBusinessRole,
+    getBillingPlans,
+    syncBillingPlans,
+    getWebhookEvents,
+    getWebhookEvent,
+    replayWebhookEvent,
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deactivateCoupon,
+    getJobStats,
+    getCacheStats
 } = require('../controllers/superAdminController');
 const { verifyToken } = require('../middleware/auth');
 const { requireSuperAdmin } = require('../middleware/superAdmin');
-const { validateBody, validateParams } = require('../middleware/schemaValidator');
+const { validateBody, validateParams, validateQuery } = require('../middleware/schemaValidator');
 const { superAdminSchemas } = require('../validators');
 
 const router = express.Router();
@@ -54,5 +66,30 @@ router.put(
     updateSubscription
 );
 
+// Recurring billing plans
+router.get('/billing/plans', getBillingPlans);
+router.post('/billing/plans/sync', syncBillingPlans);
+
+// Payment webhook event store
+router.get('/webhooks', validateQuery(superAdminSchemas.webhookListQuery), getWebhookEvents);
+router.get('/webhooks/:eventId', validateParams(superAdminSchemas.webhookEventParams), getWebhookEvent);
+router.post('/webhooks/:eventId/replay', validateParams(superAdminSchemas.webhookEventParams), replayWebhookEvent);
+
+// Coupons
+router.get('/coupons', validateQuery(superAdminSchemas.couponListQuery), getCoupons);
+router.post('/coupons', validateBody(superAdminSchemas.couponCreateBody), createCoupon);
+router.get('/coupons/:couponId', validateParams(superAdminSchemas.couponIdParams), getCoupon);
+router.put(
+    '/coupons/:couponId',
+    validateParams(superAdminSchemas.couponIdParams),
+    validateBody(superAdminSchemas.couponUpdateBody),
+    updateCoupon
+);
+router.delete('/coupons/:couponId', validateParams(superAdminSchemas.couponIdParams), deactivateCoupon);
+
+// Background job queue
+router.get('/jobs/stats', getJobStats);
+router.get('/cache/stats', getCacheStats);
+
 module.exports = router;
 
@@ -1,5 +1,5 @@
 const express = require('express');
-const { getProfile } = require('../controllers/userController');
+const { getProfile, getBusinessAccounts } = require('../controllers/userController');
 const { verifyToken } = require('../middleware/auth');
 
 const router = express.Router();
@@ -7,6 +7,7 @@ const router = express.Router();
 router.use(verifyToken);
 
 router.get('/profile', getProfile);
+router.get('/accounts', getBusinessAccounts);
 
 module.exports = router;
 
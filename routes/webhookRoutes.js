@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+    listWebhookEndpoints,
+    createWebhookEndpoint,
+    updateWebhookEndpoint,
+    deleteWebhookEndpoint,
+    rotateWebhookSecret,
+    sendTestWebhook,
+    listWebhookDeliveries,
+    redeliverWebhook
+} = require('../controllers/webhookController');
+const { verifyToken } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/schemaValidator');
+const { webhookSchemas } = require('../validators');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+router.get('/', listWebhookEndpoints);
+router.post('/', validateBody(webhookSchemas.endpointBody), createWebhookEndpoint);
+router.post('/deliveries/:deliveryId/redeliver', validateParams(webhookSchemas.deliveryParams), redeliverWebhook);
+router.put(
+    '/:endpointId',
+    validateParams(webhookSchemas.endpointParams),
+    validateBody(webhookSchemas.endpointUpdateBody),
+    updateWebhookEndpoint
+);
+router.delete('/:endpointId', validateParams(webhookSchemas.endpointParams), deleteWebhookEndpoint);
+router.post('/:endpointId/rotate-secret', validateParams(webhookSchemas.endpointParams), rotateWebhookSecret);
+router.post('/:endpointId/test', validateParams(webhookSchemas.endpointParams), sendTestWebhook);
+router.get(
+    '/:endpointId/deliveries',
+    validateParams(webhookSchemas.endpointParams),
+    validateQuery(webhookSchemas.deliveryListQuery),
+    listWebhookDeliveries
+);
+
+module.exports = router;
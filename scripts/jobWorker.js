@@ -0,0 +1,32 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const jobQueueService = require('../services/jobQueueService');
+const websocketService = require('../services/websocketService');
+// Registers the sync / generate / dispatch handlers
+require('../services/autoReplyService');
+
+/**
+ * Standalone job worker, for running auto-reply jobs outside the API processes.
+ * Usage: node scripts/jobWorker.js
+ * Set JOB_WORKER_IN_PROCESS=false on the API servers when all jobs should run here.
+ */
+async function startWorker() {
+    await connectDB();
+    // Without an adapter, events from this process are only logged for replay
+    await websocketService.connectAdapter();
+    jobQueueService.startWorker();
+
+    // Let running jobs finish so their leases don't have to time out
+    process.on('SIGTERM', async () => {
+        console.log('Job worker stopping...');
+        await jobQueueService.stopWorker();
+        await mongoose.connection.close();
+        process.exit(0);
+    });
+}
+
+startWorker().catch((error) => {
+    console.error('Job worker failed to start:', error.message);
+    process.exit(1);
+});
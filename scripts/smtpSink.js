@@ -0,0 +1,95 @@
+require('dotenv').config();
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local SMTP stand-in for trying digests and alerts without a mail provider.
+ * Accepts every message, prints a one-line summary and saves it as an .eml file.
+ * Usage: node scripts/smtpSink.js [port]
+ * Then set SMTP_HOST=localhost, SMTP_PORT=<port> and leave SMTP_USER empty.
+ */
+const PORT = Number(process.argv[2] || process.env.SMTP_SINK_PORT || 2525);
+const OUTPUT_DIR = process.env.SMTP_SINK_DIR || path.join(process.env.LOG_DIRECTORY || './logs', 'mail');
+
+const saveMessage = (envelope, data) => {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    const file = path.join(OUTPUT_DIR, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.eml`);
+    fs.writeFileSync(file, data);
+
+    const subject = (data.match(/^Subject: (.*)$/im) || [])[1] || '(no subject)';
+    console.log(`📧 ${envelope.from} -> ${envelope.to.join(', ')}: ${subject}`);
+    console.log(`   saved to ${file}`);
+};
+
+const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 localhost SMTP sink ready');
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+
+        while (buffer) {
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) {
+                    return;
+                }
+                // Undo dot-stuffing on lines that start with "."
+                const data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                saveMessage(envelope, data);
+                envelope = { from: null, to: [] };
+                reply('250 OK: message accepted');
+                continue;
+            }
+
+            const lineEnd = buffer.indexOf('\r\n');
+            if (lineEnd === -1) {
+                return;
+            }
+            const line = buffer.slice(0, lineEnd);
+            buffer = buffer.slice(lineEnd + 2);
+            const command = line.slice(0, 4).toUpperCase();
+
+            if (command === 'EHLO') {
+                reply('250-localhost');
+                reply('250-8BITMIME');
+                reply('250 SMTPUTF8');
+            } else if (command === 'HELO' || command === 'NOOP') {
+                reply('250 OK');
+            } else if (command === 'MAIL') {
+                envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'RSET') {
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+                return;
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+
+    socket.on('error', (error) => {
+        console.error('SMTP sink connection error:', error.message);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`SMTP sink listening on port ${PORT}, saving messages to ${OUTPUT_DIR}`);
+});
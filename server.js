@@ -12,6 +12,11 @@ const configureApp = require('./config/app');
 const validateEnv = require('./config/validateEnv');
 const { errorHandler } = require('./utils/errorHandler');
 const autoReplyService = require('./services/autoReplyService');
+const subscriptionLifecycleService = require('./services/subscriptionLifecycleService');
+const digestService = require('./services/digestService');
+const webhookService = require('./services/webhookService');
+const jobQueueService = require('./services/jobQueueService');
+const lockService = require('./services/lockService');
 
 const shouldUseCluster = process.env.USE_CLUSTER === 'true' && process.env.NODE_ENV !== 'test';
 const requestedWorkers = Math.max(1, Number(process.env.CLUSTER_WORKERS) || os.cpus().length);
@@ -30,6 +35,12 @@ const superAdminRoutes = require('./routes/superAdminRoutes');
 console.log('✓ superAdminRoutes loaded');
 const paymentRoutes = require('./routes/paymentRoutes');
 console.log('✓ paymentRoutes loaded');
+const notificationRoutes = require('./routes/notificationRoutes');
+console.log('✓ notificationRoutes loaded');
+const chatActionRoutes = require('./routes/chatActionRoutes');
+console.log('✓ chatActionRoutes loaded');
+const webhookRoutes = require('./routes/webhookRoutes');
+console.log('✓ webhookRoutes loaded');
 const { handleWebhook } = require('./controllers/paymentController');
 
 // Validate environment configuration early
@@ -38,8 +49,9 @@ validateEnv();
 // Initialize Express app
 const app = express();
 
-// Payment webhook route (MUST be before JSON body parser)
+// Payment webhook routes (MUST be before JSON body parser). The bare path is Razorpay's.
 app.post('/api/payment/webhook', express.raw({ type: 'application/json' }), handleWebhook);
+app.post('/api/payment/webhook/:provider', express.raw({ type: 'application/json' }), handleWebhook);
 
 // Configure app middleware
 configureApp(app);
@@ -102,6 +114,12 @@ app.use('/api/super-admin', superAdminRoutes);
 console.log('✓ /api/super-admin route registered');
 app.use('/api/payment', paymentRoutes);
 console.log('✓ /api/payment route registered (webhook already registered above)');
+app.use('/api/notifications', notificationRoutes);
+console.log('✓ /api/notifications route registered');
+app.use('/api/chat-actions', chatActionRoutes);
+console.log('✓ /api/chat-actions route registered');
+app.use('/api/webhook-endpoints', webhookRoutes);
+console.log('✓ /api/webhook-endpoints route registered');
 
 // 404 handler - must be after all routes
 // Note: Express 5 doesn't support wildcard '*' pattern in app.use()
@@ -119,11 +137,38 @@ const startServer = () => {
     const dbPromise = connectDB();
     const shouldStartAutoReplyService = !shouldUseCluster || process.env.AUTO_REPLY_PRIMARY === 'true';
 
+    // Scheduled jobs run on one process across all replicas: the elected scheduler leader.
+    // Expiry runs there too so transitions aren't applied twice.
+    const schedulers = [
+        ['auto-reply service', autoReplyService],
+        ['subscription lifecycle job', subscriptionLifecycleService],
+        ['digest job', digestService],
+        ['webhook dispatch job', webhookService]
+    ];
+
     if (shouldStartAutoReplyService) {
         dbPromise
-            .then(() => autoReplyService.start())
+            .then(() => lockService.campaign('scheduler', {
+                onElected: () => schedulers.forEach(([name, service]) => {
+                    try {
+                        service.start();
+                    } catch (error) {
+                        console.error(`Failed to start ${name}:`, error.message);
+                    }
+                }),
+                onDemoted: () => schedulers.forEach(([, service]) => service.stop())
+            }))
+            .catch((error) => {
+                console.error('Failed to join scheduler election:', error.message);
+            });
+    }
+
+    // Every process can work the job queue; run dedicated workers with `npm run worker` instead if preferred
+    if (process.env.JOB_WORKER_IN_PROCESS !== 'false') {
+        dbPromise
+            .then(() => jobQueueService.startWorker())
             .catch((error) => {
-                console.error('Failed to start auto-reply service:', error.message);
+                console.error('Failed to start job worker:', error.message);
             });
     }
 
@@ -138,6 +183,14 @@ const startServer = () => {
 
     const websocketService = require('./services/websocketService');
     const io = websocketService.initializeWebSocket(server);
+    const eventLogService = require('./services/eventLogService');
+
+    // Share broadcasts with the other instances (SOCKET_ADAPTER)
+    dbPromise
+        .then(() => websocketService.connectAdapter())
+        .catch((error) => {
+            console.error('Failed to connect WebSocket adapter:', error.message);
+        });
 
     const jwt = require('jsonwebtoken');
     const User = require('./models/User');
@@ -180,6 +233,20 @@ const startServer = () => {
 
         console.log(`WebSocket client connected: ${userId} (Super Admin: ${isSuperAdmin})`);
 
+        // Reconnecting clients send the last sequence number they saw and get the events they missed
+        socket.on('events:replay', async (payload, ack) => {
+            if (typeof ack !== 'function') {
+                return;
+            }
+            try {
+                const data = await eventLogService.replay(userId, Number(payload?.since));
+                ack({ success: true, data });
+            } catch (error) {
+                console.error(`Event replay failed for user ${userId}:`, error.message);
+                ack({ success: false, error: 'Failed to load missed events' });
+            }
+        });
+
         socket.on('disconnect', () => {
             console.log(`WebSocket client disconnected: ${userId}`);
         });
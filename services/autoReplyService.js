@@ -2,31 +2,49 @@ const User = require('../models/User');
 const AutoReplyTask = require('../models/AutoReplyTask');
 const googleApiService = require('./googleApiService');
 const reviewReplyGenerator = require('./reviewReplyGenerator');
-const { AUTO_REPLY, RATING_MAP } = require('../utils/constants');
+const reviewSyncService = require('./reviewSyncService');
+const locationSettingsService = require('./locationSettingsService');
+const llmUsageService = require('./llmUsageService');
+const entitlementService = require('./entitlementService');
+const ReviewSyncState = require('../models/ReviewSyncState');
+const { AUTO_REPLY, LOCKS, RATING_MAP } = require('../utils/constants');
 const websocketService = require('./websocketService');
+const notificationService = require('./notificationService');
+const chatService = require('./chatService');
+const webhookService = require('./webhookService');
+const jobQueueService = require('./jobQueueService');
+const lockService = require('./lockService');
 const cache = require('../utils/cache');
+const { AppError } = require('../utils/errorHandler');
 require('dotenv').config();
 
 const SERVICE_ENABLED = process.env.AUTO_REPLY_SERVICE_ENABLED !== 'false';
 const SCAN_INTERVAL_MS = Number(process.env.AUTO_REPLY_SCAN_INTERVAL_MS || 5 * 60 * 1000);
 const MAX_GENERATIONS_PER_CYCLE = Number(process.env.AUTO_REPLY_MAX_GENERATE || AUTO_REPLY.MAX_GENERATIONS_PER_CYCLE);
 const MAX_DISPATCH_PER_CYCLE = Number(process.env.AUTO_REPLY_MAX_DISPATCH || AUTO_REPLY.MAX_DISPATCH_PER_CYCLE);
+// Queue each user's sync / generate / dispatch as jobs instead of running everyone in one loop
+const QUEUE_ENABLED = process.env.AUTO_REPLY_QUEUE_ENABLED !== 'false';
+const RETRY_MAX_ATTEMPTS = Number(process.env.AUTO_REPLY_RETRY_MAX_ATTEMPTS || AUTO_REPLY.RETRY_MAX_ATTEMPTS);
+// Tasks still waiting for their draft, which is written in the location's current tone
+const TONE_FOLLOWING_STATUSES = ['detected', 'generation_failed'];
+const USER_FIELDS = '_id name email googleAccessToken googleRefreshToken autoReplySettings notificationSettings subscription trial';
 
 class AutoReplyService {
     constructor() {
         this.interval = null;
         this.isRunning = false;
-        // Track ongoing requests per user to prevent duplicates
-        this.activeUserRequests = new Map();
-        // Track last fetch time per user to prevent rapid successive calls
-        this.lastFetchTime = new Map();
+        // Per-user run locks and fetch throttling live in lockService so they hold across instances
         this.MIN_FETCH_INTERVAL_MS = 5000; // 5 seconds minimum between fetches for same user
+
+        jobQueueService.register('sync', job => this.handleSyncJob(job));
+        jobQueueService.register('generate', job => this.handleGenerateJob(job));
+        jobQueueService.register('dispatch', job => this.handleDispatchJob(job));
     }
 
-    clearReviewCache(userId) {
+    async clearReviewCache(userId) {
         if (!userId) return;
         try {
-            cache.deleteByPrefix(`reviews:${userId.toString()}:`);
+            await cache.deleteByPrefix(`reviews:${userId.toString()}:`);
         } catch (error) {
             console.error('Failed to clear review cache for user', userId, error.message);
         }
@@ -42,7 +60,7 @@ class AutoReplyService {
             return;
         }
 
-        console.log(`Auto-reply service online (interval: ${SCAN_INTERVAL_MS / 1000}s).`);
+        console.log(`Auto-reply service online (interval: ${SCAN_INTERVAL_MS / 1000}s, ${QUEUE_ENABLED ? 'job queue' : 'in-process'}).`);
         this.interval = setInterval(() => this.runCycle('interval'), SCAN_INTERVAL_MS);
         this.runCycle('startup');
     }
@@ -55,7 +73,7 @@ class AutoReplyService {
     }
 
     async triggerManualRun(userId) {
-        const user = await User.findById(userId).select('_id name googleAccessToken autoReplySettings');
+        const user = await User.findById(userId).select(USER_FIELDS);
         if (!user) {
             throw new Error('User not found');
         }
@@ -75,9 +93,21 @@ class AutoReplyService {
         this.isRunning = true;
 
         try {
-            const users = await User.find({ 'autoReplySettings.enabled': true })
-                .select('_id name googleAccessToken autoReplySettings');
+            const users = await User.find({ 'autoReplySettings.enabled': true }).select(USER_FIELDS);
             for (const user of users) {
+                // Lapsed plans keep their settings but stop generating and posting replies
+                if (!entitlementService.can(user, 'autoReply')) {
+                    continue;
+                }
+                if (QUEUE_ENABLED) {
+                    // Workers pick these up; a user whose last sync is still queued or running isn't queued twice
+                    await jobQueueService.enqueue('sync', {
+                        userId: user._id,
+                        payload: { reason },
+                        dedupeKey: `sync:${user._id}`
+                    });
+                    continue;
+                }
                 await this.runForUser(user, { reason });
             }
         } catch (error) {
@@ -95,6 +125,10 @@ class AutoReplyService {
             respondToPositive: settings.respondToPositive ?? true,
             respondToNeutral: settings.respondToNeutral ?? true,
             respondToNegative: settings.respondToNegative ?? true,
+            requireApproval: settings.requireApproval ?? false,
+            requireApprovalForPositive: settings.requireApprovalForPositive ?? false,
+            requireApprovalForNeutral: settings.requireApprovalForNeutral ?? false,
+            requireApprovalForNegative: settings.requireApprovalForNegative ?? false,
             lastRunAt: settings.lastRunAt,
             lastManualRunAt: settings.lastManualRunAt
         };
@@ -106,32 +140,38 @@ class AutoReplyService {
         return 'negative';
     }
 
-    async runForUser(user, { manual = false, reason = 'interval' } = {}) {
+    /**
+     * Sync one user's reviews into tasks, then draft and post replies
+     * @param {object} options - manual: user-triggered run; reason: what started it;
+     *   queue: hand generation and dispatch to the job queue instead of running them here
+     */
+    async runForUser(user, { manual = false, reason = 'interval', queue = false } = {}) {
         const userId = user._id.toString();
-        
-        // Prevent concurrent runs for the same user
-        if (this.activeUserRequests.has(userId)) {
+        const lockKey = `auto-reply:user:${userId}`;
+
+        // Prevent concurrent runs for the same user, on this or any other instance
+        const lease = await lockService.acquire(lockKey, LOCKS.USER_RUN_TTL_MS);
+        if (!lease) {
             return { skipped: true, reason: 'already-running' };
         }
+        const stopRenewing = lockService.keepAlive(lockKey, lease, LOCKS.USER_RUN_TTL_MS);
 
-        // Prevent rapid successive calls (unless manual)
-        if (!manual) {
-            const lastFetch = this.lastFetchTime.get(userId);
-            const now = Date.now();
-            if (lastFetch && (now - lastFetch) < this.MIN_FETCH_INTERVAL_MS) {
+        try {
+            // Prevent rapid successive calls (unless manual); manual runs still start a new window
+            const windowFree = await lockService.throttle(`auto-reply:fetch:${userId}`, this.MIN_FETCH_INTERVAL_MS);
+            if (!manual && !windowFree) {
                 return { skipped: true, reason: 'rate-limited' };
             }
-        }
 
-        this.activeUserRequests.set(userId, true);
-        this.lastFetchTime.set(userId, Date.now());
-
-        try {
             const settings = this.normalizeSettings(user.autoReplySettings);
             if (!settings.enabled) {
                 return { skipped: true, reason: 'disabled' };
             }
 
+            if (!entitlementService.can(user, 'autoReply')) {
+                return { skipped: true, reason: 'plan-not-entitled' };
+            }
+
             if (!user.googleAccessToken) {
                 console.warn(`Auto-reply skipped (missing access token) for user ${userId}`);
                 return { skipped: true, reason: 'missing-token' };
@@ -153,21 +193,37 @@ class AutoReplyService {
                 return { skipped: true, reason: 'no-refresh-token' };
             }
 
-        if (!process.env.OPENAI_API_KEY) {
-            console.warn('Auto-reply skipped (missing OPENAI_API_KEY).');
-            return { skipped: true, reason: 'missing-openai-key' };
+        const delayMs = settings.delayMinutes * 60 * 1000;
+
+        const { accounts, disabledAccountIds, locationsWithReviews, latestReviewTime, allDisabled } = await this.fetchReviews(user);
+        if (!accounts.length) {
+            // Connected accounts that were all switched off aren't a missing connection
+            return { skipped: true, reason: allDisabled ? 'accounts-disabled' : 'no-account' };
         }
 
-        const delayMs = settings.delayMinutes * 60 * 1000;
+        const locationOverrides = await locationSettingsService.loadOverrides(user._id);
+        const disabledLocationIds = Array.from(locationOverrides.entries())
+            .filter(([, overrides]) => overrides.enabled === false)
+            .map(([locationId]) => locationId);
 
-        const { account, locationsWithReviews, latestReviewTime } = await this.fetchReviews(user);
-        if (!account) {
-            return { skipped: true, reason: 'no-account' };
+        // Plans capped to N locations auto-reply on the first N enabled locations discovered
+        let entitledLocations = locationsWithReviews;
+        const allowedLocationIds = await this.getEntitledLocationIds(user, disabledAccountIds, disabledLocationIds);
+        if (allowedLocationIds) {
+            const allowed = new Set(allowedLocationIds);
+            entitledLocations = locationsWithReviews.filter(loc => allowed.has(loc.locationId));
         }
+        const scope = { disabledAccountIds, disabledLocationIds, allowedLocationIds };
 
-        await this.syncTasks(user, locationsWithReviews, delayMs, settings);
-        await this.generateReplies(user, settings);
-        await this.dispatchReplies(user);
+        await this.syncTasks(user, entitledLocations, delayMs, settings, locationOverrides);
+        await this.releaseDueRetries(user._id, this.buildTaskScope(scope));
+        if (queue) {
+            await this.queueTaskJobs(user._id, scope);
+        } else {
+            const taskScope = this.buildTaskScope(scope);
+            await this.generateReplies(user, settings, taskScope, locationOverrides);
+            await this.dispatchReplies(user, taskScope);
+        }
 
         const nextSettings = {
             ...settings,
@@ -180,27 +236,159 @@ class AutoReplyService {
             user.autoReplySettings = nextSettings;
             await user.save();
 
-            return { success: true, account: account.name, reason };
+            return { success: true, accounts: accounts.map(account => account.name), reason };
         } finally {
-            // Always clear the active request flag
-            this.activeUserRequests.delete(userId);
+            // Always release the run lock
+            stopRenewing();
+            await lockService.release(lockKey, lease);
+        }
+    }
+
+    /**
+     * Task filter for a run. The scope is kept as plain ID lists so it can travel in a job payload.
+     * @param {object} scope - disabledAccountIds, disabledLocationIds, allowedLocationIds (null = no plan cap)
+     */
+    buildTaskScope({ disabledAccountIds = [], disabledLocationIds = [], allowedLocationIds = null } = {}) {
+        // Tasks already queued for accounts or locations that were switched off stay parked
+        const taskScope = {};
+        if (disabledAccountIds.length) {
+            taskScope.accountId = { $nin: disabledAccountIds };
+        }
+        if (disabledLocationIds.length) {
+            taskScope.locationId = { $nin: disabledLocationIds };
+        }
+        if (allowedLocationIds) {
+            taskScope.locationId = { ...taskScope.locationId, $in: allowedLocationIds };
+        }
+        return taskScope;
+    }
+
+    /**
+     * Queue generation for detected tasks and dispatch for the earliest scheduled one
+     */
+    async queueTaskJobs(userId, scope) {
+        if (await AutoReplyTask.exists({ ...this.buildTaskScope(scope), userId, status: 'detected' })) {
+            await jobQueueService.enqueue('generate', {
+                userId,
+                payload: { scope },
+                dedupeKey: `generate:${userId}`
+            });
+        }
+        await this.queueDispatchJob(userId, scope);
+    }
+
+    async queueDispatchJob(userId, scope) {
+        const nextDispatchAt = await this.getNextDispatchAt(userId, this.buildTaskScope(scope));
+        if (nextDispatchAt) {
+            await jobQueueService.enqueue('dispatch', {
+                userId,
+                payload: { scope },
+                runAt: nextDispatchAt,
+                dedupeKey: `dispatch:${userId}`
+            });
+        }
+    }
+
+    /**
+     * @returns {Date|null} When the earliest scheduled task in scope is due
+     */
+    async getNextDispatchAt(userId, taskScope = {}) {
+        const next = await AutoReplyTask.findOne({ ...taskScope, userId, status: 'scheduled' })
+            .sort({ scheduledFor: 1 })
+            .select('scheduledFor')
+            .lean();
+        return next ? next.scheduledFor || new Date() : null;
+    }
+
+    /**
+     * Load a job's user, or null when auto-reply no longer applies to them
+     */
+    async loadJobUser(job) {
+        const user = await User.findById(job.userId).select(USER_FIELDS);
+        if (!user || !this.normalizeSettings(user.autoReplySettings).enabled || !entitlementService.can(user, 'autoReply')) {
+            return null;
+        }
+        return user;
+    }
+
+    async handleSyncJob(job) {
+        const user = await this.loadJobUser(job);
+        if (!user) {
+            return { skipped: true, reason: 'inactive' };
         }
+        return this.runForUser(user, { reason: job.payload?.reason || 'queue', queue: true });
+    }
+
+    async handleGenerateJob(job) {
+        const user = await this.loadJobUser(job);
+        if (!user) {
+            return { skipped: true, reason: 'inactive' };
+        }
+
+        const scope = job.payload?.scope || {};
+        const locationOverrides = await locationSettingsService.loadOverrides(user._id);
+        const generated = await this.generateReplies(
+            user,
+            this.normalizeSettings(user.autoReplySettings),
+            this.buildTaskScope(scope),
+            locationOverrides
+        );
+
+        // Freshly drafted replies may already be due
+        await this.queueDispatchJob(user._id, scope);
+        return { generated, requeue: generated >= MAX_GENERATIONS_PER_CYCLE };
+    }
+
+    async handleDispatchJob(job) {
+        const user = await this.loadJobUser(job);
+        if (!user) {
+            return { skipped: true, reason: 'inactive' };
+        }
+
+        const taskScope = this.buildTaskScope(job.payload?.scope);
+        const dispatched = await this.dispatchReplies(user, taskScope);
+        if (dispatched >= MAX_DISPATCH_PER_CYCLE) {
+            return { dispatched, requeue: true };
+        }
+
+        // Come back when the next scheduled reply is due
+        const nextDispatchAt = await this.getNextDispatchAt(user._id, taskScope);
+        return { dispatched, requeue: !!nextDispatchAt, runAt: nextDispatchAt };
+    }
+
+    /**
+     * @returns {string[]|null} Location IDs the plan allows auto-replies for, or null when unlimited
+     */
+    async getEntitledLocationIds(user, disabledAccountIds = [], disabledLocationIds = []) {
+        const maxLocations = entitlementService.getLimit(user, 'autoReplyLocations');
+        if (maxLocations === null) {
+            return null;
+        }
+        if (maxLocations <= 0) {
+            return [];
+        }
+
+        const states = await ReviewSyncState.find({
+            userId: user._id,
+            accountId: { $nin: disabledAccountIds },
+            locationId: { $nin: disabledLocationIds }
+        })
+            .sort({ createdAt: 1 })
+            .limit(maxLocations)
+            .select('locationId')
+            .lean();
+
+        return states.map(state => state.locationId);
     }
 
     async fetchReviews(user) {
+        const empty = { accounts: [], disabledAccountIds: [], locationsWithReviews: [], latestReviewTime: null };
         try {
-            // Use user ID string for token refresh to avoid passing full user object
-            const userId = user._id.toString();
-            
-            const accountResponse = await googleApiService.getAccounts(user.googleAccessToken, userId);
-            const account = accountResponse.accounts?.[0];
-            if (!account) {
-                return { account: null, locationsWithReviews: [], latestReviewTime: null };
-            }
-
-            const locations = await googleApiService.getLocations(user.googleAccessToken, account.name, userId);
-            if (!locations.length) {
-                return { account, locationsWithReviews: [], latestReviewTime: null };
+            // Persist the latest Google reviews, then work from the Review collection
+            const { accounts } = await reviewSyncService.syncUser(user);
+            const enabledAccounts = accounts.filter(account => account.autoReplyEnabled !== false);
+            if (!enabledAccounts.length) {
+                return { ...empty, allDisabled: accounts.length > 0 };
             }
 
             const lastSync = user.autoReplySettings?.lastReviewSyncAt
@@ -211,13 +399,10 @@ class AutoReplyService {
                     ? new Date(lastSync.getTime() - AUTO_REPLY.SYNC_LOOKBACK_HOURS * 60 * 60 * 1000)
                     : null;
 
-            const locationsWithReviews = await googleApiService.batchFetchReviews(
-                user.googleAccessToken,
-                account.name,
-                locations,
-                since ? { since } : {},
-                userId
-            );
+            const locationsWithReviews = await reviewSyncService.loadLocationsWithReviews(user._id, {
+                since,
+                accountIds: enabledAccounts.map(account => account.name)
+            });
 
             let latestReviewTime = lastSync ? lastSync.getTime() : 0;
             locationsWithReviews.forEach((loc) => {
@@ -230,23 +415,20 @@ class AutoReplyService {
             });
 
             return {
-                account,
+                accounts: enabledAccounts,
+                disabledAccountIds: accounts
+                    .filter(account => account.autoReplyEnabled === false)
+                    .map(account => account.name),
                 locationsWithReviews,
                 latestReviewTime: latestReviewTime || null
             };
         } catch (error) {
             console.error(`Failed to fetch reviews for user ${user._id}:`, error.message);
-            return { account: null, locationsWithReviews: [], latestReviewTime: null };
+            return empty;
         }
     }
 
-    async syncTasks(user, locationsWithReviews, delayMs, settings) {
-        const respondMap = {
-            positive: settings.respondToPositive,
-            neutral: settings.respondToNeutral,
-            negative: settings.respondToNegative
-        };
-
+    async syncTasks(user, locationsWithReviews, delayMs, settings, locationOverrides = new Map()) {
         const existingTasks = await AutoReplyTask.find({ userId: user._id })
             .select('reviewName tone status scheduledFor')
             .lean();
@@ -261,8 +443,20 @@ class AutoReplyService {
             : Date.now();
 
         const newTasks = [];
+        const unansweredReviews = [];
 
         for (const location of locationsWithReviews) {
+            const locationSettings = locationSettingsService.resolve(
+                settings,
+                locationOverrides.get(location.locationId)
+            );
+            const locationDelayMs = locationSettings.delayMinutes * 60 * 1000;
+            const respondMap = {
+                positive: locationSettings.respondToPositive,
+                neutral: locationSettings.respondToNeutral,
+                negative: locationSettings.respondToNegative
+            };
+
             for (const review of location.reviews || []) {
                 const reviewName = review.name;
                 const ratingValue = RATING_MAP[review.starRating] || 0;
@@ -298,16 +492,28 @@ class AutoReplyService {
                     continue;
                 }
 
-                if (!respondMap[sentimentBucket]) {
+                unansweredReviews.push({
+                    reviewName,
+                    locationId: location.locationId,
+                    locationName: location.locationName,
+                    reviewerName: review.reviewer?.displayName || review.reviewerName || 'Customer',
+                    ratingValue,
+                    comment: review.comment || '',
+                    createTime: review.createTime
+                });
+
+                // Locations switched to manual replies don't get tasks
+                if (!locationSettings.enabled || !respondMap[sentimentBucket]) {
                     continue;
                 }
 
                 const existingTask = existingMap.get(reviewName);
                 if (existingTask) {
-                    if (existingTask.tone !== settings.tone) {
+                    // Only drafts not written yet follow a tone change; the rest keep the tone they were written in
+                    if (existingTask.tone !== locationSettings.tone && TONE_FOLLOWING_STATUSES.includes(existingTask.status)) {
                         await AutoReplyTask.updateOne(
-                            { _id: existingTask._id },
-                            { $set: { tone: settings.tone } }
+                            { _id: existingTask._id, status: { $in: TONE_FOLLOWING_STATUSES } },
+                            { $set: { tone: locationSettings.tone } }
                         );
                     }
                     continue;
@@ -327,14 +533,14 @@ class AutoReplyService {
                     comment: review.comment || '',
                     scheduledFor,
                     sentiment: sentimentBucket,
-                    tone: settings.tone,
+                    tone: locationSettings.tone,
                     metadata: {
                         source: 'google',
                         reviewCreateTime: review.createTime,
                         reviewUpdateTime: review.updateTime
                     }
                 });
-                anchorTime += delayMs;
+                anchorTime += locationDelayMs;
             }
         }
 
@@ -366,101 +572,493 @@ class AutoReplyService {
             }
         }
 
-        this.clearReviewCache(user._id);
+        // Alerts go out whether or not auto-reply handles the review; a slow mail server mustn't hold up the sync
+        notificationService.escalateReviews(user, unansweredReviews).catch(error => {
+            console.error(`[Notifications] Escalation failed for user ${user._id}:`, error.message);
+        });
+        chatService.notifyReviews(user, unansweredReviews).catch(error => {
+            console.error(`[Chat] Review messages failed for user ${user._id}:`, error.message);
+        });
+        webhookService.publishReviews(user._id, unansweredReviews).catch(error => {
+            console.error(`[Webhooks] review.created failed for user ${user._id}:`, error.message);
+        });
+
+        await this.clearReviewCache(user._id);
+    }
+
+    /**
+     * Whether a reply for this rating must be approved by a person before dispatch
+     * @param {object} settings - Effective (location-resolved) settings
+     * @param {number} ratingValue - Star rating 1-5
+     */
+    requiresApproval(settings, ratingValue) {
+        if (settings.requireApproval) return true;
+        const bucket = this.bucketByRating(ratingValue);
+        if (bucket === 'positive') return !!settings.requireApprovalForPositive;
+        if (bucket === 'neutral') return !!settings.requireApprovalForNeutral;
+        return !!settings.requireApprovalForNegative;
+    }
+
+    /**
+     * Generate a reply for one task and move it to scheduled or pending_approval
+     * @param {object} user - Task owner
+     * @param {object} task - Lean task document, including the status it was read with
+     * @param {object} locationSettings - Effective settings for the task's location
+     * @param {object} options - instructions: reviewer guidance for a regeneration; requestedBy: user asking for it
+     * @returns {string|null} New task status; null when the task changed status while the
+     *   reply was being generated (sent, rejected, ...) and the draft was discarded
+     */
+    async generateForTask(user, task, locationSettings, { instructions = null, requestedBy = null } = {}) {
+        const { tone } = locationSettings;
+        const isRegeneration = !!(instructions || requestedBy);
+        const result = await reviewReplyGenerator.generateReply({
+            businessName: user.name || 'our team',
+            locationName: task.locationName || 'our business',
+            reviewerName: task.reviewerName || 'there',
+            ratingValue: task.ratingValue || 0,
+            reviewText: task.comment || '',
+            tone,
+            instructions,
+            previousReply: isRegeneration ? task.generatedReply : null
+        }, {
+            plan: entitlementService.getEffectivePlan(user),
+            userId: user._id,
+            source: isRegeneration ? 'regenerate' : 'auto_reply',
+            taskId: task._id
+        });
+
+        const needsApproval = this.requiresApproval(locationSettings, task.ratingValue || 0);
+        const status = needsApproval ? 'pending_approval' : 'scheduled';
+
+        // The LLM call can take a while; only write if nobody sent, rejected or redrafted the task meanwhile
+        const updated = await AutoReplyTask.findOneAndUpdate({ _id: task._id, status: task.status }, {
+            $set: {
+                generatedReply: result.reply,
+                status,
+                sentiment: result.sentiment || task.sentiment,
+                tone: result.style || tone,
+                analysis: {
+                    summary: result.summary,
+                    tone: result.style,
+                    sentiment: result.sentiment,
+                    addressedName: result.customerName
+                },
+                customerName: result.customerName,
+                error: null,
+                approval: needsApproval ? { requestedAt: new Date(), edited: false } : {}
+            },
+            $push: {
+                drafts: {
+                    $each: [{
+                        reply: result.reply,
+                        source: isRegeneration ? 'regenerated' : 'generated',
+                        instructions,
+                        tone: result.style || tone,
+                        createdBy: requestedBy,
+                        createdAt: new Date()
+                    }],
+                    $slice: -AUTO_REPLY.MAX_DRAFT_HISTORY
+                }
+            }
+        });
+        if (!updated) {
+            console.warn(`[AutoReply] Task ${task._id} left ${task.status} during generation; discarding the draft`);
+            return null;
+        }
+
+        // Emit WebSocket event for task update
+        try {
+            websocketService.emitToUser(user._id.toString(), 'autoReply:task:updated', {
+                taskId: task._id,
+                status
+            });
+            if (needsApproval) {
+                websocketService.emitToUser(user._id.toString(), 'autoReply:approval:required', {
+                    taskId: task._id,
+                    locationName: task.locationName,
+                    ratingValue: task.ratingValue
+                });
+            }
+            // Update stats when task status changes
+            const stats = await this.getStatsForUser(user._id);
+            websocketService.emitToUser(user._id.toString(), 'autoReply:stats:updated', { stats });
+        } catch (error) {
+            console.error('Failed to emit auto-reply task update:', error);
+        }
+
+        // Regenerations are requested from the dashboard, so only first drafts go to chat
+        if (!isRegeneration) {
+            chatService.notifyTask(user, 'draft.generated', { ...task, generatedReply: result.reply, status }).catch(error => {
+                console.error(`[Chat] Draft message failed for user ${user._id}:`, error.message);
+            });
+        }
+
+        return status;
     }
 
-    async generateReplies(user, settings) {
+    /**
+     * @returns {number} Tasks attempted; fewer than the batch limit means none are left for now
+     */
+    async generateReplies(user, settings, taskScope = {}, locationOverrides = new Map()) {
         const tasks = await AutoReplyTask.find({
+            ...taskScope,
             userId: user._id,
             status: 'detected'
         })
             .sort({ createdAt: 1 })
             .limit(MAX_GENERATIONS_PER_CYCLE)
-            .select('_id locationName reviewerName ratingValue comment sentiment tone customerName generatedReply')
+            .select('_id status locationId locationName reviewerName ratingValue comment sentiment tone customerName generatedReply generationAttempts')
             .lean();
 
-        for (const task of tasks) {
-            try {
-                const result = await reviewReplyGenerator.generateReply({
-                    businessName: user.name || 'our team',
-                    locationName: task.locationName || 'our business',
-                    reviewerName: task.reviewerName || 'there',
-                    ratingValue: task.ratingValue || 0,
-                    reviewText: task.comment || '',
-                    tone: settings.tone
-                });
+        if (!tasks.length) {
+            return 0;
+        }
 
-                await AutoReplyTask.findByIdAndUpdate(task._id, {
-                    $set: {
-                        generatedReply: result.reply,
-                        status: 'scheduled',
-                        sentiment: result.sentiment || task.sentiment,
-                        tone: result.style || settings.tone,
-                        analysis: {
-                            summary: result.summary,
-                            tone: result.style,
-                            sentiment: result.sentiment,
-                            addressedName: result.customerName
-                        },
-                        customerName: result.customerName
-                    }
-                });
+        // Leave tasks as detected when the plan is out of tokens; they resume next month or after an upgrade
+        const capStatus = await llmUsageService.getCapStatus(user._id, entitlementService.getEffectivePlan(user));
+        if (capStatus.exceeded) {
+            console.log(`[AutoReply] Monthly token cap reached for user ${user._id} (${capStatus.used}/${capStatus.cap}), skipping generation`);
+            return 0;
+        }
 
-                // Emit WebSocket event for task update
-                try {
-                    websocketService.emitToUser(user._id.toString(), 'autoReply:task:updated', {
-                        taskId: task._id,
-                        status: 'scheduled'
-                    });
-                    // Update stats when task status changes
-                    const stats = await this.getStatsForUser(user._id);
-                    websocketService.emitToUser(user._id.toString(), 'autoReply:stats:updated', { stats });
-                } catch (error) {
-                    console.error('Failed to emit auto-reply task update:', error);
-                }
+        let attempted = 0;
+        for (const task of tasks) {
+            const locationSettings = locationSettingsService.resolve(settings, locationOverrides.get(task.locationId));
+            attempted += 1;
+            try {
+                await this.generateForTask(user, task, locationSettings);
             } catch (error) {
+                if (error.statusCode === 429) {
+                    console.log(`[AutoReply] Monthly token cap reached for user ${user._id}, stopping generation`);
+                    attempted -= 1;
+                    break;
+                }
                 console.error('Failed to generate reply:', error.message);
-                const update = {
-                    status: 'generation_failed',
-                    error: error.message,
-                    lastTriedAt: new Date()
-                };
-
-                await AutoReplyTask.findOneAndUpdate(
-                    { _id: task._id, status: { $ne: 'sent' } },
-                    { $set: update }
-                );
+                const failed = await this.recordFailure(task, 'generation', error);
+                if (!failed) {
+                    continue;
+                }
 
                 // Emit WebSocket event for task failure
                 try {
                     websocketService.emitToUser(user._id.toString(), 'autoReply:task:updated', {
                         taskId: task._id,
-                        status: 'generation_failed',
-                        error: error.message
+                        status: failed.status,
+                        error: error.message,
+                        nextRetryAt: failed.nextRetryAt
                     });
                 } catch (wsError) {
                     console.error('Failed to emit auto-reply task update:', wsError);
                 }
+
+                webhookService.publishTaskFailed(user._id, { ...task, ...failed }).catch(webhookError => {
+                    console.error(`[Webhooks] task.failed failed for user ${user._id}:`, webhookError.message);
+                });
+            }
+        }
+        return attempted;
+    }
+
+    /**
+     * Whether retrying a failure could help. Google errors are judged by their Google status
+     * and reason, since a 403 can be a rate limit and a 401 a revoked token; other errors by
+     * HTTP status. Errors without either (timeouts, network, unusable model output) count as transient.
+     * @returns {object} statusCode, googleStatus, permanent
+     */
+    classifyError(error) {
+        const statusCode = error.statusCode || error.response?.status || null;
+        const googleStatus = error.googleStatus || error.response?.data?.error?.status || null;
+
+        let permanent;
+        if (error.permanent) {
+            permanent = true;
+        } else if (AUTO_REPLY.TRANSIENT_GOOGLE_REASONS.includes(error.googleReason)) {
+            permanent = false;
+        } else if (AUTO_REPLY.PERMANENT_GOOGLE_STATUSES.includes(googleStatus)) {
+            permanent = true;
+        } else if (AUTO_REPLY.TRANSIENT_GOOGLE_STATUSES.includes(googleStatus)) {
+            permanent = false;
+        } else {
+            permanent = AUTO_REPLY.PERMANENT_ERROR_STATUSES.includes(statusCode);
+        }
+        return { statusCode, googleStatus, permanent };
+    }
+
+    /**
+     * Backoff before the retry that follows failed attempt number `attempt` (1-based):
+     * doubling from RETRY_BASE_DELAY_MS up to RETRY_MAX_DELAY_MS, spread by ± RETRY_JITTER_RATIO
+     */
+    getRetryDelayMs(attempt) {
+        const delay = Math.min(AUTO_REPLY.RETRY_MAX_DELAY_MS, AUTO_REPLY.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        const jitter = delay * AUTO_REPLY.RETRY_JITTER_RATIO;
+        return Math.round(delay - jitter + Math.random() * 2 * jitter);
+    }
+
+    /**
+     * Record a failed generation or delivery and schedule the next attempt, or dead-letter
+     * the task when the error is permanent or the stage has used up RETRY_MAX_ATTEMPTS
+     * @param {object} task - Lean task with generationAttempts / deliveryAttempts
+     * @param {string} stage - generation | delivery
+     * @returns {object|null} status, error, attempts (for this stage), nextRetryAt; null when the task moved on meanwhile
+     */
+    async recordFailure(task, stage, error) {
+        const now = new Date();
+        const { statusCode, permanent } = this.classifyError(error);
+        const attemptsField = `${stage}Attempts`;
+        const attempts = (task[attemptsField] || 0) + 1;
+        const deadLetter = permanent || attempts >= RETRY_MAX_ATTEMPTS;
+        const failure = {
+            status: deadLetter ? 'dead_letter' : `${stage}_failed`,
+            error: error.message,
+            attempts,
+            nextRetryAt: deadLetter ? null : new Date(now.getTime() + this.getRetryDelayMs(attempts))
+        };
+
+        // A failed post only counts while the task is still claimed by this dispatch, and a failed
+        // draft only while the task still waits for one (not once it was rejected or redrafted)
+        const updated = await AutoReplyTask.findOneAndUpdate(
+            { _id: task._id, status: stage === 'delivery' ? 'sending' : { $in: ['detected', 'generation_failed'] } },
+            {
+                $set: {
+                    status: failure.status,
+                    error: failure.error,
+                    nextRetryAt: failure.nextRetryAt,
+                    [attemptsField]: attempts,
+                    failureStage: stage,
+                    lastTriedAt: now,
+                    deadLetteredAt: deadLetter ? now : null
+                },
+                $push: {
+                    errorHistory: {
+                        $each: [{ stage, message: error.message, statusCode, permanent, at: now }],
+                        $slice: -AUTO_REPLY.MAX_ERROR_HISTORY
+                    }
+                }
             }
+        );
+
+        if (deadLetter) {
+            console.warn(`[AutoReply] Task ${task._id} dead-lettered after ${attempts} ${stage} attempt(s)${permanent ? ' (permanent error)' : ''}: ${error.message}`);
         }
+        return updated ? failure : null;
     }
 
-    async dispatchReplies(user) {
+    /**
+     * Put failed tasks whose backoff has elapsed back in line: generation failures are
+     * drafted again, delivery failures posted again. Tasks that failed before retries
+     * existed have no nextRetryAt and are picked up too, as are stale `sending` claims.
+     */
+    async releaseDueRetries(userId, taskScope = {}) {
+        const now = new Date();
+
+        // A dispatch that died mid-post leaves its claim behind; count it as a failed delivery,
+        // and dead-letter the task once that uses up its delivery attempts like recordFailure does
+        const stale = {
+            ...taskScope,
+            userId,
+            status: 'sending',
+            lastTriedAt: { $lte: new Date(now.getTime() - AUTO_REPLY.SENDING_TIMEOUT_MS) }
+        };
+        const interrupted = {
+            $set: { failureStage: 'delivery', error: 'Posting the reply was interrupted' },
+            $inc: { deliveryAttempts: 1 },
+            $push: {
+                errorHistory: {
+                    $each: [{ stage: 'delivery', message: 'Posting the reply was interrupted', permanent: false, at: now }],
+                    $slice: -AUTO_REPLY.MAX_ERROR_HISTORY
+                }
+            }
+        };
+
+        const exhausted = await AutoReplyTask.updateMany(
+            { ...stale, $expr: { $gte: [{ $ifNull: ['$deliveryAttempts', 0] }, RETRY_MAX_ATTEMPTS - 1] } },
+            { ...interrupted, $set: { ...interrupted.$set, status: 'dead_letter', nextRetryAt: null, deadLetteredAt: now } }
+        );
+        if (exhausted.modifiedCount) {
+            console.warn(`[AutoReply] Dead-lettered ${exhausted.modifiedCount} task(s) for user ${userId} after ${RETRY_MAX_ATTEMPTS} interrupted or failed delivery attempts`);
+        }
+        await AutoReplyTask.updateMany(
+            stale,
+            { ...interrupted, $set: { ...interrupted.$set, status: 'delivery_failed', nextRetryAt: now } }
+        );
+
+        const due = { ...taskScope, userId, $or: [{ nextRetryAt: { $lte: now } }, { nextRetryAt: null }] };
+
+        await AutoReplyTask.updateMany(
+            { ...due, status: 'generation_failed' },
+            { $set: { status: 'detected' }, $unset: { nextRetryAt: '' } }
+        );
+        await AutoReplyTask.updateMany(
+            { ...due, status: 'delivery_failed' },
+            { $set: { status: 'scheduled', scheduledFor: now }, $unset: { nextRetryAt: '' } }
+        );
+    }
+
+    /**
+     * Replace the draft of a single task right away, optionally steered by reviewer guidance
+     * @param {object} user - Task owner
+     * @param {string} taskId - Task ID
+     * @param {object} options - instructions: free-text guidance such as "don't apologize"
+     * @returns {object|null} Updated task, or null when the task isn't the user's
+     */
+    async regenerateTask(user, taskId, { instructions = null } = {}) {
+        const task = await AutoReplyTask.findOne({ _id: taskId, userId: user._id }).lean();
+        if (!task) {
+            return null;
+        }
+
+        if (!AUTO_REPLY.REGENERATABLE_STATUSES.includes(task.status)) {
+            throw new AppError('Task reply cannot be regenerated in its current status', 400);
+        }
+
+        const overrides = await locationSettingsService.loadOverrides(user._id);
+        const locationSettings = locationSettingsService.resolve(
+            this.normalizeSettings(user.autoReplySettings),
+            overrides.get(task.locationId)
+        );
+
+        let status;
+        try {
+            status = await this.generateForTask(user, task, locationSettings, { instructions, requestedBy: user._id });
+        } catch (error) {
+            if (error instanceof AppError) {
+                throw error;
+            }
+            console.error('Failed to regenerate reply:', error.message);
+            throw new AppError('Failed to generate a new reply. Please try again.', 502);
+        }
+        if (!status) {
+            throw new AppError('Task was changed while the reply was being generated. Please refresh.', 409);
+        }
+
+        return AutoReplyTask.findById(task._id).lean();
+    }
+
+    emitTaskUpdate(userId, taskId, status) {
+        try {
+            websocketService.emitToUser(userId.toString(), 'autoReply:task:updated', { taskId, status });
+        } catch (error) {
+            console.error('Failed to emit auto-reply task update:', error);
+        }
+    }
+
+    /**
+     * Approve a pending reply, optionally replacing its text (edit-and-approve)
+     * @param {object} options - reply: edited text; decidedBy: approving user
+     * @returns {object} Updated task
+     */
+    async approveTask(userId, taskId, { reply, decidedBy }) {
+        const task = await AutoReplyTask.findOne({ _id: taskId, userId }).lean();
+        if (!task) {
+            throw new AppError('Task not found', 404);
+        }
+        if (task.status !== 'pending_approval') {
+            throw new AppError('Only tasks awaiting approval can be approved', 400);
+        }
+
+        const now = new Date();
+        const edited = reply !== undefined && reply !== task.generatedReply;
+        const updated = await AutoReplyTask.findOneAndUpdate(
+            { _id: task._id, status: 'pending_approval' },
+            {
+                ...(edited && {
+                    $push: {
+                        drafts: {
+                            $each: [{ reply, source: 'edited', tone: task.tone, createdBy: decidedBy, createdAt: now }],
+                            $slice: -AUTO_REPLY.MAX_DRAFT_HISTORY
+                        }
+                    }
+                }),
+                $set: {
+                    status: 'scheduled',
+                    generatedReply: edited ? reply : task.generatedReply,
+                    // Keep the configured delay if it hasn't elapsed yet, otherwise send on the next cycle
+                    scheduledFor: task.scheduledFor && task.scheduledFor > now ? task.scheduledFor : now,
+                    'approval.decision': 'approved',
+                    'approval.decidedAt': now,
+                    'approval.decidedBy': decidedBy,
+                    'approval.edited': edited,
+                    error: null
+                }
+            },
+            { new: true }
+        ).lean();
+
+        if (!updated) {
+            throw new AppError('Task was changed by another request. Please refresh.', 409);
+        }
+
+        this.emitTaskUpdate(userId, task._id, 'scheduled');
+        return updated;
+    }
+
+    /**
+     * Reject a drafted reply so it is never posted
+     * @param {object} options - reason: optional note; decidedBy: rejecting user
+     * @returns {object} Updated task
+     */
+    async rejectTask(userId, taskId, { reason, decidedBy }) {
+        const updated = await AutoReplyTask.findOneAndUpdate(
+            { _id: taskId, userId, status: { $in: ['pending_approval', 'scheduled'] } },
+            {
+                $set: {
+                    status: 'rejected',
+                    'approval.decision': 'rejected',
+                    'approval.decidedAt': new Date(),
+                    'approval.decidedBy': decidedBy,
+                    'approval.reason': reason || null
+                }
+            },
+            { new: true }
+        ).lean();
+
+        if (!updated) {
+            const exists = await AutoReplyTask.exists({ _id: taskId, userId });
+            if (!exists) {
+                throw new AppError('Task not found', 404);
+            }
+            throw new AppError('Only pending or scheduled tasks can be rejected', 400);
+        }
+
+        this.emitTaskUpdate(userId, updated._id, 'rejected');
+        return updated;
+    }
+
+    /**
+     * @returns {number} Due tasks attempted
+     */
+    async dispatchReplies(user, taskScope = {}) {
         const now = new Date();
         const tasks = await AutoReplyTask.find({
+            ...taskScope,
             userId: user._id,
             status: 'scheduled',
             scheduledFor: { $lte: now }
         })
             .sort({ scheduledFor: 1 })
             .limit(MAX_DISPATCH_PER_CYCLE)
-            .select('_id reviewName generatedReply scheduledFor')
+            .select('_id')
             .lean();
 
-        for (const task of tasks) {
+        for (const candidate of tasks) {
+            // Claim the task before posting so no other worker posts it, and it can't be
+            // rejected or regenerated while the Google call is in flight
+            const task = await AutoReplyTask.findOneAndUpdate(
+                { _id: candidate._id, status: 'scheduled' },
+                { $set: { status: 'sending', lastTriedAt: new Date() } },
+                { new: true }
+            )
+                .select('_id reviewName generatedReply scheduledFor locationId locationName reviewerName ratingValue comment deliveryAttempts')
+                .lean();
+            if (!task) {
+                continue;
+            }
+
             try {
                 if (!task.generatedReply) {
-                    throw new Error('Missing generated reply');
+                    const missingReply = new Error('Missing generated reply');
+                    missingReply.permanent = true;
+                    throw missingReply;
                 }
 
                 // Use userId string instead of full user object
@@ -472,17 +1070,24 @@ class AutoReplyService {
                     userId
                 );
 
-                await AutoReplyTask.findByIdAndUpdate(task._id, {
-                    $set: {
-                        status: 'sent',
-                        sentAt: new Date(),
-                        lastTriedAt: new Date()
+                const sent = await AutoReplyTask.findOneAndUpdate(
+                    { _id: task._id, status: 'sending' },
+                    {
+                        $set: {
+                            status: 'sent',
+                            sentAt: new Date(),
+                            lastTriedAt: new Date()
+                        }
                     }
-                });
+                );
+                if (!sent) {
+                    console.warn(`[AutoReply] Task ${task._id} was posted after its claim had been recovered`);
+                }
+                await reviewSyncService.markReplied(user._id, task.reviewName, task.generatedReply);
 
                 // Emit WebSocket event for successful reply (consolidated)
                 try {
-                    this.clearReviewCache(user._id);
+                    await this.clearReviewCache(user._id);
                     // Update stats
                     const stats = await this.getStatsForUser(user._id);
                     websocketService.emitToUser(user._id.toString(), 'autoReply:stats:updated', { stats });
@@ -496,27 +1101,47 @@ class AutoReplyService {
                 } catch (error) {
                     console.error('Failed to emit auto-reply task update:', error);
                 }
+
+                webhookService.publishReplySent(user._id, {
+                    reviewName: task.reviewName,
+                    locationId: task.locationId,
+                    locationName: task.locationName,
+                    reply: task.generatedReply,
+                    source: 'auto_reply',
+                    taskId: task._id
+                }).catch(webhookError => {
+                    console.error(`[Webhooks] reply.sent failed for user ${user._id}:`, webhookError.message);
+                });
             } catch (error) {
                 console.error('Failed to post auto-reply:', error.message);
-                await AutoReplyTask.findByIdAndUpdate(task._id, {
-                    $set: {
-                        status: 'delivery_failed',
-                        error: error.message,
-                        lastTriedAt: new Date()
-                    }
-                });
+                const failed = await this.recordFailure(task, 'delivery', error);
+                if (!failed) {
+                    continue;
+                }
 
                 // Emit WebSocket event for delivery failure
                 try {
                     websocketService.emitToUser(user._id.toString(), 'autoReply:task:updated', {
                         taskId: task._id,
-                        status: 'delivery_failed'
+                        status: failed.status,
+                        nextRetryAt: failed.nextRetryAt
                     });
                 } catch (wsError) {
                     console.error('Failed to emit auto-reply task update:', wsError);
                 }
+
+                // Transient failures are retried quietly; chat only hears about replies that won't go out
+                if (failed.status === 'dead_letter') {
+                    chatService.notifyTask(user, 'delivery.failed', { ...task, error: error.message }).catch(chatError => {
+                        console.error(`[Chat] Failure message failed for user ${user._id}:`, chatError.message);
+                    });
+                }
+                webhookService.publishTaskFailed(user._id, { ...task, ...failed }).catch(webhookError => {
+                    console.error(`[Webhooks] task.failed failed for user ${user._id}:`, webhookError.message);
+                });
             }
         }
+        return tasks.length;
     }
 
     async getStatsForUser(userId) {
@@ -541,13 +1166,20 @@ class AutoReplyService {
 
         const sentLast7d = stats?.sentWindow?.[0]?.count || 0;
         const sentAllTime = totals.sent || 0;
-        const failedTotal = (totals.generation_failed || 0) + (totals.delivery_failed || 0);
+        // Failed tasks still on their way through automatic retries, and those that gave up
+        const retryPending = (totals.generation_failed || 0) + (totals.delivery_failed || 0);
+        const deadLetter = totals.dead_letter || 0;
+        const failedTotal = retryPending + deadLetter;
+        const pendingApproval = totals.pending_approval || 0;
 
         return {
             totals,
             sentLast7d,
             sentAllTime,
-            failedTotal
+            failedTotal,
+            retryPending,
+            deadLetter,
+            pendingApproval
         };
     }
 }
@@ -0,0 +1,316 @@
+const User = require('../models/User');
+const { SUBSCRIPTION_PLANS } = require('../utils/constants');
+const websocketService = require('./websocketService');
+const webhookService = require('./webhookService');
+const razorpayService = require('./razorpayService');
+const subscriptionLifecycleService = require('./subscriptionLifecycleService');
+const entitlementService = require('./entitlementService');
+const paymentLedgerService = require('./paymentLedgerService');
+
+const RECURRING_STATUSES = ['active', 'past_due'];
+
+const fromUnixSeconds = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * Billing Service - Applies checkouts, renewals and cancellations from any payment
+ * provider to a user's subscription. Shared by client verification and webhook processing.
+ */
+class BillingService {
+    getPlanDurationMs(planKey) {
+        const plan = SUBSCRIPTION_PLANS[planKey];
+        if (!plan || !plan.billingCycleDays) {
+            return 0;
+        }
+        return plan.billingCycleDays * 24 * 60 * 60 * 1000;
+    }
+
+    isRecurringStatus(status) {
+        return RECURRING_STATUSES.includes(status);
+    }
+
+    /**
+     * Provider-side id of the subscription that bills the user, if any
+     * @returns {{ provider: string, subscriptionId: string }|null}
+     */
+    getProviderSubscription(user) {
+        const { paymentProvider, stripeSubscriptionId, razorpaySubscriptionId } = user.subscription;
+        if (paymentProvider === 'stripe') {
+            return stripeSubscriptionId ? { provider: 'stripe', subscriptionId: stripeSubscriptionId } : null;
+        }
+        return razorpaySubscriptionId ? { provider: 'razorpay', subscriptionId: razorpaySubscriptionId } : null;
+    }
+
+    hasRecurringSubscription(user) {
+        return !!this.getProviderSubscription(user) &&
+            this.isRecurringStatus(user.subscription.status) &&
+            !user.subscription.cancelAtPeriodEnd;
+    }
+
+    emitSubscriptionUpdate(user) {
+        try {
+            websocketService.emitToUser(user._id.toString(), 'subscription:updated', {
+                subscription: user.subscription
+            });
+        } catch (error) {
+            console.error('Failed to emit subscription update:', error);
+        }
+
+        webhookService.publishSubscription(user).catch(error => {
+            console.error(`[Webhooks] subscription.updated failed for user ${user._id}:`, error.message);
+        });
+    }
+
+    /**
+     * @param {object} payment - Failed Payment document
+     */
+    emitPaymentFailed(user, payment) {
+        try {
+            websocketService.emitToUser(user._id.toString(), 'payment:failed', {
+                provider: payment.provider,
+                paymentId: payment.paymentId || null,
+                orderId: payment.orderId || null,
+                subscriptionId: payment.subscriptionId || null,
+                plan: payment.plan,
+                amount: payment.amount,
+                currency: payment.currency,
+                reason: payment.failureReason
+            });
+        } catch (error) {
+            console.error('Failed to emit payment failure:', error);
+        }
+    }
+
+    /**
+     * @param {object} payment - Refunded Payment document
+     * @param {boolean} downgraded - Whether the refund ended the paid plan
+     */
+    emitPaymentRefunded(user, payment, { refundId, amount, downgraded }) {
+        try {
+            websocketService.emitToUser(user._id.toString(), 'payment:refunded', {
+                provider: payment.provider,
+                paymentId: payment.paymentId,
+                refundId,
+                amount,
+                amountRefunded: payment.amountRefunded,
+                status: payment.status,
+                downgraded
+            });
+        } catch (error) {
+            console.error('Failed to emit payment refund:', error);
+        }
+    }
+
+    /**
+     * Coupon snapshot for a renewal charge under a recurring coupon
+     * @returns {object|null}
+     */
+    getRenewalCoupon(user, listAmount, amount) {
+        const { coupon } = user.subscription;
+        if (!coupon?.couponId) {
+            return null;
+        }
+        return {
+            couponId: coupon.couponId,
+            code: coupon.code,
+            duration: coupon.duration,
+            listAmount,
+            discountAmount: Math.max(0, listAmount - amount)
+        };
+    }
+
+    /**
+     * Find the owner of a Razorpay subscription, whether it is already active or still pending
+     */
+    async findSubscriptionUser(subscriptionEntity) {
+        const subscriptionId = subscriptionEntity?.id;
+        if (!subscriptionId) {
+            return null;
+        }
+
+        const user = await User.findOne({
+            $or: [
+                { 'subscription.razorpaySubscriptionId': subscriptionId },
+                { 'subscription.pendingSubscription.subscriptionId': subscriptionId }
+            ]
+        });
+        if (user) {
+            return user;
+        }
+
+        const userId = subscriptionEntity.notes?.userId;
+        return userId ? User.findById(userId) : null;
+    }
+
+    /**
+     * Plan a subscription currently bills for. The Razorpay plan id wins over the notes,
+     * which keep the plan chosen at checkout even after a plan change.
+     */
+    async resolveSubscriptionPlan(user, subscriptionEntity) {
+        const planKey = await razorpayService.getPlanKey(subscriptionEntity?.plan_id);
+        if (planKey) {
+            return planKey;
+        }
+        const notedPlan = subscriptionEntity?.notes?.plan;
+        if (notedPlan && SUBSCRIPTION_PLANS[notedPlan]) {
+            return notedPlan;
+        }
+        return user.subscription.pendingSubscription?.plan || null;
+    }
+
+    /**
+     * Start or renew a paid period billed by a provider subscription. The caller
+     * sets the provider's own ids.
+     * @param {object} [pendingCoupon] - Coupon from the checkout this period completes
+     */
+    applyPaidPeriod(user, plan, { provider, currency, periodStart, periodEnd, pendingCoupon = null }) {
+        user.subscription.plan = plan;
+        user.subscription.status = 'active';
+        user.subscription.graceEndsAt = undefined;
+        user.subscription.paymentProvider = provider;
+        user.subscription.currency = currency || user.subscription.currency;
+        user.subscription.currentPeriodStart = periodStart || new Date();
+        user.subscription.expiresAt = periodEnd;
+
+        if (pendingCoupon?.duration === 'recurring') {
+            user.subscription.coupon = pendingCoupon;
+        }
+        user.subscription.pendingSubscription = undefined;
+        user.subscription.pendingOrder = undefined;
+        // A scheduled downgrade takes effect with the renewal that reports it, on the list-price plan
+        if (user.subscription.scheduledChange?.plan) {
+            user.subscription.coupon = undefined;
+            user.subscription.scheduledChange = undefined;
+        }
+
+        if (user.trial.status === 'active') {
+            user.trial.status = 'converted';
+        }
+    }
+
+    /**
+     * Start or renew the paid period covered by a Razorpay subscription
+     */
+    applySubscriptionPeriod(user, plan, subscriptionEntity, paymentId = null) {
+        user.subscription.razorpaySubscriptionId = subscriptionEntity.id;
+        user.subscription.razorpayPlanId = subscriptionEntity.plan_id || user.subscription.razorpayPlanId;
+        if (paymentId) {
+            user.subscription.razorpayPaymentId = paymentId;
+        }
+
+        // Subscriptions with a first-payment coupon are paid upfront and start billing at start_at
+        const deferredStart = fromUnixSeconds(subscriptionEntity.start_at);
+        const pending = user.subscription.pendingSubscription;
+        this.applyPaidPeriod(user, plan, {
+            provider: 'razorpay',
+            currency: 'INR',
+            periodStart: fromUnixSeconds(subscriptionEntity.current_start),
+            periodEnd: fromUnixSeconds(subscriptionEntity.current_end) ||
+                (deferredStart > new Date() ? deferredStart : new Date(Date.now() + this.getPlanDurationMs(plan))),
+            pendingCoupon: pending?.subscriptionId === subscriptionEntity.id ? pending.coupon : null
+        });
+    }
+
+    /**
+     * Activate the plan bought through a one-off Razorpay order
+     */
+    applyOrderPayment(user, plan, orderId, paymentId = null) {
+        user.subscription.plan = plan;
+        user.subscription.status = 'active';
+        user.subscription.graceEndsAt = undefined;
+        user.subscription.razorpayOrderId = orderId;
+        user.subscription.razorpayPaymentId = paymentId;
+        user.subscription.expiresAt = SUBSCRIPTION_PLANS[plan].billingCycleDays
+            ? new Date(Date.now() + this.getPlanDurationMs(plan))
+            : null;
+        user.subscription.pendingOrder = undefined;
+
+        if (user.trial.status === 'active') {
+            user.trial.status = 'converted';
+        }
+    }
+
+    /**
+     * Switch to a higher plan for the rest of the current period. Recurring
+     * subscriptions renew on the new plan.
+     */
+    async applyPlanUpgrade(user, plan) {
+        const subscriptionId = user.subscription.razorpaySubscriptionId;
+        if (subscriptionId && this.isRecurringStatus(user.subscription.status)) {
+            await razorpayService.changeSubscriptionPlan(subscriptionId, plan);
+        }
+
+        user.subscription.plan = plan;
+        user.subscription.pendingOrder = undefined;
+        user.subscription.scheduledChange = undefined;
+        // The subscription now renews on the list-price plan
+        user.subscription.coupon = undefined;
+    }
+
+    /**
+     * Apply a paid one-off order (checkout or prorated upgrade), record the capture
+     * and notify the user. The caller has checked the order is the user's pending one.
+     */
+    async completeOrderPayment(user, { orderId, paymentId, amount, currency, method }) {
+        const { plan, purpose } = user.subscription.pendingOrder;
+
+        if (purpose === 'upgrade') {
+            await this.applyPlanUpgrade(user, plan);
+        } else {
+            this.applyOrderPayment(user, plan, orderId, paymentId);
+        }
+        await user.save();
+
+        if (paymentId) {
+            await paymentLedgerService.recordCapture(user, {
+                type: 'order',
+                plan,
+                paymentId,
+                orderId,
+                amount,
+                currency,
+                method,
+                periodStart: new Date(),
+                periodEnd: user.subscription.expiresAt
+            });
+        }
+        this.emitSubscriptionUpdate(user);
+    }
+
+    /**
+     * The provider stopped retrying a failed renewal: keep access through the grace period only
+     * @returns {boolean} false when the user was already past due
+     */
+    markPastDue(user, now = new Date()) {
+        if (user.subscription.status === 'past_due') {
+            return false;
+        }
+
+        const periodEnd = user.subscription.expiresAt && user.subscription.expiresAt < now
+            ? user.subscription.expiresAt
+            : now;
+        user.subscription.status = 'past_due';
+        user.subscription.graceEndsAt = entitlementService.getSubscriptionGraceEnd({ expiresAt: periodEnd });
+        return true;
+    }
+
+    /**
+     * Drop a user whose recurring subscription has ended to the free plan
+     */
+    endSubscription(user) {
+        user.subscription.plan = 'free';
+        user.subscription.status = 'cancelled';
+        user.subscription.expiresAt = null;
+        user.subscription.graceEndsAt = undefined;
+        user.subscription.cancelAtPeriodEnd = false;
+        user.subscription.scheduledChange = undefined;
+        user.subscription.coupon = undefined;
+        user.subscription.razorpaySubscriptionId = null;
+        user.subscription.razorpayPlanId = null;
+        user.subscription.stripeSubscriptionId = null;
+        user.subscription.stripePriceId = null;
+        subscriptionLifecycleService.markFreeSwitchUsed(user.subscription, new Date());
+        subscriptionLifecycleService.enforceEntitlements(user);
+    }
+}
+
+module.exports = new BillingService();
@@ -0,0 +1,132 @@
+const User = require('../models/User');
+const googleApiService = require('./googleApiService');
+const cache = require('../utils/cache');
+const { CACHE_TTL } = require('../utils/constants');
+
+const ACCOUNT_PREFIX = 'accounts/';
+
+/**
+ * Business Account Service - Discovers and stores every Google Business account
+ * a user can manage, along with per-account auto-reply switches.
+ */
+class BusinessAccountService {
+    /**
+     * Accept either a bare account number or a full resource name
+     * @param {string} accountId - "123" or "accounts/123"
+     * @returns {string|null} Resource name
+     */
+    normalizeAccountId(accountId) {
+        if (!accountId) return null;
+        const id = String(accountId).trim();
+        return id.startsWith(ACCOUNT_PREFIX) ? id : `${ACCOUNT_PREFIX}${id}`;
+    }
+
+    clearAccountCache(userId) {
+        return cache.delete(`accounts:${userId.toString()}`);
+    }
+
+    /**
+     * Fetch every account from Google and persist it on the user, keeping existing switches.
+     * Accounts are updated one by one in place, so a discovery running alongside a toggle
+     * (or another discovery) never writes back a stale copy of the whole list.
+     * @param {object} user - User document (needs _id and googleAccessToken)
+     * @param {object} options - force: bypass the accounts cache
+     */
+    async discoverAccounts(user, { force = false } = {}) {
+        const userId = user._id.toString();
+        const cacheKey = `accounts:${userId}`;
+
+        if (!force) {
+            const cached = await cache.get(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const response = await googleApiService.getAccounts(user.googleAccessToken, userId);
+        const discovered = response.accounts || [];
+        const now = new Date();
+
+        const operations = discovered.flatMap(account => [
+            // Known account: refresh what Google reports, leave the switch alone
+            {
+                updateOne: {
+                    filter: { _id: user._id },
+                    update: {
+                        $set: {
+                            'googleAccounts.$[account].accountName': account.accountName,
+                            'googleAccounts.$[account].type': account.type,
+                            'googleAccounts.$[account].role': account.role,
+                            'googleAccounts.$[account].lastSeenAt': now
+                        }
+                    },
+                    arrayFilters: [{ 'account.name': account.name }]
+                }
+            },
+            // New account: added only if no concurrent discovery added it first
+            {
+                updateOne: {
+                    filter: { _id: user._id, 'googleAccounts.name': { $ne: account.name } },
+                    update: {
+                        $push: {
+                            googleAccounts: {
+                                name: account.name,
+                                accountName: account.accountName,
+                                type: account.type,
+                                role: account.role,
+                                autoReplyEnabled: true,
+                                discoveredAt: now,
+                                lastSeenAt: now
+                            }
+                        }
+                    }
+                }
+            }
+        ]);
+        // Accounts the user can no longer manage
+        operations.push({
+            updateOne: {
+                filter: { _id: user._id },
+                update: { $pull: { googleAccounts: { name: { $nin: discovered.map(account => account.name) } } } }
+            }
+        });
+
+        await User.bulkWrite(operations);
+        const accounts = await this.listAccounts(user._id);
+        await cache.set(cacheKey, accounts, CACHE_TTL.ACCOUNTS);
+
+        return accounts;
+    }
+
+    async listAccounts(userId) {
+        const user = await User.findById(userId).select('googleAccounts').lean();
+        return user?.googleAccounts || [];
+    }
+
+    async findAccount(userId, accountId) {
+        const name = this.normalizeAccountId(accountId);
+        const accounts = await this.listAccounts(userId);
+        return accounts.find(account => account.name === name) || null;
+    }
+
+    /**
+     * Include or exclude an account from the auto-reply cycle
+     * @returns {object|null} Updated account, or null when the user doesn't own it
+     */
+    async setAutoReplyEnabled(userId, accountId, enabled) {
+        const name = this.normalizeAccountId(accountId);
+        const result = await User.updateOne(
+            { _id: userId, 'googleAccounts.name': name },
+            { $set: { 'googleAccounts.$.autoReplyEnabled': !!enabled } }
+        );
+
+        if (!result.matchedCount) {
+            return null;
+        }
+
+        await this.clearAccountCache(userId);
+        return this.findAccount(userId, name);
+    }
+}
+
+module.exports = new BusinessAccountService();
@@ -0,0 +1,444 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const ChatChannel = require('../models/ChatChannel');
+const { AppError } = require('../utils/errorHandler');
+const { outboundRequestOptions } = require('../utils/outboundUrl');
+const { NOTIFICATIONS } = require('../utils/constants');
+const notificationService = require('./notificationService');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTION_PURPOSE = 'chat_action';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Slack mrkdwn only needs these three escaped
+const escapeSlack = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const stars = (rating) => (rating ? '★'.repeat(rating) + '☆'.repeat(Math.max(0, 5 - rating)) : 'No rating');
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const renderPage = (content) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>Review reply</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 640px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+        blockquote { margin: 1rem 0; padding: .5rem 1rem; border-left: 4px solid #ccc; background: #f7f7f7; }
+        textarea { width: 100%; box-sizing: border-box; font: inherit; margin: .5rem 0 1rem; }
+        button { padding: .5rem 1rem; margin-right: .5rem; cursor: pointer; }
+        .secondary { background: none; border: 1px solid #999; }
+        .notice { padding: .75rem 1rem; background: #eef6ee; border: 1px solid #9c9; }
+    </style>
+</head>
+<body>
+    ${content}
+</body>
+</html>`;
+
+// Action links are signed separately from login tokens so neither can stand in for the other
+const getActionSecret = () => `${process.env.SESSION_SECRET}:${ACTION_PURPOSE}`;
+
+/**
+ * Chat Service - Posts new reviews, generated drafts and delivery failures to Slack
+ * and Microsoft Teams channels through incoming webhooks. Each channel can follow a
+ * subset of events and locations; drafts awaiting approval carry signed approve / edit
+ * links that open a small page served by the API.
+ */
+class ChatService {
+    /**
+     * Enabled channels that follow an event for a location
+     */
+    route(channels, event, locationId) {
+        return channels.filter(channel => channel.enabled
+            && channel.events.includes(event)
+            && (!channel.locationIds?.length || channel.locationIds.includes(locationId)));
+    }
+
+    async getEnabledChannels(userId) {
+        return ChatChannel.find({ userId, enabled: true }).lean();
+    }
+
+    /**
+     * Post newly synced, unanswered reviews. A review is posted to a channel once.
+     * @param {Array<object>} reviews - { reviewName, locationId, locationName, reviewerName, ratingValue, comment, createTime }
+     * @returns {number} Messages posted
+     */
+    async notifyReviews(user, reviews, now = new Date()) {
+        if (!reviews.length) {
+            return 0;
+        }
+
+        const channels = await this.getEnabledChannels(user._id);
+        if (!channels.length) {
+            return 0;
+        }
+
+        const cutoff = now.getTime() - NOTIFICATIONS.ESCALATION_MAX_AGE_DAYS * DAY_MS;
+        let posted = 0;
+
+        for (const review of reviews) {
+            if (review.createTime && new Date(review.createTime).getTime() < cutoff) {
+                continue;
+            }
+            const targets = this.route(channels, 'review.new', review.locationId);
+            if (targets.length) {
+                posted += await this.deliver(user, targets, 'review.new', review.reviewName, review);
+            }
+        }
+
+        if (posted) {
+            console.log(`[Chat] Posted ${posted} new review message(s) for user ${user._id}`);
+        }
+        return posted;
+    }
+
+    /**
+     * Post a task event: a generated draft or a reply that failed to post
+     * @param {string} event - draft.generated | delivery.failed
+     * @param {object} task - Task with _id, reviewName, location, reviewer, rating, comment, generatedReply, status, error
+     */
+    async notifyTask(user, event, task) {
+        const channels = await this.getEnabledChannels(user._id);
+        const targets = this.route(channels, event, task.locationId);
+        if (!targets.length) {
+            return 0;
+        }
+
+        // Every draft or failure is its own message, so the key only has to be unique
+        return this.deliver(user, targets, event, `${task._id}:${Date.now()}`, task);
+    }
+
+    /**
+     * Post one event to each channel, logging each attempt
+     * @returns {number} Channels attempted
+     */
+    async deliver(user, channels, event, dedupeKey, item) {
+        const message = this.buildMessage(user, event, item);
+        let attempted = 0;
+
+        for (const channel of channels) {
+            const delivery = await notificationService.claimDelivery(user, {
+                event,
+                channel: channel.provider,
+                target: channel._id.toString(),
+                dedupeKey,
+                subject: message.title,
+                reviewName: item.reviewName,
+                locationId: item.locationId,
+                locationName: item.locationName,
+                ratingValue: item.ratingValue
+            });
+            if (!delivery) {
+                continue;
+            }
+
+            attempted += 1;
+            await this.post(channel, delivery, message);
+        }
+        return attempted;
+    }
+
+    /**
+     * Send a message to one channel and keep the channel's last outcome for the settings page
+     */
+    async post(channel, delivery, message) {
+        const body = channel.provider === 'slack' ? this.toSlack(message) : this.toTeams(message);
+        const result = await notificationService.attempt(delivery, async () => {
+            this.assertWebhookHost(channel.provider, channel.webhookUrl);
+            return axios.post(channel.webhookUrl, body, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: Number(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || NOTIFICATIONS.WEBHOOK_TIMEOUT_MS),
+                ...outboundRequestOptions()
+            });
+        });
+
+        await ChatChannel.updateOne(
+            { _id: channel._id },
+            result.status === 'sent'
+                ? { $set: { lastDeliveryAt: result.sentAt }, $unset: { lastError: '' } }
+                : { $set: { lastError: result.error } }
+        );
+        return result;
+    }
+
+    /**
+     * Provider-neutral message: a title, body lines, facts and link buttons
+     */
+    buildMessage(user, event, item) {
+        const location = item.locationName || item.locationId || 'your business';
+        const reviewer = item.reviewerName || 'A customer';
+        const rating = item.ratingValue || 0;
+        const dashboardUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reviews`;
+        const facts = [
+            { name: 'Location', value: location },
+            { name: 'Rating', value: rating ? `${stars(rating)} (${rating}/5)` : 'No rating' }
+        ];
+        const review = item.comment ? `"${truncate(item.comment, 1000)}"` : '(No comment)';
+
+        if (event === 'review.new') {
+            return {
+                title: `New review from ${reviewer}`,
+                lines: [review],
+                facts,
+                actions: [{ label: 'Open dashboard', url: dashboardUrl }]
+            };
+        }
+
+        if (event === 'delivery.failed') {
+            return {
+                title: `Reply to ${reviewer} could not be posted`,
+                lines: [review, `Error: ${item.error || 'Unknown error'}`],
+                facts,
+                actions: [{ label: 'Retry from dashboard', url: dashboardUrl }]
+            };
+        }
+
+        const awaitingApproval = item.status === 'pending_approval';
+        const actionUrl = awaitingApproval ? this.createActionUrl(user._id, item._id) : null;
+        return {
+            title: awaitingApproval ? `Reply to ${reviewer} needs approval` : `Reply drafted for ${reviewer}`,
+            lines: [review, `Draft reply: ${truncate(item.generatedReply, 2000) || '(empty)'}`],
+            facts: [...facts, { name: 'Status', value: awaitingApproval ? 'Awaiting approval' : 'Scheduled to post' }],
+            actions: awaitingApproval
+                ? [
+                    { label: 'Approve', url: `${actionUrl}?intent=approve`, primary: true },
+                    { label: 'Edit reply', url: `${actionUrl}?intent=edit` }
+                ]
+                : [{ label: 'Open dashboard', url: dashboardUrl }]
+        };
+    }
+
+    /**
+     * Slack Block Kit body; `text` is the notification fallback
+     */
+    toSlack(message) {
+        return {
+            text: escapeSlack(message.title),
+            blocks: [
+                { type: 'header', text: { type: 'plain_text', text: truncate(message.title, 150) } },
+                {
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: truncate(message.lines.map(escapeSlack).join('\n\n'), 3000) },
+                    fields: message.facts.map(fact => ({ type: 'mrkdwn', text: `*${escapeSlack(fact.name)}*\n${escapeSlack(fact.value)}` }))
+                },
+                {
+                    type: 'actions',
+                    elements: message.actions.map(action => ({
+                        type: 'button',
+                        text: { type: 'plain_text', text: action.label },
+                        url: action.url,
+                        ...(action.primary && { style: 'primary' })
+                    }))
+                }
+            ]
+        };
+    }
+
+    /**
+     * Teams message with an Adaptive Card, as accepted by Teams incoming webhooks and workflows
+     */
+    toTeams(message) {
+        return {
+            type: 'message',
+            attachments: [{
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                content: {
+                    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                    type: 'AdaptiveCard',
+                    version: '1.4',
+                    body: [
+                        { type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true },
+                        ...message.lines.map(line => ({ type: 'TextBlock', text: line, wrap: true })),
+                        { type: 'FactSet', facts: message.facts.map(fact => ({ title: fact.name, value: fact.value })) }
+                    ],
+                    actions: message.actions.map(action => ({
+                        type: 'Action.OpenUrl',
+                        title: action.label,
+                        url: action.url,
+                        ...(action.primary && { style: 'positive' })
+                    }))
+                }
+            }]
+        };
+    }
+
+    /**
+     * Signed link to the approve / edit page for one task
+     */
+    createActionUrl(userId, taskId) {
+        const token = jwt.sign(
+            { sub: userId.toString(), taskId: taskId.toString(), purpose: ACTION_PURPOSE },
+            getActionSecret(),
+            { expiresIn: NOTIFICATIONS.CHAT_ACTION_TTL }
+        );
+        return `${process.env.API_URL || 'http://localhost:5000'}/api/chat-actions/${token}`;
+    }
+
+    /**
+     * @returns {{ userId: string, taskId: string }}
+     */
+    verifyActionToken(token) {
+        try {
+            const payload = jwt.verify(token, getActionSecret());
+            if (payload.purpose !== ACTION_PURPOSE) {
+                throw new Error('Wrong token purpose');
+            }
+            return { userId: payload.sub, taskId: payload.taskId };
+        } catch (error) {
+            throw new AppError('This link is invalid or has expired. Open the task from your dashboard instead.', 401);
+        }
+    }
+
+    /**
+     * Approve / edit / reject page for a task opened from a chat message
+     * @param {object} options - intent: approve | edit; notice: outcome of a submitted action
+     */
+    renderActionPage(task, { intent = 'approve', notice = null } = {}) {
+        const pending = task.status === 'pending_approval';
+        const body = pending
+            ? `
+                <form method="post">
+                    <label for="reply">Reply</label>
+                    <textarea id="reply" name="reply" rows="8" maxlength="4096" ${intent === 'edit' ? 'autofocus' : ''}>${escapeHtml(task.generatedReply)}</textarea>
+                    <button type="submit" name="action" value="approve">Approve and post</button>
+                    <button type="submit" name="action" value="reject" class="secondary">Reject</button>
+                </form>`
+            : `<p>This reply is <strong>${escapeHtml(task.status.replace(/_/g, ' '))}</strong> and no longer needs approval.</p>`;
+
+        return renderPage(`
+    <h1>${escapeHtml(task.reviewerName || 'A customer')} - ${escapeHtml(task.locationName || 'your business')}</h1>
+    ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+    <p>${stars(task.ratingValue || 0)}</p>
+    <blockquote>${task.comment ? escapeHtml(task.comment) : '<em>No comment</em>'}</blockquote>
+    ${body}`);
+    }
+
+    /**
+     * Page shown when an action link can't be used
+     */
+    renderErrorPage(message) {
+        return renderPage(`<h1>Review reply</h1>\n    <p>${escapeHtml(message)}</p>`);
+    }
+
+    /**
+     * Channel as returned by the API. Webhook URLs embed a credential, so only the
+     * start of the URL is shown.
+     */
+    toPublic(channel) {
+        const { webhookUrl, __v, ...rest } = channel;
+        let maskedUrl = null;
+        try {
+            const url = new URL(webhookUrl);
+            maskedUrl = `${url.origin}/…${webhookUrl.slice(-4)}`;
+        } catch (error) {
+            maskedUrl = '…';
+        }
+        return { ...rest, webhookUrl: maskedUrl };
+    }
+
+    async listChannels(userId) {
+        const channels = await ChatChannel.find({ userId }).sort({ createdAt: 1 }).lean();
+        return channels.map(channel => this.toPublic(channel));
+    }
+
+    /**
+     * Only the provider's own incoming webhook hosts are posted to
+     * @throws {AppError} 400 for any other URL
+     */
+    assertWebhookHost(provider, webhookUrl) {
+        const allowed = NOTIFICATIONS.CHAT_WEBHOOK_HOSTS[provider] || [];
+        let url = null;
+        try {
+            url = new URL(webhookUrl);
+        } catch (error) {
+            // Reported below
+        }
+
+        const host = url?.hostname.toLowerCase();
+        const matches = url?.protocol === 'https:'
+            && allowed.some(domain => host === domain || host.endsWith(`.${domain}`));
+        if (!matches) {
+            throw new AppError(`webhookUrl must be an https ${provider} incoming webhook URL on ${allowed.join(', ')}.`, 400);
+        }
+    }
+
+    async createChannel(userId, fields) {
+        this.assertWebhookHost(fields.provider, fields.webhookUrl);
+        const count = await ChatChannel.countDocuments({ userId });
+        if (count >= NOTIFICATIONS.MAX_CHAT_CHANNELS) {
+            throw new AppError(`At most ${NOTIFICATIONS.MAX_CHAT_CHANNELS} chat channels can be connected.`, 400);
+        }
+        const channel = await ChatChannel.create({ ...fields, userId });
+        return this.toPublic(channel.toObject());
+    }
+
+    async updateChannel(userId, channelId, fields) {
+        if (fields.webhookUrl) {
+            const existing = await ChatChannel.findOne({ _id: channelId, userId }).select('provider').lean();
+            if (!existing) {
+                throw new AppError('Chat channel not found', 404);
+            }
+            this.assertWebhookHost(existing.provider, fields.webhookUrl);
+        }
+        const channel = await ChatChannel.findOneAndUpdate(
+            { _id: channelId, userId },
+            { $set: fields },
+            { new: true, runValidators: true }
+        ).lean();
+        if (!channel) {
+            throw new AppError('Chat channel not found', 404);
+        }
+        return this.toPublic(channel);
+    }
+
+    async deleteChannel(userId, channelId) {
+        const result = await ChatChannel.deleteOne({ _id: channelId, userId });
+        if (!result.deletedCount) {
+            throw new AppError('Chat channel not found', 404);
+        }
+    }
+
+    /**
+     * Post a sample message to one channel, whatever its event and location filters
+     * @returns {object} Delivery document
+     */
+    async sendTest(user, channelId) {
+        const channel = await ChatChannel.findOne({ _id: channelId, userId: user._id }).lean();
+        if (!channel) {
+            throw new AppError('Chat channel not found', 404);
+        }
+
+        const review = {
+            reviewName: `test-${Date.now()}`,
+            locationName: 'Sample location',
+            reviewerName: 'Sample customer',
+            ratingValue: 4,
+            comment: 'This is a test message. Real messages quote the review here.'
+        };
+        const message = this.buildMessage(user, 'review.new', review);
+        const delivery = await notificationService.claimDelivery(user, {
+            event: 'test',
+            channel: channel.provider,
+            target: channel._id.toString(),
+            dedupeKey: review.reviewName,
+            subject: message.title,
+            reviewName: review.reviewName,
+            ratingValue: review.ratingValue
+        });
+        return (await this.post(channel, delivery, message)).toObject();
+    }
+}
+
+module.exports = new ChatService();
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+const { AppError } = require('../utils/errorHandler');
+const { SUBSCRIPTION_PLANS, BILLING } = require('../utils/constants');
+const { getPlanPrice } = require('./payments/pricing');
+
+const PAID_STATUSES = ['captured', 'refunded', 'partially_refunded'];
+const UNPAID_STATUSES = ['created', 'failed'];
+const RESERVATION_TTL_MS = BILLING.COUPON_RESERVATION_TTL_MS;
+
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Coupon Service - Discount codes: validation and pricing at checkout, redemptions
+ * reserved when a discounted checkout is created, and super-admin reporting.
+ */
+class CouponService {
+    /**
+     * Price a plan with a coupon applied
+     * @returns {{ listAmount: number, discountAmount: number, amount: number }} Amounts in the currency's smallest unit
+     */
+    getPricing(coupon, planKey, currency = 'INR') {
+        const listAmount = getPlanPrice(planKey, currency);
+        const discountAmount = coupon.type === 'percentage'
+            ? Math.round((listAmount * Math.min(coupon.value, 100)) / 100)
+            : Math.min(coupon.value, listAmount);
+
+        return { listAmount, discountAmount, amount: listAmount - discountAmount };
+    }
+
+    /**
+     * Whether the user paid with the coupon, or has a discounted checkout with it still open
+     */
+    async hasRedeemed(userId, couponId, now = new Date()) {
+        return !!(await Payment.exists({
+            userId,
+            'coupon.couponId': couponId,
+            $or: [
+                { status: { $in: PAID_STATUSES } },
+                {
+                    status: { $in: UNPAID_STATUSES },
+                    'coupon.reserved': true,
+                    createdAt: { $gt: new Date(now.getTime() - RESERVATION_TTL_MS) }
+                }
+            ]
+        }));
+    }
+
+    /**
+     * Check a code against a checkout and price it
+     * @returns {object} Coupon document plus pricing
+     */
+    async validate(code, { userId, plan, currency = 'INR', now = new Date() }) {
+        const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+        if (!coupon || !coupon.active) {
+            throw new AppError('Coupon code not found.', 404);
+        }
+        if (coupon.expiresAt && coupon.expiresAt <= now) {
+            throw new AppError('This coupon has expired.', 400);
+        }
+        if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+            throw new AppError('This coupon has reached its redemption limit.', 400);
+        }
+
+        const selectedPlan = SUBSCRIPTION_PLANS[plan];
+        if (!selectedPlan?.priceInPaise) {
+            throw new AppError('Coupons apply to paid plans only.', 400);
+        }
+        if (!getPlanPrice(plan, currency)) {
+            throw new AppError(`The ${selectedPlan.name} plan is not sold in ${currency}.`, 400);
+        }
+        if (coupon.plans.length && !coupon.plans.includes(plan)) {
+            throw new AppError(`This coupon is not valid for the ${selectedPlan.name} plan.`, 400);
+        }
+        if (coupon.type === 'fixed' && coupon.currency !== currency) {
+            throw new AppError('This coupon is not valid for the plan currency.', 400);
+        }
+        if (userId && await this.hasRedeemed(userId, coupon._id, now)) {
+            throw new AppError('You have already used this coupon.', 400);
+        }
+
+        const pricing = this.getPricing(coupon, plan, currency);
+        // Renewals bill a discounted provider plan, which can't be free
+        if (coupon.duration === 'recurring' && pricing.amount < BILLING.MIN_CHARGE_PAISE) {
+            throw new AppError('This coupon cannot be applied to the selected plan.', 400);
+        }
+
+        return {
+            coupon,
+            ...pricing,
+            currency
+        };
+    }
+
+    /**
+     * Snapshot stored on the checkout's ledger entry, whose redemption was reserved
+     */
+    toApplied(coupon, { listAmount, discountAmount }) {
+        return {
+            couponId: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            value: coupon.value,
+            duration: coupon.duration,
+            listAmount,
+            discountAmount,
+            reserved: true
+        };
+    }
+
+    /**
+     * Hold one redemption for a checkout. The limit is enforced here with a single
+     * conditional update, so concurrent checkouts can't take more than maxRedemptions.
+     * @throws {AppError} 400 when no redemption is left
+     */
+    async reserve(coupon, now = new Date()) {
+        if (coupon.maxRedemptions !== null) {
+            await this.releaseStaleReservations(coupon._id, now);
+        }
+
+        const result = await Coupon.updateOne(
+            {
+                _id: coupon._id,
+                active: true,
+                $or: [
+                    { maxRedemptions: null },
+                    { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+                ]
+            },
+            { $inc: { redemptionCount: 1 } }
+        );
+        if (!result.modifiedCount) {
+            throw new AppError('This coupon has reached its redemption limit.', 400);
+        }
+    }
+
+    /**
+     * Give back a redemption whose checkout couldn't be created
+     */
+    async release(couponId) {
+        await Coupon.updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+    }
+
+    /**
+     * Give back the redemptions of checkouts left unpaid for RESERVATION_TTL_MS
+     * @returns {number} Redemptions released
+     */
+    async releaseStaleReservations(couponId, now = new Date()) {
+        const stale = await Payment.find({
+            'coupon.couponId': couponId,
+            'coupon.reserved': true,
+            status: { $in: UNPAID_STATUSES },
+            createdAt: { $lte: new Date(now.getTime() - RESERVATION_TTL_MS) }
+        })
+            .select('_id')
+            .lean();
+
+        let released = 0;
+        for (const { _id } of stale) {
+            // Conditional, so a capture landing at the same moment keeps its redemption
+            const result = await Payment.updateOne(
+                { _id, 'coupon.reserved': true, status: { $in: UNPAID_STATUSES } },
+                { $set: { 'coupon.reserved': false } }
+            );
+            if (result.modifiedCount) {
+                await this.release(couponId);
+                released += 1;
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Count a paid checkout whose reservation had already been given back
+     */
+    async recordRedemption(couponId) {
+        await Coupon.updateOne({ _id: couponId }, { $inc: { redemptionCount: 1 } });
+    }
+
+    async list({ active, page = 1, limit = 20 } = {}) {
+        const query = {};
+        if (active !== undefined) query.active = active;
+
+        const [coupons, total] = await Promise.all([
+            Coupon.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Coupon.countDocuments(query)
+        ]);
+
+        return { coupons, total };
+    }
+
+    async create(data, createdBy) {
+        try {
+            const coupon = await Coupon.create({ ...data, code: normalizeCode(data.code), createdBy });
+            return coupon.toObject();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('A coupon with this code already exists.', 409);
+            }
+            throw error;
+        }
+    }
+
+    async get(couponId) {
+        const coupon = await Coupon.findById(couponId).lean();
+        if (!coupon) {
+            throw new AppError('Coupon not found.', 404);
+        }
+        return coupon;
+    }
+
+    /**
+     * Code, type, value and duration are fixed once created so past reports stay meaningful
+     */
+    async update(couponId, data) {
+        const coupon = await Coupon.findByIdAndUpdate(couponId, { $set: data }, { new: true, runValidators: true }).lean();
+        if (!coupon) {
+            throw new AppError('Coupon not found.', 404);
+        }
+        return coupon;
+    }
+
+    /**
+     * Redemptions, revenue and discount given for one coupon
+     */
+    async getReport(couponId) {
+        const [totals] = await Payment.aggregate([
+            { $match: { 'coupon.couponId': toObjectId(couponId), status: { $in: PAID_STATUSES } } },
+            {
+                $group: {
+                    _id: null,
+                    payments: { $sum: 1 },
+                    customers: { $addToSet: '$userId' },
+                    revenue: { $sum: { $subtract: ['$amount', { $ifNull: ['$amountRefunded', 0] }] } },
+                    discount: { $sum: '$coupon.discountAmount' }
+                }
+            }
+        ]);
+
+        return {
+            payments: totals?.payments || 0,
+            customers: totals?.customers.length || 0,
+            revenue: totals?.revenue || 0,
+            discount: totals?.discount || 0
+        };
+    }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,382 @@
+const User = require('../models/User');
+const AutoReplyTask = require('../models/AutoReplyTask');
+const { AppError } = require('../utils/errorHandler');
+const { AUTO_REPLY, DIGEST } = require('../utils/constants');
+const autoReplyService = require('./autoReplyService');
+const notificationService = require('./notificationService');
+require('dotenv').config();
+
+const SERVICE_ENABLED = process.env.DIGEST_SERVICE_ENABLED !== 'false';
+const CHECK_INTERVAL_MS = Number(process.env.DIGEST_CHECK_INTERVAL_MS || DIGEST.CHECK_INTERVAL_MS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+};
+
+const getOffsetMs = (time, timeZone) => {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return asUtc - Math.floor(time / 60000) * 60000;
+};
+
+/**
+ * The instant a local wall-clock hour occurs in a timezone. Day overflow is
+ * normalised (day 32 is the 1st of the next month); an hour skipped by a DST
+ * change resolves to the hour after it.
+ */
+const zonedTimeToUtc = (year, month, day, hour, timeZone) => {
+    const guess = Date.UTC(year, month - 1, day, hour);
+    const first = guess - getOffsetMs(guess, timeZone);
+    const offset = getOffsetMs(first, timeZone);
+    return new Date(guess - offset);
+};
+
+const formatDate = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+}).format(date);
+
+const formatRating = (value) => (value === null ? '-' : value.toFixed(2));
+
+/**
+ * Digest Service - Emails each user a daily or weekly summary of new reviews,
+ * replies sent, failed tasks and pending approvals at their chosen local time.
+ * Sends are logged as notification deliveries, one per recipient and period.
+ */
+class DigestService {
+    constructor() {
+        this.interval = null;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (!SERVICE_ENABLED) {
+            console.log('Digest job disabled via DIGEST_SERVICE_ENABLED flag.');
+            return;
+        }
+
+        if (this.interval) {
+            return;
+        }
+
+        console.log(`Digest job online (interval: ${CHECK_INTERVAL_MS / 1000}s).`);
+        this.interval = setInterval(() => this.runCycle(), CHECK_INTERVAL_MS);
+        this.runCycle();
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Digest settings with defaults filled in
+     */
+    getSettings(user) {
+        const digest = user.notificationSettings?.digest || {};
+        return {
+            frequency: digest.frequency || 'off',
+            timezone: digest.timezone || DIGEST.DEFAULT_TIMEZONE,
+            hour: digest.hour ?? DIGEST.DEFAULT_HOUR,
+            weekday: digest.weekday ?? DIGEST.DEFAULT_WEEKDAY,
+            recipients: digest.recipients || [],
+            nextRunAt: digest.nextRunAt || null,
+            lastSentAt: digest.lastSentAt || null
+        };
+    }
+
+    getRecipients(user) {
+        const recipients = user.notificationSettings?.digest?.recipients;
+        return recipients?.length ? recipients : [user.email].filter(Boolean);
+    }
+
+    /**
+     * The first scheduled send strictly after `after`
+     * @param {object} settings - { frequency, timezone, hour, weekday }
+     * @returns {Date|null} Null when digests are off
+     */
+    computeNextRun(settings, after = new Date()) {
+        if (!PERIOD_DAYS[settings.frequency]) {
+            return null;
+        }
+
+        const local = getZonedParts(after, settings.timezone);
+        let days = settings.frequency === 'weekly' ? (settings.weekday - local.weekday + 7) % 7 : 0;
+        let next = zonedTimeToUtc(local.year, local.month, local.day + days, settings.hour, settings.timezone);
+
+        while (next <= after) {
+            days += PERIOD_DAYS[settings.frequency];
+            next = zonedTimeToUtc(local.year, local.month, local.day + days, settings.hour, settings.timezone);
+        }
+        return next;
+    }
+
+    /**
+     * Activity for one digest period, compared with the period before it. The window
+     * starts at the last send so a late run doesn't drop anything, capped at one period.
+     */
+    async buildSummary(user, frequency, now = new Date()) {
+        const periodMs = PERIOD_DAYS[frequency] * DAY_MS;
+        const lastSentAt = user.notificationSettings?.digest?.lastSentAt;
+        const periodStart = new Date(Math.max(now.getTime() - periodMs, lastSentAt ? lastSentAt.getTime() : 0));
+        const previousStart = new Date(periodStart.getTime() - periodMs);
+
+        const [[activity], stats, failedTasks] = await Promise.all([
+            AutoReplyTask.aggregate([
+                { $match: { userId: user._id } },
+                {
+                    $facet: {
+                        current: [
+                            { $match: { createdAt: { $gte: periodStart, $lt: now } } },
+                            {
+                                $group: {
+                                    _id: null,
+                                    count: { $sum: 1 },
+                                    averageRating: { $avg: '$ratingValue' },
+                                    negative: {
+                                        $sum: { $cond: [{ $and: [{ $gt: ['$ratingValue', 0] }, { $lte: ['$ratingValue', 2] }] }, 1, 0] }
+                                    }
+                                }
+                            }
+                        ],
+                        previous: [
+                            { $match: { createdAt: { $gte: previousStart, $lt: periodStart } } },
+                            { $group: { _id: null, count: { $sum: 1 }, averageRating: { $avg: '$ratingValue' } } }
+                        ],
+                        repliesSent: [
+                            { $match: { status: 'sent', sentAt: { $gte: periodStart, $lt: now } } },
+                            { $count: 'count' }
+                        ]
+                    }
+                }
+            ]),
+            autoReplyService.getStatsForUser(user._id),
+            AutoReplyTask.find({ userId: user._id, status: { $in: AUTO_REPLY.FAILED_STATUSES } })
+                .sort({ updatedAt: -1 })
+                .limit(DIGEST.MAX_ATTENTION_ITEMS)
+                .select('reviewerName locationName ratingValue status failureStage error lastTriedAt')
+                .lean()
+        ]);
+
+        const current = activity?.current?.[0] || {};
+        const previous = activity?.previous?.[0] || {};
+        const averageRating = current.averageRating ?? null;
+        const previousAverageRating = previous.averageRating ?? null;
+
+        return {
+            frequency,
+            periodStart,
+            periodEnd: now,
+            newReviews: current.count || 0,
+            negativeReviews: current.negative || 0,
+            previousReviews: previous.count || 0,
+            averageRating,
+            previousAverageRating,
+            ratingChange: averageRating !== null && previousAverageRating !== null
+                ? Math.round((averageRating - previousAverageRating) * 100) / 100
+                : null,
+            repliesSent: activity?.repliesSent?.[0]?.count || 0,
+            failedTotal: stats.failedTotal,
+            pendingApproval: stats.pendingApproval,
+            sentAllTime: stats.sentAllTime,
+            failedTasks
+        };
+    }
+
+    /**
+     * Email subject, plaintext and HTML bodies for a digest summary
+     */
+    render(user, summary, timezone = DIGEST.DEFAULT_TIMEZONE) {
+        const dashboardUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+        const label = summary.frequency === 'weekly' ? 'Weekly' : 'Daily';
+        const range = `${formatDate(summary.periodStart, timezone)} - ${formatDate(summary.periodEnd, timezone)}`;
+        const change = summary.ratingChange === null
+            ? 'no earlier reviews to compare'
+            : `${summary.ratingChange >= 0 ? '+' : ''}${summary.ratingChange.toFixed(2)} vs previous period`;
+        const moreFailed = summary.failedTotal - summary.failedTasks.length;
+
+        const rows = [
+            ['New reviews', `${summary.newReviews}${summary.negativeReviews ? ` (${summary.negativeReviews} rated 2★ or lower)` : ''}`],
+            ['Average rating', `${formatRating(summary.averageRating)} (${change})`],
+            ['Replies sent', String(summary.repliesSent)],
+            ['Awaiting your approval', String(summary.pendingApproval)],
+            ['Failed, needs attention', String(summary.failedTotal)]
+        ];
+        const describeTask = (task) => `${task.reviewerName || 'A customer'} at ${task.locationName || 'your business'}`
+            + `${task.ratingValue ? ` (${task.ratingValue}★)` : ''} - ${(task.failureStage || (task.status === 'generation_failed' ? 'generation' : 'delivery')) === 'generation' ? 'reply generation failed' : 'posting the reply failed'}`
+            + `${task.status === 'dead_letter' ? ', no more automatic retries' : ''}`;
+
+        const subject = `${label} review digest: ${summary.newReviews} new review${summary.newReviews === 1 ? '' : 's'}`
+            + `${summary.pendingApproval ? `, ${summary.pendingApproval} awaiting approval` : ''}`;
+
+        const text = [
+            `${label} review digest for ${user.name || user.email} (${range})`,
+            '',
+            ...rows.map(([name, value]) => `${name}: ${value}`),
+            ...(summary.failedTasks.length
+                ? ['', 'Needs attention:', ...summary.failedTasks.map(task => `- ${describeTask(task)}`)]
+                : []),
+            ...(moreFailed > 0 ? [`...and ${moreFailed} more`] : []),
+            '',
+            `Open your dashboard: ${dashboardUrl}`
+        ].join('\n');
+
+        const html = `
+            <h2>${label} review digest</h2>
+            <p>${escapeHtml(range)}</p>
+            <table cellpadding="6" style="border-collapse:collapse">
+                ${rows.map(([name, value]) => `<tr><td>${escapeHtml(name)}</td><td><strong>${escapeHtml(value)}</strong></td></tr>`).join('')}
+            </table>
+            ${summary.failedTasks.length ? `
+            <h3>Needs attention</h3>
+            <ul>${summary.failedTasks.map(task => `<li>${escapeHtml(describeTask(task))}</li>`).join('')}</ul>
+            ${moreFailed > 0 ? `<p>...and ${moreFailed} more</p>` : ''}` : ''}
+            <p><a href="${escapeHtml(dashboardUrl)}">Open your dashboard</a></p>
+        `;
+
+        return { subject, text, html };
+    }
+
+    /**
+     * Build and render a digest without sending it
+     */
+    async preview(user, frequency, now = new Date()) {
+        const settings = this.getSettings(user);
+        const summary = await this.buildSummary(user, frequency || (settings.frequency === 'off' ? 'daily' : settings.frequency), now);
+        return { summary, ...this.render(user, summary, settings.timezone) };
+    }
+
+    /**
+     * Send a digest to each recipient, once per period. A manual send gets its own
+     * dedupe key so it never blocks the scheduled one.
+     * @returns {Array<object>} Delivery documents
+     */
+    async send(user, frequency, { now = new Date(), manual = false } = {}) {
+        const recipients = this.getRecipients(user);
+        if (!recipients.length) {
+            throw new AppError('No digest recipients are configured.', 400);
+        }
+
+        const { summary, subject, text, html } = await this.preview(user, frequency, now);
+        const settings = this.getSettings(user);
+        const dedupeKey = manual
+            ? `manual-${now.getTime()}`
+            : new Intl.DateTimeFormat('en-CA', { timeZone: settings.timezone }).format(now);
+
+        const deliveries = [];
+        for (const target of recipients) {
+            const delivery = await notificationService.claimDelivery(user, {
+                event: `digest.${summary.frequency}`,
+                channel: 'email',
+                target,
+                dedupeKey,
+                subject
+            });
+            if (delivery) {
+                deliveries.push((await notificationService.send(user, delivery, { subject, text, html })).toObject());
+            }
+        }
+        return deliveries;
+    }
+
+    /**
+     * Send a due digest and schedule the next one. The schedule moves on even when
+     * sending fails so a broken destination isn't retried every cycle.
+     */
+    async processUser(user, now) {
+        const settings = this.getSettings(user);
+        try {
+            return await this.send(user, settings.frequency, { now });
+        } finally {
+            await User.updateOne(
+                { _id: user._id },
+                {
+                    $set: {
+                        'notificationSettings.digest.lastSentAt': now,
+                        'notificationSettings.digest.nextRunAt': this.computeNextRun(settings, now)
+                    }
+                }
+            );
+        }
+    }
+
+    async runCycle() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+
+        const now = new Date();
+        let sent = 0;
+
+        try {
+            const cursor = User.find({
+                'notificationSettings.digest.frequency': { $in: Object.keys(PERIOD_DAYS) },
+                'notificationSettings.digest.nextRunAt': { $lte: now }
+            })
+                .select('_id name email notificationSettings')
+                .cursor();
+
+            for await (const user of cursor) {
+                try {
+                    const deliveries = await this.processUser(user, now);
+                    if (deliveries.some(delivery => delivery.status === 'sent')) {
+                        sent += 1;
+                    }
+                } catch (error) {
+                    console.error(`[Digest] Failed to send digest for user ${user._id}:`, error.message);
+                }
+            }
+
+            if (sent) {
+                console.log(`[Digest] Sent ${sent} digest(s)`);
+            }
+        } catch (error) {
+            console.error('Digest cycle error:', error);
+        } finally {
+            this.isRunning = false;
+        }
+
+        return { sent };
+    }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+const { AppError } = require('../utils/errorHandler');
+require('dotenv').config();
+
+/**
+ * Email Service - Outgoing mail over SMTP
+ */
+class EmailService {
+    constructor() {
+        this.transport = null;
+    }
+
+    isConfigured() {
+        return !!process.env.SMTP_HOST;
+    }
+
+    getFrom() {
+        return process.env.SMTP_FROM || process.env.SMTP_USER || 'Review Reply <no-reply@localhost>';
+    }
+
+    get transporter() {
+        if (!this.isConfigured()) {
+            throw new AppError('SMTP is not configured on this server.', 500);
+        }
+        if (!this.transport) {
+            const port = Number(process.env.SMTP_PORT || 587);
+            this.transport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+        }
+        return this.transport;
+    }
+
+    /**
+     * @param {object} message - { to, subject, text, html }
+     * @returns {object} nodemailer send info
+     */
+    async send({ to, subject, text, html }) {
+        return this.transporter.sendMail({
+            from: this.getFrom(),
+            to,
+            subject,
+            text,
+            html
+        });
+    }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,122 @@
+const { AppError } = require('../utils/errorHandler');
+const { PLAN_ENTITLEMENTS, SUBSCRIPTION_PLANS, SUBSCRIPTION_LIFECYCLE } = require('../utils/constants');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_MS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || SUBSCRIPTION_LIFECYCLE.GRACE_DAYS) * DAY_MS;
+const TRIAL_GRACE_MS = Number(process.env.TRIAL_GRACE_DAYS || SUBSCRIPTION_LIFECYCLE.TRIAL_GRACE_DAYS) * DAY_MS;
+
+const FEATURE_LABELS = {
+    manualReplies: 'Manual replies',
+    aiReplies: 'AI reply suggestions',
+    autoReply: 'Auto-reply',
+    customTone: 'Custom reply tone',
+    delaySettings: 'Reply delay settings',
+    advancedAi: 'Advanced AI replies'
+};
+
+// Cheapest first, so upgrade hints point at the smallest plan that unlocks a feature
+const UPGRADE_ORDER = ['basic', 'pro', 'enterprise'];
+
+/**
+ * Entitlement Service - Resolves what a user's subscription currently allows.
+ * Only an active (or past_due, within its grace period) paid plan grants its
+ * entitlements; otherwise an active trial grants the trial set and everything
+ * else is treated as free.
+ */
+class EntitlementService {
+    /**
+     * @returns {Date|null} When a paid plan loses its entitlements, or null if it never expires
+     */
+    getSubscriptionGraceEnd(subscription = {}) {
+        if (subscription.status === 'past_due' && subscription.graceEndsAt) {
+            return new Date(subscription.graceEndsAt);
+        }
+        if (!subscription.expiresAt) {
+            return null;
+        }
+        return new Date(new Date(subscription.expiresAt).getTime() + GRACE_MS);
+    }
+
+    /**
+     * @returns {Date|null} When a trial loses its entitlements, or null if it has no end date
+     */
+    getTrialGraceEnd(trial = {}) {
+        if (!trial.endDate) {
+            return null;
+        }
+        return new Date(new Date(trial.endDate).getTime() + TRIAL_GRACE_MS);
+    }
+
+    /**
+     * @param {object} user - User document (needs subscription and trial)
+     * @returns {string} Plan whose entitlements apply right now
+     */
+    getEffectivePlan(user, now = new Date()) {
+        const subscription = user?.subscription || {};
+        const plan = subscription.plan || 'free';
+
+        if (plan !== 'free' && plan !== 'trial' && PLAN_ENTITLEMENTS[plan]) {
+            const isActive = ['active', 'past_due'].includes(subscription.status);
+            const graceEnd = this.getSubscriptionGraceEnd(subscription);
+            if (isActive && (!graceEnd || graceEnd > now)) {
+                return plan;
+            }
+        }
+
+        const trial = user?.trial || {};
+        const trialEnd = this.getTrialGraceEnd(trial);
+        if (trial.status === 'active' && (!trialEnd || trialEnd > now)) {
+            return 'trial';
+        }
+
+        return 'free';
+    }
+
+    getEntitlements(user) {
+        const effectivePlan = this.getEffectivePlan(user);
+        const { features, limits } = PLAN_ENTITLEMENTS[effectivePlan];
+        return {
+            plan: user?.subscription?.plan || 'free',
+            effectivePlan,
+            status: user?.subscription?.status || 'active',
+            features: { ...features },
+            limits: { ...limits }
+        };
+    }
+
+    can(user, feature) {
+        return !!PLAN_ENTITLEMENTS[this.getEffectivePlan(user)].features[feature];
+    }
+
+    /**
+     * @returns {number|null} Limit value, or null when unlimited
+     */
+    getLimit(user, limit) {
+        const value = PLAN_ENTITLEMENTS[this.getEffectivePlan(user)].limits[limit];
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Cheapest paid plan that includes a feature, for upgrade hints
+     */
+    getUpgradePlan(feature) {
+        return UPGRADE_ORDER.find(plan => PLAN_ENTITLEMENTS[plan].features[feature]) || null;
+    }
+
+    /**
+     * Throw 403 when the user's current plan doesn't include a feature
+     */
+    assertFeature(user, feature) {
+        if (this.can(user, feature)) {
+            return;
+        }
+
+        const label = FEATURE_LABELS[feature] || feature;
+        const upgradePlan = this.getUpgradePlan(feature);
+        const hint = upgradePlan ? ` Upgrade to ${SUBSCRIPTION_PLANS[upgradePlan].name} or higher to use it.` : '';
+        throw new AppError(`${label} is not available on your current plan.${hint}`, 403);
+    }
+}
+
+module.exports = new EntitlementService();
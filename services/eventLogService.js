@@ -0,0 +1,73 @@
+const UserEvent = require('../models/UserEvent');
+const UserEventCounter = require('../models/UserEventCounter');
+const { EVENT_LOG } = require('../utils/constants');
+
+/**
+ * Event Log Service - Short-lived per-user history of websocket events.
+ * Each event gets the next sequence number for its user; a client that reconnects
+ * sends the last number it saw and receives everything after it.
+ */
+class EventLogService {
+    /**
+     * @returns {number} Sequence number for the user's next event
+     */
+    async nextSeq(userId) {
+        const counter = await UserEventCounter.findByIdAndUpdate(
+            userId,
+            { $inc: { seq: 1 } },
+            { upsert: true, new: true }
+        ).lean();
+        return counter.seq;
+    }
+
+    /**
+     * Keep an event under the sequence number it was sent with
+     */
+    async store(userId, seq, event, data) {
+        const serialized = data === undefined ? '' : JSON.stringify(data);
+        const truncated = Buffer.byteLength(serialized) > EVENT_LOG.MAX_PAYLOAD_BYTES;
+
+        await UserEvent.create({
+            userId,
+            seq,
+            event,
+            data: truncated ? null : data,
+            truncated
+        });
+    }
+
+    /**
+     * Events after `since`, oldest first
+     * @param {number} since - Last sequence number the client received
+     * @returns {object} events, latestSeq, and complete: false when some events are not
+     *   available (expired, more than MAX_REPLAY, or still being stored) and the client should reload
+     */
+    async replay(userId, since) {
+        const counter = await UserEventCounter.findById(userId).lean();
+        const latestSeq = counter?.seq || 0;
+
+        if (!Number.isInteger(since) || since < 0) {
+            // First connection: nothing to replay, just where the sequence stands
+            return { events: [], latestSeq, complete: true };
+        }
+        if (since >= latestSeq) {
+            return { events: [], latestSeq, complete: since === latestSeq };
+        }
+
+        const events = await UserEvent.find({ userId, seq: { $gt: since } })
+            .sort({ seq: 1 })
+            .limit(EVENT_LOG.MAX_REPLAY)
+            .select('-_id seq event data truncated createdAt')
+            .lean();
+
+        const complete = events.length > 0
+            && events[0].seq === since + 1
+            && events[events.length - 1].seq === latestSeq
+            && events.length === latestSeq - since
+            && !events.some(item => item.truncated);
+
+        return { events, latestSeq, complete };
+    }
+}
+
+module.exports = new EventLogService();
@@ -2,6 +2,7 @@ const axios = require('axios');
 const { GOOGLE_API } = require('../utils/constants');
 const tokenRefreshService = require('./tokenRefreshService');
 const User = require('../models/User');
+const cache = require('../utils/cache');
 
 /**
  * Google API Service - Handles all Google My Business API calls with proper error handling and retry logic
@@ -14,9 +15,8 @@ class GoogleApiService {
                 'Content-Type': 'application/json'
             }
         });
-        // Cache to track users without refresh tokens (prevents repeated DB queries)
-        // Key: userId, Value: { hasRefreshToken: boolean, lastChecked: timestamp }
-        this.tokenCache = new Map();
+        // Whether a user has a refresh token is cached (prevents repeated DB queries) in
+        // utils/cache under google:refresh-token:<userId> rather than a per-process Map
         // Cache expiry: 1 hour
         this.cacheExpiry = 60 * 60 * 1000;
     }
@@ -25,17 +25,15 @@ class GoogleApiService {
      * Check if user has refresh token (with caching to prevent repeated DB queries)
      */
     async hasRefreshToken(userId) {
-        const cached = this.tokenCache.get(userId);
-        const now = Date.now();
-        
-        if (cached && (now - cached.lastChecked) < this.cacheExpiry) {
-            return cached.hasRefreshToken;
+        const cached = await cache.get(`google:refresh-token:${userId}`);
+        if (cached !== null) {
+            return cached;
         }
 
         try {
             const user = await User.findById(userId).select('googleRefreshToken').lean();
             const hasToken = !!(user && user.googleRefreshToken);
-            this.tokenCache.set(userId, { hasRefreshToken: hasToken, lastChecked: now });
+            await cache.set(`google:refresh-token:${userId}`, hasToken, this.cacheExpiry);
             return hasToken;
         } catch (error) {
             console.error(`Error checking refresh token for user ${userId}:`, error.message);
@@ -47,7 +45,7 @@ class GoogleApiService {
      * Clear token cache for a user (call after successful refresh or token update)
      */
     clearTokenCache(userId) {
-        this.tokenCache.delete(userId);
+        return cache.delete(`google:refresh-token:${userId}`);
     }
 
     /**
@@ -80,9 +78,12 @@ class GoogleApiService {
                     if (userId) {
                         console.warn(`User ${userId} has insufficient OAuth scopes. User needs to re-authenticate with proper scopes.`);
                     }
-                    throw new Error(
+                    const scopeError = new Error(
                         `Google API Error: 403 - Insufficient authentication scopes. User needs to re-authenticate.`
                     );
+                    scopeError.statusCode = 403;
+                    scopeError.googleStatus = 'PERMISSION_DENIED';
+                    throw scopeError;
                 }
             }
 
@@ -96,12 +97,12 @@ class GoogleApiService {
                         try {
                             const newAccessToken = await tokenRefreshService.refreshAndSaveUserToken(userId);
                             // Clear cache after successful refresh
-                            this.clearTokenCache(userId);
+                            await this.clearTokenCache(userId);
                             // Retry the request with the new token (pass userId string, not full object)
                             return this.makeRequest(newAccessToken, method, url, data, params, userId, true);
                         } catch (refreshError) {
                             // Clear cache on refresh failure
-                            this.clearTokenCache(userId);
+                            await this.clearTokenCache(userId);
                             // Only log error message, not the entire user object
                             const errorMsg = refreshError.message || 'Unknown refresh error';
                             // Don't log NO_REFRESH_TOKEN errors here - they're already handled above
@@ -114,7 +115,7 @@ class GoogleApiService {
                     } else {
                         // User doesn't have refresh token - don't log here (already logged in auto-reply service)
                         // Clear cache to allow re-check after user re-authenticates
-                        this.clearTokenCache(userId);
+                        await this.clearTokenCache(userId);
                         // Throw the original 401 error
                         throw error;
                     }
@@ -122,10 +123,18 @@ class GoogleApiService {
             }
 
             if (error.response) {
-                // API responded with error status
-                throw new Error(
+                // API responded with error status; keep it so callers can tell a deleted review from an outage
+                const apiError = new Error(
                     `Google API Error: ${error.response.status} - ${JSON.stringify(error.response.data)}`
                 );
+                apiError.statusCode = error.response.status;
+                // e.g. PERMISSION_DENIED vs RESOURCE_EXHAUSTED, which can share an HTTP status
+                const googleError = error.response.data?.error;
+                apiError.googleStatus = googleError?.status || null;
+                apiError.googleReason = googleError?.details?.find(detail => detail.reason)?.reason
+                    || googleError?.errors?.[0]?.reason
+                    || null;
+                throw apiError;
             } else if (error.request) {
                 // Request made but no response
                 throw new Error('Google API: No response received');
@@ -137,38 +146,67 @@ class GoogleApiService {
     }
 
     /**
-     * Get business accounts
+     * Get business accounts (follows nextPageToken so every account is returned)
      * @param {string} accessToken - Access token
      * @param {string|object} userOrId - User ID or User object (optional, for token refresh)
      */
     async getAccounts(accessToken, userOrId = null) {
-        return await this.makeRequest(
-            accessToken,
-            'GET',
-            GOOGLE_API.ACCOUNTS_URL,
-            null,
-            {},
-            userOrId
-        );
+        const accounts = [];
+        let nextPageToken = null;
+
+        do {
+            const params = { pageSize: GOOGLE_API.MAX_ACCOUNTS_PAGE_SIZE };
+            if (nextPageToken) {
+                params.pageToken = nextPageToken;
+            }
+
+            const response = await this.makeRequest(
+                accessToken,
+                'GET',
+                GOOGLE_API.ACCOUNTS_URL,
+                null,
+                params,
+                userOrId
+            );
+
+            accounts.push(...(response.accounts || []));
+            nextPageToken = response.nextPageToken;
+        } while (nextPageToken);
+
+        return { accounts };
     }
 
     /**
-     * Get locations for an account
+     * Get locations for an account (follows nextPageToken so every location is returned)
      * @param {string} accessToken - Access token
      * @param {string} accountName - Account name
      * @param {string|object} userOrId - User ID or User object (optional, for token refresh)
      */
     async getLocations(accessToken, accountName, userOrId = null) {
         const url = `${GOOGLE_API.LOCATIONS_URL}/${accountName}/locations`;
-        const response = await this.makeRequest(
-            accessToken,
-            'GET',
-            url,
-            null,
-            { readMask: 'name,title' },
-            userOrId
-        );
-        return response.locations || [];
+        const locations = [];
+        let nextPageToken = null;
+
+        do {
+            const params = { readMask: 'name,title', pageSize: GOOGLE_API.MAX_LOCATIONS_PAGE_SIZE };
+            if (nextPageToken) {
+                params.pageToken = nextPageToken;
+            }
+
+            const response = await this.makeRequest(
+                accessToken,
+                'GET',
+                url,
+                null,
+                params,
+                userOrId
+            );
+
+            locations.push(...(response.locations || []));
+            nextPageToken = response.nextPageToken;
+        } while (nextPageToken);
+
+        return locations;
     }
 
     /**
@@ -176,7 +214,7 @@ class GoogleApiService {
      * @param {string} accessToken - Access token
      * @param {string} accountName - Account name
      * @param {string} locationName - Location name
-     * @param {object} options - Options including since timestamp
+     * @param {object} options - Options including since timestamp and strict (rethrow instead of returning partial data)
      * @param {string|object} userOrId - User ID or User object (optional, for token refresh)
      */
     async getAllReviews(accessToken, accountName, locationName, options = {}, userOrId = null) {
@@ -227,6 +265,9 @@ class GoogleApiService {
             return allReviews;
         } catch (error) {
             console.error(`Error fetching reviews for ${locationName}:`, error.message);
+            if (options.strict) {
+                throw error;
+            }
             // Return partial data if available
             return allReviews;
         }
@@ -0,0 +1,101 @@
+const PDFDocument = require('pdfkit');
+
+const formatAmount = (amount, currency) =>
+    `${currency} ${(amount / 100).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+    date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '-';
+
+/**
+ * Invoice PDF Service - Renders tax invoices as PDF documents
+ */
+class InvoicePdfService {
+    writeParty(doc, title, party, x, y) {
+        doc.font('Helvetica-Bold').fontSize(10).text(title, x, y);
+        doc.font('Helvetica').fontSize(10);
+        [
+            party.name,
+            party.address,
+            party.state,
+            party.email,
+            party.gstin ? `GSTIN: ${party.gstin}` : null
+        ]
+            .filter(Boolean)
+            .forEach(line => doc.text(line, x, doc.y, { width: 240 }));
+        return doc.y;
+    }
+
+    /**
+     * @param {object} invoice - Invoice document
+     * @returns {Promise<Buffer>} PDF bytes
+     */
+    render(invoice) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 50 });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const { currency } = invoice;
+
+            doc.font('Helvetica-Bold').fontSize(20).text('Tax Invoice', 50, 50);
+            doc.font('Helvetica').fontSize(10)
+                .text(`Invoice number: ${invoice.number}`, 350, 55, { align: 'right' })
+                .text(`Invoice date: ${formatDate(invoice.issuedAt)}`, 350, doc.y, { align: 'right' });
+
+            const sellerBottom = this.writeParty(doc, 'From', invoice.seller || {}, 50, 110);
+            const buyerBottom = this.writeParty(doc, 'Bill to', invoice.billTo || {}, 320, 110);
+
+            let y = Math.max(sellerBottom, buyerBottom) + 30;
+            if (invoice.periodStart || invoice.periodEnd) {
+                doc.text(`Service period: ${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}`, 50, y);
+                y = doc.y + 15;
+            }
+
+            doc.font('Helvetica-Bold')
+                .text('Description', 50, y)
+                .text('Qty', 350, y, { width: 40, align: 'right' })
+                .text('Amount', 400, y, { width: 145, align: 'right' });
+            doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+            y += 25;
+
+            doc.font('Helvetica');
+            invoice.lineItems.forEach((item) => {
+                doc.text(item.description, 50, y, { width: 290 })
+                    .text(String(item.quantity), 350, y, { width: 40, align: 'right' })
+                    .text(formatAmount(item.amount, currency), 400, y, { width: 145, align: 'right' });
+                y = doc.y + 10;
+            });
+
+            doc.moveTo(50, y).lineTo(545, y).stroke();
+            y += 10;
+
+            const { tax } = invoice;
+            const totals = [
+                ['Taxable value', invoice.subtotal],
+                ...(tax.cgst ? [[`CGST @ ${tax.rate / 2}%`, tax.cgst], [`SGST @ ${tax.rate / 2}%`, tax.sgst]] : []),
+                ...(tax.igst ? [[`IGST @ ${tax.rate}%`, tax.igst]] : [])
+            ];
+            totals.forEach(([label, amount]) => {
+                doc.text(label, 300, y, { width: 150 })
+                    .text(formatAmount(amount, currency), 400, y, { width: 145, align: 'right' });
+                y = doc.y + 5;
+            });
+
+            doc.font('Helvetica-Bold')
+                .text('Total', 300, y, { width: 150 })
+                .text(formatAmount(invoice.total, currency), 400, y, { width: 145, align: 'right' });
+
+            doc.font('Helvetica').fontSize(8)
+                .text('This is a computer generated invoice and does not require a signature.', 50, 760, {
+                    align: 'center',
+                    width: 495
+                });
+
+            doc.end();
+        });
+    }
+}
+
+module.exports = new InvoicePdfService();
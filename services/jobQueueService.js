@@ -0,0 +1,290 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const { JOBS } = require('../utils/constants');
+require('dotenv').config();
+
+const WORKER_CONCURRENCY = Number(process.env.JOB_WORKER_CONCURRENCY || JOBS.WORKER_CONCURRENCY);
+const TENANT_CONCURRENCY = Number(process.env.JOB_TENANT_CONCURRENCY || JOBS.TENANT_CONCURRENCY);
+const VISIBILITY_TIMEOUT_MS = Number(process.env.JOB_VISIBILITY_TIMEOUT_MS || JOBS.VISIBILITY_TIMEOUT_MS);
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || JOBS.POLL_INTERVAL_MS);
+
+// Attempts are counted when a job is leased, so a lapsed lease is an attempt that never finished
+const hasAttemptsLeft = { $expr: { $lt: ['$attempts', '$maxAttempts'] } };
+
+// Queued and due, or running with a lapsed lease and attempts left
+const claimableQuery = (now) => ({
+    $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now }, ...hasAttemptsLeft }
+    ]
+});
+
+/**
+ * Job Queue Service - Durable background jobs in MongoDB. Any number of worker
+ * processes lease jobs by priority, at most TENANT_CONCURRENCY at a time per user,
+ * and keep the lease alive with heartbeats. Failed jobs are retried with backoff.
+ */
+class JobQueueService {
+    constructor() {
+        this.handlers = new Map();
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.running = new Map();
+        this.interval = null;
+        this.isPolling = false;
+    }
+
+    /**
+     * @param {string} type - One of JOBS.TYPES
+     * @param {Function} handler - async (job) => result; throwing fails the attempt.
+     *   Returning { requeue: true, runAt? } queues the same job again once this one completes.
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Queue a job. With a dedupeKey, an equivalent job that is still queued or running
+     * is returned instead. A queued one takes this request's payload fields over its own
+     * (the newest scope wins) and moves earlier and up in priority if this request is more
+     * urgent; a running one keeps the payload it started with.
+     * @param {object} options - userId, payload, priority, runAt, dedupeKey, maxAttempts
+     * @returns {object} Job document
+     */
+    async enqueue(type, { userId, payload = {}, priority = JOBS.PRIORITIES[type] || 0, runAt = new Date(), dedupeKey = null, maxAttempts = JOBS.MAX_ATTEMPTS }) {
+        try {
+            const job = await Job.create({
+                type,
+                userId,
+                payload,
+                priority,
+                runAt,
+                maxAttempts,
+                ...(dedupeKey && { activeKey: dedupeKey })
+            });
+            return job.toObject();
+        } catch (error) {
+            if (error.code !== 11000 || !dedupeKey) {
+                throw error;
+            }
+        }
+
+        const payloadFields = Object.fromEntries(Object.entries(payload).map(([key, value]) => [`payload.${key}`, value]));
+        const existing = await Job.findOneAndUpdate(
+            { activeKey: dedupeKey, status: 'queued' },
+            {
+                $min: { runAt },
+                $max: { priority },
+                ...(Object.keys(payloadFields).length && { $set: payloadFields })
+            },
+            { new: true }
+        ).lean();
+        return existing || Job.findOne({ activeKey: dedupeKey }).lean();
+    }
+
+    startWorker() {
+        if (this.interval) {
+            return;
+        }
+
+        console.log(`Job worker ${this.workerId} online (concurrency: ${WORKER_CONCURRENCY}, per user: ${TENANT_CONCURRENCY}).`);
+        this.interval = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+        this.poll();
+    }
+
+    /**
+     * Stop taking new jobs and wait for the running ones to finish
+     */
+    async stopWorker() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        await Promise.allSettled(Array.from(this.running.values()));
+    }
+
+    /**
+     * Fill free worker slots with claimable jobs
+     */
+    async poll() {
+        if (this.isPolling || !this.interval) {
+            return;
+        }
+        this.isPolling = true;
+
+        try {
+            await this.failAbandoned();
+            while (this.interval && this.running.size < WORKER_CONCURRENCY) {
+                const job = await this.claimNext();
+                if (!job) {
+                    break;
+                }
+
+                const run = this.runJob(job).finally(() => {
+                    this.running.delete(job._id.toString());
+                    // A slot freed up; look for more work without waiting for the next tick
+                    setImmediate(() => this.poll());
+                });
+                this.running.set(job._id.toString(), run);
+            }
+        } catch (error) {
+            console.error('[Jobs] Poll failed:', error.message);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Fail running jobs whose lease lapsed on their last attempt, e.g. a job that crashes
+     * its worker every time, so they aren't leased forever and free their dedupe key
+     * @returns {number} Jobs failed
+     */
+    async failAbandoned(now = new Date()) {
+        const result = await Job.updateMany(
+            { status: 'running', lockedUntil: { $lte: now }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+            {
+                $set: { status: 'failed', finishedAt: now, lastError: 'Worker stopped responding on the last attempt' },
+                $unset: { activeKey: '', lockedBy: '', lockedUntil: '' }
+            }
+        );
+        if (result.modifiedCount) {
+            console.warn(`[Jobs] Failed ${result.modifiedCount} job(s) abandoned on their last attempt`);
+        }
+        return result.modifiedCount;
+    }
+
+    /**
+     * Lease the most urgent claimable job whose user is below the per-user limit.
+     * The limit is checked before the lease, so two workers racing for the same user
+     * can briefly exceed it; the lease itself is atomic.
+     * @returns {object|null} Leased job
+     */
+    async claimNext(now = new Date()) {
+        const candidates = await Job.find(claimableQuery(now))
+            .sort({ priority: -1, runAt: 1 })
+            .limit(JOBS.CLAIM_SCAN_LIMIT)
+            .select('_id userId')
+            .lean();
+        if (!candidates.length) {
+            return null;
+        }
+
+        const runningCounts = await Job.aggregate([
+            {
+                $match: {
+                    userId: { $in: candidates.map(job => job.userId) },
+                    status: 'running',
+                    lockedUntil: { $gt: now }
+                }
+            },
+            { $group: { _id: '$userId', count: { $sum: 1 } } }
+        ]);
+        const busy = new Map(runningCounts.map(item => [item._id.toString(), item.count]));
+
+        for (const candidate of candidates) {
+            const userId = candidate.userId.toString();
+            if ((busy.get(userId) || 0) >= TENANT_CONCURRENCY) {
+                continue;
+            }
+
+            const job = await Job.findOneAndUpdate(
+                { _id: candidate._id, ...claimableQuery(now) },
+                {
+                    $set: {
+                        status: 'running',
+                        lockedBy: this.workerId,
+                        lockedUntil: new Date(now.getTime() + VISIBILITY_TIMEOUT_MS),
+                        startedAt: now
+                    },
+                    $inc: { attempts: 1 }
+                },
+                { new: true }
+            ).lean();
+            if (job) {
+                return job;
+            }
+        }
+
+        // Every candidate belonged to a busy user or was taken by another worker
+        return null;
+    }
+
+    /**
+     * Run a leased job, heartbeating its lease, and record the outcome
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        const lease = { _id: job._id, lockedBy: this.workerId };
+        const heartbeat = setInterval(() => {
+            Job.updateOne(lease, { $set: { lockedUntil: new Date(Date.now() + VISIBILITY_TIMEOUT_MS) } })
+                .catch(error => console.error(`[Jobs] Heartbeat failed for job ${job._id}:`, error.message));
+        }, Math.max(1000, Math.floor(VISIBILITY_TIMEOUT_MS / 3)));
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type ${job.type}`);
+            }
+            const result = await handler(job);
+            await Job.updateOne(lease, {
+                $set: { status: 'completed', finishedAt: new Date(), result: result ?? null },
+                $unset: { activeKey: '', lockedBy: '', lockedUntil: '', lastError: '' }
+            });
+
+            // The handler has more work (a batch limit, or tasks due later); queue it as a fresh job
+            if (result?.requeue) {
+                await this.enqueue(job.type, {
+                    userId: job.userId,
+                    payload: job.payload,
+                    priority: job.priority,
+                    runAt: result.runAt || new Date(),
+                    dedupeKey: job.activeKey || null,
+                    maxAttempts: job.maxAttempts
+                });
+            }
+        } catch (error) {
+            const retry = job.attempts < job.maxAttempts;
+            console.error(`[Jobs] ${job.type} job ${job._id} for user ${job.userId} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+            await Job.updateOne(lease, retry
+                ? {
+                    $set: {
+                        status: 'queued',
+                        runAt: new Date(Date.now() + JOBS.RETRY_BASE_MS * 2 ** (job.attempts - 1)),
+                        lastError: error.message
+                    },
+                    $unset: { lockedBy: '', lockedUntil: '' }
+                }
+                : {
+                    $set: { status: 'failed', finishedAt: new Date(), lastError: error.message },
+                    $unset: { activeKey: '', lockedBy: '', lockedUntil: '' }
+                });
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    /**
+     * Queue depth and activity by job type and status
+     */
+    async getStats() {
+        const now = new Date();
+        const [counts, [oldest]] = await Promise.all([
+            Job.aggregate([{ $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }]),
+            Job.find({ status: 'queued', runAt: { $lte: now } }).sort({ runAt: 1 }).limit(1).select('runAt').lean()
+        ]);
+
+        const byType = {};
+        counts.forEach(({ _id, count }) => {
+            byType[_id.type] = byType[_id.type] || {};
+            byType[_id.type][_id.status] = count;
+        });
+
+        return {
+            byType,
+            oldestDueAgeMs: oldest ? now.getTime() - oldest.runAt.getTime() : 0,
+            workerId: this.workerId,
+            runningHere: this.running.size
+        };
+    }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,68 @@
+const axios = require('axios');
+require('dotenv').config();
+
+const ANTHROPIC_URL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider {
+    constructor() {
+        this.name = 'anthropic';
+        this.model = process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+        this.timeoutMs = Number(process.env.ANTHROPIC_TIMEOUT_MS || 20000);
+        this.maxTokens = Number(process.env.ANTHROPIC_MAX_TOKENS || 512);
+    }
+
+    isConfigured() {
+        return !!process.env.ANTHROPIC_API_KEY;
+    }
+
+    /**
+     * @returns {Promise<{content: string, model: string, usage: object}>}
+     */
+    async complete({ system, prompt, temperature }) {
+        try {
+            const response = await axios.post(
+                ANTHROPIC_URL,
+                {
+                    model: this.model,
+                    max_tokens: this.maxTokens,
+                    temperature,
+                    system: `${system} Respond with a single JSON object and nothing else.`,
+                    messages: [{ role: 'user', content: prompt }]
+                },
+                {
+                    headers: {
+                        'x-api-key': process.env.ANTHROPIC_API_KEY,
+                        'anthropic-version': ANTHROPIC_VERSION,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: this.timeoutMs
+                }
+            );
+
+            const text = (response.data?.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim();
+            const usage = response.data?.usage || {};
+
+            return {
+                content: text,
+                model: response.data?.model || this.model,
+                usage: {
+                    promptTokens: usage.input_tokens || 0,
+                    completionTokens: usage.output_tokens || 0,
+                    totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+                }
+            };
+        } catch (error) {
+            if (error.response?.data) {
+                console.error('Anthropic API error:', JSON.stringify(error.response.data));
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = new AnthropicProvider();
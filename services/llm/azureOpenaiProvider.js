@@ -0,0 +1,40 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+require('dotenv').config();
+
+/**
+ * Azure OpenAI routes by deployment name; the model is fixed by the deployment.
+ */
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+    constructor() {
+        super({
+            name: 'azure-openai',
+            model: process.env.AZURE_OPENAI_DEPLOYMENT,
+            timeoutMs: Number(process.env.AZURE_OPENAI_TIMEOUT_MS || 20000)
+        });
+        this.endpoint = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+        this.apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+    }
+
+    isConfigured() {
+        return !!(this.endpoint && this.model && process.env.AZURE_OPENAI_API_KEY);
+    }
+
+    getUrl() {
+        return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.model)}/chat/completions?api-version=${this.apiVersion}`;
+    }
+
+    getHeaders() {
+        return {
+            ...super.getHeaders(),
+            'api-key': process.env.AZURE_OPENAI_API_KEY
+        };
+    }
+
+    buildBody(options) {
+        // Azure rejects the model field; the deployment in the URL selects it
+        const { model, ...body } = super.buildBody(options);
+        return body;
+    }
+}
+
+module.exports = new AzureOpenAIProvider();
@@ -0,0 +1,76 @@
+const openaiProvider = require('./openaiProvider');
+const anthropicProvider = require('./anthropicProvider');
+const azureOpenaiProvider = require('./azureOpenaiProvider');
+const localProvider = require('./localProvider');
+const templateProvider = require('./templateProvider');
+require('dotenv').config();
+
+const PROVIDERS = {
+    [openaiProvider.name]: openaiProvider,
+    [anthropicProvider.name]: anthropicProvider,
+    [azureOpenaiProvider.name]: azureOpenaiProvider,
+    [localProvider.name]: localProvider,
+    [templateProvider.name]: templateProvider
+};
+
+/**
+ * Parse LLM_PLAN_PROVIDERS, e.g. "free:template,pro:anthropic,enterprise:azure-openai"
+ */
+const parsePlanProviders = (value = '') =>
+    value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .reduce((acc, entry) => {
+            const [plan, provider] = entry.split(':').map(part => part.trim().toLowerCase());
+            if (plan && provider) {
+                acc[plan] = provider;
+            }
+            return acc;
+        }, {});
+
+const PLAN_PROVIDERS = parsePlanProviders(process.env.LLM_PLAN_PROVIDERS);
+const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'template')).toLowerCase();
+
+const warned = new Set();
+const warnOnce = (key, message) => {
+    if (!warned.has(key)) {
+        warned.add(key);
+        console.warn(message);
+    }
+};
+
+/**
+ * Pick the provider for a subscription plan: plan mapping first, then the deployment
+ * default. Unknown or unconfigured providers fall back to the offline template provider.
+ * @param {object} options - plan: user's subscription plan key
+ */
+const getProvider = ({ plan } = {}) => {
+    const requested = (plan && PLAN_PROVIDERS[plan]) || DEFAULT_PROVIDER;
+    const provider = PROVIDERS[requested];
+
+    if (!provider) {
+        warnOnce(`unknown:${requested}`, `⚠️  Unknown LLM provider "${requested}". Falling back to template replies.`);
+        return templateProvider;
+    }
+
+    if (!provider.isConfigured()) {
+        warnOnce(`unconfigured:${requested}`, `⚠️  LLM provider "${requested}" is not configured. Falling back to template replies.`);
+        return templateProvider;
+    }
+
+    return provider;
+};
+
+const listProviders = () =>
+    Object.values(PROVIDERS).map(provider => ({
+        name: provider.name,
+        model: provider.model,
+        configured: provider.isConfigured()
+    }));
+
+module.exports = {
+    getProvider,
+    listProviders,
+    PROVIDERS
+};
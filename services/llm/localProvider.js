@@ -0,0 +1,35 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+require('dotenv').config();
+
+/**
+ * Self-hosted OpenAI-compatible server such as Ollama or llama.cpp.
+ * JSON mode is opt-in because not every server implements response_format.
+ */
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor() {
+        super({
+            name: 'local',
+            model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+            timeoutMs: Number(process.env.LOCAL_LLM_TIMEOUT_MS || 60000),
+            supportsJsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false'
+        });
+        this.url = process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1/chat/completions';
+    }
+
+    isConfigured() {
+        return !!process.env.LOCAL_LLM_BASE_URL;
+    }
+
+    getUrl() {
+        return this.url;
+    }
+
+    getHeaders() {
+        return {
+            ...super.getHeaders(),
+            ...(process.env.LOCAL_LLM_API_KEY && { Authorization: `Bearer ${process.env.LOCAL_LLM_API_KEY}` })
+        };
+    }
+}
+
+module.exports = new LocalProvider();
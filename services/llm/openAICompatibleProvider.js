@@ -0,0 +1,72 @@
+const axios = require('axios');
+
+/**
+ * Base adapter for chat-completions style APIs (OpenAI, Azure OpenAI, Ollama, llama.cpp).
+ * Subclasses only describe where to send the request and how to authenticate.
+ */
+class OpenAICompatibleProvider {
+    constructor({ name, model, timeoutMs, supportsJsonMode = true }) {
+        this.name = name;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+        this.supportsJsonMode = supportsJsonMode;
+    }
+
+    isConfigured() {
+        return false;
+    }
+
+    getUrl() {
+        throw new Error(`${this.name} provider does not define a URL.`);
+    }
+
+    getHeaders() {
+        return { 'Content-Type': 'application/json' };
+    }
+
+    buildBody({ system, prompt, temperature }) {
+        return {
+            model: this.model,
+            temperature,
+            ...(this.supportsJsonMode && { response_format: { type: 'json_object' } }),
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ]
+        };
+    }
+
+    /**
+     * @returns {Promise<{content: string, model: string, usage: object}>}
+     */
+    async complete({ system, prompt, temperature }) {
+        try {
+            const response = await axios.post(
+                this.getUrl(),
+                this.buildBody({ system, prompt, temperature }),
+                {
+                    headers: this.getHeaders(),
+                    timeout: this.timeoutMs
+                }
+            );
+
+            const usage = response.data?.usage || {};
+            return {
+                content: response.data?.choices?.[0]?.message?.content?.trim() || '',
+                model: response.data?.model || this.model,
+                usage: {
+                    promptTokens: usage.prompt_tokens || 0,
+                    completionTokens: usage.completion_tokens || 0,
+                    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+                }
+            };
+        } catch (error) {
+            if (error.response?.data) {
+                console.error(`${this.name} API error:`, JSON.stringify(error.response.data));
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
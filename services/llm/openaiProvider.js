@@ -0,0 +1,30 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+require('dotenv').config();
+
+class OpenAIProvider extends OpenAICompatibleProvider {
+    constructor() {
+        super({
+            name: 'openai',
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            timeoutMs: Number(process.env.OPENAI_TIMEOUT_MS || 20000)
+        });
+        this.url = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1/chat/completions';
+    }
+
+    isConfigured() {
+        return !!process.env.OPENAI_API_KEY;
+    }
+
+    getUrl() {
+        return this.url;
+    }
+
+    getHeaders() {
+        return {
+            ...super.getHeaders(),
+            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+        };
+    }
+}
+
+module.exports = new OpenAIProvider();
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Replies per sentiment bucket; {name} and {location} are filled from the review
+const TEMPLATES = {
+    positive: [
+        'Thank you so much, {name}! We are delighted you enjoyed {location} and look forward to welcoming you back soon.',
+        'Hi {name}, thanks for the wonderful review! It means a lot to our team at {location}. See you again soon!',
+        'We really appreciate your kind words, {name}. Thank you for choosing {location}!'
+    ],
+    neutral: [
+        'Thank you for your feedback, {name}. We are always working to improve at {location} and hope to make your next visit even better.',
+        'Hi {name}, thanks for taking the time to share your experience. Your feedback helps us improve {location}.'
+    ],
+    negative: [
+        'Hi {name}, we are sorry your visit to {location} fell short. Please contact us directly so we can make this right.',
+        'Thank you for letting us know, {name}. We apologize for your experience at {location} and would like to hear more so we can fix it.'
+    ]
+};
+
+const CONCISE_TEMPLATES = {
+    positive: 'Thank you, {name}! We appreciate your support.',
+    neutral: 'Thanks for the feedback, {name}. We will keep improving.',
+    negative: 'We are sorry, {name}. Please reach out so we can help.'
+};
+
+const bucketByRating = (ratingValue) => {
+    if (ratingValue >= 4) return 'positive';
+    if (ratingValue === 3) return 'neutral';
+    return 'negative';
+};
+
+/**
+ * Deterministic offline provider. Used when no LLM is configured so the
+ * system still produces acceptable (English-only) replies.
+ */
+class TemplateProvider {
+    constructor() {
+        this.name = 'template';
+        this.model = 'template-v1';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async complete({ payload = {} }) {
+        const ratingValue = Number(payload.ratingValue) || 0;
+        const sentiment = ratingValue ? bucketByRating(ratingValue) : 'neutral';
+        const name = payload.reviewerName && payload.reviewerName !== 'there' ? payload.reviewerName.split(' ')[0] : 'there';
+        const location = payload.locationName || 'our business';
+
+        let template;
+        if (payload.tone === 'concise') {
+            template = CONCISE_TEMPLATES[sentiment];
+        } else {
+            // Same review -> same reply; different reviews get varied wording
+            const options = TEMPLATES[sentiment];
+            const digest = crypto
+                .createHash('sha1')
+                .update(`${payload.reviewerName || ''}|${payload.reviewText || ''}|${payload.instructions || ''}`)
+                .digest();
+            template = options[digest[0] % options.length];
+        }
+
+        const reply = template.replace('{name}', name).replace('{location}', location);
+
+        return {
+            content: JSON.stringify({
+                sentiment,
+                customer_name: name,
+                summary: '',
+                reply,
+                style: payload.tone || 'friendly'
+            }),
+            model: this.model,
+            usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    }
+}
+
+module.exports = new TemplateProvider();
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const LlmUsage = require('../models/LlmUsage');
+const { AppError } = require('../utils/errorHandler');
+const { LLM_USAGE } = require('../utils/constants');
+require('dotenv').config();
+
+const PRICED_MODELS = Object.keys(LLM_USAGE.PRICING_PER_MILLION).sort((a, b) => b.length - a.length);
+
+const emptySummary = (period) => ({
+    period,
+    generations: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0
+});
+
+// Aggregation pipelines don't cast, so string ids must be converted explicitly
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+
+const usageTotalsGroup = {
+    generations: { $sum: 1 },
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    costUsd: { $sum: '$costUsd' }
+};
+
+/**
+ * LLM Usage Service - Records every generation and enforces monthly token caps per plan
+ */
+class LlmUsageService {
+    /**
+     * @returns {string} UTC month in YYYY-MM format
+     */
+    getPeriod(date = new Date()) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    /**
+     * Estimated USD cost from the pricing table; unknown models (local, template) cost 0
+     */
+    estimateCost(model, promptTokens, completionTokens) {
+        const key = PRICED_MODELS.find(prefix => (model || '').startsWith(prefix));
+        if (!key) {
+            return 0;
+        }
+        const price = LLM_USAGE.PRICING_PER_MILLION[key];
+        const cost = (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+        return Math.round(cost * 1000000) / 1000000;
+    }
+
+    /**
+     * Monthly token cap for a plan. LLM_MONTHLY_TOKEN_CAP_<PLAN> overrides the default;
+     * "unlimited" removes the cap.
+     * @returns {number|null} Cap in tokens, or null when unlimited
+     */
+    getMonthlyCap(plan) {
+        const override = process.env[`LLM_MONTHLY_TOKEN_CAP_${String(plan || 'free').toUpperCase()}`];
+        if (override) {
+            return override === 'unlimited' ? null : Number(override);
+        }
+        const cap = LLM_USAGE.MONTHLY_TOKEN_CAPS[plan];
+        return cap === undefined ? LLM_USAGE.MONTHLY_TOKEN_CAPS.free : cap;
+    }
+
+    /**
+     * Persist one generation. Never throws: accounting must not break reply generation.
+     */
+    async record({ userId, taskId = null, source, plan, provider, model, usage = {}, latencyMs = 0 }) {
+        try {
+            const promptTokens = usage.promptTokens || 0;
+            const completionTokens = usage.completionTokens || 0;
+            await LlmUsage.create({
+                userId,
+                taskId,
+                source,
+                plan,
+                provider,
+                model,
+                promptTokens,
+                completionTokens,
+                totalTokens: usage.totalTokens || promptTokens + completionTokens,
+                latencyMs,
+                costUsd: this.estimateCost(model, promptTokens, completionTokens),
+                period: this.getPeriod()
+            });
+        } catch (error) {
+            console.error('Failed to record LLM usage:', error.message);
+        }
+    }
+
+    async getMonthlySummary(userId, period = this.getPeriod()) {
+        const [summary] = await LlmUsage.aggregate([
+            { $match: { userId: toObjectId(userId), period } },
+            { $group: { _id: null, ...usageTotalsGroup } }
+        ]);
+
+        if (!summary) {
+            return emptySummary(period);
+        }
+
+        const { _id, ...totals } = summary;
+        return { period, ...totals };
+    }
+
+    async getCapStatus(userId, plan) {
+        const summary = await this.getMonthlySummary(userId);
+        const cap = this.getMonthlyCap(plan);
+        return {
+            period: summary.period,
+            used: summary.totalTokens,
+            cap,
+            remaining: cap === null ? null : Math.max(0, cap - summary.totalTokens),
+            exceeded: cap !== null && summary.totalTokens >= cap
+        };
+    }
+
+    /**
+     * Throw 429 when the user's plan has used up this month's tokens
+     */
+    async assertWithinCap(userId, plan) {
+        const status = await this.getCapStatus(userId, plan);
+        if (status.exceeded) {
+            throw new AppError(
+                `Monthly AI usage limit reached for your plan (${status.cap} tokens). Upgrade your plan or wait until next month.`,
+                429
+            );
+        }
+        return status;
+    }
+
+    /**
+     * Monthly totals for the last `months` months, newest first
+     */
+    async getUserHistory(userId, months = LLM_USAGE.HISTORY_MONTHS) {
+        const start = new Date();
+        start.setUTCDate(1);
+        start.setUTCMonth(start.getUTCMonth() - (months - 1));
+
+        const rows = await LlmUsage.aggregate([
+            { $match: { userId: toObjectId(userId), period: { $gte: this.getPeriod(start) } } },
+            { $group: { _id: '$period', ...usageTotalsGroup } },
+            { $sort: { _id: -1 } }
+        ]);
+
+        return rows.map(({ _id, ...totals }) => ({ period: _id, ...totals }));
+    }
+
+    /**
+     * Platform-wide usage for one month, for the super admin dashboard
+     */
+    async getPlatformSummary(period = this.getPeriod(), topLimit = 10) {
+        const [result] = await LlmUsage.aggregate([
+            { $match: { period } },
+            {
+                $facet: {
+                    totals: [{ $group: { _id: null, ...usageTotalsGroup } }],
+                    byProvider: [
+                        { $group: { _id: { provider: '$provider', model: '$model' }, ...usageTotalsGroup } },
+                        { $sort: { costUsd: -1 } }
+                    ],
+                    topUsers: [
+                        { $group: { _id: '$userId', ...usageTotalsGroup } },
+                        { $sort: { costUsd: -1, totalTokens: -1 } },
+                        { $limit: topLimit },
+                        {
+                            $lookup: {
+                                from: 'users',
+                                localField: '_id',
+                                foreignField: '_id',
+                                as: 'user',
+                                pipeline: [{ $project: { name: 1, email: 1, 'subscription.plan': 1 } }]
+                            }
+                        },
+                        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+                    ]
+                }
+            }
+        ]);
+
+        const { _id, ...totals } = result?.totals?.[0] || { _id: null, ...emptySummary(period) };
+        delete totals.period;
+
+        return {
+            period,
+            totals,
+            byProvider: (result?.byProvider || []).map(({ _id: key, ...rest }) => ({ ...key, ...rest })),
+            topUsers: (result?.topUsers || []).map(({ _id: userId, user, ...rest }) => ({
+                userId,
+                name: user?.name,
+                email: user?.email,
+                plan: user?.subscription?.plan,
+                ...rest
+            }))
+        };
+    }
+}
+
+module.exports = new LlmUsageService();
@@ -0,0 +1,162 @@
+const LocationSettings = require('../models/LocationSettings');
+const ReviewSyncState = require('../models/ReviewSyncState');
+
+const LOCATION_PREFIX = 'locations/';
+const OVERRIDABLE_FIELDS = [
+    'enabled',
+    'delayMinutes',
+    'tone',
+    'respondToPositive',
+    'respondToNeutral',
+    'respondToNegative',
+    'requireApproval',
+    'requireApprovalForPositive',
+    'requireApprovalForNeutral',
+    'requireApprovalForNegative'
+];
+
+/**
+ * Location Settings Service - Per-location auto-reply overrides layered on top of
+ * the user's autoReplySettings. A location can narrow the user defaults (e.g. stop
+ * replying to negatives) but cannot switch auto-reply on while it is off globally.
+ */
+class LocationSettingsService {
+    /**
+     * Accept either a bare location number or a full resource name
+     * @param {string} locationId - "456" or "locations/456"
+     * @returns {string|null} Resource name
+     */
+    normalizeLocationId(locationId) {
+        if (!locationId) return null;
+        const id = String(locationId).trim();
+        return id.startsWith(LOCATION_PREFIX) ? id : `${LOCATION_PREFIX}${id}`;
+    }
+
+    /**
+     * Keep only the fields a location actually overrides
+     */
+    pickOverrides(autoReply = {}) {
+        return OVERRIDABLE_FIELDS.reduce((acc, field) => {
+            if (autoReply?.[field] !== undefined && autoReply?.[field] !== null) {
+                acc[field] = autoReply[field];
+            }
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Merge location overrides onto normalized user settings
+     * @param {object} baseSettings - Output of autoReplyService.normalizeSettings
+     * @param {object} overrides - Location overrides (see pickOverrides)
+     */
+    resolve(baseSettings, overrides = {}) {
+        const picked = this.pickOverrides(overrides);
+        return {
+            ...baseSettings,
+            ...picked,
+            enabled: !!baseSettings.enabled && picked.enabled !== false
+        };
+    }
+
+    /**
+     * @returns {Map<string, object>} locationId -> overrides
+     */
+    async loadOverrides(userId) {
+        const docs = await LocationSettings.find({ userId }).select('locationId autoReply').lean();
+        return new Map(docs.map(doc => [doc.locationId, this.pickOverrides(doc.autoReply)]));
+    }
+
+    async findLocation(userId, locationId) {
+        return ReviewSyncState.findOne({ userId, locationId })
+            .select('accountId locationId locationName')
+            .lean();
+    }
+
+    buildConfig(location, baseSettings, overrides) {
+        return {
+            locationId: location.locationId,
+            locationName: location.locationName,
+            accountId: location.accountId,
+            overrides,
+            inherited: OVERRIDABLE_FIELDS.filter(field => overrides[field] === undefined),
+            effective: this.resolve(baseSettings, overrides)
+        };
+    }
+
+    async listLocationConfigs(userId, baseSettings) {
+        const [locations, overridesMap] = await Promise.all([
+            ReviewSyncState.find({ userId })
+                .select('accountId locationId locationName')
+                .sort({ locationName: 1 })
+                .lean(),
+            this.loadOverrides(userId)
+        ]);
+
+        return locations.map(location =>
+            this.buildConfig(location, baseSettings, overridesMap.get(location.locationId) || {})
+        );
+    }
+
+    /**
+     * @returns {object|null} Location config, or null when the location isn't the user's
+     */
+    async getLocationConfig(userId, locationId, baseSettings) {
+        const location = await this.findLocation(userId, locationId);
+        if (!location) {
+            return null;
+        }
+
+        const doc = await LocationSettings.findOne({ userId, locationId }).select('autoReply').lean();
+        return this.buildConfig(location, baseSettings, this.pickOverrides(doc?.autoReply));
+    }
+
+    /**
+     * Apply partial changes; a null value removes the override so the field inherits again
+     * @returns {object|null} Updated location config, or null when the location isn't the user's
+     */
+    async updateOverrides(userId, locationId, changes, baseSettings) {
+        const location = await this.findLocation(userId, locationId);
+        if (!location) {
+            return null;
+        }
+
+        const $set = {
+            accountId: location.accountId,
+            locationName: location.locationName
+        };
+        const $unset = {};
+
+        OVERRIDABLE_FIELDS.forEach((field) => {
+            if (changes[field] === undefined) return;
+            if (changes[field] === null) {
+                $unset[`autoReply.${field}`] = '';
+            } else {
+                $set[`autoReply.${field}`] = changes[field];
+            }
+        });
+
+        await LocationSettings.updateOne(
+            { userId, locationId },
+            { $set, ...(Object.keys($unset).length && { $unset }) },
+            { upsert: true, runValidators: true }
+        );
+
+        return this.getLocationConfig(userId, locationId, baseSettings);
+    }
+
+    /**
+     * Drop every override so the location follows the user defaults again
+     * @returns {object|null} Location config, or null when the location isn't the user's
+     */
+    async clearOverrides(userId, locationId, baseSettings) {
+        const location = await this.findLocation(userId, locationId);
+        if (!location) {
+            return null;
+        }
+
+        await LocationSettings.deleteOne({ userId, locationId });
+        return this.buildConfig(location, baseSettings, {});
+    }
+}
+
+module.exports = new LocationSettingsService();
@@ -0,0 +1,185 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const { getRedis } = require('../config/redis');
+const { LOCKS } = require('../utils/constants');
+require('dotenv').config();
+
+const LEADER_TTL_MS = Number(process.env.LEADER_TTL_MS || LOCKS.LEADER_TTL_MS);
+const LEADER_RENEW_MS = Number(process.env.LEADER_RENEW_MS || LOCKS.LEADER_RENEW_MS);
+
+// Only touch the key while we still own it
+const EXTEND_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+const RELEASE_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+
+/**
+ * Lock Service - Leases shared by every server instance, so a user's run or the
+ * global scheduler happens in one place at a time. Backed by MongoDB, or by Redis
+ * when LOCK_BACKEND=redis and REDIS_URL is set.
+ */
+class LockService {
+    constructor() {
+        this.instanceId = `${os.hostname()}:${process.pid}`;
+        const requested = process.env.LOCK_BACKEND || 'mongo';
+        if (!LOCKS.BACKENDS.includes(requested)) {
+            throw new Error(`Unknown LOCK_BACKEND "${requested}". Use one of: ${LOCKS.BACKENDS.join(', ')}`);
+        }
+        this.backend = requested === 'redis' && getRedis() ? 'redis' : 'mongo';
+        if (requested === 'redis' && this.backend !== 'redis') {
+            console.warn('[Locks] LOCK_BACKEND=redis but REDIS_URL is not set; using MongoDB.');
+        }
+    }
+
+    /**
+     * Take a lock if it is free or its previous lease has expired
+     * @returns {string|null} Lease token for extend / release, or null when someone else holds it
+     */
+    async acquire(key, ttlMs) {
+        const token = `${this.instanceId}:${crypto.randomUUID()}`;
+
+        if (this.backend === 'redis') {
+            const result = await getRedis().set(LOCKS.REDIS_PREFIX + key, token, 'PX', ttlMs, 'NX');
+            return result === 'OK' ? token : null;
+        }
+
+        const now = new Date();
+        try {
+            // Matches only an expired lock; a live one makes the upsert collide on _id
+            await Lock.updateOne(
+                { _id: key, expiresAt: { $lte: now } },
+                { $set: { owner: token, expiresAt: new Date(now.getTime() + ttlMs) } },
+                { upsert: true }
+            );
+            return token;
+        } catch (error) {
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Push a held lease's expiry out by ttlMs
+     * @returns {boolean} False when the lease was lost to another owner
+     */
+    async extend(key, token, ttlMs) {
+        if (this.backend === 'redis') {
+            const result = await getRedis().eval(EXTEND_SCRIPT, 1, LOCKS.REDIS_PREFIX + key, token, ttlMs);
+            return result === 1;
+        }
+
+        const result = await Lock.updateOne(
+            { _id: key, owner: token },
+            { $set: { expiresAt: new Date(Date.now() + ttlMs) } }
+        );
+        return result.matchedCount === 1;
+    }
+
+    /**
+     * Give up a lease. Failures are only logged; the lease runs out on its own.
+     */
+    async release(key, token) {
+        try {
+            if (this.backend === 'redis') {
+                await getRedis().eval(RELEASE_SCRIPT, 1, LOCKS.REDIS_PREFIX + key, token);
+                return;
+            }
+            await Lock.deleteOne({ _id: key, owner: token });
+        } catch (error) {
+            console.error(`[Locks] Failed to release ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Renew a lease every third of its TTL until the returned function is called
+     */
+    keepAlive(key, token, ttlMs) {
+        const interval = setInterval(() => {
+            this.extend(key, token, ttlMs)
+                .then((held) => {
+                    if (!held) {
+                        console.warn(`[Locks] Lost lease on ${key}`);
+                    }
+                })
+                .catch(error => console.error(`[Locks] Failed to renew ${key}:`, error.message));
+        }, Math.max(1000, Math.floor(ttlMs / 3)));
+
+        return () => clearInterval(interval);
+    }
+
+    /**
+     * Allow an action at most once per window across all instances
+     * @returns {boolean} True when the window was free (and is now taken)
+     */
+    async throttle(key, windowMs) {
+        return !!(await this.acquire(`throttle:${key}`, windowMs));
+    }
+
+    /**
+     * Compete for leadership of `name`. The winner runs onElected and keeps renewing;
+     * if it can't renew within the TTL it runs onDemoted and another instance takes over.
+     * @param {object} handlers - onElected, onDemoted
+     * @returns {Function} Async stop: resigns leadership and stops competing
+     */
+    campaign(name, { onElected, onDemoted }) {
+        const key = `leader:${name}`;
+        let token = null;
+        let renewedAt = 0;
+        let inFlight = false;
+
+        const demote = (message) => {
+            token = null;
+            console.warn(`[Locks] ${message}`);
+            onDemoted();
+        };
+
+        const tick = async () => {
+            if (inFlight) {
+                return;
+            }
+            inFlight = true;
+
+            try {
+                if (token) {
+                    if (await this.extend(key, token, LEADER_TTL_MS)) {
+                        renewedAt = Date.now();
+                    } else {
+                        demote(`${this.instanceId} lost ${name} leadership`);
+                    }
+                    return;
+                }
+
+                token = await this.acquire(key, LEADER_TTL_MS);
+                if (token) {
+                    renewedAt = Date.now();
+                    console.log(`[Locks] ${this.instanceId} is now the ${name} leader (${this.backend}).`);
+                    onElected();
+                }
+            } catch (error) {
+                console.error(`[Locks] ${name} election failed:`, error.message);
+                // Another instance may already have taken over; stop before we overlap
+                if (token && Date.now() - renewedAt >= LEADER_TTL_MS) {
+                    demote(`${this.instanceId} could not renew ${name} leadership`);
+                }
+            } finally {
+                inFlight = false;
+            }
+        };
+
+        const interval = setInterval(tick, LEADER_RENEW_MS);
+        tick();
+
+        return async () => {
+            clearInterval(interval);
+            if (token) {
+                const heldToken = token;
+                token = null;
+                onDemoted();
+                await this.release(key, heldToken);
+            }
+        };
+    }
+}
+
+module.exports = new LockService();
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { AppError } = require('../utils/errorHandler');
+const { assertPublicUrl, outboundRequestOptions } = require('../utils/outboundUrl');
+const { NOTIFICATIONS } = require('../utils/constants');
+const emailService = require('./emailService');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DELIVERY_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS || NOTIFICATIONS.MAX_DELIVERY_ATTEMPTS);
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(Math.max(0, 5 - rating));
+
+/**
+ * Notification Service - Escalates reviews that need a person's attention by email
+ * and outgoing webhook, following each user's notification settings, and logs every
+ * delivery attempt. Chat channels (chatService) log through the same deliveries.
+ */
+class NotificationService {
+    /**
+     * Settings with defaults filled in. The webhook secret is never returned.
+     */
+    getSettings(user) {
+        const settings = user.notificationSettings || {};
+        const escalation = settings.escalation || {};
+        const email = settings.email || {};
+        const webhook = settings.webhook || {};
+
+        return {
+            escalation: {
+                enabled: !!escalation.enabled,
+                ratingThreshold: escalation.ratingThreshold || NOTIFICATIONS.DEFAULT_RATING_THRESHOLD,
+                keywords: escalation.keywords || []
+            },
+            email: {
+                enabled: email.enabled !== false,
+                recipients: email.recipients || []
+            },
+            webhook: {
+                enabled: !!webhook.enabled,
+                url: webhook.url || null,
+                hasSecret: !!webhook.secret
+            }
+        };
+    }
+
+    /**
+     * Where a user's alerts go
+     * @returns {Array<{ channel: string, target: string }>}
+     */
+    getTargets(user) {
+        const settings = user.notificationSettings || {};
+        const targets = [];
+
+        if (settings.email?.enabled !== false) {
+            const recipients = settings.email?.recipients?.length ? settings.email.recipients : [user.email].filter(Boolean);
+            recipients.forEach(address => targets.push({ channel: 'email', target: address }));
+        }
+        if (settings.webhook?.enabled && settings.webhook.url) {
+            targets.push({ channel: 'webhook', target: settings.webhook.url });
+        }
+        return targets;
+    }
+
+    /**
+     * Whether a review should be escalated under the user's rules
+     * @returns {{ matched: boolean, matchedKeywords: string[] }}
+     */
+    matchEscalation(review, escalation) {
+        const comment = (review.comment || '').toLowerCase();
+        const matchedKeywords = (escalation.keywords || [])
+            .filter(keyword => keyword && comment.includes(keyword.toLowerCase()));
+        const lowRating = !!review.ratingValue && review.ratingValue <= escalation.ratingThreshold;
+
+        return { matched: lowRating || matchedKeywords.length > 0, matchedKeywords };
+    }
+
+    /**
+     * Send escalation alerts for newly synced, unanswered reviews. Reviews already
+     * escalated to a destination are skipped there.
+     * @param {Array<object>} reviews - { reviewName, locationId, locationName, reviewerName, ratingValue, comment, createTime }
+     * @returns {number} Reviews escalated
+     */
+    async escalateReviews(user, reviews, now = new Date()) {
+        const { escalation } = this.getSettings(user);
+        if (!escalation.enabled || !reviews.length) {
+            return 0;
+        }
+
+        const targets = this.getTargets(user);
+        if (!targets.length) {
+            return 0;
+        }
+
+        const cutoff = now.getTime() - NOTIFICATIONS.ESCALATION_MAX_AGE_DAYS * DAY_MS;
+        let escalated = 0;
+
+        for (const review of reviews) {
+            if (review.createTime && new Date(review.createTime).getTime() < cutoff) {
+                continue;
+            }
+
+            const { matched, matchedKeywords } = this.matchEscalation(review, escalation);
+            if (!matched) {
+                continue;
+            }
+
+            const delivered = await this.deliver(user, targets, {
+                event: 'review.escalated',
+                dedupeKey: review.reviewName,
+                review,
+                matchedKeywords
+            });
+            if (delivered) {
+                escalated += 1;
+            }
+        }
+
+        if (escalated) {
+            console.log(`[Notifications] Escalated ${escalated} review(s) for user ${user._id}`);
+        }
+        return escalated;
+    }
+
+    /**
+     * Send one alert to every target, logging each attempt
+     * @returns {boolean} Whether any target was attempted (not a duplicate)
+     */
+    async deliver(user, targets, { event, dedupeKey, review, matchedKeywords = [] }) {
+        const message = this.buildEscalation(user, review, matchedKeywords, event);
+        let attempted = false;
+
+        for (const { channel, target } of targets) {
+            const delivery = await this.claimDelivery(user, {
+                event,
+                channel,
+                target,
+                dedupeKey,
+                subject: message.subject,
+                reviewName: review.reviewName,
+                locationId: review.locationId,
+                locationName: review.locationName,
+                ratingValue: review.ratingValue,
+                matchedKeywords
+            });
+            if (!delivery) {
+                continue;
+            }
+
+            attempted = true;
+            await this.send(user, delivery, message);
+        }
+
+        return attempted;
+    }
+
+    /**
+     * Log a delivery as pending, or pick a failed one up again
+     * @returns {object|null} Delivery document, or null when it was sent already
+     */
+    async claimDelivery(user, fields) {
+        const key = {
+            userId: user._id,
+            event: fields.event,
+            channel: fields.channel,
+            target: fields.target,
+            dedupeKey: fields.dedupeKey
+        };
+
+        try {
+            return await NotificationDelivery.create({ ...fields, ...key, attempts: 1 });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        return NotificationDelivery.findOneAndUpdate(
+            { ...key, status: 'failed', attempts: { $lt: MAX_DELIVERY_ATTEMPTS } },
+            { $set: { status: 'pending' }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Send a claimed delivery and record the outcome. Failures are logged, not thrown.
+     */
+    async send(user, delivery, message) {
+        if (delivery.channel === 'email' && !emailService.isConfigured()) {
+            delivery.set({ status: 'skipped', error: 'SMTP is not configured on this server.' });
+            await delivery.save();
+            return delivery;
+        }
+
+        return this.attempt(delivery, () => (delivery.channel === 'email'
+            ? emailService.send({
+                to: delivery.target,
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            })
+            : this.postWebhook(delivery.target, user.notificationSettings?.webhook?.secret, message.payload)));
+    }
+
+    /**
+     * Run a claimed delivery's transport and record the outcome. Failures are logged, not thrown.
+     * @param {Function} transport - Sends the message; an HTTP response's status is kept
+     */
+    async attempt(delivery, transport) {
+        try {
+            const response = await transport();
+            delivery.set({ status: 'sent', sentAt: new Date(), responseStatus: response?.status, error: undefined });
+        } catch (error) {
+            console.error(`[Notifications] ${delivery.channel} delivery to ${delivery.target} failed:`, error.message);
+            delivery.set({
+                status: 'failed',
+                responseStatus: error.response?.status,
+                error: error.message
+            });
+        }
+
+        await delivery.save();
+        return delivery;
+    }
+
+    /**
+     * POST a JSON alert. With a secret, X-Signature carries the hex HMAC-SHA256 of the body.
+     * Only https URLs on public addresses are sent to.
+     */
+    async postWebhook(url, secret, payload) {
+        await assertPublicUrl(url);
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Event': payload.event
+        };
+        if (secret) {
+            headers['X-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+        }
+
+        return axios.post(url, body, {
+            headers,
+            timeout: Number(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || NOTIFICATIONS.WEBHOOK_TIMEOUT_MS),
+            ...outboundRequestOptions()
+        });
+    }
+
+    /**
+     * Email subject and bodies plus the webhook payload for one escalated review
+     */
+    buildEscalation(user, review, matchedKeywords, event) {
+        const location = review.locationName || review.locationId || 'your business';
+        const rating = review.ratingValue || 0;
+        const dashboardUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reviews`;
+        const reason = matchedKeywords.length
+            ? `Mentions: ${matchedKeywords.join(', ')}`
+            : `Rated ${rating} of 5`;
+
+        const subject = `${rating ? `${rating}★` : 'New'} review needs attention - ${location}`;
+        const text = [
+            `${review.reviewerName || 'A customer'} left a review for ${location}.`,
+            '',
+            `Rating: ${stars(rating)} (${rating}/5)`,
+            reason,
+            '',
+            review.comment ? `"${review.comment}"` : '(No comment)',
+            '',
+            `Respond from your dashboard: ${dashboardUrl}`
+        ].join('\n');
+        const html = `
+            <p><strong>${escapeHtml(review.reviewerName || 'A customer')}</strong> left a review for <strong>${escapeHtml(location)}</strong>.</p>
+            <p>Rating: ${stars(rating)} (${rating}/5)<br>${escapeHtml(reason)}</p>
+            <blockquote>${review.comment ? escapeHtml(review.comment) : '<em>No comment</em>'}</blockquote>
+            <p><a href="${escapeHtml(dashboardUrl)}">Respond from your dashboard</a></p>
+        `;
+
+        return {
+            subject,
+            text,
+            html,
+            payload: {
+                event,
+                sentAt: new Date().toISOString(),
+                userId: user._id.toString(),
+                review: {
+                    name: review.reviewName,
+                    locationId: review.locationId,
+                    locationName: review.locationName,
+                    reviewerName: review.reviewerName,
+                    rating,
+                    comment: review.comment || '',
+                    createTime: review.createTime || null,
+                    matchedKeywords
+                }
+            }
+        };
+    }
+
+    /**
+     * Send a sample alert to every configured destination
+     * @returns {Array<object>} Delivery documents
+     */
+    async sendTest(user) {
+        const targets = this.getTargets(user);
+        if (!targets.length) {
+            throw new AppError('No notification destinations are configured.', 400);
+        }
+
+        const review = {
+            reviewName: `test-${Date.now()}`,
+            locationName: 'Sample location',
+            reviewerName: 'Sample customer',
+            ratingValue: 1,
+            comment: 'This is a test alert. Real alerts quote the review here.',
+            createTime: new Date().toISOString()
+        };
+        const message = this.buildEscalation(user, review, [], 'test');
+
+        const deliveries = [];
+        for (const { channel, target } of targets) {
+            const delivery = await this.claimDelivery(user, {
+                event: 'test',
+                channel,
+                target,
+                dedupeKey: review.reviewName,
+                subject: message.subject,
+                reviewName: review.reviewName,
+                ratingValue: review.ratingValue
+            });
+            deliveries.push((await this.send(user, delivery, message)).toObject());
+        }
+        return deliveries;
+    }
+
+    async listDeliveries(userId, { event, status, channel, page = 1, limit = NOTIFICATIONS.DELIVERY_PAGE_SIZE } = {}) {
+        const query = { userId };
+        if (event) query.event = event;
+        if (status) query.status = status;
+        if (channel) query.channel = channel;
+
+        const [deliveries, total] = await Promise.all([
+            NotificationDelivery.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            NotificationDelivery.countDocuments(query)
+        ]);
+
+        return { deliveries, total };
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,392 @@
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const couponService = require('./couponService');
+const { BILLING, SUBSCRIPTION_PLANS } = require('../utils/constants');
+require('dotenv').config();
+
+const GST_RATE = Number(process.env.BILLING_GST_RATE || BILLING.GST_RATE);
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || BILLING.INVOICE_PREFIX;
+
+const normalizeState = (state) => (state ? String(state).trim().toLowerCase() : null);
+
+/**
+ * Payment Ledger Service - Keeps every checkout, charge, failure and refund, and
+ * issues sequentially numbered tax invoices for captured payments.
+ */
+class PaymentLedgerService {
+    getSeller() {
+        return {
+            name: process.env.BILLING_SELLER_NAME || 'Review Reply',
+            email: process.env.BILLING_SELLER_EMAIL || undefined,
+            gstin: process.env.BILLING_SELLER_GSTIN || undefined,
+            address: process.env.BILLING_SELLER_ADDRESS || undefined,
+            state: process.env.BILLING_SELLER_STATE || undefined
+        };
+    }
+
+    /**
+     * Split a tax-inclusive amount into taxable value and GST. Same-state supplies
+     * are CGST + SGST, everything else (or an unknown buyer state) is IGST. Charges in
+     * other currencies are exports and carry no GST.
+     * @param {number} amount - Tax-inclusive amount in the currency's smallest unit
+     * @param {string} buyerState - Customer's state, if known
+     */
+    computeTax(amount, buyerState, currency = 'INR') {
+        if (currency !== 'INR') {
+            return { rate: 0, taxableAmount: amount, cgst: 0, sgst: 0, igst: 0, total: 0 };
+        }
+
+        const taxableAmount = Math.round((amount * 100) / (100 + GST_RATE));
+        const total = amount - taxableAmount;
+        const sellerState = normalizeState(process.env.BILLING_SELLER_STATE);
+        const isIntraState = !!sellerState && sellerState === normalizeState(buyerState);
+
+        const cgst = isIntraState ? Math.floor(total / 2) : 0;
+        return {
+            rate: GST_RATE,
+            taxableAmount,
+            cgst,
+            sgst: isIntraState ? total - cgst : 0,
+            igst: isIntraState ? 0 : total,
+            total
+        };
+    }
+
+    /**
+     * Indian financial year label (April - March), e.g. "26-27"
+     */
+    getFinancialYear(date = new Date()) {
+        const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+        const short = (year) => String(year % 100).padStart(2, '0');
+        return `${short(startYear)}-${short(startYear + 1)}`;
+    }
+
+    /**
+     * Next invoice number, e.g. INV/26-27/000042. Numbering restarts each financial year.
+     */
+    async nextInvoiceNumber(date = new Date()) {
+        const financialYear = this.getFinancialYear(date);
+        const seq = await Counter.next(`invoice:${financialYear}`);
+        return `${INVOICE_PREFIX}/${financialYear}/${String(seq).padStart(6, '0')}`;
+    }
+
+    /**
+     * Record a checkout that hasn't been paid yet
+     */
+    async recordCheckout(user, {
+        provider = 'razorpay',
+        type,
+        plan,
+        amount,
+        currency = 'INR',
+        orderId = null,
+        subscriptionId = null,
+        description,
+        coupon
+    }) {
+        return Payment.create({
+            userId: user._id,
+            provider,
+            type,
+            plan,
+            description,
+            coupon,
+            amount,
+            currency,
+            orderId,
+            subscriptionId,
+            tax: this.computeTax(amount, user.billingDetails?.state, currency)
+        });
+    }
+
+    /**
+     * Net amount captured for charges covering a period: its subscription charge plus any
+     * prorated upgrades, less refunds
+     * @returns {number|null} null when no captured charge in the ledger covers the period
+     */
+    async getPaidForPeriod(userId, { start, end }) {
+        const payments = await Payment.find({
+            userId,
+            status: { $in: ['captured', 'partially_refunded', 'refunded'] },
+            periodEnd: { $gt: start, $lte: end }
+        })
+            .select('amount amountRefunded')
+            .lean();
+        if (!payments.length) {
+            return null;
+        }
+        return payments.reduce((total, payment) => total + payment.amount - (payment.amountRefunded || 0), 0);
+    }
+
+    /**
+     * Find the ledger entry a provider payment belongs to: the charge itself, or the
+     * checkout it completes
+     */
+    async findEntry({ paymentId, orderId, subscriptionId }) {
+        if (paymentId) {
+            const payment = await Payment.findOne({ paymentId });
+            if (payment) return payment;
+        }
+        if (orderId) {
+            const payment = await Payment.findOne({ orderId, status: 'created' });
+            if (payment) return payment;
+        }
+        if (subscriptionId) {
+            return Payment.findOne({ subscriptionId, status: 'created' }).sort({ createdAt: 1 });
+        }
+        return null;
+    }
+
+    /**
+     * Record a captured payment and issue its invoice. Safe to call repeatedly for the
+     * same payment (client verification and webhooks both report captures).
+     * @returns {object} Payment document
+     */
+    async recordCapture(user, details) {
+        const {
+            provider = 'razorpay',
+            type,
+            plan,
+            paymentId,
+            orderId = null,
+            subscriptionId = null,
+            providerInvoiceId = null,
+            method = null,
+            periodStart = null,
+            periodEnd = null,
+            coupon = null,
+            paidAt = new Date()
+        } = details;
+
+        let payment = await this.findEntry({ paymentId, orderId, subscriptionId });
+        if (!payment) {
+            payment = new Payment({ userId: user._id, provider, type });
+        }
+
+        // Checkouts already know what they charge (e.g. a prorated upgrade); fall back to list price
+        const amount = details.amount ?? payment.amount ?? SUBSCRIPTION_PLANS[plan]?.priceInPaise ?? 0;
+        const currency = details.currency || payment.currency || SUBSCRIPTION_PLANS[plan]?.currency || 'INR';
+
+        // The coupon's redemption was reserved with the checkout; one paid after its reservation
+        // was given back is counted now. The conditional update keeps verification and webhook
+        // from both counting it, and the reservation from being released underneath it
+        if (!payment.isNew && ['created', 'failed'].includes(payment.status) && payment.coupon?.couponId) {
+            const claimed = await Payment.findOneAndUpdate(
+                { _id: payment._id, status: { $in: ['created', 'failed'] } },
+                { $set: { status: 'captured' } },
+                { new: true }
+            ).lean();
+            if (claimed && !claimed.coupon.reserved) {
+                await couponService.recordRedemption(payment.coupon.couponId);
+            }
+        }
+        if (['created', 'failed'].includes(payment.status)) {
+            payment.status = 'captured';
+        }
+        payment.set({
+            plan: plan || payment.plan,
+            amount,
+            currency,
+            tax: this.computeTax(amount, user.billingDetails?.state, currency),
+            paymentId,
+            orderId: orderId || payment.orderId,
+            subscriptionId: subscriptionId || payment.subscriptionId,
+            providerInvoiceId: providerInvoiceId || payment.providerInvoiceId,
+            method: method || payment.method,
+            periodStart: periodStart || payment.periodStart,
+            periodEnd: periodEnd || payment.periodEnd,
+            // The snapshot taken at checkout wins over the one derived for renewals
+            coupon: payment.coupon?.couponId ? payment.coupon : coupon,
+            paidAt: payment.paidAt || paidAt,
+            failedAt: undefined,
+            failureReason: undefined
+        });
+
+        try {
+            await payment.save();
+        } catch (error) {
+            // Verification and webhook raced on a brand-new payment
+            if (error.code === 11000 && paymentId) {
+                payment = await Payment.findOne({ paymentId });
+            } else {
+                throw error;
+            }
+        }
+
+        await this.issueInvoice(payment, user);
+        return payment;
+    }
+
+    /**
+     * @returns {string|null} Owner of a provider payment, from our ledger or the checkout notes
+     */
+    async resolveUserId({ paymentId, orderId, notes }) {
+        const entry = await this.findEntry({ paymentId, orderId });
+        if (entry) {
+            return entry.userId;
+        }
+        if (notes?.userId) {
+            return notes.userId;
+        }
+        if (orderId) {
+            const user = await User.findOne({ 'subscription.pendingOrder.orderId': orderId }).select('_id').lean();
+            return user?._id || null;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {object|null} Payment document, or null when the owner can't be determined
+     */
+    async recordFailure({
+        provider = 'razorpay',
+        paymentId,
+        orderId = null,
+        subscriptionId = null,
+        providerInvoiceId = null,
+        amount,
+        currency = 'INR',
+        reason,
+        notes
+    }) {
+        let payment = await this.findEntry({ paymentId, orderId });
+        if (!payment) {
+            const userId = await this.resolveUserId({ paymentId, orderId, notes });
+            if (!userId) {
+                return null;
+            }
+            payment = new Payment({
+                userId,
+                provider,
+                type: orderId && !providerInvoiceId ? 'order' : 'subscription',
+                plan: notes?.plan,
+                amount,
+                currency
+            });
+        }
+
+        // A capture already recorded for this payment wins over a late failure event
+        if (payment.status === 'captured' || payment.status.includes('refunded')) {
+            return payment;
+        }
+
+        payment.set({
+            status: 'failed',
+            paymentId,
+            orderId: orderId || payment.orderId,
+            subscriptionId: subscriptionId || payment.subscriptionId,
+            providerInvoiceId: providerInvoiceId || payment.providerInvoiceId,
+            failedAt: new Date(),
+            failureReason: reason || 'Payment failed'
+        });
+        await payment.save();
+        return payment;
+    }
+
+    /**
+     * Apply a refund to the payment it belongs to (idempotent per refund id)
+     * @returns {object|null} Payment document, or null when the payment isn't in the ledger
+     */
+    async recordRefund({ paymentId, refundId, amount, status }) {
+        const payment = await Payment.findOne({ paymentId });
+        if (!payment) {
+            return null;
+        }
+
+        const existing = payment.refunds.find(refund => refund.refundId === refundId);
+        if (existing) {
+            existing.status = status;
+        } else {
+            payment.refunds.push({ refundId, amount, status, createdAt: new Date() });
+            payment.amountRefunded = (payment.amountRefunded || 0) + amount;
+        }
+
+        payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+        await payment.save();
+        return payment;
+    }
+
+    /**
+     * Issue the invoice for a captured payment once
+     * @returns {object} Invoice document
+     */
+    async issueInvoice(payment, user) {
+        if (payment.invoiceId) {
+            return Invoice.findById(payment.invoiceId);
+        }
+
+        const planName = SUBSCRIPTION_PLANS[payment.plan]?.name || payment.plan || 'Subscription';
+        const couponNote = payment.coupon?.code ? ` - coupon ${payment.coupon.code}` : '';
+        const issuedAt = payment.paidAt || new Date();
+
+        let invoice;
+        try {
+            invoice = await Invoice.create({
+                number: await this.nextInvoiceNumber(issuedAt),
+                userId: payment.userId,
+                paymentId: payment._id,
+                issuedAt,
+                seller: this.getSeller(),
+                billTo: {
+                    name: user.billingDetails?.legalName || user.name,
+                    email: user.email,
+                    gstin: user.billingDetails?.gstin,
+                    address: user.billingDetails?.address,
+                    state: user.billingDetails?.state
+                },
+                lineItems: [{
+                    description: `${payment.description || `${planName} plan subscription`}${couponNote}`,
+                    quantity: 1,
+                    amount: payment.tax.taxableAmount
+                }],
+                subtotal: payment.tax.taxableAmount,
+                tax: {
+                    rate: payment.tax.rate,
+                    cgst: payment.tax.cgst,
+                    sgst: payment.tax.sgst,
+                    igst: payment.tax.igst,
+                    total: payment.tax.total
+                },
+                total: payment.amount,
+                currency: payment.currency,
+                periodStart: payment.periodStart,
+                periodEnd: payment.periodEnd
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            invoice = await Invoice.findOne({ paymentId: payment._id });
+        }
+
+        await Payment.updateOne({ _id: payment._id }, { $set: { invoiceId: invoice._id } });
+        payment.invoiceId = invoice._id;
+        return invoice;
+    }
+
+    async getHistory(userId, { page = 1, limit = BILLING.HISTORY_PAGE_SIZE } = {}) {
+        const skip = (page - 1) * limit;
+        const [payments, total] = await Promise.all([
+            Payment.find({ userId })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('invoiceId', 'number issuedAt total currency')
+                .lean(),
+            Payment.countDocuments({ userId })
+        ]);
+
+        return {
+            payments: payments.map(({ invoiceId, ...payment }) => ({ ...payment, invoice: invoiceId || null })),
+            total
+        };
+    }
+
+    async getInvoice(userId, invoiceId) {
+        return Invoice.findOne({ _id: invoiceId, userId }).lean();
+    }
+}
+
+module.exports = new PaymentLedgerService();
@@ -0,0 +1,139 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const { AppError } = require('../utils/errorHandler');
+const { BILLING } = require('../utils/constants');
+const payments = require('./payments');
+
+const CLAIMABLE_STATUSES = ['received', 'failed'];
+
+/**
+ * Payment Webhook Service - Stores every verified provider webhook by the provider's
+ * event id and applies it once. Providers retry deliveries, so a repeated event is
+ * acknowledged without running its handler again; failed ones can be replayed.
+ */
+class PaymentWebhookService {
+    /**
+     * Store a verified webhook and process it unless it was already handled
+     * @param {string} provider - Provider name
+     * @param {object} parsed - { eventId, event, payload, references } from the provider's parseWebhook
+     * @returns {{ event: object, duplicate: boolean }}
+     */
+    async receive(provider, { eventId, event, payload, references }) {
+        let stored;
+        try {
+            stored = await WebhookEvent.create({
+                provider,
+                eventId,
+                event,
+                payload,
+                ...references
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            stored = await WebhookEvent.findOne({ provider, eventId });
+        }
+
+        const claimed = await this.claim(stored._id);
+        if (!claimed) {
+            console.log(`[Payment] Skipping duplicate ${provider} webhook ${eventId} (${stored.status})`);
+            return { event: stored, duplicate: true };
+        }
+
+        return { event: await this.process(claimed), duplicate: false };
+    }
+
+    /**
+     * Mark an event as processing unless it is done or another request holds it
+     * @param {boolean} force - Also claim processed and ignored events (replay)
+     * @returns {object|null} Claimed event
+     */
+    async claim(id, force = false, update = {}) {
+        const staleBefore = new Date(Date.now() - BILLING.WEBHOOK_PROCESSING_TIMEOUT_MS);
+        const claimable = [
+            { status: { $in: force ? [...CLAIMABLE_STATUSES, 'processed', 'ignored'] : CLAIMABLE_STATUSES } },
+            { status: 'processing', updatedAt: { $lt: staleBefore } }
+        ];
+
+        return WebhookEvent.findOneAndUpdate(
+            { _id: id, $or: claimable },
+            { $set: { status: 'processing', ...update }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Apply a claimed event and record the outcome. Errors are rethrown so the
+     * webhook responds with a failure and the provider delivers it again.
+     */
+    async process(stored) {
+        try {
+            const provider = payments.getProvider(stored.provider);
+            const result = await provider.handleWebhookEvent(stored.event, stored.payload);
+            stored.set({
+                status: result.handled ? 'processed' : 'ignored',
+                userId: result.userId || stored.userId,
+                processedAt: new Date(),
+                lastError: undefined
+            });
+            await stored.save();
+            return stored;
+        } catch (error) {
+            console.error(`[Payment] ${stored.provider} webhook ${stored.eventId} (${stored.event}) failed:`, error.message);
+            stored.set({ status: 'failed', lastError: error.message });
+            await stored.save();
+            throw error;
+        }
+    }
+
+    async list({ provider, status, event, page = 1, limit = 20 } = {}) {
+        const query = {};
+        if (provider) query.provider = provider;
+        if (status) query.status = status;
+        if (event) query.event = event;
+
+        const [events, total] = await Promise.all([
+            WebhookEvent.find(query)
+                .select('-payload')
+                .sort({ receivedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            WebhookEvent.countDocuments(query)
+        ]);
+
+        return { events, total };
+    }
+
+    async get(id) {
+        const stored = await WebhookEvent.findById(id).lean();
+        if (!stored) {
+            throw new AppError('Webhook event not found.', 404);
+        }
+        return stored;
+    }
+
+    /**
+     * Run a stored event through its handler again. Handlers skip changes that are
+     * already applied, so replaying a processed event is safe.
+     */
+    async replay(id, adminId) {
+        await this.get(id);
+
+        const claimed = await this.claim(id, true, { replayedAt: new Date(), replayedBy: adminId });
+        if (!claimed) {
+            throw new AppError('Webhook event is being processed. Try again shortly.', 409);
+        }
+
+        try {
+            await this.process(claimed);
+        } catch (error) {
+            // The outcome is stored on the event and returned to the caller
+        }
+
+        console.log(`[Payment] ${claimed.provider} webhook ${claimed.eventId} replayed by ${adminId}: ${claimed.status}`);
+        return claimed.toObject();
+    }
+}
+
+module.exports = new PaymentWebhookService();
@@ -0,0 +1,58 @@
+const razorpayProvider = require('./razorpayProvider');
+const stripeProvider = require('./stripeProvider');
+const { getCountry, getRegion, getPlanPrice } = require('./pricing');
+const { AppError } = require('../../utils/errorHandler');
+
+/**
+ * Payment providers. Each one implements:
+ * - isConfigured()
+ * - createCheckout(user, { plan, amount, currency, discount }) - provider fields for the client
+ * - verifyCheckout(userId, payload) - applies a completed checkout, returns the user
+ * - parseWebhook(rawBody, headers) - verified { eventId, event, payload, references }
+ * - handleWebhookEvent(event, payload) - { handled, userId }
+ * - cancelSubscription(subscriptionId, atPeriodEnd)
+ */
+const PROVIDERS = {
+    [razorpayProvider.name]: razorpayProvider,
+    [stripeProvider.name]: stripeProvider
+};
+
+const getProvider = (name) => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new AppError(`Unknown payment provider: ${name}`, 404);
+    }
+    return provider;
+};
+
+/**
+ * Provider, currency and country a user checks out with, from their billing country
+ * @throws {AppError} 503 when the region's provider isn't configured on this deployment
+ */
+const selectForUser = (user) => {
+    const country = getCountry(user);
+    const region = getRegion(country);
+    const provider = getProvider(region.provider);
+
+    if (!provider.isConfigured()) {
+        throw new AppError(`Payments in ${region.currency} are not available yet.`, 503);
+    }
+
+    return { provider, currency: region.currency, country };
+};
+
+const listProviders = () =>
+    Object.values(PROVIDERS).map(provider => ({
+        name: provider.name,
+        configured: provider.isConfigured()
+    }));
+
+module.exports = {
+    getProvider,
+    selectForUser,
+    listProviders,
+    getCountry,
+    getRegion,
+    getPlanPrice,
+    PROVIDERS
+};
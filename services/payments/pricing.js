@@ -0,0 +1,37 @@
+const { SUBSCRIPTION_PLANS, PAYMENT_REGIONS } = require('../../utils/constants');
+require('dotenv').config();
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_BILLING_COUNTRY || 'IN').toUpperCase();
+
+/**
+ * Billing country of a user, falling back to the deployment default
+ */
+const getCountry = (user) => (user?.billingDetails?.country || DEFAULT_COUNTRY).toUpperCase();
+
+/**
+ * Payment region for a country
+ * @returns {{ key: string, provider: string, currency: string }}
+ */
+const getRegion = (country) => {
+    const key = Object.keys(PAYMENT_REGIONS).find(region => PAYMENT_REGIONS[region].countries.includes(country)) || 'DEFAULT';
+    const { provider, currency } = PAYMENT_REGIONS[key];
+    return { key, provider, currency };
+};
+
+/**
+ * Price of a plan in one currency, in that currency's smallest unit
+ * @returns {number|null} null when the plan isn't sold in the currency (or is free)
+ */
+const getPlanPrice = (planKey, currency) => {
+    const plan = SUBSCRIPTION_PLANS[planKey];
+    if (!plan?.priceInPaise) {
+        return null;
+    }
+    return plan.prices?.[currency] ?? (currency === (plan.currency || 'INR') ? plan.priceInPaise : null);
+};
+
+module.exports = {
+    getCountry,
+    getRegion,
+    getPlanPrice
+};
@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const { AppError } = require('../../utils/errorHandler');
+const { SUBSCRIPTION_PLANS } = require('../../utils/constants');
+const razorpayService = require('../razorpayService');
+const billingService = require('../billingService');
+const paymentLedgerService = require('../paymentLedgerService');
+const couponService = require('../couponService');
+require('dotenv').config();
+
+const fromUnixSeconds = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * Razorpay Subscriptions for customers billed in INR. Razorpay retries webhook
+ * deliveries and reports one payment through several events, so each handler
+ * checks whether its change is already in place.
+ */
+class RazorpayProvider {
+    constructor() {
+        this.name = 'razorpay';
+    }
+
+    isConfigured() {
+        return !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+    }
+
+    /**
+     * Create a recurring subscription to authorise through Razorpay Checkout
+     * @param {object} [discount] - Validated coupon pricing from couponService.validate
+     */
+    async createCheckout(user, { plan, amount, currency, discount }) {
+        const subscription = await razorpayService.createSubscription(user, plan, discount);
+
+        user.subscription.pendingSubscription = {
+            subscriptionId: subscription.id,
+            plan,
+            coupon: discount ? {
+                couponId: discount.coupon._id,
+                code: discount.coupon.code,
+                duration: discount.coupon.duration
+            } : undefined,
+            createdAt: new Date()
+        };
+        user.subscription.pendingOrder = undefined;
+        await user.save();
+
+        await paymentLedgerService.recordCheckout(user, {
+            provider: this.name,
+            type: 'subscription',
+            plan,
+            amount,
+            currency,
+            subscriptionId: subscription.id,
+            coupon: discount ? couponService.toApplied(discount.coupon, discount) : undefined
+        });
+
+        return {
+            subscriptionId: subscription.id,
+            shortUrl: subscription.short_url,
+            keyId: process.env.RAZORPAY_KEY_ID
+        };
+    }
+
+    /**
+     * Confirm a checkout from the client. Subscriptions are the normal path; order
+     * verification covers prorated upgrades and checkouts started before recurring billing.
+     * @returns {object} Updated user
+     */
+    async verifyCheckout(userId, payload) {
+        const {
+            razorpay_payment_id,
+            razorpay_order_id,
+            razorpay_subscription_id,
+            razorpay_signature
+        } = payload;
+
+        if (!razorpay_payment_id || !razorpay_signature || (!razorpay_order_id && !razorpay_subscription_id)) {
+            throw new AppError('Missing Razorpay verification payload.', 400);
+        }
+
+        if (!process.env.RAZORPAY_KEY_SECRET) {
+            throw new AppError('Razorpay configuration missing on server.', 500);
+        }
+
+        if (razorpay_subscription_id) {
+            return this.verifySubscription(userId, razorpay_subscription_id, razorpay_payment_id, razorpay_signature);
+        }
+
+        if (!razorpayService.verifyOrderSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+            throw new AppError('Invalid Razorpay signature.', 400);
+        }
+
+        const user = await User.findOne({ 'subscription.pendingOrder.orderId': razorpay_order_id });
+        if (!user) {
+            throw new AppError('Subscription order not found for user.', 404);
+        }
+
+        const plan = user.subscription.pendingOrder?.plan;
+        if (!SUBSCRIPTION_PLANS[plan]) {
+            throw new AppError('Invalid plan on pending order.', 400);
+        }
+
+        await billingService.completeOrderPayment(user, {
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id
+        });
+        return user;
+    }
+
+    async verifySubscription(userId, subscriptionId, paymentId, signature) {
+        if (!razorpayService.verifySubscriptionSignature(subscriptionId, paymentId, signature)) {
+            throw new AppError('Invalid Razorpay signature.', 400);
+        }
+
+        let subscriptionEntity = { id: subscriptionId };
+        const user = await billingService.findSubscriptionUser(subscriptionEntity);
+        if (!user || user._id.toString() !== userId.toString()) {
+            throw new AppError('Subscription not found for user.', 404);
+        }
+
+        // The subscription.charged webhook may already have activated it
+        if (user.subscription.razorpaySubscriptionId === subscriptionId) {
+            return user;
+        }
+
+        try {
+            subscriptionEntity = await razorpayService.fetchSubscription(subscriptionId);
+        } catch (error) {
+            console.error('[Payment] Failed to fetch Razorpay subscription', error?.error || error?.message || error);
+        }
+
+        const plan = await billingService.resolveSubscriptionPlan(user, subscriptionEntity);
+        if (!plan || !SUBSCRIPTION_PLANS[plan]) {
+            throw new AppError('Invalid plan on pending subscription.', 400);
+        }
+
+        billingService.applySubscriptionPeriod(user, plan, subscriptionEntity, paymentId);
+        await user.save();
+        await paymentLedgerService.recordCapture(user, {
+            provider: this.name,
+            type: 'subscription',
+            plan,
+            paymentId,
+            subscriptionId,
+            periodStart: user.subscription.currentPeriodStart,
+            periodEnd: user.subscription.expiresAt
+        });
+        billingService.emitSubscriptionUpdate(user);
+        return user;
+    }
+
+    /**
+     * @param {boolean} atPeriodEnd - Keep the paid period running and stop renewing
+     */
+    async cancelSubscription(subscriptionId, atPeriodEnd) {
+        await razorpayService.cancelSubscription(subscriptionId, atPeriodEnd);
+    }
+
+    /**
+     * Verify a webhook delivery and describe it for the event store
+     * @throws {AppError} 500 when no webhook secret is configured, 400 on a bad signature
+     * @returns {{ eventId: string, event: string, payload: object, references: object }}
+     */
+    parseWebhook(rawBody, headers) {
+        if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+            throw new AppError('Webhook secret not configured.', 500);
+        }
+
+        const bodyString = rawBody.toString('utf8');
+        if (!razorpayService.verifyWebhookSignature(bodyString, headers['x-razorpay-signature'])) {
+            throw new AppError('Invalid signature.', 400);
+        }
+
+        const body = JSON.parse(bodyString);
+        return {
+            eventId: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(bodyString).digest('hex'),
+            event: body.event,
+            payload: body,
+            references: this.extractReferences(body.payload)
+        };
+    }
+
+    /**
+     * Entity ids worth filtering stored events by
+     */
+    extractReferences(payload) {
+        const payment = payload?.payment?.entity;
+        const refund = payload?.refund?.entity;
+        return {
+            paymentId: payment?.id || refund?.payment_id || undefined,
+            orderId: payment?.order_id || payload?.order?.entity?.id || undefined,
+            subscriptionId: payload?.subscription?.entity?.id || undefined,
+            refundId: refund?.id || undefined
+        };
+    }
+
+    /**
+     * @param {object} body - Webhook body as stored
+     * @returns {{ handled: boolean, userId?: object }}
+     */
+    async handleWebhookEvent(eventName, body) {
+        const payload = body?.payload || {};
+        const paymentEntity = payload.payment?.entity;
+        const subscriptionEntity = payload.subscription?.entity;
+
+        switch (eventName) {
+            case 'payment.captured':
+                return paymentEntity ? this.handleOrderPayment(paymentEntity) : { handled: false };
+            case 'order.paid':
+                return this.handleOrderPayment(paymentEntity || { order_id: payload.order?.entity?.id });
+            case 'payment.failed':
+                return paymentEntity ? this.handlePaymentFailed(paymentEntity) : { handled: false };
+            case 'refund.created':
+            case 'refund.processed':
+                return payload.refund?.entity ? this.handleRefund(payload.refund.entity) : { handled: false };
+            case 'subscription.authenticated':
+                // Deferred-start subscriptions (first-payment coupons) pay the first period upfront here
+                return subscriptionEntity?.start_at * 1000 > Date.now()
+                    ? this.handleSubscriptionPaid(subscriptionEntity, paymentEntity)
+                    : { handled: false };
+            case 'subscription.activated':
+            case 'subscription.charged':
+                return subscriptionEntity ? this.handleSubscriptionPaid(subscriptionEntity, paymentEntity) : { handled: false };
+            case 'subscription.halted':
+                return subscriptionEntity ? this.handleSubscriptionHalted(subscriptionEntity) : { handled: false };
+            case 'subscription.cancelled':
+                return subscriptionEntity ? this.handleSubscriptionCancelled(subscriptionEntity) : { handled: false };
+            default:
+                // payment.authorized is always followed by payment.captured, which does the work
+                console.log(`[Payment] Ignoring Razorpay event: ${eventName}`);
+                return { handled: false };
+        }
+    }
+
+    /**
+     * One-off order payment, reported by both payment.captured and order.paid
+     */
+    async handleOrderPayment(paymentEntity) {
+        const orderId = paymentEntity?.order_id;
+        // Subscription charges carry an invoice and are handled by subscription.charged
+        if (!orderId || paymentEntity.invoice_id) {
+            return { handled: false };
+        }
+
+        const user = await User.findOne({
+            $or: [
+                { 'subscription.pendingOrder.orderId': orderId },
+                { 'subscription.razorpayOrderId': orderId }
+            ]
+        });
+        if (!user) {
+            console.error('[Payment] No user found for Razorpay order:', orderId);
+            return { handled: false };
+        }
+
+        const pendingOrderId = user.subscription.pendingOrder?.orderId;
+        if (pendingOrderId === orderId) {
+            const plan = user.subscription.pendingOrder.plan;
+            if (!SUBSCRIPTION_PLANS[plan]) {
+                console.error('[Payment] Plan not found for pending order:', plan);
+                return { handled: false, userId: user._id };
+            }
+
+            await billingService.completeOrderPayment(user, {
+                orderId,
+                paymentId: paymentEntity.id || null,
+                amount: paymentEntity.amount,
+                currency: paymentEntity.currency,
+                method: paymentEntity.method
+            });
+            return { handled: true, userId: user._id };
+        }
+
+        if (!paymentEntity.id || user.subscription.razorpayPaymentId !== paymentEntity.id) {
+            // Already applied by client verification or an earlier event
+            return { handled: false, userId: user._id };
+        }
+
+        await paymentLedgerService.recordCapture(user, {
+            provider: this.name,
+            type: 'order',
+            plan: user.subscription.plan,
+            paymentId: paymentEntity.id,
+            orderId,
+            amount: paymentEntity.amount,
+            currency: paymentEntity.currency,
+            method: paymentEntity.method
+        });
+        return { handled: true, userId: user._id };
+    }
+
+    async handleSubscriptionPaid(subscriptionEntity, paymentEntity) {
+        const user = await billingService.findSubscriptionUser(subscriptionEntity);
+        if (!user) {
+            console.error('[Payment] No user found for Razorpay subscription:', subscriptionEntity.id);
+            return { handled: false };
+        }
+
+        const plan = await billingService.resolveSubscriptionPlan(user, subscriptionEntity);
+        if (!plan || !SUBSCRIPTION_PLANS[plan]) {
+            console.error('[Payment] Plan not found for Razorpay subscription:', subscriptionEntity.id);
+            return { handled: false, userId: user._id };
+        }
+
+        // subscription.activated and subscription.charged both report the first charge, and an
+        // out-of-order retry or admin replay of an older charge must not pull the period back
+        const periodEnd = fromUnixSeconds(subscriptionEntity.current_end);
+        const alreadyApplied = user.subscription.razorpaySubscriptionId === subscriptionEntity.id &&
+            user.subscription.status === 'active' &&
+            ((!paymentEntity?.id || user.subscription.razorpayPaymentId === paymentEntity.id) ||
+                (!!periodEnd && user.subscription.expiresAt?.getTime() >= periodEnd.getTime()));
+
+        if (!alreadyApplied) {
+            billingService.applySubscriptionPeriod(user, plan, subscriptionEntity, paymentEntity?.id);
+            await user.save();
+            billingService.emitSubscriptionUpdate(user);
+        }
+
+        if (paymentEntity?.id) {
+            await paymentLedgerService.recordCapture(user, {
+                provider: this.name,
+                type: 'subscription',
+                plan,
+                paymentId: paymentEntity.id,
+                subscriptionId: subscriptionEntity.id,
+                providerInvoiceId: paymentEntity.invoice_id,
+                amount: paymentEntity.amount,
+                currency: paymentEntity.currency,
+                method: paymentEntity.method,
+                periodStart: fromUnixSeconds(subscriptionEntity.current_start) || user.subscription.currentPeriodStart,
+                periodEnd: periodEnd || user.subscription.expiresAt,
+                coupon: billingService.getRenewalCoupon(user, SUBSCRIPTION_PLANS[plan].priceInPaise, paymentEntity.amount)
+            });
+        }
+        return { handled: true, userId: user._id };
+    }
+
+    /**
+     * Razorpay stopped retrying a failed renewal
+     */
+    async handleSubscriptionHalted(subscriptionEntity) {
+        const user = await billingService.findSubscriptionUser(subscriptionEntity);
+        if (!user || user.subscription.razorpaySubscriptionId !== subscriptionEntity.id) {
+            return { handled: false, userId: user?._id };
+        }
+        if (!billingService.markPastDue(user)) {
+            return { handled: false, userId: user._id };
+        }
+
+        await user.save();
+        billingService.emitSubscriptionUpdate(user);
+        return { handled: true, userId: user._id };
+    }
+
+    async handleSubscriptionCancelled(subscriptionEntity) {
+        const user = await billingService.findSubscriptionUser(subscriptionEntity);
+        if (!user) {
+            return { handled: false };
+        }
+
+        if (user.subscription.pendingSubscription?.subscriptionId === subscriptionEntity.id) {
+            user.subscription.pendingSubscription = undefined;
+        } else if (user.subscription.razorpaySubscriptionId === subscriptionEntity.id) {
+            billingService.endSubscription(user);
+        } else {
+            return { handled: false, userId: user._id };
+        }
+
+        await user.save();
+        billingService.emitSubscriptionUpdate(user);
+        return { handled: true, userId: user._id };
+    }
+
+    /**
+     * Record the failure, release the checkout it belonged to and tell the user
+     */
+    async handlePaymentFailed(paymentEntity) {
+        const payment = await paymentLedgerService.recordFailure({
+            provider: this.name,
+            paymentId: paymentEntity.id,
+            orderId: paymentEntity.order_id,
+            providerInvoiceId: paymentEntity.invoice_id,
+            amount: paymentEntity.amount,
+            currency: paymentEntity.currency,
+            reason: paymentEntity.error_description,
+            notes: paymentEntity.notes
+        });
+        if (!payment) {
+            console.error('[Payment] No user found for failed Razorpay payment:', paymentEntity.id);
+            return { handled: false };
+        }
+        if (payment.status !== 'failed') {
+            // A capture for the same payment was recorded first
+            return { handled: false, userId: payment.userId };
+        }
+
+        const user = await User.findById(payment.userId);
+        if (!user) {
+            return { handled: false, userId: payment.userId };
+        }
+
+        const orderId = paymentEntity.order_id;
+        if (orderId && user.subscription.pendingOrder?.orderId === orderId) {
+            user.subscription.pendingOrder = undefined;
+            await user.save();
+            billingService.emitSubscriptionUpdate(user);
+        }
+
+        billingService.emitPaymentFailed(user, payment);
+        return { handled: true, userId: user._id };
+    }
+
+    /**
+     * Adjust the ledger for a refund. A full refund of the payment that bought the
+     * current period ends the plan (and stops a recurring subscription) right away.
+     */
+    async handleRefund(refundEntity) {
+        const payment = await paymentLedgerService.recordRefund({
+            paymentId: refundEntity.payment_id,
+            refundId: refundEntity.id,
+            amount: refundEntity.amount,
+            status: refundEntity.status
+        });
+        if (!payment) {
+            console.error('[Payment] No ledger entry found for Razorpay refund:', refundEntity.id);
+            return { handled: false };
+        }
+
+        const user = await User.findById(payment.userId);
+        if (!user) {
+            return { handled: true, userId: payment.userId };
+        }
+
+        const ownsCurrentPeriod = user.subscription.razorpayPaymentId === payment.paymentId &&
+            user.subscription.plan !== 'free';
+        const downgraded = payment.status === 'refunded' && ownsCurrentPeriod;
+
+        if (downgraded) {
+            const subscriptionId = user.subscription.razorpaySubscriptionId;
+            if (subscriptionId && billingService.isRecurringStatus(user.subscription.status)) {
+                await razorpayService.cancelSubscription(subscriptionId, false);
+            }
+            billingService.endSubscription(user);
+            await user.save();
+            console.log(`[Payment] User ${user._id} moved to free after full refund of ${payment.paymentId}`);
+            billingService.emitSubscriptionUpdate(user);
+        }
+
+        billingService.emitPaymentRefunded(user, payment, {
+            refundId: refundEntity.id,
+            amount: refundEntity.amount,
+            downgraded
+        });
+        return { handled: true, userId: user._id };
+    }
+}
+
+module.exports = new RazorpayProvider();
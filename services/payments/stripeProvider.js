@@ -0,0 +1,423 @@
+const User = require('../../models/User');
+const { AppError } = require('../../utils/errorHandler');
+const { SUBSCRIPTION_PLANS } = require('../../utils/constants');
+const stripeService = require('../stripeService');
+const billingService = require('../billingService');
+const paymentLedgerService = require('../paymentLedgerService');
+const couponService = require('../couponService');
+const { getPlanPrice } = require('./pricing');
+require('dotenv').config();
+
+const PAID_SESSION_STATUSES = ['paid', 'no_payment_required'];
+
+const fromUnixSeconds = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+const idOf = (value) => (typeof value === 'string' ? value : value?.id || null);
+
+/**
+ * Stripe Billing for customers outside India. Checkout Sessions create the
+ * subscription; invoices report each paid period. Stripe also retries webhooks and
+ * sends several events per checkout, so handlers skip changes already in place.
+ */
+class StripeProvider {
+    constructor() {
+        this.name = 'stripe';
+    }
+
+    isConfigured() {
+        return !!process.env.STRIPE_SECRET_KEY;
+    }
+
+    /**
+     * Start a hosted Checkout Session for a recurring plan
+     * @param {object} [discount] - Validated coupon pricing from couponService.validate
+     */
+    async createCheckout(user, { plan, amount, currency, discount }) {
+        const session = await stripeService.createCheckoutSession(user, {
+            planKey: plan,
+            currency,
+            amount: discount ? discount.listAmount : amount,
+            coupon: discount?.coupon || null
+        });
+
+        user.subscription.pendingSubscription = {
+            checkoutSessionId: session.id,
+            plan,
+            coupon: discount ? {
+                couponId: discount.coupon._id,
+                code: discount.coupon.code,
+                duration: discount.coupon.duration
+            } : undefined,
+            createdAt: new Date()
+        };
+        user.subscription.pendingOrder = undefined;
+        // Also keeps the Stripe customer created for this checkout
+        await user.save();
+
+        await paymentLedgerService.recordCheckout(user, {
+            provider: this.name,
+            type: 'subscription',
+            plan,
+            amount,
+            currency,
+            orderId: session.id,
+            coupon: discount ? couponService.toApplied(discount.coupon, discount) : undefined
+        });
+
+        return {
+            checkoutSessionId: session.id,
+            url: session.url,
+            publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+        };
+    }
+
+    /**
+     * Confirm a checkout when the customer returns from Stripe
+     * @returns {object} Updated user
+     */
+    async verifyCheckout(userId, { session_id: sessionId }) {
+        if (!sessionId) {
+            throw new AppError('Missing Stripe checkout session.', 400);
+        }
+
+        const session = await stripeService.retrieveCheckoutSession(sessionId);
+        if ((session.client_reference_id || session.metadata?.userId) !== userId.toString()) {
+            throw new AppError('Checkout session not found for user.', 404);
+        }
+        if (session.status !== 'complete' || !PAID_SESSION_STATUSES.includes(session.payment_status)) {
+            throw new AppError('Checkout has not been paid yet.', 400);
+        }
+
+        const { user } = await this.completeCheckout(session);
+        if (!user) {
+            throw new AppError('User not found.', 404);
+        }
+        return user;
+    }
+
+    /**
+     * @param {boolean} atPeriodEnd - Keep the paid period running and stop renewing
+     */
+    async cancelSubscription(subscriptionId, atPeriodEnd) {
+        await stripeService.cancelSubscription(subscriptionId, atPeriodEnd);
+    }
+
+    /**
+     * Verify a webhook delivery and describe it for the event store
+     * @throws {AppError} 500 when no webhook secret is configured, 400 on a bad signature
+     * @returns {{ eventId: string, event: string, payload: object, references: object }}
+     */
+    parseWebhook(rawBody, headers) {
+        const event = stripeService.constructWebhookEvent(rawBody, headers['stripe-signature']);
+        return {
+            eventId: event.id,
+            event: event.type,
+            payload: event,
+            references: this.extractReferences(event.data?.object)
+        };
+    }
+
+    /**
+     * Entity ids worth filtering stored events by
+     */
+    extractReferences(object = {}) {
+        const isSubscription = object.object === 'subscription';
+        return {
+            paymentId: idOf(object.payment_intent) || undefined,
+            orderId: object.object === 'checkout.session' ? object.id : undefined,
+            subscriptionId: (isSubscription ? object.id : idOf(object.subscription)) || undefined,
+            refundId: object.object === 'refund' ? object.id : undefined
+        };
+    }
+
+    /**
+     * @param {object} event - Stripe event as stored
+     * @returns {{ handled: boolean, userId?: object }}
+     */
+    async handleWebhookEvent(eventName, event) {
+        const object = event?.data?.object;
+        if (!object) {
+            return { handled: false };
+        }
+
+        switch (eventName) {
+            case 'checkout.session.completed':
+            case 'checkout.session.async_payment_succeeded':
+                return this.completeCheckout(object);
+            case 'invoice.paid':
+                return this.handleInvoicePaid(object);
+            case 'invoice.payment_failed':
+                return this.handleInvoiceFailed(object);
+            case 'customer.subscription.updated':
+                return this.handleSubscriptionUpdated(object);
+            case 'customer.subscription.deleted':
+                return this.handleSubscriptionDeleted(object);
+            case 'charge.refunded':
+                return this.handleChargeRefunded(object);
+            default:
+                console.log(`[Payment] Ignoring Stripe event: ${eventName}`);
+                return { handled: false };
+        }
+    }
+
+    /**
+     * Owner of a Stripe subscription or customer, falling back to the metadata we set
+     */
+    async findUser({ subscriptionId, customerId, userId }) {
+        const conditions = [
+            subscriptionId && { 'subscription.stripeSubscriptionId': subscriptionId },
+            customerId && { 'subscription.stripeCustomerId': customerId }
+        ].filter(Boolean);
+
+        const user = conditions.length ? await User.findOne({ $or: conditions }) : null;
+        if (user) {
+            return user;
+        }
+        return userId ? User.findById(userId) : null;
+    }
+
+    /**
+     * Apply a completed Checkout Session, from the webhook or the customer's return
+     * @returns {{ handled: boolean, userId?: object, user?: object }}
+     */
+    async completeCheckout(session) {
+        if (session.mode !== 'subscription' || !PAID_SESSION_STATUSES.includes(session.payment_status)) {
+            return { handled: false };
+        }
+
+        const user = await this.findUser({
+            customerId: idOf(session.customer),
+            userId: session.client_reference_id || session.metadata?.userId
+        });
+        if (!user) {
+            console.error('[Payment] No user found for Stripe checkout session:', session.id);
+            return { handled: false };
+        }
+
+        const subscription = typeof session.subscription === 'string'
+            ? await stripeService.retrieveSubscription(session.subscription)
+            : session.subscription;
+        const invoice = typeof session.invoice === 'string'
+            ? await stripeService.retrieveInvoice(session.invoice)
+            : session.invoice;
+
+        const handled = await this.applyPaidInvoice(user, subscription, invoice, session.id);
+        return { handled, userId: user._id, user };
+    }
+
+    async handleInvoicePaid(invoice) {
+        const subscriptionId = idOf(invoice.subscription);
+        if (!subscriptionId) {
+            return { handled: false };
+        }
+
+        const user = await this.findUser({
+            subscriptionId,
+            customerId: idOf(invoice.customer),
+            userId: invoice.subscription_details?.metadata?.userId
+        });
+        if (!user) {
+            console.error('[Payment] No user found for Stripe invoice:', invoice.id);
+            return { handled: false };
+        }
+
+        // Renewals of a subscription the user has since replaced don't change the plan
+        if (invoice.billing_reason !== 'subscription_create' && user.subscription.stripeSubscriptionId !== subscriptionId) {
+            return { handled: false, userId: user._id };
+        }
+
+        const subscription = await stripeService.retrieveSubscription(subscriptionId);
+        const handled = await this.applyPaidInvoice(user, subscription, invoice);
+        return { handled, userId: user._id };
+    }
+
+    /**
+     * Start or renew the period a paid invoice covers and record the charge. The first
+     * invoice completes the pending checkout, whichever of its events arrives first.
+     * @param {string} [checkoutSessionId] - Session the invoice was paid through
+     * @returns {boolean} Whether anything was applied
+     */
+    async applyPaidInvoice(user, subscription, invoice, checkoutSessionId = null) {
+        const priceId = subscription.items?.data?.[0]?.price?.id;
+        const pending = user.subscription.pendingSubscription;
+        const plan = await stripeService.getPlanKey(priceId) || subscription.metadata?.plan || pending?.plan;
+        if (!plan || !SUBSCRIPTION_PLANS[plan]) {
+            console.error('[Payment] Plan not found for Stripe subscription:', subscription.id);
+            return false;
+        }
+
+        const isFirstInvoice = !!checkoutSessionId || invoice?.billing_reason === 'subscription_create';
+        const sessionId = checkoutSessionId || (isFirstInvoice ? pending?.checkoutSessionId : null);
+        const currency = (subscription.currency || invoice?.currency || 'usd').toUpperCase();
+        const periodEnd = fromUnixSeconds(subscription.current_period_end);
+
+        const alreadyApplied = user.subscription.stripeSubscriptionId === subscription.id &&
+            user.subscription.status === 'active' &&
+            user.subscription.expiresAt?.getTime() >= periodEnd?.getTime();
+
+        if (!alreadyApplied) {
+            user.subscription.stripeCustomerId = idOf(subscription.customer) || user.subscription.stripeCustomerId;
+            user.subscription.stripeSubscriptionId = subscription.id;
+            user.subscription.stripePriceId = priceId || user.subscription.stripePriceId;
+            user.subscription.cancelAtPeriodEnd = !!subscription.cancel_at_period_end;
+            billingService.applyPaidPeriod(user, plan, {
+                provider: this.name,
+                currency,
+                periodStart: fromUnixSeconds(subscription.current_period_start),
+                periodEnd,
+                pendingCoupon: isFirstInvoice ? pending?.coupon : null
+            });
+            await user.save();
+            billingService.emitSubscriptionUpdate(user);
+        }
+
+        const paymentId = idOf(invoice?.payment_intent);
+        if (paymentId) {
+            await paymentLedgerService.recordCapture(user, {
+                provider: this.name,
+                type: 'subscription',
+                plan,
+                paymentId,
+                orderId: sessionId,
+                subscriptionId: subscription.id,
+                providerInvoiceId: invoice.id,
+                amount: invoice.amount_paid,
+                currency,
+                periodStart: user.subscription.currentPeriodStart,
+                periodEnd: user.subscription.expiresAt,
+                coupon: isFirstInvoice
+                    ? null
+                    : billingService.getRenewalCoupon(user, getPlanPrice(plan, currency), invoice.amount_paid)
+            });
+        }
+        return !alreadyApplied || !!paymentId;
+    }
+
+    /**
+     * Record a failed charge and tell the user. Stripe keeps retrying by itself and
+     * reports giving up through customer.subscription.updated.
+     */
+    async handleInvoiceFailed(invoice) {
+        const metadata = invoice.subscription_details?.metadata || {};
+        const payment = await paymentLedgerService.recordFailure({
+            provider: this.name,
+            paymentId: idOf(invoice.payment_intent),
+            subscriptionId: idOf(invoice.subscription),
+            providerInvoiceId: invoice.id,
+            amount: invoice.amount_due,
+            currency: (invoice.currency || 'usd').toUpperCase(),
+            reason: invoice.last_finalization_error?.message,
+            notes: metadata
+        });
+        if (!payment) {
+            console.error('[Payment] No user found for failed Stripe invoice:', invoice.id);
+            return { handled: false };
+        }
+        if (payment.status !== 'failed') {
+            return { handled: false, userId: payment.userId };
+        }
+
+        const user = await User.findById(payment.userId);
+        if (!user) {
+            return { handled: false, userId: payment.userId };
+        }
+
+        billingService.emitPaymentFailed(user, payment);
+        return { handled: true, userId: user._id };
+    }
+
+    /**
+     * Keep cancellation scheduled in Stripe (e.g. from the dashboard) in sync, and
+     * start the grace period once Stripe stops retrying a renewal
+     */
+    async handleSubscriptionUpdated(subscription) {
+        const user = await this.findUser({ subscriptionId: subscription.id });
+        if (!user || user.subscription.stripeSubscriptionId !== subscription.id) {
+            return { handled: false, userId: user?._id };
+        }
+
+        let changed = false;
+        if (user.subscription.cancelAtPeriodEnd !== !!subscription.cancel_at_period_end) {
+            user.subscription.cancelAtPeriodEnd = !!subscription.cancel_at_period_end;
+            changed = true;
+        }
+        if (subscription.status === 'unpaid' && billingService.markPastDue(user)) {
+            changed = true;
+        }
+        if (!changed) {
+            return { handled: false, userId: user._id };
+        }
+
+        await user.save();
+        billingService.emitSubscriptionUpdate(user);
+        return { handled: true, userId: user._id };
+    }
+
+    async handleSubscriptionDeleted(subscription) {
+        const user = await this.findUser({ subscriptionId: subscription.id });
+        if (!user || user.subscription.stripeSubscriptionId !== subscription.id) {
+            return { handled: false, userId: user?._id };
+        }
+
+        billingService.endSubscription(user);
+        await user.save();
+        billingService.emitSubscriptionUpdate(user);
+        return { handled: true, userId: user._id };
+    }
+
+    /**
+     * Apply a charge's refunds to the ledger. A full refund of the payment for the
+     * current period ends the plan and the subscription right away.
+     */
+    async handleChargeRefunded(charge) {
+        const paymentId = idOf(charge.payment_intent);
+        if (!paymentId) {
+            return { handled: false };
+        }
+
+        // Newest first; charges in webhooks no longer include their refunds
+        const refunds = charge.refunds?.data?.length ? charge.refunds.data : await stripeService.listRefunds(charge.id);
+        let payment = null;
+        for (const refund of refunds) {
+            payment = await paymentLedgerService.recordRefund({
+                paymentId,
+                refundId: refund.id,
+                amount: refund.amount,
+                status: refund.status
+            });
+        }
+        if (!payment) {
+            console.error('[Payment] No ledger entry found for refunded Stripe charge:', charge.id);
+            return { handled: false };
+        }
+
+        const user = await User.findById(payment.userId);
+        if (!user) {
+            return { handled: true, userId: payment.userId };
+        }
+
+        const { stripeSubscriptionId, expiresAt, plan } = user.subscription;
+        const ownsCurrentPeriod = plan !== 'free' && !!stripeSubscriptionId &&
+            payment.subscriptionId === stripeSubscriptionId &&
+            payment.periodEnd?.getTime() >= expiresAt?.getTime();
+        const downgraded = payment.status === 'refunded' && ownsCurrentPeriod;
+
+        if (downgraded) {
+            if (billingService.isRecurringStatus(user.subscription.status)) {
+                await stripeService.cancelSubscription(stripeSubscriptionId, false);
+            }
+            billingService.endSubscription(user);
+            await user.save();
+            console.log(`[Payment] User ${user._id} moved to free after full refund of ${paymentId}`);
+            billingService.emitSubscriptionUpdate(user);
+        }
+
+        billingService.emitPaymentRefunded(user, payment, {
+            refundId: refunds[0].id,
+            amount: refunds[0].amount,
+            downgraded
+        });
+        return { handled: true, userId: user._id };
+    }
+}
+
+module.exports = new StripeProvider();
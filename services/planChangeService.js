@@ -0,0 +1,190 @@
+const { AppError } = require('../utils/errorHandler');
+const { SUBSCRIPTION_PLANS, BILLING } = require('../utils/constants');
+const razorpayService = require('./razorpayService');
+const billingService = require('./billingService');
+const paymentLedgerService = require('./paymentLedgerService');
+
+const isPaidPlan = (planKey) => !!SUBSCRIPTION_PLANS[planKey]?.priceInPaise;
+
+/**
+ * Plan Change Service - Moves a paid subscriber between paid plans without losing
+ * paid days. Upgrades start now and cost the new plan's price for the rest of the
+ * period minus a credit for the unused part of the current one; downgrades wait
+ * for the next renewal.
+ */
+class PlanChangeService {
+    /**
+     * Current paid period, derived from expiresAt when the start wasn't recorded
+     */
+    getCurrentPeriod(user) {
+        const { plan, expiresAt, currentPeriodStart } = user.subscription;
+        const end = new Date(expiresAt);
+        const start = currentPeriodStart
+            ? new Date(currentPeriodStart)
+            : new Date(end.getTime() - billingService.getPlanDurationMs(plan));
+        return { start, end };
+    }
+
+    /**
+     * Share of the current period not used yet, between 0 and 1
+     */
+    getUnusedFraction(user, now = new Date()) {
+        const { start, end } = this.getCurrentPeriod(user);
+        const length = end.getTime() - start.getTime();
+        if (length <= 0) {
+            return 0;
+        }
+        return Math.min(1, Math.max(0, (end.getTime() - now.getTime()) / length));
+    }
+
+    /**
+     * Reject changes the current subscription can't take
+     */
+    assertChangeable(user, targetPlan, now = new Date()) {
+        const subscription = user.subscription;
+
+        if (!isPaidPlan(targetPlan)) {
+            throw new AppError('Plan changes are between paid plans. Cancel your subscription to move to the Free plan.', 400);
+        }
+        if (!isPaidPlan(subscription.plan) || !subscription.expiresAt) {
+            throw new AppError('No active paid plan to change. Start a checkout instead.', 400);
+        }
+        if (subscription.paymentProvider === 'stripe') {
+            throw new AppError('Plan changes are not available yet for subscriptions billed through Stripe. Cancel and start a new checkout instead.', 400);
+        }
+        if (subscription.status === 'past_due') {
+            throw new AppError('Your last renewal is unpaid. Settle it before changing plans.', 409);
+        }
+        if (subscription.status !== 'active' || subscription.expiresAt <= now) {
+            throw new AppError('No active paid plan to change. Start a checkout instead.', 400);
+        }
+        if (subscription.cancelAtPeriodEnd) {
+            throw new AppError('Your subscription is scheduled to cancel. Start a new checkout once it ends.', 409);
+        }
+        if (subscription.plan === targetPlan) {
+            throw new AppError(`You are already on the ${SUBSCRIPTION_PLANS[targetPlan].name} plan.`, 400);
+        }
+        if (subscription.scheduledChange?.plan) {
+            throw new AppError('A plan change is already scheduled. Cancel it before choosing another plan.', 409);
+        }
+    }
+
+    /**
+     * Price out a change from the current plan to targetPlan. The credit is the unused
+     * share of what was paid for the current period (list price when the ledger has no
+     * charge for it), so a discounted period isn't credited at full price.
+     * @returns {object} Amounts in paise
+     */
+    async preview(user, targetPlan, now = new Date()) {
+        this.assertChangeable(user, targetPlan, now);
+
+        const subscription = user.subscription;
+        const current = SUBSCRIPTION_PLANS[subscription.plan];
+        const target = SUBSCRIPTION_PLANS[targetPlan];
+        const isUpgrade = target.priceInPaise > current.priceInPaise;
+        const isRecurring = billingService.hasRecurringSubscription(user);
+
+        if (!isUpgrade && !isRecurring) {
+            throw new AppError('Downgrades apply at renewal, and this plan does not renew. Choose the new plan when it expires.', 400);
+        }
+
+        const { start, end } = this.getCurrentPeriod(user);
+        const unusedFraction = this.getUnusedFraction(user, now);
+        let credit = 0;
+        if (isUpgrade) {
+            const paid = await paymentLedgerService.getPaidForPeriod(user._id, { start, end });
+            const creditable = paid === null ? current.priceInPaise : Math.min(paid, current.priceInPaise);
+            credit = Math.round(creditable * unusedFraction);
+        }
+        const charge = isUpgrade ? Math.round(target.priceInPaise * unusedFraction) : 0;
+        const amountDue = Math.max(0, charge - credit);
+
+        return {
+            type: isUpgrade ? 'upgrade' : 'downgrade',
+            currentPlan: subscription.plan,
+            targetPlan,
+            currency: target.currency || 'INR',
+            period: { start, end },
+            unusedFraction: Number(unusedFraction.toFixed(4)),
+            credit,
+            charge,
+            amountDue: amountDue < BILLING.MIN_CHARGE_PAISE ? 0 : amountDue,
+            effectiveAt: isUpgrade ? now : end,
+            renewal: isRecurring ? { at: end, plan: targetPlan, amount: target.priceInPaise } : null
+        };
+    }
+
+    /**
+     * Start a plan change. Upgrades that cost something return a Razorpay order to
+     * pay; the change is applied when that order is paid.
+     * @returns {{ preview: object, order: object|null }}
+     */
+    async requestChange(user, targetPlan, now = new Date()) {
+        const preview = await this.preview(user, targetPlan, now);
+
+        if (preview.type === 'downgrade') {
+            await razorpayService.changeSubscriptionPlan(user.subscription.razorpaySubscriptionId, targetPlan);
+            user.subscription.scheduledChange = {
+                plan: targetPlan,
+                effectiveAt: preview.effectiveAt,
+                requestedAt: now
+            };
+            await user.save();
+            billingService.emitSubscriptionUpdate(user);
+            return { preview, order: null };
+        }
+
+        if (!preview.amountDue) {
+            await billingService.applyPlanUpgrade(user, targetPlan);
+            await user.save();
+            billingService.emitSubscriptionUpdate(user);
+            return { preview, order: null };
+        }
+
+        const order = await razorpayService.createOrder(user, {
+            amount: preview.amountDue,
+            currency: preview.currency,
+            notes: { plan: targetPlan, purpose: 'upgrade' }
+        });
+
+        user.subscription.pendingOrder = {
+            orderId: order.id,
+            plan: targetPlan,
+            purpose: 'upgrade',
+            fromPlan: preview.currentPlan,
+            amount: order.amount,
+            currency: order.currency,
+            createdAt: now
+        };
+        await user.save();
+
+        await paymentLedgerService.recordCheckout(user, {
+            type: 'order',
+            plan: targetPlan,
+            amount: order.amount,
+            currency: order.currency,
+            orderId: order.id,
+            description: `Upgrade from ${SUBSCRIPTION_PLANS[preview.currentPlan].name} to ${SUBSCRIPTION_PLANS[targetPlan].name} (prorated)`
+        });
+
+        return { preview, order };
+    }
+
+    /**
+     * Keep the current plan at renewal after all
+     */
+    async cancelScheduledChange(user) {
+        if (!user.subscription.scheduledChange?.plan) {
+            throw new AppError('No plan change is scheduled.', 400);
+        }
+
+        if (user.subscription.razorpaySubscriptionId) {
+            await razorpayService.cancelScheduledChanges(user.subscription.razorpaySubscriptionId);
+        }
+        user.subscription.scheduledChange = undefined;
+        await user.save();
+        billingService.emitSubscriptionUpdate(user);
+    }
+}
+
+module.exports = new PlanChangeService();
@@ -0,0 +1,273 @@
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const BillingPlan = require('../models/BillingPlan');
+const { AppError } = require('../utils/errorHandler');
+const { SUBSCRIPTION_PLANS, BILLING } = require('../utils/constants');
+require('dotenv').config();
+
+/**
+ * Razorpay Service - Plans, subscriptions and signature checks for recurring billing
+ */
+class RazorpayService {
+    constructor() {
+        this.instance = null;
+    }
+
+    get client() {
+        if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+            throw new AppError('Razorpay configuration missing on server.', 500);
+        }
+        if (!this.instance) {
+            this.instance = new Razorpay({
+                key_id: process.env.RAZORPAY_KEY_ID,
+                key_secret: process.env.RAZORPAY_KEY_SECRET
+            });
+        }
+        return this.instance;
+    }
+
+    /**
+     * Map a billing cycle in days onto Razorpay's period/interval pair
+     */
+    getBillingPeriod(billingCycleDays) {
+        if (billingCycleDays % 365 === 0) {
+            return { period: 'yearly', interval: billingCycleDays / 365 };
+        }
+        if (billingCycleDays % 30 === 0) {
+            return { period: 'monthly', interval: billingCycleDays / 30 };
+        }
+        if (billingCycleDays % 7 === 0) {
+            return { period: 'weekly', interval: billingCycleDays / 7 };
+        }
+        return { period: 'daily', interval: billingCycleDays };
+    }
+
+    /**
+     * Number of charges Razorpay should schedule, covering BILLING.MAX_BILLING_YEARS
+     */
+    getTotalCount(billingCycleDays) {
+        return Math.max(1, Math.floor((BILLING.MAX_BILLING_YEARS * 365) / billingCycleDays));
+    }
+
+    /**
+     * Make sure an active Razorpay plan exists for the current price of a plan key
+     * @param {object} [discount] - { amount, couponCode } for the plan behind a recurring coupon
+     * @returns {object} BillingPlan document
+     */
+    async syncPlan(planKey, discount = null) {
+        const plan = SUBSCRIPTION_PLANS[planKey];
+        if (!plan || !plan.priceInPaise || !plan.billingCycleDays) {
+            throw new AppError(`Plan ${planKey} is not a recurring paid plan.`, 400);
+        }
+
+        const { period, interval } = this.getBillingPeriod(plan.billingCycleDays);
+        const couponCode = discount?.couponCode || null;
+        const desired = {
+            provider: 'razorpay',
+            planKey,
+            amount: discount?.amount ?? plan.priceInPaise,
+            currency: plan.currency || 'INR',
+            period,
+            interval,
+            couponCode
+        };
+
+        const existing = await BillingPlan.findOne({ ...desired, active: true }).lean();
+        if (existing) {
+            return existing;
+        }
+
+        let providerPlan;
+        try {
+            providerPlan = await this.client.plans.create({
+                period,
+                interval,
+                item: {
+                    name: couponCode ? `${plan.name} (${couponCode})` : plan.name,
+                    amount: desired.amount,
+                    currency: desired.currency,
+                    description: plan.features.join(', ').slice(0, 2048)
+                },
+                notes: couponCode ? { planKey, couponCode } : { planKey }
+            });
+        } catch (error) {
+            console.error(`[Payment] Failed to create Razorpay plan for ${planKey}`, error?.error || error?.message || error);
+            throw new AppError(error?.error?.description || 'Failed to create Razorpay plan.', 502);
+        }
+
+        await BillingPlan.updateMany({ provider: 'razorpay', planKey, couponCode, active: true }, { $set: { active: false } });
+        const created = await BillingPlan.create({ ...desired, providerPlanId: providerPlan.id });
+        console.log(`[Payment] Synced Razorpay plan ${providerPlan.id} for ${planKey}${couponCode ? ` (${couponCode})` : ''}`);
+        return created.toObject();
+    }
+
+    /**
+     * Sync every paid plan in SUBSCRIPTION_PLANS
+     * @returns {object[]} Active BillingPlan documents
+     */
+    async syncPlans() {
+        const synced = [];
+        for (const [planKey, plan] of Object.entries(SUBSCRIPTION_PLANS)) {
+            if (plan.priceInPaise && plan.billingCycleDays) {
+                synced.push(await this.syncPlan(planKey));
+            }
+        }
+        return synced;
+    }
+
+    async listPlans() {
+        return BillingPlan.find({ provider: 'razorpay' }).sort({ planKey: 1, createdAt: -1 }).lean();
+    }
+
+    /**
+     * Resolve our plan key from a Razorpay plan id (falls back to inactive plans for old subscriptions)
+     */
+    async getPlanKey(providerPlanId) {
+        if (!providerPlanId) return null;
+        const plan = await BillingPlan.findOne({ provider: 'razorpay', providerPlanId }).select('planKey').lean();
+        return plan?.planKey || null;
+    }
+
+    /**
+     * @param {object} [discount] - Validated coupon pricing from couponService.validate
+     */
+    async createSubscription(user, planKey, discount = null) {
+        const { billingCycleDays, currency = 'INR' } = SUBSCRIPTION_PLANS[planKey];
+        const coupon = discount?.coupon;
+        const isRecurringDiscount = coupon?.duration === 'recurring';
+        const billingPlan = await this.syncPlan(
+            planKey,
+            isRecurringDiscount ? { amount: discount.amount, couponCode: coupon.code } : null
+        );
+        const userId = user._id.toString();
+
+        const params = {
+            plan_id: billingPlan.providerPlanId,
+            total_count: this.getTotalCount(billingCycleDays),
+            quantity: 1,
+            customer_notify: 1,
+            notes: {
+                userId,
+                plan: planKey,
+                ...(coupon && { coupon: coupon.code })
+            }
+        };
+
+        // First-payment discounts: the discounted first period is an upfront add-on and
+        // list-price charges start one cycle later
+        if (coupon && !isRecurringDiscount) {
+            params.start_at = Math.floor(Date.now() / 1000) + billingCycleDays * 24 * 60 * 60;
+            if (discount.amount >= BILLING.MIN_CHARGE_PAISE) {
+                params.addons = [{
+                    item: {
+                        name: `${SUBSCRIPTION_PLANS[planKey].name} - first period (${coupon.code})`,
+                        amount: discount.amount,
+                        currency
+                    }
+                }];
+            }
+        }
+
+        try {
+            return await this.client.subscriptions.create(params);
+        } catch (error) {
+            console.error('[Payment] Failed to create Razorpay subscription', error?.error || error?.message || error);
+            throw new AppError(
+                error?.error?.description || 'Failed to create Razorpay subscription. Please verify Razorpay credentials.',
+                400
+            );
+        }
+    }
+
+    /**
+     * One-off order, used for charges outside the subscription schedule (prorated upgrades)
+     */
+    async createOrder(user, { amount, currency = 'INR', notes = {} }) {
+        const userId = user._id.toString();
+        const receipt = `ord_${userId.slice(-6)}_${Date.now().toString(36)}`.slice(0, 40);
+
+        try {
+            return await this.client.orders.create({
+                amount,
+                currency,
+                receipt,
+                notes: { userId, ...notes }
+            });
+        } catch (error) {
+            console.error('[Payment] Failed to create Razorpay order', error?.error || error?.message || error);
+            throw new AppError(
+                error?.error?.description || 'Failed to create Razorpay order. Please verify Razorpay credentials.',
+                400
+            );
+        }
+    }
+
+    /**
+     * Move a subscription to another plan's Razorpay plan from the next renewal
+     * @returns {object} BillingPlan document the subscription renews on
+     */
+    async changeSubscriptionPlan(subscriptionId, planKey) {
+        const billingPlan = await this.syncPlan(planKey);
+
+        try {
+            await this.client.subscriptions.update(subscriptionId, {
+                plan_id: billingPlan.providerPlanId,
+                schedule_change_at: 'cycle_end',
+                customer_notify: 1
+            });
+        } catch (error) {
+            console.error('[Payment] Failed to update Razorpay subscription', error?.error || error?.message || error);
+            throw new AppError(error?.error?.description || 'Failed to change Razorpay subscription plan.', 502);
+        }
+        return billingPlan;
+    }
+
+    async cancelScheduledChanges(subscriptionId) {
+        try {
+            return await this.client.subscriptions.cancelScheduledChanges(subscriptionId);
+        } catch (error) {
+            console.error('[Payment] Failed to cancel scheduled Razorpay changes', error?.error || error?.message || error);
+            throw new AppError(error?.error?.description || 'Failed to cancel the scheduled plan change.', 502);
+        }
+    }
+
+    async fetchSubscription(subscriptionId) {
+        return this.client.subscriptions.fetch(subscriptionId);
+    }
+
+    /**
+     * @param {boolean} atCycleEnd - Keep the current period running and stop renewing
+     */
+    async cancelSubscription(subscriptionId, atCycleEnd = true) {
+        try {
+            return await this.client.subscriptions.cancel(subscriptionId, atCycleEnd);
+        } catch (error) {
+            console.error('[Payment] Failed to cancel Razorpay subscription', error?.error || error?.message || error);
+            throw new AppError(error?.error?.description || 'Failed to cancel Razorpay subscription.', 502);
+        }
+    }
+
+    signatureMatches(payload, signature, secret = process.env.RAZORPAY_KEY_SECRET) {
+        if (!secret || !signature) {
+            return false;
+        }
+        const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(String(signature));
+        return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    verifyOrderSignature(orderId, paymentId, signature) {
+        return this.signatureMatches(`${orderId}|${paymentId}`, signature);
+    }
+
+    verifySubscriptionSignature(subscriptionId, paymentId, signature) {
+        return this.signatureMatches(`${paymentId}|${subscriptionId}`, signature);
+    }
+
+    verifyWebhookSignature(rawBody, signature) {
+        return this.signatureMatches(rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET);
+    }
+}
+
+module.exports = new RazorpayService();
@@ -1,8 +1,8 @@
-const axios = require('axios');
-require('dotenv').config();
+const llmProviders = require('./llm');
+const llmUsageService = require('./llmUsageService');
 
-const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-const OPENAI_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1/chat/completions';
+const SYSTEM_PROMPT =
+    'You are a senior customer success manager who writes thoughtful review replies for local businesses.';
 
 const TEMPLATE = `
 Business name: {businessName}
@@ -14,6 +14,14 @@ Customer review:
 """
 {reviewText}
 """
+Previous draft (rewrite it if guidance is given, otherwise ignore):
+"""
+{previousReply}
+"""
+Guidance from the business (follow it unless it conflicts with the rules below):
+"""
+{instructions}
+"""
 
 Instructions:
 - Detect the customer's sentiment (positive, neutral, negative) by combining rating + text.
@@ -46,68 +54,88 @@ class ReviewReplyGenerator {
         return template.format(variables);
     }
 
-    async generateReply(payload) {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('Missing OPENAI_API_KEY env variable.');
-        }
-
-        const prompt = await this.buildPrompt(payload);
-
+    /**
+     * Pull the JSON object out of a model response, tolerating code fences or stray prose
+     */
+    parseContent(content, providerName) {
         try {
-            const response = await axios.post(
-                OPENAI_URL,
-                {
-                    model: DEFAULT_MODEL,
-                    temperature: 0.65,
-                    response_format: { type: 'json_object' },
-                    messages: [
-                        {
-                            role: 'system',
-                            content:
-                                'You are a senior customer success manager who writes thoughtful review replies for local businesses.'
-                        },
-                        { role: 'user', content: prompt }
-                    ]
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: Number(process.env.OPENAI_TIMEOUT_MS || 20000)
+            return JSON.parse(content);
+        } catch (parseError) {
+            const match = content.match(/\{[\s\S]*\}/);
+            if (match) {
+                try {
+                    return JSON.parse(match[0]);
+                } catch (innerError) {
+                    // fall through to the error below
                 }
-            );
-
-            const content = response.data?.choices?.[0]?.message?.content?.trim();
-            if (!content) {
-                throw new Error('OpenAI returned an empty response.');
             }
+            console.warn(`Failed to parse JSON response from ${providerName}. Raw content:`, content);
+            throw new Error(`${providerName} response was not valid JSON.`);
+        }
+    }
 
-            let parsed;
-            try {
-                parsed = JSON.parse(content);
-            } catch (parseError) {
-                console.warn('Failed to parse JSON response from OpenAI. Raw content:', content);
-                throw new Error('OpenAI response was not valid JSON.');
-            }
+    /**
+     * Generate a reply with the provider selected for the deployment / subscription plan
+     * @param {object} payload - Review details and tone (see TEMPLATE)
+     * @param {object} options - plan: subscription plan used to pick the provider;
+     *   userId/source/taskId: when userId is set the monthly token cap is enforced and usage recorded
+     */
+    async generateReply(payload, { plan, userId, source = 'ai_reply', taskId = null } = {}) {
+        if (userId) {
+            await llmUsageService.assertWithinCap(userId, plan);
+        }
 
-            if (!parsed.reply) {
-                throw new Error('OpenAI response missing "reply".');
-            }
+        const provider = llmProviders.getProvider({ plan });
+
+        const prompt = await this.buildPrompt({
+            ...payload,
+            previousReply: payload.previousReply || 'None',
+            instructions: payload.instructions || 'None'
+        });
+
+        const startedAt = Date.now();
+        const completion = await provider.complete({
+            system: SYSTEM_PROMPT,
+            prompt,
+            temperature: 0.65,
+            payload
+        });
+        const latencyMs = Date.now() - startedAt;
+
+        // Tokens are billed even when the response turns out to be unusable
+        if (userId) {
+            await llmUsageService.record({
+                userId,
+                taskId,
+                source,
+                plan,
+                provider: provider.name,
+                model: completion.model,
+                usage: completion.usage,
+                latencyMs
+            });
+        }
 
-            return {
-                reply: parsed.reply,
-                sentiment: parsed.sentiment || payload.sentiment || 'neutral',
-                customerName: parsed.customer_name || payload.reviewerName || 'there',
-                summary: parsed.summary || '',
-                style: parsed.style || payload.tone
-            };
-        } catch (error) {
-            if (error.response?.data) {
-                console.error('OpenAI API error:', JSON.stringify(error.response.data));
-            }
-            throw error;
+        if (!completion.content) {
+            throw new Error(`${provider.name} returned an empty response.`);
+        }
+
+        const parsed = this.parseContent(completion.content, provider.name);
+        if (!parsed.reply) {
+            throw new Error(`${provider.name} response missing "reply".`);
         }
+
+        return {
+            reply: parsed.reply,
+            sentiment: parsed.sentiment || payload.sentiment || 'neutral',
+            customerName: parsed.customer_name || payload.reviewerName || 'there',
+            summary: parsed.summary || '',
+            style: parsed.style || payload.tone,
+            provider: provider.name,
+            model: completion.model,
+            usage: completion.usage,
+            latencyMs
+        };
     }
 }
 
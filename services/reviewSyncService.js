@@ -0,0 +1,387 @@
+const Review = require('../models/Review');
+const ReviewSyncState = require('../models/ReviewSyncState');
+const googleApiService = require('./googleApiService');
+const businessAccountService = require('./businessAccountService');
+const cache = require('../utils/cache');
+const { GOOGLE_API, RATING_MAP, REVIEW_SYNC } = require('../utils/constants');
+require('dotenv').config();
+
+const STALE_AFTER_MS = Number(process.env.REVIEW_SYNC_STALE_MS || REVIEW_SYNC.STALE_AFTER_MS);
+const FULL_RESYNC_MS = Number(process.env.REVIEW_SYNC_FULL_RESYNC_HOURS || REVIEW_SYNC.FULL_RESYNC_HOURS) * 60 * 60 * 1000;
+const CURSOR_OVERLAP_MS = REVIEW_SYNC.CURSOR_OVERLAP_MINUTES * 60 * 1000;
+
+/**
+ * Review Sync Service - Mirrors Google reviews into the Review collection.
+ * Each location keeps its own cursor (see ReviewSyncState) so regular syncs only
+ * page through reviews updated since the previous run.
+ */
+class ReviewSyncService {
+    constructor() {
+        // In-flight syncs per user, shared so the dashboard and the auto-reply cycle don't double-fetch
+        this.activeSyncs = new Map();
+    }
+
+    async clearReviewCache(userId) {
+        try {
+            await cache.deleteByPrefix(`reviews:${userId.toString()}:`);
+        } catch (error) {
+            console.error('Failed to clear review cache for user', userId, error.message);
+        }
+    }
+
+    /**
+     * Sync every location of every business account the user can manage
+     * @param {object} user - User document (needs _id and googleAccessToken)
+     * @param {object} options - full: ignore cursors and re-read every review
+     */
+    async syncUser(user, { full = false } = {}) {
+        const userId = user._id.toString();
+        const active = this.activeSyncs.get(userId);
+        if (active && (active.full || !full)) {
+            return active.promise;
+        }
+
+        // A full sync asked for during an incremental one runs once it finishes instead of being dropped
+        const previous = active ? active.promise.catch(() => {}) : Promise.resolve();
+        const promise = previous
+            .then(() => this.performSync(user, { full }))
+            .finally(() => {
+                if (this.activeSyncs.get(userId)?.promise === promise) {
+                    this.activeSyncs.delete(userId);
+                }
+            });
+        this.activeSyncs.set(userId, { promise, full });
+        return promise;
+    }
+
+    /**
+     * Sync only when the stalest location is older than REVIEW_SYNC_STALE_MS
+     * @returns {object|null} Sync summary, or null when the stored data is fresh
+     */
+    async ensureFresh(user, { force = false } = {}) {
+        if (!force) {
+            const stalest = await ReviewSyncState.findOne({ userId: user._id })
+                .sort({ lastSyncedAt: 1 })
+                .select('lastSyncedAt')
+                .lean();
+
+            if (stalest?.lastSyncedAt && Date.now() - stalest.lastSyncedAt.getTime() < STALE_AFTER_MS) {
+                return null;
+            }
+        }
+
+        return this.syncUser(user);
+    }
+
+    async performSync(user, { full }) {
+        const userId = user._id.toString();
+        const summary = { accounts: [], locations: [], fetched: 0, upserted: 0, removed: 0, failed: 0 };
+
+        const accounts = await businessAccountService.discoverAccounts(user);
+        if (!accounts.length) {
+            summary.removed += await this.pruneVanished(user._id, [], [], []);
+            if (summary.removed) {
+                await this.clearReviewCache(userId);
+            }
+            return summary;
+        }
+        summary.accounts = accounts;
+
+        const states = await ReviewSyncState.find({ userId: user._id }).lean();
+        const stateMap = new Map(states.map(state => [state.locationId, state]));
+        const errors = [];
+
+        // Collect every location across all accounts first so batches stay full
+        const targets = [];
+        const listedAccounts = [];
+        for (const account of accounts) {
+            try {
+                const locations = await googleApiService.getLocations(user.googleAccessToken, account.name, userId);
+                locations.forEach(location => targets.push({ accountName: account.name, location }));
+                listedAccounts.push(account.name);
+            } catch (error) {
+                console.error(`[ReviewSync] Failed to list locations for ${account.name}:`, error.message);
+                errors.push(error);
+                summary.failed += 1;
+            }
+        }
+        // Failed account listings plus every location we tried to sync
+        const attempted = errors.length + targets.length;
+
+        summary.removed += await this.pruneVanished(
+            user._id,
+            accounts.map(account => account.name),
+            listedAccounts,
+            targets.map(({ location }) => location.name)
+        );
+
+        // Process locations in batches to avoid overwhelming the API
+        const batchSize = GOOGLE_API.MAX_CONCURRENT_REQUESTS;
+        for (let i = 0; i < targets.length; i += batchSize) {
+            const batch = targets.slice(i, i + batchSize);
+            const results = await Promise.all(
+                batch.map(({ accountName, location }) =>
+                    this.syncLocation(user, accountName, location, stateMap.get(location.name), { full })
+                        .catch((error) => {
+                            errors.push(error);
+                            return { accountId: accountName, locationId: location.name, failed: true, error: error.message };
+                        })
+                )
+            );
+
+            results.forEach((result) => {
+                summary.locations.push(result);
+                summary.fetched += result.fetched || 0;
+                summary.upserted += result.upserted || 0;
+                summary.removed += result.removed || 0;
+                if (result.failed) {
+                    summary.failed += 1;
+                }
+            });
+        }
+
+        // Nothing usable was fetched - surface the underlying error (e.g. expired Google auth)
+        if (errors.length && errors.length === attempted) {
+            throw errors[0];
+        }
+
+        if (summary.upserted || summary.removed) {
+            await this.clearReviewCache(userId);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Drop reviews and sync state for accounts the user no longer has, and for locations
+     * no longer listed under an account. Accounts whose listing failed are left alone.
+     * @param {ObjectId} userId - User ID
+     * @param {string[]} accountNames - Every account the user currently has
+     * @param {string[]} listedAccounts - Accounts whose locations were listed successfully
+     * @param {string[]} locationIds - Locations listed under those accounts
+     * @returns {number} Reviews removed
+     */
+    async pruneVanished(userId, accountNames, listedAccounts, locationIds) {
+        const stale = {
+            userId,
+            $or: [
+                { accountId: { $nin: accountNames } },
+                { accountId: { $in: listedAccounts }, locationId: { $nin: locationIds } }
+            ]
+        };
+
+        const [reviews] = await Promise.all([
+            Review.deleteMany(stale),
+            ReviewSyncState.deleteMany(stale)
+        ]);
+        return reviews.deletedCount || 0;
+    }
+
+    async syncLocation(user, accountName, location, state, { full = false } = {}) {
+        const userId = user._id.toString();
+        const filter = { userId: user._id, locationId: location.name };
+        const lastFullSyncAt = state?.lastFullSyncAt ? new Date(state.lastFullSyncAt).getTime() : 0;
+        const isFull = full || !state?.cursor || Date.now() - lastFullSyncAt > FULL_RESYNC_MS;
+        const since = isFull ? null : new Date(new Date(state.cursor).getTime() - CURSOR_OVERLAP_MS);
+
+        await ReviewSyncState.updateOne(
+            filter,
+            { $set: { accountId: accountName, locationName: location.title, status: 'syncing' } },
+            { upsert: true }
+        );
+
+        try {
+            const reviews = await googleApiService.getAllReviews(
+                user.googleAccessToken,
+                accountName,
+                location.name,
+                { since, strict: true },
+                userId
+            );
+
+            const syncedAt = new Date();
+            const operations = reviews.map((review) => {
+                const doc = this.buildReviewDocument(user._id, accountName, location, review, syncedAt);
+                return {
+                    updateOne: {
+                        filter: { userId: user._id, reviewId: doc.reviewId },
+                        update: { $set: doc },
+                        upsert: true
+                    }
+                };
+            });
+
+            let upserted = 0;
+            for (let i = 0; i < operations.length; i += REVIEW_SYNC.BULK_WRITE_BATCH_SIZE) {
+                const result = await Review.bulkWrite(
+                    operations.slice(i, i + REVIEW_SYNC.BULK_WRITE_BATCH_SIZE),
+                    { ordered: false }
+                );
+                upserted += (result.upsertedCount || 0) + (result.modifiedCount || 0);
+            }
+
+            // A full read is authoritative: anything we no longer see was deleted on Google
+            let removed = 0;
+            if (isFull) {
+                const seenIds = operations.map(op => op.updateOne.filter.reviewId);
+                const deletion = await Review.deleteMany({ ...filter, reviewId: { $nin: seenIds } });
+                removed = deletion.deletedCount || 0;
+            }
+
+            let cursor = state?.cursor ? new Date(state.cursor).getTime() : 0;
+            reviews.forEach((review) => {
+                const updatedAt = new Date(review.updateTime || review.createTime || 0).getTime();
+                if (updatedAt > cursor) {
+                    cursor = updatedAt;
+                }
+            });
+
+            const reviewCount = await Review.countDocuments(filter);
+            await ReviewSyncState.updateOne(filter, {
+                $set: {
+                    cursor: cursor ? new Date(cursor) : null,
+                    lastSyncedAt: syncedAt,
+                    ...(isFull && { lastFullSyncAt: syncedAt }),
+                    reviewCount,
+                    status: 'idle',
+                    error: null
+                }
+            });
+
+            return {
+                accountId: accountName,
+                locationId: location.name,
+                locationName: location.title,
+                full: isFull,
+                fetched: reviews.length,
+                upserted,
+                removed
+            };
+        } catch (error) {
+            console.error(`[ReviewSync] Failed to sync ${location.name} for user ${userId}:`, error.message);
+            await ReviewSyncState.updateOne(filter, { $set: { status: 'failed', error: error.message } });
+            throw error;
+        }
+    }
+
+    buildReviewDocument(userId, accountName, location, review, syncedAt) {
+        const ratingValue = RATING_MAP[review.starRating] || 0;
+        return {
+            userId,
+            accountId: accountName,
+            locationId: location.name,
+            locationName: location.title,
+            reviewId: review.reviewId || review.name.split('/').pop(),
+            reviewName: review.name,
+            reviewerName: review.reviewer?.displayName || null,
+            reviewerPhoto: review.reviewer?.profilePhotoUrl || null,
+            starRating: ratingValue ? review.starRating : null,
+            ratingValue,
+            comment: review.comment || '',
+            createTime: review.createTime ? new Date(review.createTime) : null,
+            updateTime: review.updateTime ? new Date(review.updateTime) : null,
+            replyComment: review.reviewReply?.comment || null,
+            replyTime: review.reviewReply?.updateTime ? new Date(review.reviewReply.updateTime) : null,
+            isReplied: !!review.reviewReply,
+            syncedAt
+        };
+    }
+
+    /**
+     * Convert a stored Review back into the Google API review shape the clients already consume
+     */
+    toApiReview(doc) {
+        const review = {
+            name: doc.reviewName,
+            reviewId: doc.reviewId,
+            reviewer: {
+                displayName: doc.reviewerName,
+                profilePhotoUrl: doc.reviewerPhoto
+            },
+            starRating: doc.starRating,
+            comment: doc.comment,
+            createTime: doc.createTime,
+            updateTime: doc.updateTime
+        };
+
+        if (doc.isReplied) {
+            review.reviewReply = {
+                comment: doc.replyComment,
+                updateTime: doc.replyTime
+            };
+        }
+
+        return review;
+    }
+
+    /**
+     * Load stored reviews grouped by location, in the shape returned by googleApiService.batchFetchReviews
+     * @param {string|ObjectId} userId - User ID
+     * @param {object} options - since: only reviews updated at or after this date; accountIds: restrict to these accounts
+     */
+    async loadLocationsWithReviews(userId, { since = null, accountIds = null } = {}) {
+        const stateQuery = { userId };
+        if (accountIds) {
+            stateQuery.accountId = { $in: accountIds };
+        }
+
+        const reviewQuery = { ...stateQuery };
+        if (since) {
+            reviewQuery.updateTime = { $gte: since };
+        }
+
+        const [states, reviews] = await Promise.all([
+            ReviewSyncState.find(stateQuery).select('accountId locationId locationName').sort({ locationName: 1 }).lean(),
+            Review.find(reviewQuery).sort({ updateTime: -1 }).lean()
+        ]);
+
+        const grouped = new Map(
+            states.map(state => [
+                state.locationId,
+                {
+                    locationName: state.locationName,
+                    locationId: state.locationId,
+                    accountId: state.accountId,
+                    reviews: []
+                }
+            ])
+        );
+
+        reviews.forEach((doc) => {
+            if (!grouped.has(doc.locationId)) {
+                grouped.set(doc.locationId, {
+                    locationName: doc.locationName,
+                    locationId: doc.locationId,
+                    accountId: doc.accountId,
+                    reviews: []
+                });
+            }
+            grouped.get(doc.locationId).reviews.push(this.toApiReview(doc));
+        });
+
+        return Array.from(grouped.values());
+    }
+
+    async getSyncStates(userId) {
+        return ReviewSyncState.find({ userId })
+            .select('-__v')
+            .sort({ locationName: 1 })
+            .lean();
+    }
+
+    /**
+     * Reflect a reply posted from this server without waiting for the next sync
+     */
+    async markReplied(userId, reviewName, comment) {
+        try {
+            await Review.updateOne(
+                { userId, reviewName },
+                { $set: { replyComment: comment, replyTime: new Date(), isReplied: true } }
+            );
+        } catch (error) {
+            console.error('Failed to mark review as replied:', error.message);
+        }
+    }
+}
+
+module.exports = new ReviewSyncService();
@@ -0,0 +1,240 @@
+const Stripe = require('stripe');
+const BillingPlan = require('../models/BillingPlan');
+const { AppError } = require('../utils/errorHandler');
+const { SUBSCRIPTION_PLANS } = require('../utils/constants');
+require('dotenv').config();
+
+const API_VERSION = '2025-02-24.acacia';
+
+const describeError = (error) => error?.raw?.message || error?.message || error;
+
+/**
+ * Stripe Service - Prices, customers, Checkout Sessions and signature checks for
+ * customers billed outside India
+ */
+class StripeService {
+    constructor() {
+        this.instance = null;
+    }
+
+    get client() {
+        if (!process.env.STRIPE_SECRET_KEY) {
+            throw new AppError('Stripe configuration missing on server.', 500);
+        }
+        if (!this.instance) {
+            this.instance = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: API_VERSION });
+        }
+        return this.instance;
+    }
+
+    /**
+     * Map a billing cycle in days onto Stripe's recurring interval
+     */
+    getRecurring(billingCycleDays) {
+        if (billingCycleDays % 365 === 0) {
+            return { period: 'yearly', interval: 'year', intervalCount: billingCycleDays / 365 };
+        }
+        if (billingCycleDays % 30 === 0) {
+            return { period: 'monthly', interval: 'month', intervalCount: billingCycleDays / 30 };
+        }
+        if (billingCycleDays % 7 === 0) {
+            return { period: 'weekly', interval: 'week', intervalCount: billingCycleDays / 7 };
+        }
+        return { period: 'daily', interval: 'day', intervalCount: billingCycleDays };
+    }
+
+    /**
+     * Make sure an active Stripe price exists for a plan in one currency
+     * @param {number} amount - Price in the currency's smallest unit
+     * @returns {object} BillingPlan document
+     */
+    async syncPrice(planKey, currency, amount) {
+        const plan = SUBSCRIPTION_PLANS[planKey];
+        if (!plan || !amount || !plan.billingCycleDays) {
+            throw new AppError(`Plan ${planKey} is not a recurring paid plan.`, 400);
+        }
+
+        const { period, interval, intervalCount } = this.getRecurring(plan.billingCycleDays);
+        const desired = {
+            provider: 'stripe',
+            planKey,
+            amount,
+            currency,
+            period,
+            interval: intervalCount
+        };
+
+        const existing = await BillingPlan.findOne({ ...desired, active: true }).lean();
+        if (existing) {
+            return existing;
+        }
+
+        let price;
+        try {
+            price = await this.client.prices.create({
+                currency: currency.toLowerCase(),
+                unit_amount: amount,
+                recurring: { interval, interval_count: intervalCount },
+                product_data: { name: plan.name, metadata: { planKey } },
+                metadata: { planKey }
+            });
+        } catch (error) {
+            console.error(`[Payment] Failed to create Stripe price for ${planKey} ${currency}`, describeError(error));
+            throw new AppError(error?.raw?.message || 'Failed to create Stripe price.', 502);
+        }
+
+        await BillingPlan.updateMany({ provider: 'stripe', planKey, currency, active: true }, { $set: { active: false } });
+        const created = await BillingPlan.create({ ...desired, providerPlanId: price.id });
+        console.log(`[Payment] Synced Stripe price ${price.id} for ${planKey} (${currency})`);
+        return created.toObject();
+    }
+
+    async getPlanKey(priceId) {
+        if (!priceId) return null;
+        const plan = await BillingPlan.findOne({ provider: 'stripe', providerPlanId: priceId }).select('planKey').lean();
+        return plan?.planKey || null;
+    }
+
+    /**
+     * Stripe customer for a user, created on first checkout (the caller saves the user)
+     */
+    async ensureCustomer(user) {
+        if (user.subscription.stripeCustomerId) {
+            return user.subscription.stripeCustomerId;
+        }
+
+        try {
+            const customer = await this.client.customers.create({
+                email: user.email,
+                name: user.billingDetails?.legalName || user.name,
+                address: user.billingDetails?.country ? { country: user.billingDetails.country } : undefined,
+                metadata: { userId: user._id.toString() }
+            });
+            user.subscription.stripeCustomerId = customer.id;
+            return customer.id;
+        } catch (error) {
+            console.error('[Payment] Failed to create Stripe customer', describeError(error));
+            throw new AppError(error?.raw?.message || 'Failed to create Stripe customer.', 502);
+        }
+    }
+
+    /**
+     * Stripe coupon mirroring one of ours. Fixed-amount coupons are per currency.
+     */
+    async ensureCoupon(coupon, currency) {
+        const id = coupon.type === 'fixed' ? `${coupon.code}_${currency}` : coupon.code;
+
+        try {
+            return (await this.client.coupons.retrieve(id)).id;
+        } catch (error) {
+            if (error?.statusCode !== 404) {
+                console.error('[Payment] Failed to fetch Stripe coupon', describeError(error));
+                throw new AppError('Failed to apply coupon.', 502);
+            }
+        }
+
+        try {
+            const created = await this.client.coupons.create({
+                id,
+                name: coupon.code,
+                duration: coupon.duration === 'recurring' ? 'forever' : 'once',
+                ...(coupon.type === 'percentage'
+                    ? { percent_off: Math.min(coupon.value, 100) }
+                    : { amount_off: coupon.value, currency: currency.toLowerCase() }),
+                metadata: { couponId: coupon._id.toString() }
+            });
+            return created.id;
+        } catch (error) {
+            console.error('[Payment] Failed to create Stripe coupon', describeError(error));
+            throw new AppError('Failed to apply coupon.', 502);
+        }
+    }
+
+    /**
+     * Hosted Checkout Session that creates the subscription once paid
+     * @param {object} [coupon] - Validated Coupon document
+     */
+    async createCheckoutSession(user, { planKey, currency, amount, coupon = null }) {
+        const billingPlan = await this.syncPrice(planKey, currency, amount);
+        const customer = await this.ensureCustomer(user);
+        const userId = user._id.toString();
+        const metadata = { userId, plan: planKey, ...(coupon && { coupon: coupon.code }) };
+        const returnUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/billing`;
+
+        try {
+            return await this.client.checkout.sessions.create({
+                mode: 'subscription',
+                customer,
+                client_reference_id: userId,
+                line_items: [{ price: billingPlan.providerPlanId, quantity: 1 }],
+                discounts: coupon ? [{ coupon: await this.ensureCoupon(coupon, currency) }] : undefined,
+                metadata,
+                subscription_data: { metadata },
+                success_url: process.env.STRIPE_SUCCESS_URL || `${returnUrl}?session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: process.env.STRIPE_CANCEL_URL || `${returnUrl}?checkout=cancelled`
+            });
+        } catch (error) {
+            if (error instanceof AppError) {
+                throw error;
+            }
+            console.error('[Payment] Failed to create Stripe checkout session', describeError(error));
+            throw new AppError(error?.raw?.message || 'Failed to create Stripe checkout. Please verify Stripe credentials.', 400);
+        }
+    }
+
+    async retrieveCheckoutSession(sessionId) {
+        try {
+            return await this.client.checkout.sessions.retrieve(sessionId, { expand: ['subscription', 'invoice'] });
+        } catch (error) {
+            if (error?.statusCode === 404) {
+                throw new AppError('Checkout session not found.', 404);
+            }
+            throw new AppError(error?.raw?.message || 'Failed to fetch Stripe checkout session.', 502);
+        }
+    }
+
+    async retrieveSubscription(subscriptionId) {
+        return this.client.subscriptions.retrieve(subscriptionId);
+    }
+
+    async retrieveInvoice(invoiceId) {
+        return this.client.invoices.retrieve(invoiceId);
+    }
+
+    async listRefunds(chargeId) {
+        const refunds = await this.client.refunds.list({ charge: chargeId, limit: 100 });
+        return refunds.data;
+    }
+
+    /**
+     * @param {boolean} atPeriodEnd - Keep the current period running and stop renewing
+     */
+    async cancelSubscription(subscriptionId, atPeriodEnd = true) {
+        try {
+            return atPeriodEnd
+                ? await this.client.subscriptions.update(subscriptionId, { cancel_at_period_end: true })
+                : await this.client.subscriptions.cancel(subscriptionId);
+        } catch (error) {
+            console.error('[Payment] Failed to cancel Stripe subscription', describeError(error));
+            throw new AppError(error?.raw?.message || 'Failed to cancel Stripe subscription.', 502);
+        }
+    }
+
+    /**
+     * Verify and parse a webhook
+     * @throws {AppError} 500 when unconfigured, 400 when the signature doesn't match
+     */
+    constructWebhookEvent(rawBody, signature) {
+        const secret = process.env.STRIPE_WEBHOOK_SECRET;
+        if (!secret) {
+            throw new AppError('Webhook secret not configured.', 500);
+        }
+        try {
+            return this.client.webhooks.constructEvent(rawBody, signature, secret);
+        } catch (error) {
+            throw new AppError('Invalid signature.', 400);
+        }
+    }
+}
+
+module.exports = new StripeService();
@@ -0,0 +1,209 @@
+const User = require('../models/User');
+const entitlementService = require('./entitlementService');
+const autoReplyService = require('./autoReplyService');
+const websocketService = require('./websocketService');
+const webhookService = require('./webhookService');
+const { SUBSCRIPTION_LIFECYCLE } = require('../utils/constants');
+require('dotenv').config();
+
+const SERVICE_ENABLED = process.env.SUBSCRIPTION_LIFECYCLE_ENABLED !== 'false';
+const CHECK_INTERVAL_MS = Number(process.env.SUBSCRIPTION_LIFECYCLE_INTERVAL_MS || SUBSCRIPTION_LIFECYCLE.CHECK_INTERVAL_MS);
+const PAID_STATUSES = ['active', 'past_due'];
+
+/**
+ * Subscription Lifecycle Service - Expires trials and paid plans on schedule.
+ * A paid plan past expiresAt moves to past_due for the grace period, then drops to
+ * free; auto-reply is switched off once the remaining plan no longer includes it.
+ */
+class SubscriptionLifecycleService {
+    constructor() {
+        this.interval = null;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (!SERVICE_ENABLED) {
+            console.log('Subscription lifecycle job disabled via SUBSCRIPTION_LIFECYCLE_ENABLED flag.');
+            return;
+        }
+
+        if (this.interval) {
+            return;
+        }
+
+        console.log(`Subscription lifecycle job online (interval: ${CHECK_INTERVAL_MS / 1000}s).`);
+        this.interval = setInterval(() => this.runCycle(), CHECK_INTERVAL_MS);
+        this.runCycle();
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    markFreeSwitchUsed(subscription, now) {
+        if (!subscription.freeSwitchUsed) {
+            subscription.freeSwitchUsed = true;
+            subscription.freeSwitchUsedAt = now;
+        }
+    }
+
+    /**
+     * Switch auto-reply off when the user's current plan no longer includes it
+     * @returns {boolean} Whether the settings changed
+     */
+    enforceEntitlements(user) {
+        if (user.autoReplySettings?.enabled && !entitlementService.can(user, 'autoReply')) {
+            user.autoReplySettings.enabled = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Apply due transitions to a user document in memory (the caller saves)
+     * @param {object} user - User document with subscription, trial and autoReplySettings
+     * @returns {string[]} Transitions applied, empty when nothing was due
+     */
+    applyLifecycle(user, now = new Date()) {
+        const changes = [];
+        const subscription = user.subscription;
+        const trial = user.trial;
+
+        const isPaidPlan = subscription.plan !== 'free' && subscription.plan !== 'trial';
+        if (isPaidPlan && PAID_STATUSES.includes(subscription.status) && subscription.expiresAt && subscription.expiresAt <= now) {
+            const graceEnd = entitlementService.getSubscriptionGraceEnd(subscription);
+            if (graceEnd > now) {
+                if (subscription.status !== 'past_due') {
+                    subscription.status = 'past_due';
+                    subscription.graceEndsAt = graceEnd;
+                    changes.push('subscription_past_due');
+                }
+            } else {
+                subscription.plan = 'free';
+                subscription.status = 'expired';
+                subscription.graceEndsAt = undefined;
+                this.markFreeSwitchUsed(subscription, now);
+                changes.push('subscription_expired');
+            }
+        }
+
+        if (trial?.status === 'active' && trial.endDate && entitlementService.getTrialGraceEnd(trial) <= now) {
+            trial.status = 'expired';
+            trial.enabled = false;
+            if (subscription.plan === 'trial') {
+                subscription.plan = 'free';
+                subscription.status = 'expired';
+                this.markFreeSwitchUsed(subscription, now);
+            }
+            changes.push('trial_expired');
+        }
+
+        if (changes.length && this.enforceEntitlements(user)) {
+            changes.push('auto_reply_disabled');
+        }
+
+        return changes;
+    }
+
+    /**
+     * Apply, persist and announce any due transitions for one user
+     * @returns {string[]} Transitions applied
+     */
+    async processUser(user, now = new Date()) {
+        const changes = this.applyLifecycle(user, now);
+        if (!changes.length) {
+            return changes;
+        }
+
+        await user.save();
+        console.log(`[Subscription] User ${user._id}: ${changes.join(', ')}`);
+        this.notify(user, changes);
+        return changes;
+    }
+
+    notify(user, changes) {
+        const userId = user._id.toString();
+
+        try {
+            websocketService.emitToUser(userId, 'subscription:updated', {
+                subscription: user.subscription,
+                trial: user.trial,
+                entitlements: entitlementService.getEntitlements(user),
+                changes
+            });
+            if (changes.includes('auto_reply_disabled')) {
+                websocketService.emitToUser(userId, 'autoReply:settings:updated', {
+                    settings: autoReplyService.normalizeSettings(user.autoReplySettings)
+                });
+            }
+        } catch (error) {
+            console.error('Failed to emit subscription update:', error);
+        }
+
+        webhookService.publishSubscription(user, changes).catch(error => {
+            console.error(`[Webhooks] subscription.updated failed for user ${userId}:`, error.message);
+        });
+
+        try {
+            websocketService.emitToSuperAdmins('superAdmin:business:updated', {
+                businessId: userId,
+                subscription: user.subscription,
+                trial: user.trial
+            });
+        } catch (error) {
+            console.error('Failed to emit super admin update:', error);
+        }
+    }
+
+    async runCycle() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+
+        const now = new Date();
+        let updated = 0;
+
+        try {
+            const cursor = User.find({
+                $or: [
+                    { 'subscription.status': { $in: PAID_STATUSES }, 'subscription.expiresAt': { $lte: now } },
+                    { 'trial.status': 'active', 'trial.endDate': { $lte: now } }
+                ]
+            })
+                .select('_id subscription trial autoReplySettings')
+                .cursor();
+
+            for await (const user of cursor) {
+                try {
+                    const changes = await this.processUser(user, now);
+                    if (changes.length) {
+                        updated += 1;
+                    }
+                } catch (error) {
+                    console.error(`[Subscription] Failed to update user ${user._id}:`, error.message);
+                }
+            }
+
+            if (updated) {
+                try {
+                    websocketService.emitToSuperAdmins('superAdmin:businesses:refresh', {});
+                    websocketService.emitToSuperAdmins('superAdmin:stats:refresh', {});
+                } catch (error) {
+                    console.error('Failed to emit super admin update:', error);
+                }
+            }
+        } catch (error) {
+            console.error('Subscription lifecycle cycle error:', error);
+        } finally {
+            this.isRunning = false;
+        }
+
+        return { updated };
+    }
+}
+
+module.exports = new SubscriptionLifecycleService();
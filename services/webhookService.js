@@ -0,0 +1,498 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../utils/errorHandler');
+const { assertPublicUrl, outboundRequestOptions } = require('../utils/outboundUrl');
+const { WEBHOOKS, NOTIFICATIONS } = require('../utils/constants');
+require('dotenv').config();
+
+const SERVICE_ENABLED = process.env.WEBHOOK_DISPATCH_ENABLED !== 'false';
+const CHECK_INTERVAL_MS = Number(process.env.WEBHOOK_CHECK_INTERVAL_MS || WEBHOOKS.CHECK_INTERVAL_MS);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || WEBHOOKS.MAX_ATTEMPTS);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || WEBHOOKS.TIMEOUT_MS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPT_HISTORY = 20;
+// Response bodies recorded by earlier versions are never shown back to the user
+const DELIVERY_PROJECTION = '-attempts.responseBody';
+
+/**
+ * Webhook Service - Lets integrators subscribe HTTPS endpoints to account events.
+ * Each event is stored as one delivery per endpoint, signed with the endpoint's
+ * secret, tried right away and retried with exponential backoff by a background job.
+ *
+ * Receivers verify X-Webhook-Signature (`t=<unix seconds>,v1=<hex>`), where v1 is the
+ * HMAC-SHA256 of `<t>.<raw body>` keyed with the endpoint secret.
+ */
+class WebhookService {
+    constructor() {
+        this.interval = null;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (!SERVICE_ENABLED) {
+            console.log('Webhook dispatch job disabled via WEBHOOK_DISPATCH_ENABLED flag.');
+            return;
+        }
+
+        if (this.interval) {
+            return;
+        }
+
+        console.log(`Webhook dispatch job online (interval: ${CHECK_INTERVAL_MS / 1000}s).`);
+        this.interval = setInterval(() => this.runCycle(), CHECK_INTERVAL_MS);
+        this.runCycle();
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Wait before the next attempt after `attemptCount` failed ones
+     */
+    getRetryDelay(attemptCount) {
+        return Math.min(WEBHOOKS.RETRY_BASE_MS * 2 ** Math.max(0, attemptCount - 1), WEBHOOKS.RETRY_MAX_MS);
+    }
+
+    toPublic(endpoint) {
+        const { secret, __v, ...rest } = endpoint;
+        return rest;
+    }
+
+    async findEndpoint(userId, endpointId) {
+        const endpoint = await WebhookEndpoint.findOne({ _id: endpointId, userId }).lean();
+        if (!endpoint) {
+            throw new AppError('Webhook endpoint not found', 404);
+        }
+        return endpoint;
+    }
+
+    async listEndpoints(userId) {
+        const endpoints = await WebhookEndpoint.find({ userId }).sort({ createdAt: 1 }).lean();
+        return endpoints.map(endpoint => this.toPublic(endpoint));
+    }
+
+    /**
+     * @returns {object} Endpoint including its secret, which isn't shown again
+     */
+    async createEndpoint(userId, fields) {
+        const count = await WebhookEndpoint.countDocuments({ userId });
+        if (count >= WEBHOOKS.MAX_ENDPOINTS) {
+            throw new AppError(`At most ${WEBHOOKS.MAX_ENDPOINTS} webhook endpoints can be registered.`, 400);
+        }
+
+        await assertPublicUrl(fields.url);
+        const secret = this.generateSecret();
+        const endpoint = await WebhookEndpoint.create({ ...fields, userId, secret });
+        return { ...this.toPublic(endpoint.toObject()), secret };
+    }
+
+    async updateEndpoint(userId, endpointId, fields) {
+        if (fields.url) {
+            await assertPublicUrl(fields.url);
+        }
+        const endpoint = await WebhookEndpoint.findOneAndUpdate(
+            { _id: endpointId, userId },
+            { $set: fields },
+            { new: true, runValidators: true }
+        ).lean();
+        if (!endpoint) {
+            throw new AppError('Webhook endpoint not found', 404);
+        }
+        return this.toPublic(endpoint);
+    }
+
+    /**
+     * Replace the signing secret. Deliveries still queued are signed with the new one.
+     * @returns {object} Endpoint including the new secret
+     */
+    async rotateSecret(userId, endpointId) {
+        const secret = this.generateSecret();
+        const endpoint = await WebhookEndpoint.findOneAndUpdate(
+            { _id: endpointId, userId },
+            { $set: { secret } },
+            { new: true }
+        ).lean();
+        if (!endpoint) {
+            throw new AppError('Webhook endpoint not found', 404);
+        }
+        return { ...this.toPublic(endpoint), secret };
+    }
+
+    async deleteEndpoint(userId, endpointId) {
+        const result = await WebhookEndpoint.deleteOne({ _id: endpointId, userId });
+        if (!result.deletedCount) {
+            throw new AppError('Webhook endpoint not found', 404);
+        }
+        await WebhookDelivery.deleteMany({ endpointId });
+    }
+
+    /**
+     * Queue an event for every enabled endpoint of the user subscribed to it, then
+     * try the new deliveries right away. Failures are retried by the background job.
+     * @param {object} options - dedupeKey: publish at most once per endpoint for this key
+     * @returns {number} Deliveries queued
+     */
+    async publish(userId, event, data, { dedupeKey } = {}) {
+        return this.publishMany(userId, event, [{ data, dedupeKey }]);
+    }
+
+    /**
+     * @param {Array<{ data: object, dedupeKey?: string }>} items - One event each
+     */
+    async publishMany(userId, event, items) {
+        if (!items.length) {
+            return 0;
+        }
+
+        const endpoints = await WebhookEndpoint.find({ userId, enabled: true, events: event }).select('_id').lean();
+        if (!endpoints.length) {
+            return 0;
+        }
+
+        const created = [];
+        for (const { data, dedupeKey } of items) {
+            const eventId = `evt_${crypto.randomUUID().replace(/-/g, '')}`;
+            const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+
+            for (const endpoint of endpoints) {
+                try {
+                    created.push(await WebhookDelivery.create({
+                        userId,
+                        endpointId: endpoint._id,
+                        eventId,
+                        event,
+                        dedupeKey,
+                        payload
+                    }));
+                } catch (error) {
+                    if (error.code !== 11000) {
+                        throw error;
+                    }
+                }
+            }
+        }
+
+        if (created.length) {
+            this.attemptAll(created.map(delivery => delivery._id)).catch(error => {
+                console.error('[Webhooks] Immediate delivery failed:', error.message);
+            });
+        }
+        return created.length;
+    }
+
+    /**
+     * Lock a delivery that is due (or whose previous sender died) for one attempt
+     * @returns {object|null} Delivery, or null when another worker has it or it isn't due
+     */
+    async claim(deliveryId, now = new Date()) {
+        return WebhookDelivery.findOneAndUpdate(
+            {
+                _id: deliveryId,
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedUntil: { $lte: now } }
+                ]
+            },
+            { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + TIMEOUT_MS * 2) } },
+            { new: true }
+        ).lean();
+    }
+
+    async attemptAll(deliveryIds) {
+        for (const deliveryId of deliveryIds) {
+            const delivery = await this.claim(deliveryId);
+            if (delivery) {
+                await this.attempt(delivery);
+            }
+        }
+    }
+
+    /**
+     * POST a claimed delivery and record the outcome. Any 2xx response counts as
+     * delivered; anything else is retried until MAX_ATTEMPTS.
+     * @param {object} options - force: send even to a disabled endpoint, and don't retry
+     * @returns {object} Updated delivery
+     */
+    async attempt(delivery, { force = false } = {}) {
+        const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret').lean();
+        const startedAt = new Date();
+        const record = { at: startedAt };
+
+        if (!endpoint || (!endpoint.enabled && !force)) {
+            record.error = 'Endpoint was disabled or deleted';
+        } else {
+            const body = JSON.stringify(delivery.payload);
+            const timestamp = Math.floor(startedAt.getTime() / 1000);
+            try {
+                // Checked again on every send: the host may resolve elsewhere since it was saved
+                await assertPublicUrl(endpoint.url);
+                const response = await axios.post(endpoint.url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'ReviewReply-Webhooks/1.0',
+                        'X-Webhook-Id': delivery.eventId,
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(endpoint.secret, timestamp, body)}`
+                    },
+                    timeout: TIMEOUT_MS,
+                    ...outboundRequestOptions(),
+                    // Only the status is kept; the body never reaches the delivery history
+                    responseType: 'stream',
+                    validateStatus: () => true
+                });
+                response.data.destroy();
+                record.responseStatus = response.status;
+                if (response.status < 200 || response.status >= 300) {
+                    record.error = `Endpoint responded with HTTP ${response.status}`;
+                }
+            } catch (error) {
+                record.error = error.message;
+            }
+        }
+        record.durationMs = Date.now() - startedAt.getTime();
+
+        const attemptCount = delivery.attemptCount + 1;
+        const succeeded = !record.error;
+        const exhausted = !succeeded && (force || attemptCount >= MAX_ATTEMPTS || !endpoint || !endpoint.enabled);
+        const $set = { attemptCount, lockedUntil: null };
+
+        if (succeeded) {
+            Object.assign($set, { status: 'succeeded', completedAt: new Date() });
+        } else if (exhausted) {
+            Object.assign($set, { status: 'failed', completedAt: new Date() });
+        } else {
+            Object.assign($set, { status: 'pending', nextAttemptAt: new Date(Date.now() + this.getRetryDelay(attemptCount)) });
+        }
+
+        const updated = await WebhookDelivery.findByIdAndUpdate(
+            delivery._id,
+            { $set, $push: { attempts: { $each: [record], $slice: -MAX_ATTEMPT_HISTORY } } },
+            { new: true, projection: DELIVERY_PROJECTION }
+        ).lean();
+
+        if (endpoint) {
+            await WebhookEndpoint.updateOne(
+                { _id: endpoint._id },
+                succeeded
+                    ? { $set: { lastSuccessAt: record.at } }
+                    : { $set: { lastFailureAt: record.at, lastError: record.error } }
+            );
+        }
+        if (!succeeded) {
+            console.warn(`[Webhooks] ${delivery.event} delivery ${delivery._id} attempt ${attemptCount} failed: ${record.error}`);
+        }
+        return updated;
+    }
+
+    async runCycle() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+
+        const now = new Date();
+        let attempted = 0;
+
+        try {
+            const due = await WebhookDelivery.find({
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedUntil: { $lte: now } }
+                ]
+            })
+                .sort({ nextAttemptAt: 1 })
+                .limit(WEBHOOKS.BATCH_SIZE)
+                .select('_id')
+                .lean();
+
+            for (const { _id } of due) {
+                try {
+                    const delivery = await this.claim(_id, now);
+                    if (delivery) {
+                        await this.attempt(delivery);
+                        attempted += 1;
+                    }
+                } catch (error) {
+                    console.error(`[Webhooks] Failed to process delivery ${_id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('Webhook dispatch cycle error:', error);
+        } finally {
+            this.isRunning = false;
+        }
+
+        return { attempted };
+    }
+
+    /**
+     * Send a sample `test` event to one endpoint and wait for the outcome. Sent even
+     * when the endpoint is disabled or not subscribed to anything in particular.
+     * @returns {object} Delivery with its attempt
+     */
+    async sendTest(userId, endpointId) {
+        const endpoint = await this.findEndpoint(userId, endpointId);
+        const eventId = `evt_${crypto.randomUUID().replace(/-/g, '')}`;
+        const delivery = await WebhookDelivery.create({
+            userId,
+            endpointId: endpoint._id,
+            eventId,
+            event: 'test',
+            payload: {
+                id: eventId,
+                type: 'test',
+                createdAt: new Date().toISOString(),
+                data: { message: 'This is a test event. Real events carry their data here.' }
+            },
+            status: 'sending',
+            lockedUntil: new Date(Date.now() + TIMEOUT_MS * 2)
+        });
+
+        return this.attempt(delivery.toObject(), { force: true });
+    }
+
+    /**
+     * Send a delivery again now, whatever its status. Earlier attempts stay in its history.
+     * @returns {object} Delivery after the new attempt
+     */
+    async redeliver(userId, deliveryId) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { _id: deliveryId, userId, status: { $ne: 'sending' } },
+            {
+                $set: {
+                    status: 'sending',
+                    attemptCount: 0,
+                    lockedUntil: new Date(Date.now() + TIMEOUT_MS * 2)
+                },
+                $unset: { completedAt: '' }
+            },
+            { new: true }
+        ).lean();
+        if (!delivery) {
+            const exists = await WebhookDelivery.exists({ _id: deliveryId, userId });
+            throw exists
+                ? new AppError('Delivery is being sent right now. Try again shortly.', 409)
+                : new AppError('Webhook delivery not found', 404);
+        }
+        return this.attempt(delivery);
+    }
+
+    async listDeliveries(userId, endpointId, { status, event, page = 1, limit = WEBHOOKS.DELIVERY_PAGE_SIZE } = {}) {
+        await this.findEndpoint(userId, endpointId);
+
+        const query = { userId, endpointId };
+        if (status) query.status = status;
+        if (event) query.event = event;
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select(DELIVERY_PROJECTION)
+                .lean(),
+            WebhookDelivery.countDocuments(query)
+        ]);
+
+        return { deliveries, total };
+    }
+
+    /**
+     * review.created for newly synced reviews; each review is published once per endpoint
+     * @param {Array<object>} reviews - { reviewName, locationId, locationName, reviewerName, ratingValue, comment, createTime }
+     */
+    async publishReviews(userId, reviews, now = new Date()) {
+        const cutoff = now.getTime() - NOTIFICATIONS.ESCALATION_MAX_AGE_DAYS * DAY_MS;
+        const items = reviews
+            .filter(review => !review.createTime || new Date(review.createTime).getTime() >= cutoff)
+            .map(review => ({
+                dedupeKey: review.reviewName,
+                data: {
+                    review: {
+                        name: review.reviewName,
+                        locationId: review.locationId || null,
+                        locationName: review.locationName || null,
+                        reviewerName: review.reviewerName || null,
+                        rating: review.ratingValue || null,
+                        comment: review.comment || '',
+                        createTime: review.createTime || null
+                    }
+                }
+            }));
+        return this.publishMany(userId, 'review.created', items);
+    }
+
+    /**
+     * reply.sent for a reply posted to Google, by auto-reply or by hand
+     * @param {object} reply - { reviewName, locationId, locationName, reply, source: auto_reply | manual, taskId }
+     */
+    async publishReplySent(userId, reply) {
+        return this.publish(userId, 'reply.sent', {
+            reviewName: reply.reviewName,
+            locationId: reply.locationId || null,
+            locationName: reply.locationName || null,
+            reply: reply.reply,
+            source: reply.source,
+            taskId: reply.taskId ? reply.taskId.toString() : null,
+            sentAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * task.failed when a reply couldn't be generated or posted (on every attempt; status is
+     * dead_letter once no more retries will be made)
+     * @param {object} task - { _id, reviewName, locationId, locationName, status, error, attempts, nextRetryAt }
+     */
+    async publishTaskFailed(userId, task) {
+        return this.publish(userId, 'task.failed', {
+            taskId: task._id.toString(),
+            reviewName: task.reviewName || null,
+            locationId: task.locationId || null,
+            locationName: task.locationName || null,
+            status: task.status,
+            error: task.error || null,
+            attempts: task.attempts ?? null,
+            // null once the task is dead-lettered
+            nextRetryAt: task.nextRetryAt || null,
+            failedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * subscription.updated with the plan fields integrators can act on (no provider ids)
+     * @param {string[]} changes - Lifecycle transitions, when the update came from one
+     */
+    async publishSubscription(user, changes = []) {
+        const subscription = user.subscription || {};
+        return this.publish(user._id, 'subscription.updated', {
+            subscription: {
+                plan: subscription.plan,
+                status: subscription.status,
+                paymentProvider: subscription.paymentProvider || null,
+                currency: subscription.currency || null,
+                currentPeriodStart: subscription.currentPeriodStart || null,
+                expiresAt: subscription.expiresAt || null,
+                graceEndsAt: subscription.graceEndsAt || null,
+                cancelAtPeriodEnd: !!subscription.cancelAtPeriodEnd
+            },
+            changes
+        });
+    }
+}
+
+module.exports = new WebhookService();
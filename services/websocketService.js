@@ -1,9 +1,22 @@
 /**
  * WebSocket Service
- * Manages real-time communication with clients via Socket.IO
+ * Manages real-time communication with clients via Socket.IO.
+ * With SOCKET_ADAPTER=redis or mongo, emits reach sockets connected to any instance,
+ * including emits from job workers that run no Socket.IO server of their own.
  */
+const mongoose = require('mongoose');
+const eventLogService = require('./eventLogService');
+const { getRedis, createRedisConnection, isRedisConfigured } = require('../config/redis');
+const { SOCKETS, EVENT_LOG } = require('../utils/constants');
+
+const ADAPTER = process.env.SOCKET_ADAPTER || 'none';
+const EVENT_LOG_ENABLED = process.env.EVENT_LOG_ENABLED !== 'false';
 
 let io = null;
+// Stand-in for io in processes without a server: publishes through the adapter's channel
+let emitter = null;
+// Per-user chain so events keep their sequence order
+const userQueues = new Map();
 
 /**
  * Initialize WebSocket server
@@ -23,6 +36,56 @@ function initializeWebSocket(server) {
     return io;
 }
 
+/**
+ * Connect the configured adapter: on a server, io broadcasts through it; elsewhere an
+ * emitter publishes to it. Call once MongoDB is connected (the mongo adapter needs it).
+ */
+async function connectAdapter() {
+    if (ADAPTER === 'none') {
+        return;
+    }
+    if (!SOCKETS.ADAPTERS.includes(ADAPTER)) {
+        throw new Error(`Unknown SOCKET_ADAPTER "${ADAPTER}". Use one of: ${SOCKETS.ADAPTERS.join(', ')}`);
+    }
+
+    if (ADAPTER === 'redis') {
+        if (!isRedisConfigured()) {
+            throw new Error('SOCKET_ADAPTER=redis requires REDIS_URL');
+        }
+        if (io) {
+            const { createAdapter } = require('@socket.io/redis-adapter');
+            const pubClient = createRedisConnection('Redis (socket.io)');
+            io.adapter(createAdapter(pubClient, pubClient.duplicate()));
+        } else {
+            const { Emitter } = require('@socket.io/redis-emitter');
+            emitter = new Emitter(getRedis());
+        }
+    } else {
+        const db = mongoose.connection.db;
+        try {
+            await db.createCollection(SOCKETS.MONGO_COLLECTION, {
+                capped: true,
+                size: SOCKETS.MONGO_CAPPED_SIZE_BYTES
+            });
+        } catch (error) {
+            // 48 = NamespaceExists
+            if (error.code !== 48) {
+                throw error;
+            }
+        }
+        const collection = db.collection(SOCKETS.MONGO_COLLECTION);
+        if (io) {
+            const { createAdapter } = require('@socket.io/mongo-adapter');
+            io.adapter(createAdapter(collection));
+        } else {
+            const { Emitter } = require('@socket.io/mongo-emitter');
+            emitter = new Emitter(collection);
+        }
+    }
+
+    console.log(`WebSocket ${io ? 'adapter' : 'emitter'} connected (${ADAPTER})`);
+}
+
 /**
  * Get the io instance
  */
@@ -34,30 +97,70 @@ function getIO() {
 }
 
 /**
- * Emit event to a specific user
+ * Emit event to a specific user. Events in EVENT_LOG.REPLAYED_EVENTS get the user's next
+ * sequence number, which clients receive as a second argument ({ seq }), and are stored
+ * for replay after they were sent; other events go out right away.
  */
 function emitToUser(userId, event, data) {
-    if (!io) {
+    const target = io || emitter;
+    const logged = EVENT_LOG_ENABLED && EVENT_LOG.REPLAYED_EVENTS.includes(event);
+    if (!target && !logged) {
         console.warn('WebSocket server not initialized, cannot emit event:', event);
         return;
     }
-    try {
-        io.to(`user:${userId}`).emit(event, data);
-    } catch (error) {
-        console.error('Error emitting WebSocket event:', error);
+
+    const send = (meta) => {
+        if (!target) {
+            // Still logged, so the client gets it on its next replay
+            return;
+        }
+        try {
+            target.to(`user:${userId}`).emit(event, data, ...(meta ? [meta] : []));
+        } catch (error) {
+            console.error('Error emitting WebSocket event:', error);
+        }
+    };
+
+    if (!logged) {
+        send(null);
+        return;
     }
+
+    // Only the sequence number is waited for; the event is stored once it has been sent
+    const key = userId.toString();
+    const queued = (userQueues.get(key) || Promise.resolve())
+        .then(() => eventLogService.nextSeq(key))
+        .then(
+            (seq) => {
+                send({ seq });
+                eventLogService.store(key, seq, event, data).catch((error) => {
+                    console.error(`[Events] Failed to log ${event} for user ${key}:`, error.message);
+                });
+            },
+            (error) => {
+                console.error(`[Events] Failed to number ${event} for user ${key}:`, error.message);
+                send(null);
+            }
+        );
+    userQueues.set(key, queued);
+    queued.finally(() => {
+        if (userQueues.get(key) === queued) {
+            userQueues.delete(key);
+        }
+    });
 }
 
 /**
  * Emit event to all connected clients
  */
 function emitToAll(event, data) {
-    if (!io) {
+    const target = io || emitter;
+    if (!target) {
         console.warn('WebSocket server not initialized, cannot emit event:', event);
         return;
     }
     try {
-        io.emit(event, data);
+        target.emit(event, data);
     } catch (error) {
         console.error('Error emitting WebSocket event:', error);
     }
@@ -67,12 +170,13 @@ function emitToAll(event, data) {
  * Emit event to super admins only
  */
 function emitToSuperAdmins(event, data) {
-    if (!io) {
+    const target = io || emitter;
+    if (!target) {
         console.warn('WebSocket server not initialized, cannot emit event:', event);
         return;
     }
     try {
-        io.to('super-admin').emit(event, data);
+        target.to('super-admin').emit(event, data);
     } catch (error) {
         console.error('Error emitting WebSocket event:', error);
     }
@@ -80,6 +184,7 @@ function emitToSuperAdmins(event, data) {
 
 module.exports = {
     initializeWebSocket,
+    connectAdapter,
     getIO,
     emitToUser,
     emitToAll,
@@ -0,0 +1,130 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AutoReplyTask = require('../models/AutoReplyTask');
+const autoReplyService = require('../services/autoReplyService');
+
+// Shaped like the errors googleApiService throws for an error response
+const googleError = (statusCode, googleStatus, googleReason = null) => {
+    const error = new Error(`Google API Error: ${statusCode}`);
+    error.statusCode = statusCode;
+    error.googleStatus = googleStatus;
+    error.googleReason = googleReason;
+    return error;
+};
+
+describe('autoReplyService.classifyError', () => {
+    it('treats a deleted review (404) as permanent', () => {
+        assert.equal(autoReplyService.classifyError(googleError(404, 'NOT_FOUND')).permanent, true);
+        assert.equal(autoReplyService.classifyError(googleError(404, null)).permanent, true);
+    });
+
+    it('retries rate limits (429)', () => {
+        assert.equal(autoReplyService.classifyError(googleError(429, 'RESOURCE_EXHAUSTED')).permanent, false);
+        assert.equal(autoReplyService.classifyError(googleError(429, null)).permanent, false);
+    });
+
+    it('retries server errors (5xx)', () => {
+        for (const [statusCode, googleStatus] of [[500, 'INTERNAL'], [502, null], [503, 'UNAVAILABLE'], [504, 'DEADLINE_EXCEEDED']]) {
+            assert.equal(autoReplyService.classifyError(googleError(statusCode, googleStatus)).permanent, false);
+        }
+    });
+
+    it('tells a missing permission from a quota behind the same 403', () => {
+        assert.equal(autoReplyService.classifyError(googleError(403, 'PERMISSION_DENIED')).permanent, true);
+        assert.equal(autoReplyService.classifyError(googleError(403, 'RESOURCE_EXHAUSTED')).permanent, false);
+        assert.equal(autoReplyService.classifyError(googleError(403, 'PERMISSION_DENIED', 'rateLimitExceeded')).permanent, false);
+    });
+
+    it('gives up on a revoked token (401 rethrown by axios)', () => {
+        const error = new Error('Request failed with status code 401');
+        error.response = { status: 401, data: { error: { code: 401, status: 'UNAUTHENTICATED' } } };
+        assert.deepEqual(autoReplyService.classifyError(error), { statusCode: 401, googleStatus: 'UNAUTHENTICATED', permanent: true });
+    });
+
+    it('retries errors without a status', () => {
+        assert.equal(autoReplyService.classifyError(new Error('socket hang up')).permanent, false);
+    });
+});
+
+describe('autoReplyService.recordFailure', () => {
+    afterEach(() => mock.restoreAll());
+
+    const captureUpdate = () => {
+        const calls = [];
+        mock.method(AutoReplyTask, 'findOneAndUpdate', async (filter, update) => {
+            calls.push({ filter, update });
+            return { _id: filter._id };
+        });
+        return calls;
+    };
+
+    it('counts delivery attempts separately from generation attempts', async () => {
+        const calls = captureUpdate();
+        const task = { _id: 'task-1', generationAttempts: 4, deliveryAttempts: 0 };
+
+        const failed = await autoReplyService.recordFailure(task, 'delivery', googleError(503, 'UNAVAILABLE'));
+
+        assert.equal(failed.status, 'delivery_failed');
+        assert.equal(failed.attempts, 1);
+        assert.ok(failed.nextRetryAt > new Date());
+        assert.equal(calls[0].update.$set.deliveryAttempts, 1);
+        assert.equal(calls[0].update.$set.generationAttempts, undefined);
+        assert.equal(calls[0].filter.status, 'sending');
+    });
+
+    it('dead-letters a permanent error on the first attempt', async () => {
+        const calls = captureUpdate();
+
+        const failed = await autoReplyService.recordFailure({ _id: 'task-2' }, 'delivery', googleError(404, 'NOT_FOUND'));
+
+        assert.equal(failed.status, 'dead_letter');
+        assert.equal(failed.nextRetryAt, null);
+        assert.ok(calls[0].update.$set.deadLetteredAt instanceof Date);
+        assert.equal(calls[0].update.$push.errorHistory.$each[0].permanent, true);
+    });
+
+    it('dead-letters once a stage runs out of attempts', async () => {
+        captureUpdate();
+        const task = { _id: 'task-3', generationAttempts: 4 };
+
+        const failed = await autoReplyService.recordFailure(task, 'generation', googleError(429, 'RESOURCE_EXHAUSTED'));
+
+        assert.equal(failed.status, 'dead_letter');
+        assert.equal(failed.attempts, 5);
+    });
+
+    it('leaves a task alone once it moved past generation', async () => {
+        const calls = [];
+        mock.method(AutoReplyTask, 'findOneAndUpdate', async (filter) => {
+            calls.push(filter);
+            return null;
+        });
+
+        const failed = await autoReplyService.recordFailure({ _id: 'task-4' }, 'generation', new Error('timeout'));
+
+        assert.equal(failed, null);
+        assert.deepEqual(calls[0].status, { $in: ['detected', 'generation_failed'] });
+    });
+});
+
+describe('autoReplyService.releaseDueRetries', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('dead-letters stale sending tasks that have used up their delivery attempts', async () => {
+        const calls = [];
+        mock.method(AutoReplyTask, 'updateMany', async (filter, update) => {
+            calls.push({ filter, update });
+            return { modifiedCount: 0 };
+        });
+
+        await autoReplyService.releaseDueRetries('user-1');
+
+        const [exhausted, interrupted] = calls;
+        assert.equal(exhausted.filter.status, 'sending');
+        assert.deepEqual(exhausted.filter.$expr, { $gte: [{ $ifNull: ['$deliveryAttempts', 0] }, 4] });
+        assert.equal(exhausted.update.$set.status, 'dead_letter');
+        assert.equal(exhausted.update.$inc.deliveryAttempts, 1);
+        assert.equal(interrupted.filter.$expr, undefined);
+        assert.equal(interrupted.update.$set.status, 'delivery_failed');
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+const couponService = require('../services/couponService');
+const { SUBSCRIPTION_PLANS, BILLING } = require('../utils/constants');
+
+const BASIC = SUBSCRIPTION_PLANS.basic.priceInPaise;
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+const coupon = (fields = {}) => ({
+    _id: 'coupon-1',
+    code: 'SAVE20',
+    type: 'percentage',
+    value: 20,
+    currency: 'INR',
+    duration: 'first_payment',
+    plans: [],
+    expiresAt: null,
+    maxRedemptions: null,
+    redemptionCount: 0,
+    active: true,
+    ...fields
+});
+
+describe('couponService.getPricing', () => {
+    it('takes a percentage off the list price', () => {
+        assert.deepEqual(couponService.getPricing(coupon(), 'basic'), {
+            listAmount: BASIC,
+            discountAmount: Math.round(BASIC * 0.2),
+            amount: BASIC - Math.round(BASIC * 0.2)
+        });
+    });
+
+    it('never discounts more than the list price', () => {
+        assert.equal(couponService.getPricing(coupon({ value: 150 }), 'basic').amount, 0);
+        assert.equal(couponService.getPricing(coupon({ type: 'fixed', value: BASIC * 2 }), 'basic').amount, 0);
+    });
+
+    it('takes a fixed amount off', () => {
+        assert.equal(couponService.getPricing(coupon({ type: 'fixed', value: 5000 }), 'basic').amount, BASIC - 5000);
+    });
+});
+
+describe('couponService.validate', () => {
+    afterEach(() => mock.restoreAll());
+
+    const validate = (fields, { redeemed = false, plan = 'basic' } = {}) => {
+        mock.method(Coupon, 'findOne', async () => coupon(fields));
+        mock.method(Payment, 'exists', async () => (redeemed ? { _id: 'payment-1' } : null));
+        return couponService.validate('save20', { userId: 'user-1', plan, now: NOW });
+    };
+
+    it('prices a valid coupon', async () => {
+        const result = await validate();
+        assert.equal(result.currency, 'INR');
+        assert.equal(result.amount, BASIC - Math.round(BASIC * 0.2));
+    });
+
+    it('rejects unknown, inactive and expired coupons', async () => {
+        mock.method(Coupon, 'findOne', async () => null);
+        await assert.rejects(couponService.validate('nope', { plan: 'basic', now: NOW }), { statusCode: 404 });
+        mock.restoreAll();
+
+        await assert.rejects(validate({ active: false }), { statusCode: 404 });
+        mock.restoreAll();
+        await assert.rejects(validate({ expiresAt: new Date(NOW.getTime() - 1000) }), { statusCode: 400, message: 'This coupon has expired.' });
+    });
+
+    it('rejects a coupon at its redemption limit', async () => {
+        await assert.rejects(
+            validate({ maxRedemptions: 10, redemptionCount: 10 }),
+            { statusCode: 400, message: 'This coupon has reached its redemption limit.' }
+        );
+    });
+
+    it('rejects a coupon the user already used', async () => {
+        await assert.rejects(validate({}, { redeemed: true }), { statusCode: 400, message: 'You have already used this coupon.' });
+    });
+
+    it('rejects plans the coupon is not valid for', async () => {
+        await assert.rejects(validate({ plans: ['pro'] }), { statusCode: 400 });
+        mock.restoreAll();
+        await assert.rejects(validate({}, { plan: 'free' }), { statusCode: 400 });
+    });
+
+    it('rejects a recurring coupon that would make renewals free', async () => {
+        await assert.rejects(validate({ duration: 'recurring', value: 100 }), { statusCode: 400 });
+    });
+});
+
+describe('couponService.hasRedeemed', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('counts paid payments and reservations still inside their window', async () => {
+        const exists = mock.method(Payment, 'exists', async () => null);
+
+        assert.equal(await couponService.hasRedeemed('user-1', 'coupon-1', NOW), false);
+
+        const [filter] = exists.mock.calls[0].arguments;
+        const [paid, reserved] = filter.$or;
+        assert.deepEqual(paid.status.$in, ['captured', 'refunded', 'partially_refunded']);
+        assert.equal(reserved['coupon.reserved'], true);
+        assert.deepEqual(reserved.createdAt.$gt, new Date(NOW.getTime() - BILLING.COUPON_RESERVATION_TTL_MS));
+    });
+});
+
+describe('couponService.reserve', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('takes a redemption with a single conditional update', async () => {
+        const update = mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+        const find = mock.method(Payment, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+
+        await couponService.reserve(coupon(), NOW);
+
+        assert.equal(find.mock.callCount(), 0);
+        const [filter, change] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter.$or[1], { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } });
+        assert.deepEqual(change, { $inc: { redemptionCount: 1 } });
+    });
+
+    it('refuses when no redemption is left', async () => {
+        mock.method(Payment, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+        mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+        await assert.rejects(
+            couponService.reserve(coupon({ maxRedemptions: 1, redemptionCount: 1 }), NOW),
+            { statusCode: 400, message: 'This coupon has reached its redemption limit.' }
+        );
+    });
+
+    it('frees abandoned reservations of a limited coupon first', async () => {
+        mock.method(Payment, 'find', () => ({ select: () => ({ lean: async () => [{ _id: 'payment-1' }, { _id: 'payment-2' }] }) }));
+        // payment-2 was captured before its reservation could be released
+        mock.method(Payment, 'updateOne', async ({ _id }) => ({ modifiedCount: _id === 'payment-1' ? 1 : 0 }));
+        const update = mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+        await couponService.reserve(coupon({ maxRedemptions: 5, redemptionCount: 5 }), NOW);
+
+        const changes = update.mock.calls.map(call => call.arguments[1].$inc.redemptionCount);
+        assert.deepEqual(changes, [-1, 1]);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const entitlementService = require('../services/entitlementService');
+const { SUBSCRIPTION_LIFECYCLE } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-06-15T12:00:00Z');
+const daysFromNow = (days) => new Date(NOW.getTime() + days * DAY_MS);
+
+const paidUser = (subscription, trial = {}) => ({ subscription: { plan: 'pro', ...subscription }, trial });
+
+describe('entitlementService.getEffectivePlan', () => {
+    it('grants the paid plan while the subscription is current', () => {
+        const user = paidUser({ status: 'active', expiresAt: daysFromNow(10) });
+        assert.equal(entitlementService.getEffectivePlan(user, NOW), 'pro');
+    });
+
+    it('keeps the paid plan through the grace period after expiresAt', () => {
+        const lapsed = SUBSCRIPTION_LIFECYCLE.GRACE_DAYS - 1;
+        const user = paidUser({ status: 'active', expiresAt: daysFromNow(-lapsed) });
+        assert.equal(entitlementService.getEffectivePlan(user, NOW), 'pro');
+    });
+
+    it('drops to free once the grace period is over', () => {
+        const lapsed = SUBSCRIPTION_LIFECYCLE.GRACE_DAYS + 1;
+        const user = paidUser({ status: 'active', expiresAt: daysFromNow(-lapsed) });
+        assert.equal(entitlementService.getEffectivePlan(user, NOW), 'free');
+    });
+
+    it('uses the stored graceEndsAt of a past_due subscription', () => {
+        const expiresAt = daysFromNow(-30);
+        assert.equal(entitlementService.getEffectivePlan(paidUser({ status: 'past_due', expiresAt, graceEndsAt: daysFromNow(1) }), NOW), 'pro');
+        assert.equal(entitlementService.getEffectivePlan(paidUser({ status: 'past_due', expiresAt, graceEndsAt: daysFromNow(-1) }), NOW), 'free');
+    });
+
+    it('ignores the grace period of a cancelled or expired subscription', () => {
+        for (const status of ['cancelled', 'expired']) {
+            const user = paidUser({ status, expiresAt: daysFromNow(1) });
+            assert.equal(entitlementService.getEffectivePlan(user, NOW), 'free', status);
+        }
+    });
+
+    it('never expires a paid plan without expiresAt', () => {
+        assert.equal(entitlementService.getEffectivePlan(paidUser({ status: 'active' }), NOW), 'pro');
+    });
+
+    it('falls back to an active trial, then to free', () => {
+        const expired = { status: 'active', expiresAt: daysFromNow(-30) };
+        const trialEnd = (days) => ({ status: 'active', endDate: daysFromNow(days) });
+        const trialGraceDays = SUBSCRIPTION_LIFECYCLE.TRIAL_GRACE_DAYS;
+
+        assert.equal(entitlementService.getEffectivePlan(paidUser(expired, trialEnd(2)), NOW), 'trial');
+        assert.equal(entitlementService.getEffectivePlan(paidUser(expired, trialEnd(-trialGraceDays - 1)), NOW), 'free');
+        assert.equal(entitlementService.getEffectivePlan(paidUser(expired, { status: 'expired', endDate: daysFromNow(2) }), NOW), 'free');
+    });
+
+    it('treats a user without a subscription as free', () => {
+        assert.equal(entitlementService.getEffectivePlan({}, NOW), 'free');
+        assert.equal(entitlementService.getEffectivePlan(null, NOW), 'free');
+    });
+});
+
+describe('entitlementService.assertFeature', () => {
+    it('points at the cheapest plan that unlocks the feature', () => {
+        assert.throws(
+            () => entitlementService.assertFeature({ subscription: { plan: 'free' } }, 'autoReply'),
+            { statusCode: 403, message: /Upgrade to .+ or higher/ }
+        );
+        assert.equal(entitlementService.getUpgradePlan('autoReply'), 'basic');
+        assert.equal(entitlementService.getUpgradePlan('advancedAi'), 'pro');
+    });
+
+    it('lets a plan use the features it grants', () => {
+        const user = paidUser({ status: 'active' });
+        assert.doesNotThrow(() => entitlementService.assertFeature(user, 'advancedAi'));
+    });
+});
@@ -0,0 +1,211 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const jobQueueService = require('../services/jobQueueService');
+const { JOBS } = require('../utils/constants');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+// Stands in for Job.find(...).sort().limit().select().lean()
+const stubFind = (candidates) => mock.method(Job, 'find', () => ({
+    sort: () => ({ limit: () => ({ select: () => ({ lean: async () => candidates }) }) })
+}));
+
+const stubLease = (lease = filter => ({ _id: filter._id, attempts: 1 })) =>
+    mock.method(Job, 'findOneAndUpdate', (filter, update) => ({ lean: async () => lease(filter, update) }));
+
+describe('jobQueueService.claimNext', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('leases the most urgent job of a user below the per-user limit', async () => {
+        stubFind([{ _id: 'job-1', userId: 'busy-user' }, { _id: 'job-2', userId: 'idle-user' }]);
+        mock.method(Job, 'aggregate', async () => [{ _id: 'busy-user', count: JOBS.TENANT_CONCURRENCY }]);
+        const lease = stubLease();
+
+        const job = await jobQueueService.claimNext(NOW);
+
+        assert.equal(job._id, 'job-2');
+        assert.equal(lease.mock.callCount(), 1);
+        const [filter, update] = lease.mock.calls[0].arguments;
+        assert.equal(filter._id, 'job-2');
+        assert.equal(update.$set.lockedBy, jobQueueService.workerId);
+        assert.deepEqual(update.$set.lockedUntil, new Date(NOW.getTime() + JOBS.VISIBILITY_TIMEOUT_MS));
+        assert.deepEqual(update.$inc, { attempts: 1 });
+    });
+
+    it('only takes over a lapsed lease that has attempts left', async () => {
+        stubFind([{ _id: 'job-1', userId: 'user-1' }]);
+        mock.method(Job, 'aggregate', async () => []);
+        const lease = stubLease();
+
+        await jobQueueService.claimNext(NOW);
+
+        const [filter] = lease.mock.calls[0].arguments;
+        assert.deepEqual(filter.$or, [
+            { status: 'queued', runAt: { $lte: NOW } },
+            { status: 'running', lockedUntil: { $lte: NOW }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]);
+    });
+
+    it('moves on when another worker wins the lease', async () => {
+        stubFind([{ _id: 'job-1', userId: 'user-1' }, { _id: 'job-2', userId: 'user-2' }]);
+        mock.method(Job, 'aggregate', async () => []);
+        stubLease(filter => (filter._id === 'job-1' ? null : { _id: filter._id }));
+
+        assert.equal((await jobQueueService.claimNext(NOW))._id, 'job-2');
+    });
+
+    it('returns null when every candidate belongs to a busy user', async () => {
+        stubFind([{ _id: 'job-1', userId: 'user-1' }]);
+        mock.method(Job, 'aggregate', async () => [{ _id: 'user-1', count: JOBS.TENANT_CONCURRENCY }]);
+        const lease = stubLease();
+
+        assert.equal(await jobQueueService.claimNext(NOW), null);
+        assert.equal(lease.mock.callCount(), 0);
+    });
+});
+
+describe('jobQueueService.failAbandoned', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('fails lapsed leases on their last attempt and frees their dedupe key', async () => {
+        const updateMany = mock.method(Job, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+        await jobQueueService.failAbandoned(NOW);
+
+        const [filter, update] = updateMany.mock.calls[0].arguments;
+        assert.deepEqual(filter, { status: 'running', lockedUntil: { $lte: NOW }, $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+        assert.equal(update.$set.status, 'failed');
+        assert.ok('activeKey' in update.$unset);
+    });
+});
+
+describe('jobQueueService.runJob', () => {
+    afterEach(() => {
+        mock.restoreAll();
+        jobQueueService.handlers.delete('sync');
+    });
+
+    const leasedJob = (fields = {}) => ({
+        _id: 'job-1',
+        type: 'sync',
+        userId: 'user-1',
+        payload: { full: false },
+        priority: 1,
+        attempts: 1,
+        maxAttempts: 3,
+        activeKey: 'sync:user-1',
+        ...fields
+    });
+
+    const captureUpdates = () => mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    it('completes a job only while it still holds the lease', async () => {
+        jobQueueService.register('sync', async () => ({ fetched: 3 }));
+        const updates = captureUpdates();
+
+        await jobQueueService.runJob(leasedJob());
+
+        const [filter, update] = updates.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: 'job-1', lockedBy: jobQueueService.workerId });
+        assert.equal(update.$set.status, 'completed');
+        assert.deepEqual(update.$set.result, { fetched: 3 });
+        assert.ok('activeKey' in update.$unset);
+    });
+
+    it('queues a fresh job when the handler asks to be requeued', async () => {
+        const runAt = new Date(NOW.getTime() + 60000);
+        jobQueueService.register('sync', async () => ({ requeue: true, runAt }));
+        captureUpdates();
+        const create = mock.method(Job, 'create', async fields => ({ toObject: () => fields }));
+
+        await jobQueueService.runJob(leasedJob());
+
+        const [fields] = create.mock.calls[0].arguments;
+        assert.equal(fields.type, 'sync');
+        assert.deepEqual(fields.runAt, runAt);
+        assert.equal(fields.activeKey, 'sync:user-1');
+    });
+
+    it('retries a failed attempt with exponential backoff', async () => {
+        jobQueueService.register('sync', async () => {
+            throw new Error('Google API Error: 503');
+        });
+        const updates = captureUpdates();
+        const before = Date.now();
+
+        await jobQueueService.runJob(leasedJob({ attempts: 2 }));
+
+        const [, update] = updates.mock.calls[0].arguments;
+        assert.equal(update.$set.status, 'queued');
+        assert.equal(update.$set.lastError, 'Google API Error: 503');
+        assert.ok(update.$set.runAt.getTime() >= before + JOBS.RETRY_BASE_MS * 2);
+        assert.equal(update.$unset.activeKey, undefined);
+    });
+
+    it('fails the job after its last attempt', async () => {
+        jobQueueService.register('sync', async () => {
+            throw new Error('Google API Error: 503');
+        });
+        const updates = captureUpdates();
+
+        await jobQueueService.runJob(leasedJob({ attempts: 3 }));
+
+        const [, update] = updates.mock.calls[0].arguments;
+        assert.equal(update.$set.status, 'failed');
+        assert.ok('activeKey' in update.$unset);
+    });
+
+    it('fails the attempt when no handler is registered', async () => {
+        const updates = captureUpdates();
+
+        await jobQueueService.runJob(leasedJob({ type: 'unknown' }));
+
+        const [, update] = updates.mock.calls[0].arguments;
+        assert.match(update.$set.lastError, /No handler registered/);
+    });
+});
+
+describe('jobQueueService.enqueue', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('folds a duplicate request into the queued job', async () => {
+        mock.method(Job, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+        const merge = stubLease(() => ({ _id: 'job-1', status: 'queued' }));
+
+        const job = await jobQueueService.enqueue('sync', {
+            userId: 'user-1',
+            payload: { full: true },
+            priority: 5,
+            runAt: NOW,
+            dedupeKey: 'sync:user-1'
+        });
+
+        assert.equal(job._id, 'job-1');
+        const [filter, update] = merge.mock.calls[0].arguments;
+        assert.deepEqual(filter, { activeKey: 'sync:user-1', status: 'queued' });
+        assert.deepEqual(update, { $min: { runAt: NOW }, $max: { priority: 5 }, $set: { 'payload.full': true } });
+    });
+
+    it('returns a running duplicate unchanged', async () => {
+        mock.method(Job, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+        stubLease(() => null);
+        mock.method(Job, 'findOne', () => ({ lean: async () => ({ _id: 'job-1', status: 'running' }) }));
+
+        const job = await jobQueueService.enqueue('sync', { userId: 'user-1', dedupeKey: 'sync:user-1' });
+
+        assert.equal(job.status, 'running');
+    });
+
+    it('rethrows duplicate errors for jobs without a dedupe key', async () => {
+        mock.method(Job, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+
+        await assert.rejects(jobQueueService.enqueue('sync', { userId: 'user-1' }), { code: 11000 });
+    });
+});
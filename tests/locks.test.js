@@ -0,0 +1,148 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Lock = require('../models/Lock');
+const lockService = require('../services/lockService');
+const { LOCKS } = require('../utils/constants');
+
+// Lets the async election tick that a timer started run to completion
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('lockService (MongoDB backend)', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('takes a free or expired lock', async () => {
+        const update = mock.method(Lock, 'updateOne', async () => ({ upsertedCount: 1 }));
+
+        const token = await lockService.acquire('user-run:1', 1000);
+
+        assert.ok(token.startsWith(lockService.instanceId));
+        const [filter, change, options] = update.mock.calls[0].arguments;
+        assert.equal(filter._id, 'user-run:1');
+        assert.ok(filter.expiresAt.$lte instanceof Date);
+        assert.equal(change.$set.owner, token);
+        assert.deepEqual(options, { upsert: true });
+    });
+
+    it('returns null while someone else holds the lock', async () => {
+        mock.method(Lock, 'updateOne', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+
+        assert.equal(await lockService.acquire('user-run:1', 1000), null);
+    });
+
+    it('rethrows other errors', async () => {
+        mock.method(Lock, 'updateOne', async () => {
+            throw new Error('connection closed');
+        });
+
+        await assert.rejects(lockService.acquire('user-run:1', 1000), /connection closed/);
+    });
+
+    it('extends only a lease it still owns', async () => {
+        const update = mock.method(Lock, 'updateOne', async filter => ({ matchedCount: filter.owner === 'mine' ? 1 : 0 }));
+
+        assert.equal(await lockService.extend('user-run:1', 'mine', 1000), true);
+        assert.equal(await lockService.extend('user-run:1', 'stale', 1000), false);
+        assert.deepEqual(update.mock.calls[0].arguments[0], { _id: 'user-run:1', owner: 'mine' });
+    });
+
+    it('releases only its own lease and swallows failures', async () => {
+        const remove = mock.method(Lock, 'deleteOne', async () => {
+            throw new Error('connection closed');
+        });
+
+        await lockService.release('user-run:1', 'mine');
+
+        assert.deepEqual(remove.mock.calls[0].arguments[0], { _id: 'user-run:1', owner: 'mine' });
+    });
+});
+
+describe('lockService.campaign', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    const elect = ({ acquire = async () => 'token-1', extend = async () => true } = {}) => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: new Date('2026-06-15T12:00:00Z') });
+        const calls = {
+            acquire: mock.method(lockService, 'acquire', acquire),
+            extend: mock.method(lockService, 'extend', extend),
+            release: mock.method(lockService, 'release', async () => {})
+        };
+        const onElected = mock.fn();
+        const onDemoted = mock.fn();
+        const stop = lockService.campaign('scheduler', { onElected, onDemoted });
+        return { ...calls, onElected, onDemoted, stop };
+    };
+
+    it('runs onElected once and keeps renewing', async () => {
+        const { extend, onElected, onDemoted, stop } = elect();
+        await flush();
+        assert.equal(onElected.mock.callCount(), 1);
+
+        mock.timers.tick(LOCKS.LEADER_RENEW_MS);
+        await flush();
+        mock.timers.tick(LOCKS.LEADER_RENEW_MS);
+        await flush();
+
+        assert.equal(extend.mock.callCount(), 2);
+        assert.deepEqual(extend.mock.calls[0].arguments, ['leader:scheduler', 'token-1', LOCKS.LEADER_TTL_MS]);
+        assert.equal(onElected.mock.callCount(), 1);
+        assert.equal(onDemoted.mock.callCount(), 0);
+        await stop();
+    });
+
+    it('keeps competing while another instance leads', async () => {
+        const { acquire, onElected, stop } = elect({ acquire: async () => null });
+        await flush();
+        mock.timers.tick(LOCKS.LEADER_RENEW_MS);
+        await flush();
+
+        assert.equal(acquire.mock.callCount(), 2);
+        assert.equal(onElected.mock.callCount(), 0);
+        await stop();
+    });
+
+    it('steps down when the lease was lost', async () => {
+        const { onDemoted, stop } = elect({ extend: async () => false });
+        await flush();
+
+        mock.timers.tick(LOCKS.LEADER_RENEW_MS);
+        await flush();
+
+        assert.equal(onDemoted.mock.callCount(), 1);
+        await stop();
+    });
+
+    it('steps down once renewals have failed for a whole TTL', async () => {
+        const { onDemoted, stop } = elect({
+            extend: async () => {
+                throw new Error('connection closed');
+            }
+        });
+        await flush();
+
+        mock.timers.tick(LOCKS.LEADER_RENEW_MS);
+        await flush();
+        assert.equal(onDemoted.mock.callCount(), 0);
+
+        for (let elapsed = LOCKS.LEADER_RENEW_MS; elapsed < LOCKS.LEADER_TTL_MS; elapsed += LOCKS.LEADER_RENEW_MS) {
+            mock.timers.tick(LOCKS.LEADER_RENEW_MS);
+            await flush();
+        }
+        assert.equal(onDemoted.mock.callCount(), 1);
+        await stop();
+    });
+
+    it('resigns and releases the lease when stopped', async () => {
+        const { release, onDemoted, stop } = elect();
+        await flush();
+
+        await stop();
+
+        assert.equal(onDemoted.mock.callCount(), 1);
+        assert.deepEqual(release.mock.calls[0].arguments, ['leader:scheduler', 'token-1']);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryDriver = require('../utils/cache/memoryDriver');
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const createDriver = (maxEntries = 3) => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: new Date('2026-06-15T12:00:00Z') });
+    return new MemoryDriver({ maxEntries, cleanupIntervalMs: CLEANUP_INTERVAL_MS });
+};
+
+describe('MemoryDriver eviction', () => {
+    afterEach(() => mock.timers.reset());
+
+    it('evicts the least recently written entry past maxEntries', async () => {
+        const driver = createDriver();
+        for (const key of ['a', 'b', 'c', 'd']) {
+            await driver.set(key, key, 60000);
+        }
+
+        assert.equal(await driver.get('a'), null);
+        assert.equal(await driver.get('d'), 'd');
+        assert.deepEqual(await driver.getStats(), { size: 3, maxEntries: 3, evictions: 1 });
+    });
+
+    it('counts a read as a use', async () => {
+        const driver = createDriver();
+        for (const key of ['a', 'b', 'c']) {
+            await driver.set(key, key, 60000);
+        }
+
+        await driver.get('a');
+        await driver.set('d', 'd', 60000);
+
+        assert.equal(await driver.get('a'), 'a');
+        assert.equal(await driver.get('b'), null);
+    });
+
+    it('counts an overwrite as a use without growing', async () => {
+        const driver = createDriver();
+        for (const key of ['a', 'b', 'c']) {
+            await driver.set(key, key, 60000);
+        }
+
+        await driver.set('a', 'a2', 60000);
+        await driver.set('d', 'd', 60000);
+
+        assert.equal(await driver.get('a'), 'a2');
+        assert.equal(await driver.get('b'), null);
+        assert.equal((await driver.getStats()).size, 3);
+    });
+});
+
+describe('MemoryDriver TTL', () => {
+    afterEach(() => mock.timers.reset());
+
+    it('serves an entry until its TTL runs out', async () => {
+        const driver = createDriver();
+        await driver.set('a', { reviews: [] }, 1000);
+
+        mock.timers.tick(1000);
+        assert.deepEqual(await driver.get('a'), { reviews: [] });
+
+        mock.timers.tick(1);
+        assert.equal(await driver.get('a'), null);
+        assert.equal((await driver.getStats()).size, 0);
+    });
+
+    it('drops expired entries on the cleanup interval without a read', async () => {
+        const driver = createDriver();
+        await driver.set('short', 1, 1000);
+        await driver.set('long', 2, CLEANUP_INTERVAL_MS * 2);
+
+        mock.timers.tick(CLEANUP_INTERVAL_MS);
+
+        assert.deepEqual([...driver.entries.keys()], ['long']);
+    });
+
+    it('does not count expired entries as evictions', async () => {
+        const driver = createDriver(1);
+        await driver.set('a', 1, 1000);
+        mock.timers.tick(CLEANUP_INTERVAL_MS);
+
+        await driver.set('b', 2, 1000);
+
+        assert.equal((await driver.getStats()).evictions, 0);
+    });
+});
+
+describe('MemoryDriver deletes', () => {
+    afterEach(() => mock.timers.reset());
+
+    it('deletes by prefix', async () => {
+        const driver = createDriver(10);
+        for (const key of ['reviews:1:a', 'reviews:1:b', 'reviews:2:a']) {
+            await driver.set(key, key, 60000);
+        }
+
+        assert.equal(await driver.deleteByPrefix('reviews:1:'), 2);
+        assert.deepEqual([...driver.entries.keys()], ['reviews:2:a']);
+    });
+});
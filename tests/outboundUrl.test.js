@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { isPrivateAddress, assertPublicUrl, outboundRequestOptions } = require('../utils/outboundUrl');
+
+describe('outboundUrl.isPrivateAddress', () => {
+    it('blocks loopback, private, link-local and mapped addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    it('allows public addresses', () => {
+        for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('outboundUrl.assertPublicUrl', () => {
+    it('rejects the metadata service and loopback hosts with a 400', async () => {
+        for (const url of ['https://169.254.169.254/latest/meta-data', 'https://localhost/hook', 'https://[::1]/hook', 'https://10.0.0.1/hook']) {
+            await assert.rejects(assertPublicUrl(url), { statusCode: 400 }, url);
+        }
+    });
+
+    it('requires https unless told otherwise', async () => {
+        await assert.rejects(assertPublicUrl('http://8.8.8.8/hook'), { statusCode: 400, message: 'URL must use https.' });
+        await assertPublicUrl('http://8.8.8.8/hook', { requireHttps: false });
+    });
+});
+
+describe('outboundUrl.outboundRequestOptions', () => {
+    it('refuses to connect to a host that resolves to a private address', async () => {
+        const server = http.createServer((req, res) => res.end('internal')).listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        try {
+            await assert.rejects(
+                axios.get(`http://localhost:${server.address().port}/`, { ...outboundRequestOptions(), timeout: 2000 }),
+                /private address/
+            );
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, buildKeysetFilter } = require('../utils/pagination');
+const { getReviews } = require('../controllers/reviewsController');
+
+const REVIEW_ID = '507f1f77bcf86cd799439011';
+
+// Runs the handler up to the cursor check, which happens before any database work
+const requestReviews = (query) => new Promise((resolve) => {
+    getReviews({ query, user: { _id: 'user-1' } }, {}, resolve);
+});
+
+describe('pagination cursors', () => {
+    it('round-trips a position through an opaque, URL-safe string', () => {
+        const position = { s: 'newest', q: 'all:all:all', v: ['2026-01-02T03:04:05.000Z', REVIEW_ID] };
+        const cursor = encodeCursor(position);
+
+        assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decodeCursor(cursor), position);
+    });
+
+    it('returns null for cursors that fail to decode', () => {
+        for (const cursor of ['not a cursor', Buffer.from('{"s":').toString('base64url'), encodeCursor(42), encodeCursor(null), '']) {
+            assert.equal(decodeCursor(cursor), null, cursor);
+        }
+    });
+
+    it('builds a filter for everything strictly after the position', () => {
+        assert.deepEqual(buildKeysetFilter([['createTime', -1], ['_id', -1]], ['t', 'id']), {
+            $or: [
+                { createTime: { $lt: 't' } },
+                { createTime: 't', _id: { $lt: 'id' } }
+            ]
+        });
+    });
+});
+
+describe('reviewsController.getReviews cursor', () => {
+    const scope = 'all:all:all';
+
+    it('rejects a cursor that does not decode with a 400', async () => {
+        const error = await requestReviews({ cursor: 'garbage' });
+        assert.equal(error.statusCode, 400);
+    });
+
+    it('rejects a cursor issued for another sort or scope', async () => {
+        const cursor = encodeCursor({ s: 'newest', q: 'all:all:all', v: [null, REVIEW_ID] });
+        assert.equal((await requestReviews({ cursor, sort: 'oldest' })).statusCode, 400);
+        assert.equal((await requestReviews({ cursor, filter: 'replied' })).statusCode, 400);
+    });
+
+    it('rejects a well-formed cursor carrying an invalid date', async () => {
+        for (const value of ['not-a-date', 12345, {}]) {
+            const cursor = encodeCursor({ s: 'newest', q: scope, v: [value, REVIEW_ID] });
+            const error = await requestReviews({ cursor });
+            assert.equal(error.statusCode, 400, String(value));
+        }
+    });
+
+    it('rejects a cursor carrying an invalid id', async () => {
+        const cursor = encodeCursor({ s: 'newest', q: scope, v: ['2026-01-02T03:04:05.000Z', 'nope'] });
+        assert.equal((await requestReviews({ cursor })).statusCode, 400);
+    });
+});
@@ -0,0 +1,181 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookEvent = require('../models/WebhookEvent');
+const payments = require('../services/payments');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const razorpayProvider = require('../services/payments/razorpayProvider');
+const billingService = require('../services/billingService');
+const paymentLedgerService = require('../services/paymentLedgerService');
+
+// Stands in for a stored WebhookEvent document
+const storedEvent = (fields = {}) => ({
+    _id: 'evt-doc-1',
+    provider: 'razorpay',
+    eventId: 'evt_1',
+    event: 'subscription.charged',
+    payload: {},
+    status: 'processing',
+    set(update) {
+        Object.assign(this, update);
+    },
+    async save() {
+        return this;
+    },
+    toObject() {
+        return { ...this };
+    },
+    ...fields
+});
+
+const stubProvider = (handle = async () => ({ handled: true, userId: 'user-1' })) => {
+    const handleWebhookEvent = mock.fn(handle);
+    mock.method(payments, 'getProvider', () => ({ handleWebhookEvent }));
+    return handleWebhookEvent;
+};
+
+describe('paymentWebhookService.receive', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('processes a new event once', async () => {
+        const handler = stubProvider();
+        mock.method(WebhookEvent, 'create', async fields => storedEvent({ ...fields, status: 'received' }));
+        mock.method(WebhookEvent, 'findOneAndUpdate', async () => storedEvent());
+
+        const result = await paymentWebhookService.receive('razorpay', { eventId: 'evt_1', event: 'subscription.charged', payload: {} });
+
+        assert.equal(result.duplicate, false);
+        assert.equal(result.event.status, 'processed');
+        assert.equal(handler.mock.callCount(), 1);
+    });
+
+    it('acknowledges a redelivered event without running its handler again', async () => {
+        const handler = stubProvider();
+        mock.method(WebhookEvent, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+        mock.method(WebhookEvent, 'findOne', async () => storedEvent({ status: 'processed' }));
+        const claim = mock.method(WebhookEvent, 'findOneAndUpdate', async () => null);
+
+        const result = await paymentWebhookService.receive('razorpay', { eventId: 'evt_1', event: 'subscription.charged', payload: {} });
+
+        assert.equal(result.duplicate, true);
+        assert.equal(handler.mock.callCount(), 0);
+        const [filter] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter.$or[0].status.$in, ['received', 'failed']);
+    });
+
+    it('stores the failure and rethrows so the provider retries', async () => {
+        stubProvider(async () => {
+            throw new Error('database unavailable');
+        });
+        const stored = storedEvent();
+        mock.method(WebhookEvent, 'create', async () => stored);
+        mock.method(WebhookEvent, 'findOneAndUpdate', async () => stored);
+
+        await assert.rejects(
+            paymentWebhookService.receive('razorpay', { eventId: 'evt_1', event: 'subscription.charged', payload: {} }),
+            /database unavailable/
+        );
+        assert.equal(stored.status, 'failed');
+        assert.equal(stored.lastError, 'database unavailable');
+    });
+});
+
+describe('paymentWebhookService.replay', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('runs a processed event through its handler again', async () => {
+        const handler = stubProvider();
+        mock.method(WebhookEvent, 'findById', () => ({ lean: async () => storedEvent({ status: 'processed' }) }));
+        const claim = mock.method(WebhookEvent, 'findOneAndUpdate', async () => storedEvent());
+
+        const result = await paymentWebhookService.replay('evt-doc-1', 'admin-1');
+
+        assert.equal(handler.mock.callCount(), 1);
+        assert.equal(result.status, 'processed');
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.ok(filter.$or[0].status.$in.includes('processed'));
+        assert.equal(update.$set.replayedBy, 'admin-1');
+    });
+
+    it('refuses while another request is processing the event', async () => {
+        mock.method(WebhookEvent, 'findById', () => ({ lean: async () => storedEvent() }));
+        mock.method(WebhookEvent, 'findOneAndUpdate', async () => null);
+
+        await assert.rejects(paymentWebhookService.replay('evt-doc-1', 'admin-1'), { statusCode: 409 });
+    });
+});
+
+describe('razorpayProvider.handleSubscriptionPaid', () => {
+    afterEach(() => mock.restoreAll());
+
+    const DAY_S = 24 * 60 * 60;
+    const periodStart = Math.floor(new Date('2026-05-01T00:00:00Z').getTime() / 1000);
+
+    const charge = (paymentId, periodIndex) => ({
+        subscriptionEntity: {
+            id: 'sub_1',
+            plan_id: 'plan_pro',
+            current_start: periodStart + periodIndex * 30 * DAY_S,
+            current_end: periodStart + (periodIndex + 1) * 30 * DAY_S
+        },
+        paymentEntity: { id: paymentId, invoice_id: `inv_${paymentId}`, amount: 99900, currency: 'INR', method: 'card' }
+    });
+
+    // A subscriber whose latest applied charge is pay_2, covering the second period
+    const setup = () => {
+        const user = {
+            _id: 'user-1',
+            subscription: {
+                plan: 'pro',
+                status: 'active',
+                razorpaySubscriptionId: 'sub_1',
+                razorpayPaymentId: 'pay_2',
+                expiresAt: new Date((periodStart + 60 * DAY_S) * 1000)
+            },
+            save: mock.fn(async () => {})
+        };
+        mock.method(billingService, 'findSubscriptionUser', async () => user);
+        mock.method(billingService, 'resolveSubscriptionPlan', async () => 'pro');
+        mock.method(billingService, 'getRenewalCoupon', () => undefined);
+        mock.method(billingService, 'emitSubscriptionUpdate', () => {});
+        const apply = mock.method(billingService, 'applySubscriptionPeriod', () => {});
+        const capture = mock.method(paymentLedgerService, 'recordCapture', async () => {});
+        return { user, apply, capture };
+    };
+
+    it('leaves the period alone for an older charge delivered late', async () => {
+        const { user, apply, capture } = setup();
+        const { subscriptionEntity, paymentEntity } = charge('pay_1', 0);
+
+        const result = await razorpayProvider.handleSubscriptionPaid(subscriptionEntity, paymentEntity);
+
+        assert.equal(result.handled, true);
+        assert.equal(apply.mock.callCount(), 0);
+        assert.equal(user.save.mock.callCount(), 0);
+        // The late charge is still recorded against the period it paid for
+        const [, entry] = capture.mock.calls[0].arguments;
+        assert.equal(entry.paymentId, 'pay_1');
+        assert.deepEqual(entry.periodEnd, new Date(subscriptionEntity.current_end * 1000));
+    });
+
+    it('does not reapply a replayed charge', async () => {
+        const { apply } = setup();
+        const { subscriptionEntity, paymentEntity } = charge('pay_2', 1);
+
+        await razorpayProvider.handleSubscriptionPaid(subscriptionEntity, paymentEntity);
+
+        assert.equal(apply.mock.callCount(), 0);
+    });
+
+    it('moves the period forward for a newer charge', async () => {
+        const { user, apply } = setup();
+        const { subscriptionEntity, paymentEntity } = charge('pay_3', 2);
+
+        await razorpayProvider.handleSubscriptionPaid(subscriptionEntity, paymentEntity);
+
+        assert.equal(apply.mock.callCount(), 1);
+        assert.deepEqual(apply.mock.calls[0].arguments, [user, 'pro', subscriptionEntity, 'pay_3']);
+        assert.equal(user.save.mock.callCount(), 1);
+    });
+});
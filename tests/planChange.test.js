@@ -0,0 +1,114 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const planChangeService = require('../services/planChangeService');
+const billingService = require('../services/billingService');
+const paymentLedgerService = require('../services/paymentLedgerService');
+const { SUBSCRIPTION_PLANS } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_START = new Date('2026-05-01T00:00:00Z');
+const PERIOD_END = new Date(PERIOD_START.getTime() + 30 * DAY_MS);
+const HALFWAY = new Date(PERIOD_START.getTime() + 15 * DAY_MS);
+
+const BASIC = SUBSCRIPTION_PLANS.basic.priceInPaise;
+const PRO = SUBSCRIPTION_PLANS.pro.priceInPaise;
+
+const subscriber = (plan, subscription = {}) => ({
+    _id: 'user-1',
+    subscription: {
+        plan,
+        status: 'active',
+        paymentProvider: 'razorpay',
+        currentPeriodStart: PERIOD_START,
+        expiresAt: PERIOD_END,
+        ...subscription
+    }
+});
+
+const stubBilling = ({ paid = null, recurring = true } = {}) => {
+    mock.method(billingService, 'hasRecurringSubscription', () => recurring);
+    return mock.method(paymentLedgerService, 'getPaidForPeriod', async () => paid);
+};
+
+describe('planChangeService.preview', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('credits the unused half of the list price when the ledger has no charge', async () => {
+        stubBilling();
+
+        const preview = await planChangeService.preview(subscriber('basic'), 'pro', HALFWAY);
+
+        assert.equal(preview.type, 'upgrade');
+        assert.equal(preview.unusedFraction, 0.5);
+        assert.equal(preview.credit, Math.round(BASIC / 2));
+        assert.equal(preview.charge, Math.round(PRO / 2));
+        assert.equal(preview.amountDue, Math.round(PRO / 2) - Math.round(BASIC / 2));
+        assert.deepEqual(preview.effectiveAt, HALFWAY);
+    });
+
+    it('credits only what was paid for a discounted period', async () => {
+        const getPaid = stubBilling({ paid: BASIC / 2 });
+
+        const preview = await planChangeService.preview(subscriber('basic'), 'pro', HALFWAY);
+
+        assert.equal(preview.credit, Math.round(BASIC / 4));
+        assert.equal(preview.amountDue, Math.round(PRO / 2) - Math.round(BASIC / 4));
+        assert.deepEqual(getPaid.mock.calls[0].arguments, ['user-1', { start: PERIOD_START, end: PERIOD_END }]);
+    });
+
+    it('never credits more than the list price', async () => {
+        stubBilling({ paid: BASIC * 3 });
+
+        const preview = await planChangeService.preview(subscriber('basic'), 'pro', HALFWAY);
+
+        assert.equal(preview.credit, Math.round(BASIC / 2));
+    });
+
+    it('derives the period start from the plan length when it was not recorded', async () => {
+        stubBilling();
+
+        const preview = await planChangeService.preview(subscriber('basic', { currentPeriodStart: null }), 'pro', HALFWAY);
+
+        assert.deepEqual(preview.period.start, PERIOD_START);
+        assert.equal(preview.unusedFraction, 0.5);
+    });
+
+    it('waives amounts below the minimum charge', async () => {
+        stubBilling();
+        const almostOver = new Date(PERIOD_END.getTime() - 60 * 60 * 1000);
+
+        const preview = await planChangeService.preview(subscriber('pro'), 'enterprise', almostOver);
+
+        assert.ok(preview.charge - preview.credit > 0);
+        assert.equal(preview.amountDue, 0);
+    });
+
+    it('schedules a downgrade for renewal at no charge', async () => {
+        const getPaid = stubBilling();
+
+        const preview = await planChangeService.preview(subscriber('enterprise'), 'basic', HALFWAY);
+
+        assert.equal(preview.type, 'downgrade');
+        assert.equal(preview.credit, 0);
+        assert.equal(preview.charge, 0);
+        assert.equal(preview.amountDue, 0);
+        assert.deepEqual(preview.effectiveAt, PERIOD_END);
+        assert.deepEqual(preview.renewal, { at: PERIOD_END, plan: 'basic', amount: BASIC });
+        assert.equal(getPaid.mock.callCount(), 0);
+    });
+
+    it('refuses a downgrade on a plan that does not renew', async () => {
+        stubBilling({ recurring: false });
+
+        await assert.rejects(planChangeService.preview(subscriber('pro'), 'basic', HALFWAY), { statusCode: 400 });
+    });
+
+    it('refuses changes the subscription cannot take', async () => {
+        stubBilling();
+
+        await assert.rejects(planChangeService.preview(subscriber('basic', { status: 'past_due' }), 'pro', HALFWAY), { statusCode: 409 });
+        await assert.rejects(planChangeService.preview(subscriber('basic'), 'basic', HALFWAY), { statusCode: 400 });
+        await assert.rejects(planChangeService.preview(subscriber('basic'), 'free', HALFWAY), { statusCode: 400 });
+        await assert.rejects(planChangeService.preview(subscriber('basic', { paymentProvider: 'stripe' }), 'pro', HALFWAY), { statusCode: 400 });
+    });
+});
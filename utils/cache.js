@@ -1,72 +0,0 @@
-// Simple in-memory cache with TTL (Time To Live)
-// For production, consider using Redis for distributed caching
-
-class Cache {
-    constructor() {
-        this.cache = new Map();
-        this.defaultTTL = 5 * 60 * 1000; // 5 minutes default
-    }
-
-    set(key, value, ttl = this.defaultTTL) {
-        const expiresAt = Date.now() + ttl;
-        this.cache.set(key, { value, expiresAt });
-    }
-
-    get(key) {
-        const item = this.cache.get(key);
-        if (!item) return null;
-
-        // Check if expired
-        if (Date.now() > item.expiresAt) {
-            this.cache.delete(key);
-            return null;
-        }
-
-        return item.value;
-    }
-
-    delete(key) {
-        return this.cache.delete(key);
-    }
-
-    clear() {
-        this.cache.clear();
-    }
-
-    deleteByPrefix(prefix) {
-        for (const key of this.cache.keys()) {
-            if (key.startsWith(prefix)) {
-                this.cache.delete(key);
-            }
-        }
-    }
-
-    // Clean up expired entries periodically
-    cleanup() {
-        const now = Date.now();
-        for (const [key, item] of this.cache.entries()) {
-            if (now > item.expiresAt) {
-                this.cache.delete(key);
-            }
-        }
-    }
-
-    // Get cache statistics
-    getStats() {
-        return {
-            size: this.cache.size,
-            keys: Array.from(this.cache.keys())
-        };
-    }
-}
-
-// Singleton instance
-const cache = new Cache();
-
-// Periodic cleanup every 10 minutes
-setInterval(() => {
-    cache.cleanup();
-}, 10 * 60 * 1000);
-
-module.exports = cache;
-
@@ -0,0 +1,150 @@
+const os = require('os');
+const crypto = require('crypto');
+const MemoryDriver = require('./memoryDriver');
+const RedisDriver = require('./redisDriver');
+const { getRedis, createRedisConnection, isRedisConfigured } = require('../../config/redis');
+const { CACHE } = require('../constants');
+require('dotenv').config();
+
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || CACHE.MAX_ENTRIES);
+
+/**
+ * Cache with TTL (Time To Live) in front of a pluggable driver, chosen by CACHE_DRIVER:
+ * memory (default, per process) or redis (shared, needs REDIS_URL).
+ * Every method is async. Driver errors are logged and treated as misses, so an
+ * unreachable cache slows requests down instead of failing them.
+ */
+class Cache {
+    constructor() {
+        this.defaultTTL = CACHE.DEFAULT_TTL_MS;
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.metrics = { hits: 0, misses: 0, sets: 0, deletes: 0, errors: 0, invalidationsReceived: 0 };
+
+        const requested = process.env.CACHE_DRIVER || 'memory';
+        if (!CACHE.DRIVERS.includes(requested)) {
+            throw new Error(`Unknown CACHE_DRIVER "${requested}". Use one of: ${CACHE.DRIVERS.join(', ')}`);
+        }
+        const wantsRedis = requested === 'redis';
+        if (wantsRedis && isRedisConfigured()) {
+            this.driver = new RedisDriver(getRedis(), { prefix: CACHE.REDIS_PREFIX, scanCount: CACHE.SCAN_COUNT });
+        } else {
+            if (wantsRedis) {
+                console.warn('[Cache] CACHE_DRIVER=redis but REDIS_URL is not set; using the memory driver.');
+            }
+            this.driver = new MemoryDriver({ maxEntries: MAX_ENTRIES, cleanupIntervalMs: CACHE.CLEANUP_INTERVAL_MS });
+            // Replicas each hold their own copy, so deletes are broadcast to the others
+            this.broadcast = isRedisConfigured();
+            if (this.broadcast) {
+                this.subscribe();
+            }
+        }
+    }
+
+    async get(key) {
+        try {
+            const value = await this.driver.get(key);
+            this.metrics[value === null ? 'misses' : 'hits'] += 1;
+            return value;
+        } catch (error) {
+            this.fail('get', key, error);
+            this.metrics.misses += 1;
+            return null;
+        }
+    }
+
+    async set(key, value, ttl = this.defaultTTL) {
+        try {
+            await this.driver.set(key, value, ttl);
+            this.metrics.sets += 1;
+        } catch (error) {
+            this.fail('set', key, error);
+        }
+    }
+
+    async delete(key) {
+        await this.invalidate({ op: 'delete', key });
+    }
+
+    async deleteByPrefix(prefix) {
+        await this.invalidate({ op: 'deleteByPrefix', key: prefix });
+    }
+
+    async clear() {
+        await this.invalidate({ op: 'clear' });
+    }
+
+    /**
+     * Apply a delete locally and, for the memory driver, on every other instance
+     */
+    async invalidate(message) {
+        try {
+            await this.apply(message);
+            this.metrics.deletes += 1;
+        } catch (error) {
+            this.fail(message.op, message.key, error);
+        }
+
+        if (this.broadcast) {
+            try {
+                await getRedis().publish(CACHE.INVALIDATION_CHANNEL, JSON.stringify({ ...message, origin: this.instanceId }));
+            } catch (error) {
+                this.fail('publish', message.key, error);
+            }
+        }
+    }
+
+    apply({ op, key }) {
+        if (op === 'delete') return this.driver.delete(key);
+        if (op === 'deleteByPrefix') return this.driver.deleteByPrefix(key);
+        if (op === 'clear') return this.driver.clear();
+        return null;
+    }
+
+    subscribe() {
+        const subscriber = createRedisConnection('Redis (cache invalidation)');
+        subscriber.subscribe(CACHE.INVALIDATION_CHANNEL).catch((error) => {
+            console.error('[Cache] Failed to subscribe to invalidations:', error.message);
+        });
+        subscriber.on('message', async (channel, raw) => {
+            try {
+                const message = JSON.parse(raw);
+                if (message.origin === this.instanceId) {
+                    return;
+                }
+                await this.apply(message);
+                this.metrics.invalidationsReceived += 1;
+            } catch (error) {
+                this.fail('invalidation', null, error);
+            }
+        });
+    }
+
+    fail(op, key, error) {
+        this.metrics.errors += 1;
+        console.error(`[Cache] ${op} failed${key ? ` for ${key}` : ''}:`, error.message);
+    }
+
+    // Get cache statistics
+    async getStats() {
+        const lookups = this.metrics.hits + this.metrics.misses;
+        let driverStats = {};
+        try {
+            driverStats = await this.driver.getStats();
+        } catch (error) {
+            this.fail('stats', null, error);
+        }
+
+        return {
+            driver: this.driver.name,
+            broadcastInvalidations: !!this.broadcast,
+            ...this.metrics,
+            hitRate: lookups ? Number((this.metrics.hits / lookups).toFixed(4)) : null,
+            ...driverStats
+        };
+    }
+}
+
+// Singleton instance
+const cache = new Cache();
+
+module.exports = cache;
@@ -0,0 +1,79 @@
+// In-process cache with TTL and a size cap. Map keeps insertion order, so
+// re-inserting on every read makes the first key the least recently used.
+
+class MemoryDriver {
+    constructor({ maxEntries, cleanupIntervalMs }) {
+        this.name = 'memory';
+        this.entries = new Map();
+        this.maxEntries = maxEntries;
+        this.evictions = 0;
+
+        // Periodic cleanup of expired entries
+        setInterval(() => {
+            this.cleanup();
+        }, cleanupIntervalMs).unref();
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+
+        // Check if expired
+        if (Date.now() > item.expiresAt) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.value;
+    }
+
+    async set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions += 1;
+        }
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async deleteByPrefix(prefix) {
+        let deleted = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                deleted += 1;
+            }
+        }
+        return deleted;
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, item] of this.entries.entries()) {
+            if (now > item.expiresAt) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    async getStats() {
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = MemoryDriver;
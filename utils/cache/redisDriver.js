@@ -0,0 +1,57 @@
+// Cache shared by every instance. Values are stored as JSON under a key prefix;
+// Redis expires them and applies its own maxmemory eviction policy.
+
+// SCAN MATCH treats these as pattern characters
+const escapePattern = value => value.replace(/[*?[\]\\]/g, '\\$&');
+
+class RedisDriver {
+    constructor(client, { prefix, scanCount }) {
+        this.name = 'redis';
+        this.client = client;
+        this.prefix = prefix;
+        this.scanCount = scanCount;
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.prefix + key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(key, value, ttl) {
+        await this.client.set(this.prefix + key, JSON.stringify(value), 'PX', ttl);
+    }
+
+    async delete(key) {
+        return (await this.client.del(this.prefix + key)) > 0;
+    }
+
+    async deleteByPrefix(prefix) {
+        let deleted = 0;
+        let cursor = '0';
+        do {
+            const [next, keys] = await this.client.scan(
+                cursor,
+                'MATCH', `${escapePattern(this.prefix + prefix)}*`,
+                'COUNT', this.scanCount
+            );
+            if (keys.length) {
+                deleted += await this.client.unlink(...keys);
+            }
+            cursor = next;
+        } while (cursor !== '0');
+        return deleted;
+    }
+
+    async clear() {
+        await this.deleteByPrefix('');
+    }
+
+    async getStats() {
+        // Counting keys would mean a full SCAN; report the server's view instead
+        const info = await this.client.info('memory');
+        const usedMemory = (info.match(/^used_memory_human:(.*)$/m) || [])[1];
+        return { usedMemory: usedMemory ? usedMemory.trim() : null };
+    }
+}
+
+module.exports = RedisDriver;
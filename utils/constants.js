@@ -4,6 +4,8 @@ const GOOGLE_API = {
     LOCATIONS_URL: 'https://mybusinessbusinessinformation.googleapis.com/v1',
     REVIEWS_URL: 'https://mybusiness.googleapis.com/v4',
     MAX_PAGE_SIZE: 50,
+    MAX_ACCOUNTS_PAGE_SIZE: 20,
+    MAX_LOCATIONS_PAGE_SIZE: 100,
     MAX_CONCURRENT_REQUESTS: 5
 };
 
@@ -22,6 +24,19 @@ const CACHE_TTL = {
     ACCOUNTS: 30 * 60 * 1000 // 30 minutes
 };
 
+// Cache backends (utils/cache)
+const CACHE = {
+    DRIVERS: ['memory', 'redis'],
+    DEFAULT_TTL_MS: 5 * 60 * 1000,
+    // Memory driver: least recently used entries are evicted past this size
+    MAX_ENTRIES: 5000,
+    CLEANUP_INTERVAL_MS: 10 * 60 * 1000,
+    REDIS_PREFIX: 'cache:',
+    // Memory-driver replicas tell each other about deletes here when REDIS_URL is set
+    INVALIDATION_CHANNEL: 'cache:invalidate',
+    SCAN_COUNT: 200
+};
+
 // Filter options
 const FILTER_OPTIONS = {
     ALL: 'all',
@@ -52,10 +67,121 @@ const AUTO_REPLY = {
     TONES: ['friendly', 'empathetic', 'professional', 'concise'],
     MAX_GENERATIONS_PER_CYCLE: 5,
     MAX_DISPATCH_PER_CYCLE: 5,
-    SYNC_LOOKBACK_HOURS: 12
+    SYNC_LOOKBACK_HOURS: 12,
+    REGENERATABLE_STATUSES: ['pending_approval', 'scheduled', 'generation_failed', 'rejected'],
+    MAX_DRAFT_HISTORY: 20,
+    MAX_INSTRUCTIONS_LENGTH: 1000,
+    // Failed tasks are retried automatically with exponential backoff (± jitter), then dead-lettered
+    RETRY_MAX_ATTEMPTS: 5,
+    RETRY_BASE_DELAY_MS: 2 * 60 * 1000,
+    RETRY_MAX_DELAY_MS: 6 * 60 * 60 * 1000,
+    RETRY_JITTER_RATIO: 0.25,
+    // Google reports what went wrong in error.status (and sometimes a reason), which tells a
+    // revoked token or missing permission apart from a quota or rate limit behind the same HTTP status
+    PERMANENT_GOOGLE_STATUSES: ['INVALID_ARGUMENT', 'FAILED_PRECONDITION', 'PERMISSION_DENIED', 'UNAUTHENTICATED', 'NOT_FOUND'],
+    TRANSIENT_GOOGLE_STATUSES: ['RESOURCE_EXHAUSTED', 'UNAVAILABLE', 'INTERNAL', 'DEADLINE_EXCEEDED', 'ABORTED'],
+    TRANSIENT_GOOGLE_REASONS: ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded', 'RATE_LIMIT_EXCEEDED'],
+    // HTTP statuses retrying can't fix, for errors without a Google status: bad request, no permission, review deleted
+    PERMANENT_ERROR_STATUSES: [400, 403, 404, 410],
+    MAX_ERROR_HISTORY: 10,
+    // A task left in `sending` this long belongs to a dispatch that died mid-post
+    SENDING_TIMEOUT_MS: 10 * 60 * 1000,
+    FAILED_STATUSES: ['generation_failed', 'delivery_failed', 'dead_letter']
+};
+
+// MongoDB-backed job queue for auto-reply work
+const JOBS = {
+    TYPES: ['sync', 'generate', 'dispatch'],
+    // Higher runs first: posting replies beats drafting them, which beats fetching more reviews
+    PRIORITIES: { dispatch: 10, generate: 5, sync: 1 },
+    // Jobs one worker process runs at once, and jobs one user can have running across all workers
+    WORKER_CONCURRENCY: 4,
+    TENANT_CONCURRENCY: 1,
+    // A running job that stops heartbeating for this long is handed to another worker
+    VISIBILITY_TIMEOUT_MS: 2 * 60 * 1000,
+    POLL_INTERVAL_MS: 2000,
+    MAX_ATTEMPTS: 3,
+    RETRY_BASE_MS: 30 * 1000,
+    // Queued jobs looked at per claim, so a busy user can't hide work queued for others
+    CLAIM_SCAN_LIMIT: 50,
+    RETENTION_HOURS: 24
+};
+
+// Leases that keep replicas from doing the same work twice
+const LOCKS = {
+    BACKENDS: ['mongo', 'redis'],
+    // One user's sync-and-reply run; renewed while the run is in progress
+    USER_RUN_TTL_MS: 2 * 60 * 1000,
+    // Scheduler leadership: a leader that stops renewing is replaced after LEADER_TTL_MS
+    LEADER_TTL_MS: 30 * 1000,
+    LEADER_RENEW_MS: 10 * 1000,
+    REDIS_PREFIX: 'lock:'
+};
+
+// Socket.IO across instances (services/websocketService)
+const SOCKETS = {
+    ADAPTERS: ['none', 'redis', 'mongo'],
+    // Mongo adapter: capped collection read through a change stream (needs a replica set)
+    MONGO_COLLECTION: 'socket_io_events',
+    MONGO_CAPPED_SIZE_BYTES: 1024 * 1024
+};
+
+// Per-user log of websocket events, replayed to clients that reconnect
+const EVENT_LOG = {
+    // Events a reconnecting client can't rebuild by refetching; stats refreshes and review
+    // lists aren't logged, the client reloads them anyway
+    REPLAYED_EVENTS: [
+        'autoReply:task:updated',
+        'autoReply:tasks:created',
+        'autoReply:approval:required',
+        'autoReply:settings:updated',
+        'autoReply:config:updated',
+        'autoReply:account:updated',
+        'autoReply:location:updated',
+        'review:replied',
+        'reviews:refresh',
+        'subscription:updated',
+        'payment:failed',
+        'payment:refunded'
+    ],
+    RETENTION_MINUTES: 60,
+    MAX_REPLAY: 200,
+    // Bigger payloads (e.g. full review lists) are logged without data; the client refetches instead
+    MAX_PAYLOAD_BYTES: 16 * 1024
+};
+
+const REVIEW_SYNC = {
+    STALE_AFTER_MS: 5 * 60 * 1000, // Re-sync from Google when the newest sync is older than this
+    FULL_RESYNC_HOURS: 24, // Periodically re-read every review to pick up edits and deletions
+    CURSOR_OVERLAP_MINUTES: 60, // Re-read a small window behind the cursor to absorb clock skew
+    BULK_WRITE_BATCH_SIZE: 500
+};
+
+// LLM usage accounting
+const LLM_USAGE = {
+    // USD per 1M tokens, matched by longest model-name prefix (e.g. gpt-4o-mini-2024-07-18)
+    PRICING_PER_MILLION: {
+        'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+        'gpt-4o': { prompt: 2.5, completion: 10 },
+        'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+        'gpt-4.1': { prompt: 2, completion: 8 },
+        'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+        'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+        'claude-3-haiku': { prompt: 0.25, completion: 1.25 }
+    },
+    // Monthly token caps per subscription plan; null means unlimited
+    MONTHLY_TOKEN_CAPS: {
+        trial: 100000,
+        free: 25000,
+        basic: 500000,
+        pro: 2000000,
+        enterprise: null
+    },
+    HISTORY_MONTHS: 6
 };
 
-// Subscription plans and pricing (amounts in paise - INR)
+// Subscription plans and pricing. priceInPaise is the INR price; `prices` holds every
+// currency a plan is sold in, in the currency's smallest unit.
 const SUBSCRIPTION_PLANS = {
     free: {
         name: 'Free',
@@ -64,7 +190,6 @@ const SUBSCRIPTION_PLANS = {
         billingCycleDays: 0,
         features: [
             'Basic review management',
-            'Auto-reply to reviews',
             'Manual replies only',
             'Limited features'
         ]
@@ -73,6 +198,7 @@ const SUBSCRIPTION_PLANS = {
         name: 'Basic',
         priceInPaise: 14900, 
         currency: 'INR',
+        prices: { INR: 14900, USD: 499, EUR: 449, GBP: 399 },
         billingCycleDays: 30,
         features: [
             'Auto-reply to reviews',
@@ -85,18 +211,19 @@ const SUBSCRIPTION_PLANS = {
         name: 'Pro',
         priceInPaise: 29900, 
         currency: 'INR',
+        prices: { INR: 29900, USD: 999, EUR: 899, GBP: 799 },
         billingCycleDays: 30,
         features: [
             'Everything in Basic',
             'Advanced AI replies',
-            'Priority support',
-            'Analytics dashboard'
+            'Priority support'
         ]
     },
     enterprise: {
         name: 'Enterprise',
         priceInPaise: 39900,  
         currency: 'INR',
+        prices: { INR: 39900, USD: 1499, EUR: 1349, GBP: 1199 },
         billingCycleDays: 30,
         features: [
             'Everything in Pro',
@@ -107,21 +234,199 @@ const SUBSCRIPTION_PLANS = {
     }
 };
 
+// Which provider and currency a customer pays with, by billing country (ISO 3166-1 alpha-2).
+// Countries not listed use DEFAULT.
+const PAYMENT_REGIONS = {
+    IN: { provider: 'razorpay', currency: 'INR', countries: ['IN'] },
+    EU: {
+        provider: 'stripe',
+        currency: 'EUR',
+        countries: [
+            'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+            'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+        ]
+    },
+    GB: { provider: 'stripe', currency: 'GBP', countries: ['GB'] },
+    DEFAULT: { provider: 'stripe', currency: 'USD', countries: [] }
+};
+
+// What each plan unlocks. Features are on/off; limits are numbers, null means unlimited.
+// Plans that lapse (expired, cancelled, suspended) fall back to the free entitlements.
+const PLAN_ENTITLEMENTS = {
+    free: {
+        features: {
+            manualReplies: true,
+            aiReplies: false,
+            autoReply: false,
+            customTone: false,
+            delaySettings: false,
+            advancedAi: false
+        },
+        limits: {
+            autoReplyLocations: 0
+        }
+    },
+    trial: {
+        features: {
+            manualReplies: true,
+            aiReplies: true,
+            autoReply: true,
+            customTone: true,
+            delaySettings: true,
+            advancedAi: true
+        },
+        limits: {
+            autoReplyLocations: 1
+        }
+    },
+    basic: {
+        features: {
+            manualReplies: true,
+            aiReplies: true,
+            autoReply: true,
+            customTone: true,
+            delaySettings: true,
+            advancedAi: false
+        },
+        limits: {
+            autoReplyLocations: 1
+        }
+    },
+    pro: {
+        features: {
+            manualReplies: true,
+            aiReplies: true,
+            autoReply: true,
+            customTone: true,
+            delaySettings: true,
+            advancedAi: true
+        },
+        limits: {
+            autoReplyLocations: 1
+        }
+    },
+    enterprise: {
+        features: {
+            manualReplies: true,
+            aiReplies: true,
+            autoReply: true,
+            customTone: true,
+            delaySettings: true,
+            advancedAi: true
+        },
+        limits: {
+            autoReplyLocations: null
+        }
+    }
+};
+
+// Recurring billing
+const BILLING = {
+    // Subscriptions are created with enough scheduled charges to cover this many years
+    MAX_BILLING_YEARS: 10,
+    // Plan prices include GST at this rate (percent)
+    GST_RATE: 18,
+    INVOICE_PREFIX: 'INV',
+    HISTORY_PAGE_SIZE: 20,
+    // Razorpay's minimum order amount; smaller prorated charges are waived
+    MIN_CHARGE_PAISE: 100,
+    // A checkout holds one of its coupon's redemptions this long; unpaid after that, it is given back
+    COUPON_RESERVATION_TTL_MS: 60 * 60 * 1000,
+    // A webhook stuck in processing this long (crashed worker) may be picked up again
+    WEBHOOK_PROCESSING_TIMEOUT_MS: 5 * 60 * 1000
+};
+
 // Trial settings
 const TRIAL_SETTINGS = {
     DEFAULT_DAYS: 5,
     MAX_DAYS: 365
 };
 
+// Background expiry of trials and subscriptions
+const SUBSCRIPTION_LIFECYCLE = {
+    CHECK_INTERVAL_MS: 15 * 60 * 1000,
+    // Paid plans keep their entitlements this long after expiresAt (status past_due)
+    GRACE_DAYS: 3,
+    TRIAL_GRACE_DAYS: 0
+};
+
+// Alerts sent outside the dashboard
+const NOTIFICATIONS = {
+    CHANNELS: ['email', 'webhook', 'slack', 'teams'],
+    // Chat apps posted to through incoming webhooks, and the auto-reply events they can follow
+    CHAT_PROVIDERS: ['slack', 'teams'],
+    // Incoming webhook hosts per provider (the host itself or a subdomain of it)
+    CHAT_WEBHOOK_HOSTS: {
+        slack: ['hooks.slack.com'],
+        teams: ['webhook.office.com', 'outlook.office.com', 'logic.azure.com']
+    },
+    CHAT_EVENTS: ['review.new', 'draft.generated', 'delivery.failed'],
+    MAX_CHAT_CHANNELS: 10,
+    // Approve / edit links in chat messages stay valid this long
+    CHAT_ACTION_TTL: '7d',
+    // Reviews at or below this star rating are escalated
+    DEFAULT_RATING_THRESHOLD: 2,
+    MAX_KEYWORDS: 25,
+    MAX_KEYWORD_LENGTH: 50,
+    MAX_EMAIL_RECIPIENTS: 5,
+    // Only reviews newer than this are escalated, so the first sync doesn't alert on old history
+    ESCALATION_MAX_AGE_DAYS: 7,
+    WEBHOOK_TIMEOUT_MS: 10000,
+    // A failed delivery is retried on later syncs until it has been tried this often
+    MAX_DELIVERY_ATTEMPTS: 3,
+    DELIVERY_PAGE_SIZE: 20
+};
+
+// Outgoing webhook subscriptions for integrators
+const WEBHOOKS = {
+    EVENTS: ['review.created', 'reply.sent', 'task.failed', 'subscription.updated'],
+    MAX_ENDPOINTS: 10,
+    // A delivery is tried this often before it is marked failed; waits double from RETRY_BASE_MS
+    MAX_ATTEMPTS: 6,
+    RETRY_BASE_MS: 60 * 1000,
+    RETRY_MAX_MS: 6 * 60 * 60 * 1000,
+    TIMEOUT_MS: 10000,
+    CHECK_INTERVAL_MS: 30 * 1000,
+    BATCH_SIZE: 50,
+    DELIVERY_RETENTION_DAYS: 30,
+    DELIVERY_PAGE_SIZE: 20
+};
+
+// Scheduled review digest emails
+const DIGEST = {
+    FREQUENCIES: ['off', 'daily', 'weekly'],
+    CHECK_INTERVAL_MS: 15 * 60 * 1000,
+    DEFAULT_TIMEZONE: 'UTC',
+    // Local hour (0-23) the digest goes out, and the weekday (0 = Sunday) for weekly digests
+    DEFAULT_HOUR: 8,
+    DEFAULT_WEEKDAY: 1,
+    // Failed tasks listed by name in the digest; the rest are counted
+    MAX_ATTENTION_ITEMS: 10
+};
+
 module.exports = {
     GOOGLE_API,
     PAGINATION,
     CACHE_TTL,
+    CACHE,
     FILTER_OPTIONS,
     SORT_OPTIONS,
     RATING_MAP,
     AUTO_REPLY,
+    JOBS,
+    LOCKS,
+    SOCKETS,
+    EVENT_LOG,
+    REVIEW_SYNC,
+    LLM_USAGE,
     SUBSCRIPTION_PLANS,
-    TRIAL_SETTINGS
+    PLAN_ENTITLEMENTS,
+    PAYMENT_REGIONS,
+    BILLING,
+    TRIAL_SETTINGS,
+    SUBSCRIPTION_LIFECYCLE,
+    NOTIFICATIONS,
+    WEBHOOKS,
+    DIGEST
 };
 
@@ -0,0 +1,110 @@
+const dns = require('dns');
+const net = require('net');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Guards for requests the server sends to user-supplied URLs (webhooks, alerts),
+ * so they can't be pointed at the server's own network or a cloud metadata service.
+ */
+
+// Loopback, private, link-local, carrier-grade NAT, documentation, benchmarking,
+// multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true for anything that isn't a public unicast address
+ */
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) {
+        return true;
+    }
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return blockedAddresses.check(mapped[1], 'ipv4');
+    }
+    return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup that refuses private addresses. Passed to axios as `lookup`, so the address
+ * actually connected to is checked, not just the one seen when the URL was validated.
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+        return options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Reject URLs whose host is, or resolves to, a private address
+ * @param {string} url - URL to check
+ * @param {object} options - requireHttps: refuse plain http (default true)
+ * @throws {AppError} 400 when the URL can't be sent to
+ */
+const assertPublicUrl = async (url, { requireHttps = true } = {}) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new AppError('URL is not valid.', 400);
+    }
+
+    const allowed = requireHttps ? ['https:'] : ['https:', 'http:'];
+    if (!allowed.includes(parsed.protocol)) {
+        throw new AppError(`URL must use ${requireHttps ? 'https' : 'http or https'}.`, 400);
+    }
+
+    // URL keeps the brackets around IPv6 hosts
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            throw new AppError(`Could not resolve ${hostname}.`, 400);
+        }
+    }
+
+    if (!addresses.length || addresses.some(isPrivateAddress)) {
+        throw new AppError('URL must point to a public address.', 400);
+    }
+};
+
+/**
+ * axios options for a request to a user-supplied URL: no redirects (a public URL could
+ * redirect inward) and private addresses refused at connect time
+ */
+const outboundRequestOptions = () => ({
+    maxRedirects: 0,
+    lookup: publicLookup
+});
+
+module.exports = {
+    isPrivateAddress,
+    publicLookup,
+    assertPublicUrl,
+    outboundRequestOptions
+};
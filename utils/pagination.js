@@ -43,8 +43,49 @@ const createPaginationMeta = (page, limit, total) => {
     };
 };
 
+/**
+ * Encode a keyset position as an opaque, URL-safe cursor string
+ * @param {Object} position - Serializable cursor payload
+ * @returns {string} Cursor
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {Object|null} Cursor payload, or null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return position && typeof position === 'object' ? position : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build a MongoDB filter matching documents strictly after a keyset position
+ * @param {Array<[string, number]>} sortFields - Ordered [field, direction] pairs; the last one must be unique (e.g. _id)
+ * @param {Array} values - Values of the sort fields for the last document of the previous page
+ * @returns {Object} Filter to combine with the base query
+ */
+const buildKeysetFilter = (sortFields, values) => ({
+    $or: sortFields.map(([field, direction], index) => {
+        const clause = {};
+        for (let i = 0; i < index; i += 1) {
+            clause[sortFields[i][0]] = values[i];
+        }
+        clause[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+        return clause;
+    })
+});
+
 module.exports = {
     normalizePagination,
-    createPaginationMeta
+    createPaginationMeta,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetFilter
 };
 
@@ -1,5 +1,5 @@
 const { z } = require('zod');
-const { AUTO_REPLY, SUBSCRIPTION_PLANS } = require('../utils/constants');
+const { AUTO_REPLY, SUBSCRIPTION_PLANS, NOTIFICATIONS, WEBHOOKS, DIGEST } = require('../utils/constants');
 
 const objectIdRegex = /^[a-f\d]{24}$/i;
 const objectIdSchema = z.string().regex(objectIdRegex, 'Invalid identifier supplied.');
@@ -16,7 +16,16 @@ const numberPreprocessor = (schema) =>
         schema
     );
 
+const paidPlanSchema = z.string().trim().min(1, 'plan is required.').transform((value) => value.toLowerCase()).refine(
+    (value) => !!SUBSCRIPTION_PLANS[value]?.priceInPaise,
+    'Choose a paid plan.'
+);
+const couponCodeSchema = z.string().trim().toUpperCase().regex(/^[A-Z0-9_-]{3,40}$/, 'Invalid coupon code.');
+
 const reviewSchemas = {
+    syncBody: z.object({
+        full: z.boolean().optional()
+    }),
     replyBody: z.object({
         reviewName: z.string().min(1, 'reviewName is required.').trim(),
         comment: z.string().min(1, 'comment is required.').trim()
@@ -43,12 +52,66 @@ const autoReplySchemas = {
         ),
         respondToPositive: z.boolean().optional(),
         respondToNeutral: z.boolean().optional(),
-        respondToNegative: z.boolean().optional()
+        respondToNegative: z.boolean().optional(),
+        requireApproval: z.boolean().optional(),
+        requireApprovalForPositive: z.boolean().optional(),
+        requireApprovalForNeutral: z.boolean().optional(),
+        requireApprovalForNegative: z.boolean().optional()
     }),
     runBody: z.object({}).strict(),
     retryParams: z.object({
         taskId: taskIdSchema
-    })
+    }),
+    taskParams: z.object({
+        taskId: taskIdSchema
+    }),
+    approveBody: z.object({
+        reply: z.string().trim().min(1, 'reply cannot be empty.').max(4096, 'reply must be at most 4096 characters.').optional()
+    }),
+    regenerateBody: z.object({
+        instructions: z.string().trim().max(
+            AUTO_REPLY.MAX_INSTRUCTIONS_LENGTH,
+            `instructions must be at most ${AUTO_REPLY.MAX_INSTRUCTIONS_LENGTH} characters.`
+        ).optional()
+    }),
+    draftParams: z.object({
+        taskId: taskIdSchema,
+        draftId: z.string().regex(objectIdRegex, 'Invalid draftId.')
+    }),
+    rejectBody: z.object({
+        reason: z.string().trim().max(500, 'reason must be at most 500 characters.').optional()
+    }),
+    accountParams: z.object({
+        accountId: z.string().regex(/^\d+$/, 'Invalid accountId.')
+    }),
+    accountConfigBody: z.object({
+        enabled: z.boolean()
+    }),
+    locationParams: z.object({
+        locationId: z.string().regex(/^\d+$/, 'Invalid locationId.')
+    }),
+    // null clears an override so the location inherits the account default again
+    locationConfigBody: z.object({
+        enabled: z.boolean().nullable().optional(),
+        delayMinutes: numberPreprocessor(z.number().int()).nullable().optional().refine(
+            (value) => value === undefined || value === null || AUTO_REPLY.DELAY_OPTIONS_MINUTES.includes(value),
+            `delayMinutes must be one of ${AUTO_REPLY.DELAY_OPTIONS_MINUTES.join(', ')}.`
+        ),
+        tone: z.string().nullable().optional().refine(
+            (value) => value === undefined || value === null || AUTO_REPLY.TONES.includes(value),
+            `tone must be one of ${AUTO_REPLY.TONES.join(', ')}.`
+        ),
+        respondToPositive: z.boolean().nullable().optional(),
+        respondToNeutral: z.boolean().nullable().optional(),
+        respondToNegative: z.boolean().nullable().optional(),
+        requireApproval: z.boolean().nullable().optional(),
+        requireApprovalForPositive: z.boolean().nullable().optional(),
+        requireApprovalForNeutral: z.boolean().nullable().optional(),
+        requireApprovalForNegative: z.boolean().nullable().optional()
+    }).strict().refine(
+        (data) => Object.keys(data).length > 0,
+        'At least one location setting must be provided.'
+    )
 };
 
 const superAdminSchemas = {
@@ -64,11 +127,53 @@ const superAdminSchemas = {
     trialDisableBody: z.object({}).strict(),
     subscriptionBody: z.object({
         plan: z.enum(['trial', 'free', 'basic', 'pro', 'enterprise']).optional(),
-        status: z.enum(['active', 'cancelled', 'expired', 'suspended']).optional(),
+        status: z.enum(['active', 'past_due', 'cancelled', 'expired', 'suspended']).optional(),
         expiresAt: z.string().datetime().optional()
     }).refine(
         (data) => Object.keys(data).length > 0,
         'At least one subscription field must be provided.'
+    ),
+    webhookListQuery: z.object({
+        provider: z.enum(['razorpay', 'stripe']).optional(),
+        status: z.enum(['received', 'processing', 'processed', 'failed', 'ignored']).optional(),
+        event: z.string().trim().min(1).max(100).optional(),
+        page: numberPreprocessor(z.number().int().min(1)).optional(),
+        limit: numberPreprocessor(z.number().int().min(1).max(100)).optional()
+    }),
+    webhookEventParams: z.object({
+        eventId: objectIdSchema
+    }),
+    couponListQuery: z.object({
+        active: z.enum(['true', 'false']).transform((value) => value === 'true').optional(),
+        page: numberPreprocessor(z.number().int().min(1)).optional(),
+        limit: numberPreprocessor(z.number().int().min(1).max(100)).optional()
+    }),
+    couponIdParams: z.object({
+        couponId: objectIdSchema
+    }),
+    couponCreateBody: z.object({
+        code: couponCodeSchema,
+        description: z.string().trim().max(500).optional(),
+        type: z.enum(['percentage', 'fixed']),
+        value: numberPreprocessor(z.number().int().min(1)),
+        currency: z.string().trim().toUpperCase().length(3).optional(),
+        duration: z.enum(['first_payment', 'recurring']).optional(),
+        plans: z.array(paidPlanSchema).optional(),
+        expiresAt: z.string().datetime().optional(),
+        maxRedemptions: numberPreprocessor(z.number().int().min(1)).nullable().optional()
+    }).strict().refine(
+        (data) => data.type !== 'percentage' || data.value <= 100,
+        'Percentage coupons must be between 1 and 100.'
+    ),
+    couponUpdateBody: z.object({
+        description: z.string().trim().max(500).optional(),
+        plans: z.array(paidPlanSchema).optional(),
+        expiresAt: z.string().datetime().nullable().optional(),
+        maxRedemptions: numberPreprocessor(z.number().int().min(1)).nullable().optional(),
+        active: z.boolean().optional()
+    }).strict().refine(
+        (data) => Object.keys(data).length > 0,
+        'At least one coupon field must be provided.'
     )
 };
 
@@ -77,20 +182,194 @@ const paymentSchemas = {
         plan: z.string().trim().min(1, 'plan is required.').transform((value) => value.toLowerCase()).refine(
             (value) => Object.prototype.hasOwnProperty.call(SUBSCRIPTION_PLANS, value),
             'Invalid subscription plan.'
-        )
+        ),
+        couponCode: couponCodeSchema.optional()
+    }),
+    couponValidateBody: z.object({
+        code: couponCodeSchema,
+        plan: paidPlanSchema
     }),
-    verifyBody: z.object({
-        razorpay_payment_id: z.string().min(1, 'razorpay_payment_id is required.').trim(),
-        razorpay_order_id: z.string().min(1, 'razorpay_order_id is required.').trim(),
-        razorpay_signature: z.string().min(1, 'razorpay_signature is required.').trim()
+    // provider defaults to razorpay for clients that predate Stripe
+    verifyBody: z.preprocess(
+        (body) => ({ provider: 'razorpay', ...body }),
+        z.discriminatedUnion('provider', [
+            z.object({
+                provider: z.literal('razorpay'),
+                razorpay_payment_id: z.string().min(1, 'razorpay_payment_id is required.').trim(),
+                razorpay_order_id: z.string().trim().min(1).optional(),
+                razorpay_subscription_id: z.string().trim().min(1).optional(),
+                razorpay_signature: z.string().min(1, 'razorpay_signature is required.').trim()
+            }).refine(
+                (data) => !!data.razorpay_order_id !== !!data.razorpay_subscription_id,
+                'Provide either razorpay_subscription_id or razorpay_order_id.'
+            ),
+            z.object({
+                provider: z.literal('stripe'),
+                session_id: z.string({ error: 'session_id is required.' }).trim().min(1, 'session_id is required.')
+            })
+        ], { error: 'provider must be razorpay or stripe.' })
+    ),
+    changePlanBody: z.object({
+        plan: paidPlanSchema
     }),
-    cancelBody: z.object({}).strict()
+    cancelBody: z.object({}).strict(),
+    invoiceParams: z.object({
+        invoiceId: objectIdSchema
+    }),
+    billingDetailsBody: z.object({
+        legalName: z.string().trim().min(1).max(200).nullable().optional(),
+        gstin: z.string().trim().toUpperCase().regex(
+            /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+            'Invalid GSTIN.'
+        ).nullable().optional(),
+        address: z.string().trim().min(1).max(500).nullable().optional(),
+        state: z.string().trim().min(1).max(100).nullable().optional(),
+        country: z.string().trim().toUpperCase().regex(/^[A-Z]{2}$/, 'country must be an ISO 3166-1 alpha-2 code.').nullable().optional()
+    }).strict().refine(
+        (data) => Object.keys(data).length > 0,
+        'At least one billing field must be provided.'
+    )
+};
+
+const webhookUrlSchema = z.string().trim().url('webhook url must be a valid URL.').refine(
+    (value) => /^https:\/\//i.test(value),
+    'webhook url must use https.'
+);
+
+const timezoneSchema = z.string().trim().min(1).refine((value) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}, 'timezone must be an IANA timezone such as Asia/Kolkata.');
+
+// Incoming webhook URLs carry their own credential, so plain http is refused
+const chatChannelFields = {
+    name: z.string().trim().min(1, 'name is required.').max(80).optional(),
+    webhookUrl: z.string().trim().url('webhookUrl must be a valid URL.').refine(
+        (value) => /^https:\/\//i.test(value),
+        'webhookUrl must use https.'
+    ).optional(),
+    enabled: z.boolean().optional(),
+    events: z.array(z.enum(NOTIFICATIONS.CHAT_EVENTS)).min(1, 'Choose at least one event.').optional(),
+    locationIds: z.array(z.string().trim().min(1).max(100)).max(200).optional()
+};
+
+const notificationSchemas = {
+    updateSettingsBody: z.object({
+        escalation: z.object({
+            enabled: z.boolean().optional(),
+            ratingThreshold: z.number().int().min(1).max(5).optional(),
+            keywords: z.array(z.string().trim().min(1).max(NOTIFICATIONS.MAX_KEYWORD_LENGTH))
+                .max(NOTIFICATIONS.MAX_KEYWORDS, `At most ${NOTIFICATIONS.MAX_KEYWORDS} keywords.`)
+                .optional()
+        }).strict().optional(),
+        email: z.object({
+            enabled: z.boolean().optional(),
+            recipients: z.array(z.string().trim().toLowerCase().email('Invalid email recipient.'))
+                .max(NOTIFICATIONS.MAX_EMAIL_RECIPIENTS, `At most ${NOTIFICATIONS.MAX_EMAIL_RECIPIENTS} recipients.`)
+                .optional()
+        }).strict().optional(),
+        webhook: z.object({
+            enabled: z.boolean().optional(),
+            url: webhookUrlSchema.nullable().optional(),
+            secret: z.string().min(16, 'webhook secret must be at least 16 characters.').max(200).nullable().optional()
+        }).strict().optional(),
+        digest: z.object({
+            frequency: z.enum(DIGEST.FREQUENCIES).optional(),
+            timezone: timezoneSchema.optional(),
+            hour: z.number().int().min(0).max(23).optional(),
+            weekday: z.number().int().min(0).max(6).optional(),
+            recipients: z.array(z.string().trim().toLowerCase().email('Invalid email recipient.'))
+                .max(NOTIFICATIONS.MAX_EMAIL_RECIPIENTS, `At most ${NOTIFICATIONS.MAX_EMAIL_RECIPIENTS} recipients.`)
+                .optional()
+        }).strict().optional()
+    }).strict().refine(
+        (data) => Object.keys(data).length > 0,
+        'At least one notification setting must be provided.'
+    ),
+    deliveryListQuery: z.object({
+        event: z.string().trim().min(1).max(50).optional(),
+        status: z.enum(['pending', 'sent', 'failed', 'skipped']).optional(),
+        channel: z.enum(NOTIFICATIONS.CHANNELS).optional(),
+        page: numberPreprocessor(z.number().int().min(1)).optional(),
+        limit: numberPreprocessor(z.number().int().min(1).max(100)).optional()
+    }),
+    testBody: z.object({}).strict(),
+    digestPreviewQuery: z.object({
+        frequency: z.enum(['daily', 'weekly']).optional()
+    }),
+    digestSendBody: z.object({
+        frequency: z.enum(['daily', 'weekly']).optional()
+    }).strict(),
+    chatChannelBody: z.object({
+        ...chatChannelFields,
+        provider: z.enum(NOTIFICATIONS.CHAT_PROVIDERS),
+        name: chatChannelFields.name.unwrap(),
+        webhookUrl: chatChannelFields.webhookUrl.unwrap()
+    }).strict(),
+    chatChannelUpdateBody: z.object(chatChannelFields).strict().refine(
+        (data) => Object.keys(data).length > 0,
+        'At least one channel setting must be provided.'
+    ),
+    chatChannelParams: z.object({
+        channelId: objectIdSchema
+    }),
+    chatActionParams: z.object({
+        token: z.string().min(1).max(2048)
+    }),
+    chatActionQuery: z.object({
+        intent: z.enum(['approve', 'edit']).optional()
+    }),
+    chatActionBody: z.object({
+        action: z.enum(['approve', 'reject']),
+        reply: z.string().trim().min(1, 'reply cannot be empty.').max(4096, 'reply must be at most 4096 characters.').optional()
+    })
+};
+
+const webhookEndpointFields = {
+    url: z.string().trim().url('url must be a valid URL.').refine(
+        (value) => /^https:\/\//i.test(value),
+        'url must use https.'
+    ),
+    description: z.string().trim().max(200).optional(),
+    events: z.array(z.enum(WEBHOOKS.EVENTS)).min(1, 'Subscribe to at least one event.'),
+    enabled: z.boolean().optional()
+};
+
+const webhookSchemas = {
+    endpointBody: z.object(webhookEndpointFields).strict(),
+    endpointUpdateBody: z.object({
+        url: webhookEndpointFields.url.optional(),
+        description: webhookEndpointFields.description,
+        events: webhookEndpointFields.events.optional(),
+        enabled: webhookEndpointFields.enabled
+    }).strict().refine(
+        (data) => Object.keys(data).length > 0,
+        'At least one endpoint setting must be provided.'
+    ),
+    endpointParams: z.object({
+        endpointId: objectIdSchema
+    }),
+    deliveryParams: z.object({
+        deliveryId: objectIdSchema
+    }),
+    deliveryListQuery: z.object({
+        status: z.enum(['pending', 'sending', 'succeeded', 'failed']).optional(),
+        event: z.enum([...WEBHOOKS.EVENTS, 'test']).optional(),
+        page: numberPreprocessor(z.number().int().min(1)).optional(),
+        limit: numberPreprocessor(z.number().int().min(1).max(100)).optional()
+    })
 };
 
 module.exports = {
     reviewSchemas,
     autoReplySchemas,
     superAdminSchemas,
-    paymentSchemas
+    paymentSchemas,
+    notificationSchemas,
+    webhookSchemas
 };
 